@@ -0,0 +1,97 @@
+// Cosmic Drift - Achievements
+//
+// Each achievement watches one progress counter and unlocks once the counter
+// reaches `goal`. Counters either add up across runs (collectibles, bosses)
+// or keep the best value seen (level, ships owned). They are saved with the
+// rest of the progress, so multi-step achievements carry over between
+// sessions. An unlock may pay `coins` or unlock a cosmetic ship `color`.
+
+const ACHIEVEMENTS = {
+    collector: { icon: '✨', counter: 'collectibles', goal: 100, coins: 25 },
+    hoarder: { icon: '📦', counter: 'collectibles', goal: 1000, color: 'gold' },
+    powerUser: { icon: '⚡', counter: 'powerUps', goal: 25, coins: 50 },
+    farOut: { icon: '🚀', counter: 'level', goal: 5, coins: 30 },
+    deepSpace: { icon: '🌌', counter: 'level', goal: 10, color: 'nebula' },
+    lastHeart: { icon: '❤️', counter: 'lastHeart', goal: 1, coins: 30 },
+    calm: { icon: '🧘', counter: 'calmLevels', goal: 1, coins: 40 },
+    demolition: { icon: '💥', counter: 'collapses', goal: 50, coins: 60 },
+    giantSlayer: { icon: '🏆', counter: 'bosses', goal: 1, coins: 100 },
+    bossHunter: { icon: '👑', counter: 'bosses', goal: 5, color: 'crimson' },
+    fleet: { icon: '🛸', counter: 'ships', goal: Object.keys(SHIP_TYPES).length, color: 'emerald' }
+};
+
+// Cosmetic paint jobs unlocked by achievements
+const SHIP_COLORS = {
+    gold: { color: '#ffd700', boostColor: '#fff3a0' },
+    nebula: { color: '#c084fc', boostColor: '#f0abfc' },
+    crimson: { color: '#ef4444', boostColor: '#fca5a5' },
+    emerald: { color: '#10b981', boostColor: '#6ee7b7' }
+};
+
+class AchievementTracker {
+    // state is the save's { progress: { counter: value }, unlocked: { id: date } };
+    // onUnlock(id, achievement) is called once per newly unlocked achievement
+    constructor(state, onUnlock) {
+        this.state = state;
+        this.onUnlock = onUnlock;
+    }
+
+    isUnlocked(id) {
+        return this.state.unlocked[id] !== undefined;
+    }
+
+    progress(id) {
+        const achievement = ACHIEVEMENTS[id];
+        return Math.min(this.state.progress[achievement.counter] || 0, achievement.goal);
+    }
+
+    isColorUnlocked(colorId) {
+        return Object.entries(ACHIEVEMENTS).some(([id, a]) => a.color === colorId && this.isUnlocked(id));
+    }
+
+    add(counter, amount = 1) {
+        this.state.progress[counter] = (this.state.progress[counter] || 0) + amount;
+        this.check(counter);
+    }
+
+    // For counters that keep the best value seen
+    reach(counter, value) {
+        if (value <= (this.state.progress[counter] || 0)) return;
+        this.state.progress[counter] = value;
+        this.check(counter);
+    }
+
+    // Unlock everything the counter has reached, or every counter if omitted
+    check(counter) {
+        for (const [id, achievement] of Object.entries(ACHIEVEMENTS)) {
+            if (counter && achievement.counter !== counter) continue;
+            if (this.isUnlocked(id)) continue;
+            if ((this.state.progress[achievement.counter] || 0) >= achievement.goal) {
+                this.state.unlocked[id] = Date.now();
+                this.onUnlock(id, achievement);
+            }
+        }
+    }
+
+    // Count a run's events. counts() is asked each time, so a run can stop
+    // counting halfway, e.g. once the bot takes over.
+    observe(sim, counts = () => true) {
+        let boostTicksAtLevelStart = 0;
+
+        const on = (type, listener) => sim.on(type, data => {
+            if (counts()) listener(data);
+        });
+        on('collect', () => this.add('collectibles'));
+        on('powerUp', () => this.add('powerUps'));
+        on('blackHoleCollapsed', () => this.add('collapses'));
+        on('bossDefeated', () => this.add('bosses'));
+        on('damage', ({ hp }) => {
+            if (hp === 1) this.add('lastHeart');
+        });
+        on('levelUp', ({ level }) => {
+            this.reach('level', level);
+            if (sim.boostTicks === boostTicksAtLevelStart) this.add('calmLevels');
+            boostTicksAtLevelStart = sim.boostTicks;
+        });
+    }
+}
@@ -0,0 +1,303 @@
+// Cosmic Drift - Procedural audio
+//
+// Every sound is synthesized with the Web Audio API; there are no sample
+// files. Effects are short envelopes on oscillators and filtered noise. The
+// music is a synthwave loop scheduled slightly ahead of time from the frame
+// loop, gaining layers as the level rises. Browsers only allow the context to
+// start after a user gesture, and everything is skipped without Web Audio.
+
+const AUDIO_DEFAULTS = { master: 0.8, music: 0.5, sfx: 0.8, muted: false };
+
+// Music: sixteenth-note steps, one chord per bar of 16
+const MUSIC_TEMPO = 96; // BPM at level 1, a little faster every level
+const MUSIC_LOOKAHEAD = 0.2; // Seconds of music scheduled ahead of the clock
+const MUSIC_CHORDS = [[0, 3, 7], [-4, 0, 3], [3, 7, 10], [-2, 2, 5]]; // Am F C G, semitones from A
+const MUSIC_LEAD = [12, null, 15, 12, null, 19, null, 17, 15, null, 12, null, 10, null, 12, null];
+
+// Level at which each music layer comes in
+const MUSIC_LAYERS = { bass: 1, arp: 2, drums: 3, lead: 5 };
+
+// Rising notes played for each collectible, in semitones from A
+const COLLECT_NOTES = {
+    energy: [12, 19],
+    points: [24, 28],
+    multiplier: [19, 24, 31],
+    shield: [7, 14, 19],
+    magnet: [5, 12],
+    slowmo: [19, 12, 5],
+    doubleCoins: [24, 31, 36],
+    ghost: [17, 24, 29],
+    bomb: [0, -5]
+};
+
+// Repeats of one sound closer together than this are dropped
+const SOUND_COOLDOWN = 0.05;
+
+function noteFrequency(semitones) {
+    return 220 * Math.pow(2, semitones / 12);
+}
+
+// One-shot effects, by name - mostly simulation event names
+const SOUND_EFFECTS = {
+    collect(audio, { item }) {
+        (COLLECT_NOTES[item.type] || [12]).forEach((note, i) => {
+            audio.tone({ frequency: noteFrequency(note), type: 'triangle', delay: i * 0.06, duration: 0.14, volume: 0.25 });
+        });
+    },
+    shoot(audio) {
+        audio.tone({ frequency: 1200, endFrequency: 400, type: 'square', duration: 0.08, volume: 0.08 });
+    },
+    bulletFired(audio) {
+        audio.tone({ frequency: 320, endFrequency: 140, type: 'sawtooth', duration: 0.15, volume: 0.08 });
+    },
+    damage(audio) {
+        audio.noise({ duration: 0.35, volume: 0.5, filter: 1800, endFilter: 200 });
+        audio.tone({ frequency: 180, endFrequency: 50, type: 'sawtooth', duration: 0.35, volume: 0.3 });
+    },
+    levelUp(audio) {
+        [0, 4, 7, 12].forEach((note, i) => {
+            audio.tone({ frequency: noteFrequency(note + 12), type: 'square', delay: i * 0.08, duration: 0.2, volume: 0.15 });
+        });
+    },
+    gameOver(audio) {
+        audio.noise({ duration: 1.6, volume: 0.8, filter: 3000, endFilter: 60 });
+        audio.tone({ frequency: 90, endFrequency: 25, duration: 1.4, volume: 0.5 });
+    }
+};
+
+class AudioEngine {
+    constructor(settings = { ...AUDIO_DEFAULTS }) {
+        this.settings = settings; // Volumes 0..1 and muted, saved with progress
+        this.ctx = null;
+        this.buses = null; // master, music and sfx gain nodes
+        this.noiseBuffer = null;
+        this.music = null; // { step, nextTime, level } while the music plays
+        this.loops = null; // Boost roar and black hole hum, while a run is on
+        this.lastPlayed = {};
+    }
+
+    // Create or wake the context - call from a user gesture
+    unlock() {
+        if (!this.ctx) {
+            const Context = typeof AudioContext !== 'undefined' ? AudioContext
+                : typeof webkitAudioContext !== 'undefined' ? webkitAudioContext : null;
+            if (!Context) return;
+
+            this.ctx = new Context();
+            const master = this.ctx.createGain();
+            master.connect(this.ctx.destination);
+            this.buses = { master, music: this.ctx.createGain(), sfx: this.ctx.createGain() };
+            this.buses.music.connect(master);
+            this.buses.sfx.connect(master);
+            this.noiseBuffer = this.createNoiseBuffer();
+            this.applyVolumes();
+        }
+        this.resume();
+    }
+
+    get running() {
+        return this.ctx !== null && this.ctx.state === 'running';
+    }
+
+    suspend() {
+        if (this.running) this.ctx.suspend();
+    }
+
+    resume() {
+        if (this.ctx && this.ctx.state === 'suspended') this.ctx.resume();
+    }
+
+    setVolume(bus, value) {
+        this.settings[bus] = Math.min(Math.max(value, 0), 1);
+        this.applyVolumes();
+    }
+
+    setMuted(muted) {
+        this.settings.muted = muted;
+        this.applyVolumes();
+    }
+
+    applyVolumes() {
+        if (!this.ctx) return;
+        const { master, music, sfx, muted } = this.settings;
+        const now = this.ctx.currentTime;
+        this.buses.master.gain.setTargetAtTime(muted ? 0 : master, now, 0.02);
+        this.buses.music.gain.setTargetAtTime(music, now, 0.02);
+        this.buses.sfx.gain.setTargetAtTime(sfx, now, 0.02);
+    }
+
+    createNoiseBuffer() {
+        const length = this.ctx.sampleRate;
+        const buffer = this.ctx.createBuffer(1, length, this.ctx.sampleRate);
+        const data = buffer.getChannelData(0);
+        for (let i = 0; i < length; i++) {
+            data[i] = Math.random() * 2 - 1;
+        }
+        return buffer;
+    }
+
+    // Gain node with a quick attack and an exponential fade over duration
+    envelope(time, duration, volume, bus) {
+        const gain = this.ctx.createGain();
+        gain.gain.setValueAtTime(0.0001, time);
+        gain.gain.exponentialRampToValueAtTime(volume, time + 0.01);
+        gain.gain.exponentialRampToValueAtTime(0.0001, time + duration);
+        gain.connect(this.buses[bus]);
+        return gain;
+    }
+
+    // One enveloped note. time is absolute; by default now plus delay.
+    tone({ frequency, endFrequency = frequency, type = 'sine', delay = 0, time = this.ctx.currentTime + delay,
+        duration = 0.15, volume = 0.3, bus = 'sfx' }) {
+        const osc = this.ctx.createOscillator();
+        osc.type = type;
+        osc.frequency.setValueAtTime(frequency, time);
+        if (endFrequency !== frequency) {
+            osc.frequency.exponentialRampToValueAtTime(endFrequency, time + duration);
+        }
+        osc.connect(this.envelope(time, duration, volume, bus));
+        osc.start(time);
+        osc.stop(time + duration + 0.05);
+    }
+
+    // Burst of low-passed noise, the filter sweeping from filter to endFilter Hz
+    noise({ delay = 0, time = this.ctx.currentTime + delay, duration = 0.2, volume = 0.3,
+        filter = 2000, endFilter = filter, bus = 'sfx' }) {
+        const source = this.ctx.createBufferSource();
+        source.buffer = this.noiseBuffer;
+        const lowpass = this.ctx.createBiquadFilter();
+        lowpass.type = 'lowpass';
+        lowpass.frequency.setValueAtTime(filter, time);
+        if (endFilter !== filter) {
+            lowpass.frequency.exponentialRampToValueAtTime(endFilter, time + duration);
+        }
+        source.connect(lowpass);
+        lowpass.connect(this.envelope(time, duration, volume, bus));
+        source.start(time);
+        source.stop(time + duration + 0.05);
+    }
+
+    play(sound, detail = {}) {
+        if (!this.running || !SOUND_EFFECTS[sound]) return;
+
+        const now = this.ctx.currentTime;
+        if (now - (this.lastPlayed[sound] ?? -Infinity) < SOUND_COOLDOWN) return;
+        this.lastPlayed[sound] = now;
+        SOUND_EFFECTS[sound](this, detail);
+    }
+
+    startMusic() {
+        if (!this.ctx) return;
+        this.music = { step: 0, nextTime: this.ctx.currentTime + 0.1, level: 1 };
+    }
+
+    // Silence the music and the run's continuous sounds
+    stop() {
+        this.music = null;
+        if (this.loops) {
+            const now = this.ctx.currentTime;
+            for (const loop of Object.values(this.loops)) {
+                loop.gain.gain.setTargetAtTime(0, now, 0.05);
+                loop.source.stop(now + 0.3);
+            }
+            this.loops = null;
+        }
+    }
+
+    // Follow the world once per frame: continuous sounds and upcoming music
+    update(sim) {
+        if (!this.running) return;
+
+        if (!this.loops) this.startLoops();
+        const now = this.ctx.currentTime;
+
+        // Boost roar while the engines burn
+        this.loops.boost.gain.gain.setTargetAtTime(sim.player.boosting ? 0.12 : 0, now, 0.05);
+
+        // Hum from the nearest pull, louder the deeper the ship is in it
+        let pull = 0;
+        for (const hole of sim.blackHoles) {
+            const dist = Math.hypot(hole.x - sim.player.x, hole.y - sim.player.y);
+            pull = Math.max(pull, 1 - dist / hole.pullRadius);
+        }
+        this.loops.hum.gain.gain.setTargetAtTime(pull * 0.35, now, 0.1);
+        this.loops.hum.source.frequency.setTargetAtTime(45 + pull * 30, now, 0.1);
+
+        if (this.music) {
+            this.music.level = sim.level;
+            this.scheduleMusic();
+        }
+    }
+
+    startLoops() {
+        const boost = this.ctx.createBufferSource();
+        boost.buffer = this.noiseBuffer;
+        boost.loop = true;
+        const bandpass = this.ctx.createBiquadFilter();
+        bandpass.type = 'bandpass';
+        bandpass.frequency.value = 700;
+        const boostGain = this.ctx.createGain();
+        boostGain.gain.value = 0;
+        boost.connect(bandpass);
+        bandpass.connect(boostGain);
+        boostGain.connect(this.buses.sfx);
+        boost.start();
+
+        const hum = this.ctx.createOscillator();
+        hum.type = 'sine';
+        hum.frequency.value = 45;
+        const humGain = this.ctx.createGain();
+        humGain.gain.value = 0;
+        hum.connect(humGain);
+        humGain.connect(this.buses.sfx);
+        hum.start();
+
+        this.loops = {
+            boost: { source: boost, gain: boostGain },
+            hum: { source: hum, gain: humGain }
+        };
+    }
+
+    scheduleMusic() {
+        const music = this.music;
+        const tempo = MUSIC_TEMPO + Math.min(music.level - 1, 8) * 4;
+        const stepTime = 60 / tempo / 4;
+
+        // Catch up after a stall rather than playing every missed note at once
+        if (music.nextTime < this.ctx.currentTime) music.nextTime = this.ctx.currentTime;
+
+        while (music.nextTime < this.ctx.currentTime + MUSIC_LOOKAHEAD) {
+            this.playStep(music.step, music.nextTime, stepTime, music.level);
+            music.step++;
+            music.nextTime += stepTime;
+        }
+    }
+
+    playStep(step, time, stepTime, level) {
+        const beat = step % 16;
+        const chord = MUSIC_CHORDS[Math.floor(step / 16) % MUSIC_CHORDS.length];
+        const note = { time, bus: 'music' };
+
+        if (level >= MUSIC_LAYERS.bass && beat % 2 === 0) {
+            this.tone({ ...note, frequency: noteFrequency(chord[0] - 24), type: 'sawtooth', duration: stepTime * 1.8, volume: 0.18 });
+        }
+        if (level >= MUSIC_LAYERS.arp) {
+            const octave = Math.floor(step / 32) % 2 ? 12 : 0;
+            this.tone({ ...note, frequency: noteFrequency(chord[step % 3] + octave), type: 'square', duration: stepTime * 0.9, volume: 0.05 });
+        }
+        if (level >= MUSIC_LAYERS.drums) {
+            if (beat % 4 === 0) {
+                this.tone({ ...note, frequency: 150, endFrequency: 40, duration: 0.25, volume: 0.5 });
+            }
+            if (beat % 4 === 2) {
+                this.noise({ ...note, duration: 0.05, volume: 0.12, filter: 9000 });
+            }
+            if (beat === 4 || beat === 12) {
+                this.noise({ ...note, duration: 0.18, volume: 0.25, filter: 3000, endFilter: 800 });
+            }
+        }
+        if (level >= MUSIC_LAYERS.lead && MUSIC_LEAD[beat] !== null) {
+            this.tone({ ...note, frequency: noteFrequency(MUSIC_LEAD[beat] + chord[0]), type: 'triangle', duration: stepTime * 2, volume: 0.1 });
+        }
+    }
+}
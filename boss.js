@@ -0,0 +1,143 @@
+// Cosmic Drift - Boss encounters
+//
+// Every BOSS_INTERVAL levels a supermassive black hole takes over the arena.
+// It fights in phases: each one starts once its HP drops below the phase
+// threshold, after a short invulnerable transition, and brings a denser
+// bullet spiral, drone minions and aimed shots. Normal spawns and levelling
+// pause until it is beaten or runs out of time and leaves.
+
+const BOSS_INTERVAL = 5;
+
+// Fire and minion intervals are in ticks; 0 disables that attack
+const BOSS_PHASES = [
+    { threshold: 1, arms: 2, spin: 0.03, fireInterval: 12, bulletSpeed: 3, minionInterval: 0, aimedInterval: 0, strength: 0.4 },
+    { threshold: 2 / 3, arms: 4, spin: 0.04, fireInterval: 14, bulletSpeed: 3.5, minionInterval: 300, aimedInterval: 0, strength: 0.5 },
+    { threshold: 1 / 3, arms: 5, spin: -0.05, fireInterval: 12, bulletSpeed: 4, minionInterval: 240, aimedInterval: 90, strength: 0.6 }
+];
+
+class Boss {
+    constructor(sim, number) {
+        const { x, y } = sim.randomSpawnPoint(350);
+
+        this.number = number; // 1 for the first boss of a run, 2 for the second...
+        this.x = x;
+        this.y = y;
+        this.radius = 60;
+        this.pullRadius = 320;
+        this.maxHP = 60 + 20 * number;
+        this.hp = this.maxHP;
+        this.phase = 0;
+
+        this.rotation = 0;
+        this.patternAngle = 0;
+        this.fireTimer = 0;
+        this.minionTimer = 0;
+        this.aimedTimer = 0;
+        this.hitFlash = 0;
+
+        this.lifetime = 0;
+        this.introTime = 120;       // Grows in before attacking
+        this.transitionTime = 90;   // Invulnerable pause between phases
+        this.transitionTimer = 0;
+        this.timeLimit = 60 * 90;   // Leaves after 90 seconds if not beaten
+    }
+
+    get reward() {
+        return 50 + 25 * (this.number - 1);
+    }
+
+    get vulnerable() {
+        return this.lifetime > this.introTime && this.transitionTimer === 0;
+    }
+
+    update(sim) {
+        const phase = BOSS_PHASES[this.phase];
+        const player = sim.player;
+
+        this.lifetime++;
+        this.rotation += 0.01 + this.phase * 0.01;
+        if (this.hitFlash > 0) this.hitFlash--;
+
+        // Gravity and contact, same as a black hole
+        const dx = this.x - player.x;
+        const dy = this.y - player.y;
+        const dist = Math.sqrt(dx * dx + dy * dy) || 1;
+
+        if (dist < this.pullRadius) {
+            const force = phase.strength * (1 - dist / this.pullRadius);
+            player.vx += (dx / dist) * force;
+            player.vy += (dy / dist) * force;
+        }
+
+        if (dist < this.radius && !player.invincible) {
+            sim.hurtPlayer('boss');
+            if (sim.isOver) return;
+        }
+
+        if (this.lifetime <= this.introTime) return;
+        if (this.transitionTimer > 0) {
+            this.transitionTimer--;
+            return;
+        }
+
+        // Rotating bullet spiral
+        this.patternAngle += phase.spin;
+        this.fireTimer++;
+        if (this.fireTimer >= phase.fireInterval) {
+            this.fireTimer = 0;
+            for (let i = 0; i < phase.arms; i++) {
+                const angle = this.patternAngle + (Math.PI * 2 * i) / phase.arms;
+                sim.fireBullet(
+                    this.x + Math.cos(angle) * this.radius,
+                    this.y + Math.sin(angle) * this.radius,
+                    angle,
+                    phase.bulletSpeed
+                );
+            }
+        }
+
+        // Drone minions, launched from the event horizon
+        if (phase.minionInterval) {
+            this.minionTimer++;
+            if (this.minionTimer >= phase.minionInterval) {
+                this.minionTimer = 0;
+                if (sim.enemies.filter(e => e.type === 'drone').length < 4) {
+                    const drone = sim.spawnEnemy('drone');
+                    const angle = sim.rng.next() * Math.PI * 2;
+                    drone.x = this.x + Math.cos(angle) * (this.radius + drone.radius);
+                    drone.y = this.y + Math.sin(angle) * (this.radius + drone.radius);
+                }
+            }
+        }
+
+        // Shots aimed straight at the player
+        if (phase.aimedInterval) {
+            this.aimedTimer++;
+            if (this.aimedTimer >= phase.aimedInterval) {
+                this.aimedTimer = 0;
+                sim.spawnBullet(this);
+            }
+        }
+    }
+
+    damage(sim, amount) {
+        if (!this.vulnerable) return;
+
+        this.hp = Math.max(0, this.hp - amount);
+        this.hitFlash = 8;
+
+        if (this.hp === 0) {
+            sim.defeatBoss();
+            return;
+        }
+
+        const next = this.phase + 1;
+        if (next < BOSS_PHASES.length && this.hp / this.maxHP <= BOSS_PHASES[next].threshold) {
+            this.phase = next;
+            this.transitionTimer = this.transitionTime;
+            this.fireTimer = 0;
+            sim.bullets = []; // The shockwave clears the screen
+            sim.emit('bossPhase', { boss: this, phase: next });
+        }
+    }
+}
@@ -0,0 +1,218 @@
+// Cosmic Drift - Autopilot
+//
+// Reads the simulation state and produces the same { x, y, boost, fire } input
+// a player would, so bot runs go through the normal update() path.
+
+class Bot {
+    constructor() {
+        // Target is kept between ticks - evading may leave it unchanged
+        this.x = 0;
+        this.y = 0;
+        this.boost = false;
+    }
+
+    // Compute the controls for the next tick from the current world state
+    getInput(sim) {
+        const player = sim.player;
+
+        // Find best target (closest collectible)
+        let bestCollectible = null;
+        let bestScore = -Infinity;
+
+        for (const c of sim.collectibles) {
+            const dx = c.x - player.x;
+            const dy = c.y - player.y;
+            const dist = Math.sqrt(dx * dx + dy * dy);
+
+            // Check if path to collectible is safe
+            let dangerScore = 0;
+            for (const hole of sim.blackHoles) {
+                const holeDist = Math.hypot(c.x - hole.x, c.y - hole.y);
+                if (holeDist < hole.pullRadius) {
+                    dangerScore += (hole.pullRadius - holeDist) * 2;
+                }
+            }
+
+            // Check bullets danger
+            for (const bullet of sim.bullets) {
+                const bulletDist = Math.hypot(c.x - bullet.x, c.y - bullet.y);
+                if (bulletDist < 80) {
+                    dangerScore += 100;
+                }
+            }
+
+            // Collectibles deep in a boss's pull are not worth it
+            if (sim.boss && Math.hypot(c.x - sim.boss.x, c.y - sim.boss.y) < sim.boss.pullRadius * 0.6) {
+                dangerScore += 300;
+            }
+
+            // Stay clear of drones and pulsars
+            for (const enemy of sim.enemies) {
+                const enemyDist = Math.hypot(c.x - enemy.x, c.y - enemy.y);
+                if (enemy.type === 'drone' && enemyDist < 100) {
+                    dangerScore += 100;
+                } else if (enemy.type === 'pulsar' && enemyDist < 150) {
+                    dangerScore += 150;
+                }
+            }
+
+            // Score based on distance, type priority, and danger
+            let typeBonus = 0;
+            if (c.type === 'shield') typeBonus = 200;
+            else if (c.type === 'multiplier') typeBonus = 150;
+            else if (c.type === 'energy' && sim.energy < 50) typeBonus = 180;
+            else if (c.type === 'points') typeBonus = 100;
+            else if (c.type === 'bomb') typeBonus = 120 + sim.bullets.length * 20;
+            else if (c.type === 'ghost' || c.type === 'slowmo') typeBonus = 160;
+            else if (c.type === 'magnet' || c.type === 'doubleCoins') typeBonus = 120;
+
+            const score = typeBonus - dist - dangerScore;
+
+            if (score > bestScore) {
+                bestScore = score;
+                bestCollectible = c;
+            }
+        }
+
+        // Check for immediate danger and evade
+        let evadeX = 0, evadeY = 0;
+        let inDanger = false;
+
+        // Evade black holes - unless ghosting straight through them
+        for (const hole of sim.hasEffect('ghost') ? [] : sim.blackHoles) {
+            const dx = player.x - hole.x;
+            const dy = player.y - hole.y;
+            const dist = Math.sqrt(dx * dx + dy * dy);
+
+            if (dist < hole.pullRadius * 0.8) {
+                const urgency = 1 - (dist / (hole.pullRadius * 0.8));
+                evadeX += (dx / dist) * urgency * 2;
+                evadeY += (dy / dist) * urgency * 2;
+                inDanger = true;
+            }
+        }
+
+        // Evade bullets
+        for (const bullet of sim.bullets) {
+            const dx = player.x - bullet.x;
+            const dy = player.y - bullet.y;
+            const dist = Math.sqrt(dx * dx + dy * dy);
+
+            if (dist < 100) {
+                const urgency = 1 - (dist / 100);
+                evadeX += (dx / dist) * urgency * 3;
+                evadeY += (dy / dist) * urgency * 3;
+                inDanger = true;
+            }
+        }
+
+        // Evade other enemies
+        for (const enemy of sim.enemies) {
+            const dx = player.x - enemy.x;
+            const dy = player.y - enemy.y;
+            const dist = Math.sqrt(dx * dx + dy * dy) || 1;
+            let urgency = 0;
+
+            if (enemy.type === 'drone' && dist < 120) {
+                urgency = (1 - dist / 120) * 3;
+            } else if (enemy.type === 'pulsar') {
+                // Run ahead of rings that are about to reach us, and off the core
+                const ringClose = enemy.rings.some(ring => ring.radius < dist && dist - ring.radius < 80);
+                if (ringClose || dist < 120) {
+                    urgency = 2;
+                }
+            } else if (enemy.type === 'wormhole') {
+                // Portals are harmless but throw off the plan - steer around them
+                for (const end of enemy.ends) {
+                    const endDist = Math.hypot(player.x - end.x, player.y - end.y) || 1;
+                    if (endDist < enemy.radius + 60) {
+                        evadeX += ((player.x - end.x) / endDist);
+                        evadeY += ((player.y - end.y) / endDist);
+                        inDanger = true;
+                    }
+                }
+            }
+
+            if (urgency > 0) {
+                evadeX += (dx / dist) * urgency;
+                evadeY += (dy / dist) * urgency;
+                inDanger = true;
+            }
+        }
+
+        // Keep out of a boss's pull
+        if (sim.boss) {
+            const boss = sim.boss;
+            const dx = player.x - boss.x;
+            const dy = player.y - boss.y;
+            const dist = Math.sqrt(dx * dx + dy * dy) || 1;
+            const safeDist = boss.pullRadius * 0.7;
+
+            if (dist < safeDist) {
+                const urgency = 1 - dist / safeDist;
+                evadeX += (dx / dist) * urgency * 2.5;
+                evadeY += (dy / dist) * urgency * 2.5;
+                inDanger = true;
+            }
+        }
+
+        // Set bot target position
+        if (inDanger) {
+            // Evade danger
+            const evadeDist = Math.sqrt(evadeX * evadeX + evadeY * evadeY);
+            if (evadeDist > 0) {
+                this.x = player.x + (evadeX / evadeDist) * 200;
+                this.y = player.y + (evadeY / evadeDist) * 200;
+            }
+            // Boost when in danger
+            this.boost = sim.energy > 20;
+        } else if (bestCollectible) {
+            // Move towards best collectible
+            this.x = bestCollectible.x;
+            this.y = bestCollectible.y;
+
+            // Boost if far from target
+            const distToTarget = Math.hypot(
+                bestCollectible.x - player.x,
+                bestCollectible.y - player.y
+            );
+            this.boost = distToTarget > 200 && sim.energy > 30;
+        } else {
+            // Patrol center of screen
+            this.x = sim.arenaWidth / 2 + Math.sin(sim.tick / 60) * 200;
+            this.y = sim.arenaHeight / 2 + Math.cos(sim.tick / 60) * 150;
+            this.boost = false;
+        }
+
+        // Keep target in bounds
+        this.x = Math.max(50, Math.min(sim.arenaWidth - 50, this.x));
+        this.y = Math.max(50, Math.min(sim.arenaHeight - 50, this.y));
+
+        // Shoot whatever is in front of the nose, keeping energy for boosting
+        const fire = sim.energy > 40 && this.hasTargetAhead(sim);
+
+        return { x: this.x, y: this.y, boost: this.boost, fire };
+    }
+
+    hasTargetAhead(sim) {
+        const player = sim.player;
+        const targets = [
+            ...sim.blackHoles,
+            ...sim.bullets,
+            ...sim.enemies.filter(e => e.hp !== undefined)
+        ];
+        if (sim.boss) targets.push(sim.boss);
+
+        return targets.some(t => {
+            const dx = t.x - player.x;
+            const dy = t.y - player.y;
+            const dist = Math.hypot(dx, dy);
+            if (dist > 400) return false;
+
+            // Big targets can be hit from a wider angle
+            let diff = Math.atan2(dy, dx) - player.angle;
+            diff = Math.atan2(Math.sin(diff), Math.cos(diff));
+            return Math.abs(diff) < Math.max(0.2, Math.atan2(t.radius, dist));
+        });
+    }
+}
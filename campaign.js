@@ -0,0 +1,208 @@
+// Cosmic Drift - Campaign levels
+//
+// A level is plain JSON (see levels/campaign.json) played in the campaign
+// mode: nothing spawns at random, everything comes from the level's script.
+// Times are in seconds and positions are fractions of the arena, so a level
+// plays the same on any screen.
+//
+// {
+//   id, name,                        name only for levels outside the catalogs
+//   goal: { type, target },          collect N items, survive N seconds or reach N points
+//   timeLimit,                       seconds to reach the goal, 0 for none
+//   stars: [two, three],             scores for the second and third star
+//   blackHoles: [{ at, x, y, radius, pullRadius, strength, shootInterval, lifetime }],
+//   waves: [{ at, type, count, x, y, spread, life }],
+//   bullets: [{ at, pattern, x, y, count, speed, every, repeat }]
+// }
+//
+// shootInterval and lifetime of 0 mean a black hole never shoots and never
+// leaves. A wave lays its collectibles out in a ring of radius `spread`
+// (a fraction of the arena's shorter side); a bullet pattern fires `repeat`
+// volleys, `every` seconds apart.
+
+const CAMPAIGN_FORMAT = 'cosmic-drift-campaign';
+const CAMPAIGN_VERSION = 1;
+
+// How far a run is towards each kind of goal
+const LEVEL_GOALS = {
+    collect: sim => Object.values(sim.collected).reduce((sum, count) => sum + count, 0),
+    survive: sim => Math.floor(sim.tick / 60),
+    score: sim => sim.score
+};
+
+// Directions of one volley, in radians
+const BULLET_PATTERNS = {
+    ring: (count) => Array.from({ length: count }, (_, i) => (Math.PI * 2 * i) / count),
+    // A ring that turns half a gap further with every volley
+    spiral: (count, volley) => Array.from({ length: count }, (_, i) => (Math.PI * (2 * i + volley)) / count),
+    // A fan centred on the ship
+    aimed: (count, volley, aim) => Array.from({ length: count }, (_, i) => aim + (i - (count - 1) / 2) * 0.25)
+};
+
+const LEVEL_DEFAULTS = {
+    blackHole: { at: 0, x: 0.5, y: 0.5, radius: 40, pullRadius: 200, strength: 0.35, shootInterval: 0, lifetime: 0 },
+    wave: { at: 0, type: 'points', count: 1, x: 0.5, y: 0.5, spread: 0.1, life: 10 },
+    bullets: { at: 0, pattern: 'ring', x: 0.5, y: 0.5, count: 8, speed: 4, every: 2, repeat: 1 }
+};
+
+function secondsToTicks(seconds) {
+    return Math.round(seconds * 60);
+}
+
+// Check a level against the format and fill in the defaults. Throws on
+// anything malformed, naming the first field at fault.
+function parseLevel(data) {
+    const fail = field => {
+        throw new Error(`Malformed level${data && data.id ? ` ${data.id}` : ''}: ${field}`);
+    };
+    const isNumber = (value, min, max = Infinity) => typeof value === 'number' && Number.isFinite(value) &&
+        value >= min && value <= max;
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) fail('level');
+    if (typeof data.id !== 'string' || !/^[\w-]{1,32}$/.test(data.id)) fail('id');
+    if (data.name !== undefined && typeof data.name !== 'string') fail('name');
+
+    const goal = data.goal || {};
+    if (!LEVEL_GOALS[goal.type] || !isNumber(goal.target, 1)) fail('goal');
+
+    const timeLimit = data.timeLimit === undefined ? 0 : data.timeLimit;
+    if (!isNumber(timeLimit, 0)) fail('timeLimit');
+
+    const stars = data.stars === undefined ? [0, 0] : data.stars;
+    if (!Array.isArray(stars) || stars.length !== 2 || !stars.every(score => isNumber(score, 0))) fail('stars');
+
+    const list = (field, defaults, check) => {
+        const items = data[field] === undefined ? [] : data[field];
+        if (!Array.isArray(items)) fail(field);
+        return items.map(item => {
+            const merged = { ...defaults, ...item };
+            if (!item || typeof item !== 'object' || !isNumber(merged.at, 0) ||
+                !isNumber(merged.x, 0, 1) || !isNumber(merged.y, 0, 1) || !check(merged)) {
+                fail(field);
+            }
+            return merged;
+        });
+    };
+
+    return {
+        id: data.id,
+        name: data.name || '',
+        goal: { type: goal.type, target: goal.target },
+        timeLimit,
+        stars: [...stars],
+        blackHoles: list('blackHoles', LEVEL_DEFAULTS.blackHole, hole =>
+            isNumber(hole.radius, 10, 200) && isNumber(hole.pullRadius, 0, 1000) &&
+            isNumber(hole.strength, 0, 5) && isNumber(hole.shootInterval, 0) && isNumber(hole.lifetime, 0)),
+        waves: list('waves', LEVEL_DEFAULTS.wave, wave =>
+            COLLECTIBLE_SPAWNS.some(entry => entry.type === wave.type) && Number.isInteger(wave.count) &&
+            isNumber(wave.count, 1, 50) && isNumber(wave.spread, 0, 1) && isNumber(wave.life, 0)),
+        bullets: list('bullets', LEVEL_DEFAULTS.bullets, bullets =>
+            BULLET_PATTERNS[bullets.pattern] && Number.isInteger(bullets.count) && isNumber(bullets.count, 1, 64) &&
+            isNumber(bullets.speed, 0.5, 20) && isNumber(bullets.every, 0.1) &&
+            Number.isInteger(bullets.repeat) && isNumber(bullets.repeat, 1))
+    };
+}
+
+function parseCampaign(data) {
+    if (!data || data.format !== CAMPAIGN_FORMAT) {
+        throw new Error('Not a Cosmic Drift campaign');
+    }
+    if (data.version !== CAMPAIGN_VERSION) {
+        throw new Error(`Unsupported campaign version: ${data.version}`);
+    }
+    if (!Array.isArray(data.levels)) {
+        throw new Error('Malformed campaign');
+    }
+    return data.levels.map(parseLevel);
+}
+
+// 0 for a lost run, otherwise one star for clearing plus one per score threshold
+function levelStars(level, sim) {
+    if (sim.deathCause !== 'cleared') return 0;
+    return 1 + level.stars.filter(score => sim.score >= score).length;
+}
+
+// The first level is always open, every other one once the one before it is cleared
+function isLevelUnlocked(levels, progress, index) {
+    return index === 0 || (progress[levels[index - 1].id] || 0) > 0;
+}
+
+// Runs a level inside a simulation - see the campaign mode in modes.js
+class LevelScript {
+    constructor(level) {
+        this.level = level;
+    }
+
+    get goalTicks() {
+        return this.level.goal.type === 'survive' ? secondsToTicks(this.level.goal.target) : null;
+    }
+
+    // How far the run is towards the goal, capped at its target
+    progress(sim) {
+        return Math.min(LEVEL_GOALS[this.level.goal.type](sim), this.level.goal.target);
+    }
+
+    start(sim) {
+        // Shown on the HUD clock like any other timed mode
+        sim.rules.timeLimit = this.level.timeLimit > 0 ? secondsToTicks(this.level.timeLimit) : this.goalTicks;
+        this.spawnDue(sim);
+    }
+
+    update(sim) {
+        this.spawnDue(sim);
+
+        if (this.progress(sim) >= this.level.goal.target) {
+            sim.gameOver('cleared');
+        } else if (this.level.timeLimit > 0 && sim.tick >= secondsToTicks(this.level.timeLimit)) {
+            sim.gameOver('timeUp');
+        }
+    }
+
+    // Everything scheduled for the current tick
+    spawnDue(sim) {
+        const { arenaWidth: width, arenaHeight: height, tick } = sim;
+        const due = at => secondsToTicks(at) === tick;
+
+        for (const hole of this.level.blackHoles.filter(hole => due(hole.at))) {
+            sim.addBlackHole({
+                x: hole.x * width,
+                y: hole.y * height,
+                radius: hole.radius,
+                pullRadius: hole.pullRadius,
+                strength: hole.strength,
+                maxLifetime: hole.lifetime > 0 ? secondsToTicks(hole.lifetime) : Infinity,
+                shootInterval: hole.shootInterval > 0 ? secondsToTicks(hole.shootInterval) : Infinity,
+                scripted: true
+            });
+        }
+
+        for (const wave of this.level.waves.filter(wave => due(wave.at))) {
+            const ring = wave.spread * Math.min(width, height);
+            for (let i = 0; i < wave.count; i++) {
+                const angle = (Math.PI * 2 * i) / wave.count;
+                sim.addCollectible({
+                    x: wave.x * width + (wave.count > 1 ? Math.cos(angle) * ring : 0),
+                    y: wave.y * height + (wave.count > 1 ? Math.sin(angle) * ring : 0),
+                    vx: 0,
+                    vy: 0,
+                    type: wave.type,
+                    maxLifetime: wave.life > 0 ? secondsToTicks(wave.life) : Infinity
+                });
+            }
+        }
+
+        for (const bullets of this.level.bullets) {
+            const elapsed = tick - secondsToTicks(bullets.at);
+            const every = Math.max(1, secondsToTicks(bullets.every));
+            const volley = elapsed / every;
+            if (elapsed < 0 || elapsed % every !== 0 || volley >= bullets.repeat) continue;
+
+            const x = bullets.x * width;
+            const y = bullets.y * height;
+            const aim = Math.atan2(sim.player.y - y, sim.player.x - x);
+            for (const angle of BULLET_PATTERNS[bullets.pattern](bullets.count, volley, aim)) {
+                sim.fireBullet(x, y, angle, bullets.speed);
+            }
+        }
+    }
+}
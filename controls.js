@@ -0,0 +1,115 @@
+// Cosmic Drift - Control schemes and key bindings
+//
+// With the mouse scheme the ship flies toward the cursor; with the keyboard
+// scheme the movement keys give a thrust direction, sent to the simulation as
+// direct input like a gamepad stick. Every action can be bound to up to
+// BINDING_SLOTS keys, stored as KeyboardEvent.code values.
+//
+// On touch screens the ship either follows the finger, or flies with a
+// floating virtual joystick next to boost and fire buttons.
+//
+// Display names are in the message catalogs: schemes.<id>, touchSchemes.<id>,
+// actions.<id> and keys.<code> - see i18n.js.
+
+// Scheme -> message key of its name
+const CONTROL_SCHEMES = {
+    mouse: 'schemes.mouse',
+    keyboard: 'schemes.keyboard'
+};
+
+const CONTROL_ACTIONS = {
+    up: { keys: ['KeyW', 'ArrowUp'] },
+    down: { keys: ['KeyS', 'ArrowDown'] },
+    left: { keys: ['KeyA', 'ArrowLeft'] },
+    right: { keys: ['KeyD', 'ArrowRight'] },
+    boost: { keys: ['Space', 'ShiftLeft'] },
+    fire: { keys: ['KeyF', 'KeyJ'] },
+    pause: { keys: ['Escape', 'KeyP'] },
+    mute: { keys: ['KeyM', null] }
+};
+
+const BINDING_SLOTS = 2;
+
+const TOUCH_SCHEMES = {
+    follow: 'touchSchemes.follow',
+    joystick: 'touchSchemes.joystick'
+};
+
+// Finger travel, in screen pixels, that gives full thrust on the virtual joystick
+const JOYSTICK_RADIUS = 60;
+
+// Keys whose code does not read well on its own. Keys named in words, like
+// Space, are translated instead - see keyLabel.
+const KEY_LABELS = {
+    Escape: 'Esc',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    Enter: 'Enter',
+    Backspace: '⌫',
+    Tab: 'Tab'
+};
+
+function defaultBindings() {
+    const bindings = {};
+    for (const [action, { keys }] of Object.entries(CONTROL_ACTIONS)) {
+        bindings[action] = [...keys];
+    }
+    return bindings;
+}
+
+// 'KeyW' -> 'W', 'Digit1' -> '1', 'Numpad4' -> 'Num 4'
+function keyLabel(code) {
+    if (!code) return '—';
+    if (KEY_LABELS[code]) return KEY_LABELS[code];
+    if (hasMessage(`keys.${code}`)) return t(`keys.${code}`);
+    if (/^Key[A-Z]$/.test(code)) return code.slice(3);
+    if (/^Digit\d$/.test(code)) return code.slice(5);
+    if (code.startsWith('Numpad')) return `Num ${code.slice(6)}`;
+    return code;
+}
+
+class KeyBindings {
+    // bindings: action -> array of BINDING_SLOTS codes, null for an empty slot
+    constructor(bindings = defaultBindings()) {
+        this.bindings = bindings;
+    }
+
+    keysFor(action) {
+        return this.bindings[action];
+    }
+
+    // The action a key is bound to, or null
+    actionFor(code) {
+        for (const [action, keys] of Object.entries(this.bindings)) {
+            if (keys.includes(code)) return action;
+        }
+        return null;
+    }
+
+    // A key drives one action only, so it leaves whatever it was bound to before
+    bind(action, slot, code) {
+        for (const keys of Object.values(this.bindings)) {
+            const i = keys.indexOf(code);
+            if (i !== -1) keys[i] = null;
+        }
+        this.bindings[action][slot] = code;
+    }
+
+    reset() {
+        this.bindings = defaultBindings();
+    }
+
+    // pressed: code -> true while held, as Game.keys
+    isDown(action, pressed) {
+        return this.bindings[action].some(code => code && pressed[code]);
+    }
+
+    // Direction from the movement keys, each axis -1, 0 or 1
+    direction(pressed) {
+        const axis = (negative, positive) =>
+            (this.isDown(positive, pressed) ? 1 : 0) - (this.isDown(negative, pressed) ? 1 : 0);
+        return { x: axis('left', 'right'), y: axis('up', 'down') };
+    }
+}
@@ -0,0 +1,80 @@
+// Cosmic Drift - Daily Drift
+//
+// One challenge per calendar day, the same for every player: the seed is
+// derived from the date alone and the RULE_MODIFIERS (modes.js) rotate through
+// DAILY_ROTATION. Each day allows one scored attempt, counted as soon as it
+// starts. Attempts on consecutive days build a streak, and finishing the run
+// pays a coin bonus that grows with it.
+//
+// State: { lastDate, streak, bestStreak } - lastDate is the key of the last
+// day attempted, '' before the first.
+
+const DAILY_ROTATION = [
+    ['strongGravity'],
+    ['noRegen'],
+    ['tankOnly'],
+    ['solarWind'],
+    ['fastBullets'],
+    ['strongGravity', 'fastBullets'],
+    ['tankOnly', 'noRegen']
+];
+
+const DAILY_BONUS = 100;
+const DAILY_STREAK_BONUS = 25;   // Per day of streak beyond the first
+const DAILY_STREAK_BONUS_CAP = 7; // Streak days that still add to the bonus
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Local calendar date as 'YYYY-MM-DD', so the day turns over at the player's midnight
+function dailyDateKey(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Days since 1970-01-01 for a date key
+function dailyDayNumber(dateKey) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return Math.round(Date.UTC(year, month - 1, day) / DAY_MS);
+}
+
+function dailyChallenge(dateKey) {
+    const rng = Random.fromSeed(`daily:${dateKey}`);
+    const alphabet = '0123456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+    let seed = 'D';
+    for (let i = 0; i < 7; i++) {
+        seed += alphabet[rng.int(alphabet.length)];
+    }
+
+    const day = dailyDayNumber(dateKey);
+    return {
+        date: dateKey,
+        seed,
+        modifiers: DAILY_ROTATION[day % DAILY_ROTATION.length]
+    };
+}
+
+// Whether a seed and modifiers are the challenge of the UTC day of `date` or
+// a day either side - somewhere in the world it is one of those days
+function isRecentDailyChallenge(seed, modifiers, date) {
+    const today = Math.floor(date.getTime() / DAY_MS);
+    return [today - 1, today, today + 1].some(day => {
+        const challenge = dailyChallenge(new Date(day * DAY_MS).toISOString().slice(0, 10));
+        return challenge.seed === seed && challenge.modifiers.join() === modifiers.join();
+    });
+}
+
+// The streak as of dateKey - it lapses once a whole day is skipped
+function dailyStreak(daily, dateKey) {
+    if (!daily.lastDate) return 0;
+    return dailyDayNumber(dateKey) - dailyDayNumber(daily.lastDate) <= 1 ? daily.streak : 0;
+}
+
+// State after starting the attempt for dateKey
+function recordDailyAttempt(daily, dateKey) {
+    const continues = daily.lastDate && dailyDayNumber(dateKey) - dailyDayNumber(daily.lastDate) === 1;
+    const streak = continues ? daily.streak + 1 : 1;
+    return { lastDate: dateKey, streak, bestStreak: Math.max(daily.bestStreak, streak) };
+}
+
+function dailyBonus(streak) {
+    return DAILY_BONUS + DAILY_STREAK_BONUS * (Math.min(streak, DAILY_STREAK_BONUS_CAP) - 1);
+}
@@ -0,0 +1,183 @@
+// Cosmic Drift - Level editor
+//
+// LevelEditor holds one level in the campaign format (campaign.js) while it
+// is being made: game.js draws it and turns clicks and fields into these
+// calls. Positions are arena fractions as in the format; radii are arena
+// pixels, previewed on an arena of EDITOR_ARENA size.
+//
+// Levels made here are kept by LevelLibrary under LEVELS_KEY as a campaign
+// file of their own, and exported and imported as campaign files too - the
+// same format levels/campaign.json is written in, so a finished level can be
+// pasted straight into it.
+
+const LEVELS_KEY = 'cosmicDriftLevels';
+const EDITOR_ARENA = { width: 1280, height: 720 };
+
+// What the editor places, with the defaults a new one starts from
+const EDITOR_ITEMS = {
+    blackHoles: LEVEL_DEFAULTS.blackHole,
+    waves: LEVEL_DEFAULTS.wave
+};
+
+// Fields of the selected item, in the order the editor shows them
+const EDITOR_FIELDS = {
+    blackHoles: [
+        { key: 'at', min: 0, step: 0.5 },
+        { key: 'radius', min: 10, max: 200, step: 5 },
+        { key: 'pullRadius', min: 0, max: 1000, step: 10 },
+        { key: 'strength', min: 0, max: 5, step: 0.05 },
+        { key: 'shootInterval', min: 0, step: 0.5 },
+        { key: 'lifetime', min: 0, step: 1 }
+    ],
+    waves: [
+        { key: 'at', min: 0, step: 0.5 },
+        { key: 'type', options: COLLECTIBLE_SPAWNS.map(entry => entry.type) },
+        { key: 'count', min: 1, max: 50, step: 1 },
+        { key: 'spread', min: 0, max: 1, step: 0.01 },
+        { key: 'life', min: 0, step: 1 }
+    ]
+};
+
+const EDITOR_PICK_RADIUS = 15; // Arena pixels around a point that still select it
+
+// A campaign file holding the given levels
+function levelFile(levels) {
+    return { format: CAMPAIGN_FORMAT, version: CAMPAIGN_VERSION, levels };
+}
+
+class LevelEditor {
+    constructor(level = LevelEditor.blank()) {
+        this.level = JSON.parse(JSON.stringify(level));
+        this.selected = null; // { kind, index } - kind is a key of EDITOR_ITEMS
+    }
+
+    static blank() {
+        return {
+            id: 'new-level',
+            name: '',
+            goal: { type: 'collect', target: 10 },
+            timeLimit: 0,
+            stars: [1000, 2000],
+            blackHoles: [],
+            waves: [],
+            bullets: []
+        };
+    }
+
+    get selectedItem() {
+        return this.selected ? this.level[this.selected.kind][this.selected.index] : null;
+    }
+
+    add(kind, x, y) {
+        const items = this.level[kind];
+        items.push({ ...EDITOR_ITEMS[kind], x: LevelEditor.clamp(x), y: LevelEditor.clamp(y) });
+        this.selected = { kind, index: items.length - 1 };
+        return this.selectedItem;
+    }
+
+    // The item under a point, waves before black holes and later ones first
+    itemAt(x, y) {
+        const distance = item => Math.hypot((item.x - x) * EDITOR_ARENA.width, (item.y - y) * EDITOR_ARENA.height);
+        for (const kind of ['waves', 'blackHoles']) {
+            const items = this.level[kind];
+            for (let index = items.length - 1; index >= 0; index--) {
+                const reach = kind === 'blackHoles' ? Math.max(items[index].radius, EDITOR_PICK_RADIUS) : EDITOR_PICK_RADIUS;
+                if (distance(items[index]) <= reach) return { kind, index };
+            }
+        }
+        return null;
+    }
+
+    select(selection) {
+        this.selected = selection;
+    }
+
+    moveSelected(x, y) {
+        const item = this.selectedItem;
+        if (!item) return;
+        item.x = LevelEditor.clamp(x);
+        item.y = LevelEditor.clamp(y);
+    }
+
+    removeSelected() {
+        if (!this.selected) return;
+        this.level[this.selected.kind].splice(this.selected.index, 1);
+        this.selected = null;
+    }
+
+    // Fields keep the type they already have, so form text turns back into numbers
+    setField(key, value) {
+        const item = this.selectedItem;
+        if (item) LevelEditor.assign(item, key, value);
+    }
+
+    // Level fields by path, like 'goal.target' or 'stars.1'
+    setLevelField(path, value) {
+        const keys = path.split('.');
+        const target = keys.slice(0, -1).reduce((object, key) => object[key], this.level);
+        LevelEditor.assign(target, keys[keys.length - 1], value);
+    }
+
+    getLevelField(path) {
+        return path.split('.').reduce((object, key) => object[key], this.level);
+    }
+
+    // The level as the game plays it - throws like parseLevel() while it is incomplete
+    toLevel() {
+        return parseLevel(this.level);
+    }
+
+    static assign(target, key, value) {
+        target[key] = typeof target[key] === 'number' ? Number(value) : value;
+    }
+
+    // Kept inside the arena, to a thousandth so saved files stay readable
+    static clamp(fraction) {
+        return Math.round(Math.min(1, Math.max(0, fraction)) * 1000) / 1000;
+    }
+}
+
+// The player's own levels, saved in the browser
+class LevelLibrary {
+    constructor(storage) {
+        this.storage = storage;
+    }
+
+    // Levels that no longer parse are left out rather than failing the rest
+    load() {
+        let data;
+        try {
+            data = JSON.parse(this.storage.getItem(LEVELS_KEY));
+        } catch (e) {
+            return [];
+        }
+        if (!data || !Array.isArray(data.levels)) return [];
+
+        const levels = [];
+        for (const level of data.levels) {
+            try {
+                levels.push(parseLevel(level));
+            } catch (err) {
+                console.warn('Saved level dropped:', err.message);
+            }
+        }
+        return levels;
+    }
+
+    // A level replaces any saved one with the same id
+    save(level) {
+        const levels = this.load();
+        const index = levels.findIndex(saved => saved.id === level.id);
+        if (index >= 0) levels[index] = level;
+        else levels.push(level);
+        this.write(levels);
+    }
+
+    remove(id) {
+        this.write(this.load().filter(level => level.id !== id));
+    }
+
+    write(levels) {
+        this.storage.setItem(LEVELS_KEY, JSON.stringify(levelFile(levels)));
+    }
+}
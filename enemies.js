@@ -0,0 +1,213 @@
+// Cosmic Drift - Enemy types
+//
+// Hazards besides black holes. Each type says from which level and how often it
+// spawns, builds its initial state and advances it one tick at a time;
+// update() returns false once the enemy should be removed. Simulation drives
+// them and Game draws them by type. Randomness goes through sim.rng only.
+//
+// Enemies with an hp field can be shot down for their reward.
+
+const ENEMY_TYPES = {
+    // Small fast ship that chases the player until it burns out
+    drone: {
+        minLevel: 3,
+        weight: () => 3,
+        reward: 50,
+
+        spawn(sim) {
+            const { x, y } = sim.randomEdgePoint();
+            return {
+                x, y,
+                vx: 0,
+                vy: 0,
+                angle: 0,
+                radius: 10,
+                hp: 2,
+                maxHP: 2,
+                maxSpeed: 2 + sim.level * 0.15,
+                life: 900 // 15 seconds of fuel
+            };
+        },
+
+        update(sim, drone) {
+            const player = sim.player;
+            const dx = player.x - drone.x;
+            const dy = player.y - drone.y;
+            const dist = Math.sqrt(dx * dx + dy * dy) || 1;
+
+            // Steer towards the player with limited acceleration so it can be outturned
+            drone.vx += (dx / dist) * 0.15;
+            drone.vy += (dy / dist) * 0.15;
+
+            const speed = Math.sqrt(drone.vx ** 2 + drone.vy ** 2);
+            if (speed > drone.maxSpeed) {
+                drone.vx = (drone.vx / speed) * drone.maxSpeed;
+                drone.vy = (drone.vy / speed) * drone.maxSpeed;
+            }
+
+            drone.x += drone.vx;
+            drone.y += drone.vy;
+            drone.angle = Math.atan2(drone.vy, drone.vx);
+            drone.life--;
+
+            // Drones that stray into a black hole are swallowed
+            if (sim.blackHoles.some(hole => Math.hypot(drone.x - hole.x, drone.y - hole.y) < hole.radius)) {
+                sim.emit('enemyDestroyed', { enemy: drone });
+                return false;
+            }
+
+            // Ramming the player costs the drone itself
+            if (dist < player.radius + drone.radius && !player.invincible) {
+                sim.emit('enemyDestroyed', { enemy: drone });
+                sim.hurtPlayer('drone');
+                return false;
+            }
+
+            return drone.life > 0;
+        }
+    },
+
+    // Stationary star that sends out expanding shockwave rings
+    pulsar: {
+        minLevel: 4,
+        weight: level => 1 + (level - 4) * 0.5,
+        reward: 200,
+
+        spawn(sim) {
+            const { x, y } = sim.randomSpawnPoint(250);
+            const hp = 6 + sim.level;
+            return {
+                x, y,
+                radius: 18,
+                hp,
+                maxHP: hp,
+                rotation: 0,
+                rings: [],
+                ringWidth: 8,
+                pulseTimer: 0,
+                pulseInterval: Math.max(90, 180 - sim.level * 5),
+                lifetime: 0,
+                maxLifetime: 900 + sim.rng.next() * 300
+            };
+        },
+
+        update(sim, pulsar) {
+            const player = sim.player;
+            pulsar.lifetime++;
+            pulsar.rotation += 0.05;
+
+            // Stop pulsing when about to fade out
+            if (pulsar.lifetime < pulsar.maxLifetime) {
+                pulsar.pulseTimer++;
+                if (pulsar.pulseTimer >= pulsar.pulseInterval) {
+                    pulsar.pulseTimer = 0;
+                    pulsar.rings.push({ radius: pulsar.radius, speed: 2.5, maxRadius: 320 });
+                    sim.emit('pulse', { enemy: pulsar });
+                }
+            }
+
+            const dist = Math.hypot(player.x - pulsar.x, player.y - pulsar.y);
+
+            for (let i = pulsar.rings.length - 1; i >= 0; i--) {
+                const ring = pulsar.rings[i];
+                ring.radius += ring.speed;
+
+                if (ring.radius > ring.maxRadius) {
+                    pulsar.rings.splice(i, 1);
+                    continue;
+                }
+
+                if (Math.abs(dist - ring.radius) < pulsar.ringWidth / 2 + player.radius && !player.invincible) {
+                    sim.hurtPlayer('pulsar');
+                    if (sim.isOver) return true;
+                }
+            }
+
+            // Touching the core
+            if (dist < pulsar.radius + player.radius && !player.invincible) {
+                sim.hurtPlayer('pulsar');
+                if (sim.isOver) return true;
+            }
+
+            return pulsar.lifetime < pulsar.maxLifetime || pulsar.rings.length > 0;
+        }
+    },
+
+    // Two linked portals - anything entering one end comes out of the other
+    wormhole: {
+        minLevel: 6,
+        weight: () => 1,
+        limit: 1,
+
+        spawn(sim) {
+            const a = sim.randomSpawnPoint(200);
+            let b;
+            let attempts = 0;
+            do {
+                b = sim.randomSpawnPoint(200);
+                attempts++;
+            } while (attempts < 50 && Math.hypot(a.x - b.x, a.y - b.y) < 400);
+
+            return {
+                x: a.x,
+                y: a.y,
+                ends: [a, b],
+                radius: 26,
+                rotation: 0,
+                lifetime: 0,
+                maxLifetime: 1200,
+                fadeTime: 30 // Portals only work once fully open
+            };
+        },
+
+        update(sim, wormhole) {
+            wormhole.lifetime++;
+            wormhole.rotation += 0.05;
+
+            const open = wormhole.lifetime > wormhole.fadeTime &&
+                wormhole.lifetime < wormhole.maxLifetime - wormhole.fadeTime;
+
+            if (open) {
+                const movers = [
+                    sim.player,
+                    ...sim.collectibles,
+                    ...sim.bullets,
+                    ...sim.shots,
+                    ...sim.enemies.filter(e => e.type === 'drone')
+                ];
+
+                for (const mover of movers) {
+                    const [a, b] = wormhole.ends;
+                    if (Math.hypot(mover.x - a.x, mover.y - a.y) < wormhole.radius) {
+                        teleportThrough(sim, wormhole, mover, a, b);
+                    } else if (Math.hypot(mover.x - b.x, mover.y - b.y) < wormhole.radius) {
+                        teleportThrough(sim, wormhole, mover, b, a);
+                    }
+                }
+            }
+
+            return wormhole.lifetime < wormhole.maxLifetime;
+        }
+    }
+};
+
+// Place an entity just outside the exit, keeping its heading so it does not
+// fall straight back in
+function teleportThrough(sim, wormhole, entity, from, to) {
+    const speed = Math.hypot(entity.vx, entity.vy);
+    const dirX = speed > 0.1 ? entity.vx / speed : 1;
+    const dirY = speed > 0.1 ? entity.vy / speed : 0;
+    const offset = wormhole.radius + (entity.radius || 0) + 2;
+
+    entity.x = to.x + dirX * offset;
+    entity.y = to.y + dirY * offset;
+
+    // No interpolation or trail across the jump
+    entity.prevX = entity.x;
+    entity.prevY = entity.y;
+    if (entity.trail) entity.trail = [];
+
+    if (entity === sim.player) {
+        sim.emit('teleport', { from, to });
+    }
+}
@@ -1,4 +1,26 @@
 // Cosmic Drift - Main Game Logic
+//
+// Browser host for the simulation: input, screens, HUD, persistence and
+// rendering. Gameplay rules live in simulation.js.
+
+// Look of each collectible type: core colour, glow and pickup burst size
+const COLLECTIBLE_STYLES = {
+    energy: { color: '#00ff88', glow: 'rgba(0, 255, 136, 0.5)', burst: 10 },
+    points: { color: '#ffff00', glow: 'rgba(255, 255, 0, 0.5)', burst: 10 },
+    multiplier: { color: '#ff00ff', glow: 'rgba(255, 0, 255, 0.5)', burst: 15 },
+    shield: { color: '#00f5ff', glow: 'rgba(0, 245, 255, 0.5)', burst: 20, icon: '🛡️' },
+    magnet: { color: '#ef4444', glow: 'rgba(239, 68, 68, 0.5)', burst: 15, icon: '🧲' },
+    slowmo: { color: '#60a5fa', glow: 'rgba(96, 165, 250, 0.5)', burst: 15, icon: '⏳' },
+    doubleCoins: { color: '#ffd700', glow: 'rgba(255, 215, 0, 0.5)', burst: 15, icon: '💰' },
+    ghost: { color: '#e2e8f0', glow: 'rgba(226, 232, 240, 0.5)', burst: 15, icon: '👻' },
+    bomb: { color: '#f97316', glow: 'rgba(249, 115, 22, 0.5)', burst: 30, icon: '💣' }
+};
+
+const ENEMY_STYLES = {
+    drone: { color: '#f97316', burst: 15 },
+    pulsar: { color: '#facc15', burst: 35 },
+    wormhole: { color: '#22d3ee', burst: 0 }
+};
 
 class Game {
     constructor() {
@@ -9,97 +31,141 @@ class Game {
         this.startScreen = document.getElementById('start-screen');
         this.gameOverScreen = document.getElementById('game-over-screen');
         this.pauseScreen = document.getElementById('pause-screen');
+        this.upgradeScreen = document.getElementById('upgrade-screen');
+        this.saveScreen = document.getElementById('save-screen');
+        this.statsScreen = document.getElementById('stats-screen');
+        this.achievementsScreen = document.getElementById('achievements-screen');
+        this.controlsScreen = document.getElementById('controls-screen');
+        this.settingsScreen = document.getElementById('settings-screen');
+        this.leaderboardScreen = document.getElementById('leaderboard-screen');
+        this.campaignScreen = document.getElementById('campaign-screen');
+        this.editorScreen = document.getElementById('editor-screen');
+        this.editorCanvas = document.getElementById('editor-canvas');
+        this.editorCtx = this.editorCanvas.getContext('2d');
         this.hud = document.getElementById('hud');
 
         // HUD Elements
         this.scoreEl = document.getElementById('score');
         this.levelEl = document.getElementById('level');
         this.multiplierEl = document.getElementById('multiplier');
+        this.timeContainer = document.getElementById('time-container');
+        this.timeLeftEl = document.getElementById('time-left');
+        this.goalContainer = document.getElementById('goal-container');
+        this.goalProgressEl = document.getElementById('goal-progress');
         this.energyFill = document.getElementById('energy-fill');
+        this.bossBar = document.getElementById('boss-bar');
+        this.bossHPFill = document.getElementById('boss-hp-fill');
+        this.powerUpsEl = document.getElementById('powerups');
+        this.powerUpIcons = {}; // Created on first pickup of each type
+        this.toastsEl = document.getElementById('toasts');
         this.highScoreEl = document.getElementById('high-score');
+        this.gameOverTitleEl = document.getElementById('game-over-title');
         this.finalScoreEl = document.getElementById('final-score');
         this.finalLevelEl = document.getElementById('final-level');
         this.newRecordEl = document.getElementById('new-record');
+        this.dailyRewardEl = document.getElementById('daily-reward');
+        this.campaignResultEl = document.getElementById('campaign-result');
+        this.nextLevelBtn = document.getElementById('next-level-btn');
+        this.nameEntryEl = document.getElementById('name-entry');
+        this.nameInput = document.getElementById('name-input');
+        this.seedInput = document.getElementById('seed-input');
+        this.finalSeedEl = document.getElementById('final-seed');
+        this.botBtn = document.getElementById('bot-btn');
+
+        // Replay controls
+        this.replayControls = document.getElementById('replay-controls');
+        this.replayPlayBtn = document.getElementById('replay-play-btn');
+        this.replayScrub = document.getElementById('replay-scrub');
+        this.replayTimeEl = document.getElementById('replay-time');
 
         // Game State
         this.isRunning = false;
         this.isPaused = false;
-        this.score = 0;
-        this.level = 1;
-        this.multiplier = 1;
-        this.energy = 100;
-        this.highScore = parseInt(localStorage.getItem('cosmicDriftHighScore')) || 0;
+
+        // The world being played or replayed - see simulation.js
+        this.sim = null;
 
         // Input
         this.keys = {};
         this.mouseX = 0;
         this.mouseY = 0;
         this.mouseDown = false;
-
-        // Entities
-        this.player = null;
+        this.fireDown = false; // Right mouse button or a second finger
+        this.joystick = null; // Virtual stick { id, originX, originY, x, y } in canvas pixels, while a finger holds it
+        this.touchBoost = false; // On-screen buttons of the joystick scheme
+        this.touchFire = false;
+        this.gamepad = new GamepadInput();
+        this.gamepadFrame = null; // Pending poll while a controller is plugged in
+        this.inputSource = 'pointer'; // Steering from 'pointer' or 'gamepad', whichever moved last
+        this.menuFocus = null; // Control highlighted by controller navigation
+        this.rebinding = null; // { action, slot } waiting for a key on the controls screen
+        this.settingsReturnScreen = null; // 'menu' or 'pause', while the settings screen is open
+
+        // Cosmetic entities - owned by the renderer, not the simulation
         this.particles = [];
-        this.collectibles = [];
-        this.blackHoles = [];
         this.stars = [];
         this.trailParticles = [];
-        this.bullets = []; // Bullets from black holes
+        this.banner = null; // Big centred announcement, e.g. a boss phase
+        this.shake = 0; // Screen shake strength in pixels, fading every tick
 
         // Bot mode
         this.botEnabled = false;
-        this.botTarget = null;
-
-        // Timing
+        this.bot = new Bot();
+
+        // View - the simulation's fixed-size arena scaled to fit the canvas
+        this.viewScale = 1;
+        this.viewOffsetX = 0;
+        this.viewOffsetY = 0;
+
+        // Replays - every live run records one, replay mode plays one back
+        this.replay = null;
+        this.lastReplay = null;
+        this.replayMode = false;
+        this.replayEnded = false;
+        this.replaySpeed = 1;
+        this.replayReturnScreen = null;
+
+        // Cosmetic randomness - gameplay draws live in the simulation's own rng
+        // so visual tweaks never change a run's outcome
+        this.fxRng = Random.fromSeed(Random.generateSeed());
+
+        // Timing - the simulation advances in fixed 60 Hz ticks regardless of
+        // display refresh rate; render() interpolates between the last two ticks
+        this.tickMs = 1000 / 60;
+        this.maxFrameMs = 250; // Drop time beyond this to prevent spiral of death
+        this.accumulator = 0;
         this.lastTime = 0;
-        this.deltaTime = 0;
-        this.spawnTimer = 0;
-        this.difficultyTimer = 0;
 
         // Sprite disabled - using geometric ship
         this.spriteLoaded = false;
 
-        // Ship types with different stats and prices
-        this.shipTypes = {
-            speeder: {
-                name: 'СКОРОСТЬ',
-                maxSpeed: 12,
-                thrust: 1.2,
-                friction: 0.85,  // Less inertia - stops faster
-                maxHP: 1,
-                color: '#00f5ff',
-                boostColor: '#00ffff',
-                price: 100
-            },
-            balanced: {
-                name: 'БАЛАНС',
-                maxSpeed: 8,
-                thrust: 1.0,
-                friction: 0.88,  // Less inertia
-                maxHP: 2,
-                color: '#8b5cf6',
-                boostColor: '#a78bfa',
-                price: 400
-            },
-            tank: {
-                name: 'ТАНК',
-                maxSpeed: 5,
-                thrust: 1.1,
-                friction: 0.90,  // Less inertia
-                maxHP: 3,
-                color: '#ff00ff',
-                boostColor: '#f97316',
-                price: 600
-            }
-        };
-
+        this.shipTypes = SHIP_TYPES;
         this.selectedShip = 'speeder'; // Default to cheapest
-        this.hp = 1;
-        this.maxHP = 1;
-
-        // Economy - load from localStorage
-        this.coins = parseInt(localStorage.getItem('cosmicDriftCoins')) || 0;
-        this.unlockedShips = JSON.parse(localStorage.getItem('cosmicDriftUnlockedShips')) || ['speeder']; // Speeder is free
-        this.sessionCoins = 0; // Coins earned this game session
+        this.selectedMode = 'classic'; // See modes.js
+        this.campaignLevels = null; // Parsed levels/campaign.json, once the level select has loaded it
+        this.campaignLoad = null;   // Its pending or settled fetch
+        this.levelLibrary = new LevelLibrary(localStorage);
+        this.editor = new LevelEditor();
+        this.editorTool = 'select'; // 'select' or the EDITOR_ITEMS kind a click places
+        this.editorDragging = false;
+        this.testLevel = null; // Level last test-played from the editor
+
+        // Sound - volumes come with the settings below
+        this.audio = new AudioEngine();
+        this.seeking = false; // Fast-forwarding a replay, which stays silent
+
+        // Preferences - loaded before the save, which may still hold older ones
+        this.settingsStore = new SettingsStore(localStorage);
+        this.applySettings(this.settingsStore.load());
+
+        // Progress - high score, economy and stats, kept in one save object
+        this.saveStore = new SaveStore(localStorage);
+        this.applySave(this.saveStore.load());
+        this.upgradeShip = null; // Ship open in the upgrade shop
+        this.runSort = { key: 'date', descending: true }; // Run history order on the stats screen
+        this.leaderboardFilter = { ship: null, mode: null, bot: false };
+        this.pendingEntry = null; // Leaderboard entry waiting for the player's name
+        this.unsentScore = null; // Last run, held back from the online leaderboard until it is named
 
         this.init();
     }
@@ -112,38 +178,171 @@ class Game {
         window.addEventListener('keydown', (e) => this.handleKeyDown(e));
         window.addEventListener('keyup', (e) => this.handleKeyUp(e));
 
+        // Gamepad handlers - controllers are polled, the events only start and stop it
+        window.addEventListener('gamepadconnected', (e) => this.onGamepadConnected(e.gamepad));
+        window.addEventListener('gamepaddisconnected', () => this.showToast('🎮', t('gamepad.disconnected'), ''));
+        this.startGamepadLoop(); // Picks up a controller that was plugged in before the page loaded
+
         // Mouse handlers
         this.canvas.addEventListener('mousemove', (e) => this.handleMouseMove(e));
         this.canvas.addEventListener('mousedown', (e) => this.handleMouseDown(e));
         this.canvas.addEventListener('mouseup', (e) => this.handleMouseUp(e));
         this.canvas.addEventListener('mouseleave', (e) => this.handleMouseUp(e));
+        this.canvas.addEventListener('contextmenu', (e) => e.preventDefault());
 
         // Touch handlers for mobile
         this.canvas.addEventListener('touchmove', (e) => this.handleTouchMove(e));
         this.canvas.addEventListener('touchstart', (e) => this.handleTouchStart(e));
         this.canvas.addEventListener('touchend', (e) => this.handleTouchEnd(e));
+        this.canvas.addEventListener('touchcancel', (e) => this.handleTouchEnd(e));
+        this.setupTouchButton('touch-boost-btn', pressed => { this.touchBoost = pressed; });
+        this.setupTouchButton('touch-fire-btn', pressed => { this.touchFire = pressed; });
 
         // Button handlers
         document.getElementById('start-btn').addEventListener('click', () => this.startGame());
-        document.getElementById('restart-btn').addEventListener('click', () => this.startGame());
+        document.getElementById('daily-btn').addEventListener('click', () => this.startDaily());
+        document.getElementById('restart-btn').addEventListener('click', () => this.restartRun());
+        document.getElementById('campaign-btn').addEventListener('click', () => this.openCampaign());
+        document.getElementById('campaign-back-btn').addEventListener('click', () => this.closeCampaign());
+        this.nextLevelBtn.addEventListener('click', () => this.startCampaignLevel(this.nextCampaignLevel()));
+        this.setupEditor();
         document.getElementById('menu-btn').addEventListener('click', () => this.showMenu());
         document.getElementById('resume-btn').addEventListener('click', () => this.resumeGame());
-        document.getElementById('quit-btn').addEventListener('click', () => this.showMenu());
+        document.getElementById('quit-btn').addEventListener('click', () => this.quitRun());
+        document.getElementById('upgrade-back-btn').addEventListener('click', () => this.closeUpgrades());
+
+        // Stats handlers
+        document.getElementById('stats-btn').addEventListener('click', () => this.openStats());
+        document.getElementById('stats-back-btn').addEventListener('click', () => this.closeStats());
+        document.querySelectorAll('#stats-screen [data-sort]').forEach(th => {
+            th.addEventListener('click', () => this.sortRunHistory(th.dataset.sort));
+        });
+
+        // Leaderboard handlers
+        document.getElementById('leaderboard-btn').addEventListener('click', () => this.openLeaderboard());
+        document.getElementById('leaderboard-back-btn').addEventListener('click', () => this.closeLeaderboard());
+        document.getElementById('name-save-btn').addEventListener('click', () => this.savePlayerName());
+        this.nameInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.savePlayerName();
+        });
+        this.setupLeaderboardFilters();
+        document.getElementById('sync-server-btn').addEventListener('click', () => {
+            this.setSyncServer(document.getElementById('sync-server-input').value);
+        });
+
+        // Scores finished offline go out as soon as the connection is back
+        window.addEventListener('online', () => this.flushScores());
+        this.flushScores();
+
+        // Achievement handlers
+        document.getElementById('achievements-btn').addEventListener('click', () => this.openAchievements());
+        document.getElementById('achievements-back-btn').addEventListener('click', () => this.closeAchievements());
+
+        // Settings handlers
+        document.getElementById('settings-btn').addEventListener('click', () => this.openSettings('menu'));
+        document.getElementById('pause-settings-btn').addEventListener('click', () => this.openSettings('pause'));
+        document.getElementById('settings-back-btn').addEventListener('click', () => this.closeSettings());
+        document.getElementById('setting-shake').addEventListener('change', (e) => {
+            this.screenShake = e.target.checked;
+            this.saveSettings();
+        });
+        document.getElementById('setting-bot-indicator').addEventListener('change', (e) => {
+            this.botIndicator = e.target.checked;
+            this.saveSettings();
+        });
+        document.getElementById('setting-language').addEventListener('change', (e) => {
+            this.language = e.target.value;
+            this.saveSettings();
+            this.applyLanguage();
+        });
+        this.setupSettings();
+
+        // Controls handlers
+        document.getElementById('bindings-btn').addEventListener('click', () => this.openControls());
+        document.getElementById('controls-back-btn').addEventListener('click', () => this.closeControls());
+        document.getElementById('bindings-reset-btn').addEventListener('click', () => this.resetBindings());
+
+        // Audio handlers
+        document.getElementById('mute-btn').addEventListener('click', () => this.toggleMute());
+        document.getElementById('audio-mute').addEventListener('change', (e) => this.setMuted(e.target.checked));
+        document.querySelectorAll('.volume-slider').forEach(slider => {
+            slider.addEventListener('input', () => {
+                this.audio.unlock();
+                this.audio.setVolume(slider.dataset.bus, slider.value / 100);
+            });
+            slider.addEventListener('change', () => {
+                this.saveSettings();
+                if (slider.dataset.bus !== 'music') this.audio.play('collect', { item: { type: 'points' } });
+            });
+        });
+        this.updateMuteButton();
+
+        // Save handlers
+        document.getElementById('save-btn').addEventListener('click', () => this.openSaveScreen());
+        document.getElementById('save-back-btn').addEventListener('click', () => this.closeSaveScreen());
+        document.getElementById('save-download-btn').addEventListener('click', () => this.exportSave());
+        document.getElementById('save-code-btn').addEventListener('click', () => this.showSaveCode());
+        document.getElementById('save-apply-btn').addEventListener('click', () => {
+            this.importSave(document.getElementById('save-code').value);
+        });
+        const saveFileInput = document.getElementById('save-file-input');
+        document.getElementById('save-upload-btn').addEventListener('click', () => saveFileInput.click());
+        saveFileInput.addEventListener('change', () => {
+            if (saveFileInput.files[0]) {
+                saveFileInput.files[0].text()
+                    .then(text => this.importSave(text))
+                    .catch(err => console.error('Save file read failed:', err));
+            }
+            saveFileInput.value = '';
+        });
+
+        // Replay handlers
+        document.getElementById('watch-replay-btn').addEventListener('click', () => {
+            if (this.lastReplay) this.watchReplay(this.lastReplay, 'gameOver');
+        });
+        document.getElementById('export-replay-btn').addEventListener('click', () => {
+            if (this.lastReplay) this.exportReplay(this.lastReplay);
+        });
+        const replayFileInput = document.getElementById('replay-file-input');
+        document.getElementById('import-replay-btn').addEventListener('click', () => replayFileInput.click());
+        replayFileInput.addEventListener('change', () => {
+            if (replayFileInput.files[0]) this.importReplay(replayFileInput.files[0]);
+            replayFileInput.value = '';
+        });
+        this.replayPlayBtn.addEventListener('click', () => this.toggleReplayPause());
+        this.replayScrub.addEventListener('input', () => this.seekReplay(parseInt(this.replayScrub.value)));
+        document.getElementById('replay-exit-btn').addEventListener('click', () => this.exitReplay());
+        document.querySelectorAll('.replay-speed').forEach(btn => {
+            btn.addEventListener('click', () => this.setReplaySpeed(parseFloat(btn.dataset.speed)));
+        });
 
         // Bot button handler
-        const botBtn = document.getElementById('bot-btn');
-        if (botBtn) {
-            botBtn.addEventListener('click', () => this.toggleBot());
+        if (this.botBtn) {
+            this.botBtn.addEventListener('click', () => this.toggleBot());
         }
 
         // Update high score display
         this.highScoreEl.textContent = this.highScore;
 
+        // Let the player know if the save had to be repaired on load
+        if (this.saveStore.problems.length > 0) {
+            document.getElementById('save-notice').classList.remove('hidden');
+        }
+
         // Create background stars
         this.createStars();
 
-        // Ship selection handlers
+        // Ship and mode selection handlers
         this.setupShipSelection();
+        this.setupModeSelection();
+        this.renderDaily();
+
+        // The markup is written in Russian; switch it and the text filled in from code to the chosen language
+        this.applyLanguage();
+
+        // Unlock whatever earlier progress already earned
+        this.achievements.reach('ships', this.unlockedShips.length);
+        this.achievements.check();
 
         // Start animation loop for background
         this.animateBackground();
@@ -170,6 +369,7 @@ class Game {
                     if (this.coins >= shipType.price) {
                         this.coins -= shipType.price;
                         this.unlockedShips.push(shipId);
+                        this.achievements.reach('ships', this.unlockedShips.length);
                         this.saveProgress();
                         this.updateShipCardsUI();
                         this.updateCoinsDisplay();
@@ -184,444 +384,1926 @@ class Game {
         });
     }
 
-    updateShipCardsUI() {
-        const shipCards = document.querySelectorAll('.ship-card');
-        shipCards.forEach(card => {
-            const shipId = card.dataset.ship;
-            const shipType = this.shipTypes[shipId];
-            const isUnlocked = this.unlockedShips.includes(shipId);
-
-            // Update locked/unlocked state
-            card.classList.toggle('locked', !isUnlocked);
-            card.classList.toggle('unlocked', isUnlocked);
+    setupModeSelection() {
+        const modesEl = document.getElementById('mode-options');
+        for (const [mode, label] of Object.entries(LEADERBOARD_MODES)) {
+            if (!gameModeRules(mode).selectable) continue;
+            const btn = document.createElement('button');
+            btn.className = 'filter-btn';
+            btn.dataset.mode = mode;
+            btn.dataset.i18n = label;
+            btn.addEventListener('click', () => this.selectMode(mode));
+            modesEl.appendChild(btn);
+        }
+        this.renderModes();
+    }
 
-            // Update price display
-            let priceEl = card.querySelector('.ship-price');
-            if (!priceEl) {
-                priceEl = document.createElement('div');
-                priceEl.className = 'ship-price';
-                card.appendChild(priceEl);
-            }
+    selectMode(mode) {
+        this.selectedMode = mode;
+        this.renderModes();
+    }
 
-            if (isUnlocked) {
-                priceEl.textContent = '✓ КУПЛЕНО';
-                priceEl.classList.add('owned');
-            } else {
-                const canAfford = this.coins >= shipType.price;
-                priceEl.textContent = `🪙 ${shipType.price}`;
-                priceEl.classList.remove('owned');
-                priceEl.classList.toggle('affordable', canAfford);
-            }
+    // The best score shown on the start screen is the selected mode's
+    renderModes() {
+        document.querySelectorAll('#mode-options .filter-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.mode === this.selectedMode);
         });
+        document.getElementById('mode-hint').textContent = t(`modes.${this.selectedMode}Hint`);
+        this.highScoreEl.textContent = this.highScore;
+    }
 
-        // Ensure selected ship is valid
-        if (!this.unlockedShips.includes(this.selectedShip)) {
-            this.selectedShip = this.unlockedShips[0] || 'speeder';
-        }
+    // Today's challenge, and whether its one attempt is still open
+    renderDaily() {
+        const today = dailyDateKey(new Date());
+        const { modifiers } = dailyChallenge(today);
+        const done = this.daily.lastDate === today;
 
-        // Update selected visual
-        shipCards.forEach(card => {
-            card.classList.toggle('selected', card.dataset.ship === this.selectedShip);
+        document.getElementById('daily-btn').disabled = done;
+        document.getElementById('daily-info').textContent = t(done ? 'daily.done' : 'daily.today', {
+            rules: modifiers.map(id => t(`modifiers.${id}`)).join(', '),
+            streak: dailyStreak(this.daily, today)
         });
     }
 
-    updateCoinsDisplay() {
-        const coinsDisplay = document.getElementById('coins-display');
-        if (coinsDisplay) {
-            coinsDisplay.textContent = this.coins;
-        }
+    startDaily() {
+        const challenge = dailyChallenge(dailyDateKey(new Date()));
+        if (this.daily.lastDate === challenge.date) return;
+
+        this.daily = recordDailyAttempt(this.daily, challenge.date);
+        this.saveProgress();
+        this.renderDaily();
+        this.startGame({ mode: 'daily', seed: challenge.seed, modifiers: challenge.modifiers });
     }
 
-    saveProgress() {
-        localStorage.setItem('cosmicDriftCoins', this.coins);
-        localStorage.setItem('cosmicDriftUnlockedShips', JSON.stringify(this.unlockedShips));
-        localStorage.setItem('cosmicDriftHighScore', this.highScore);
+    openCampaign() {
+        this.startScreen.classList.add('hidden');
+        this.campaignScreen.classList.remove('hidden');
+        return this.renderCampaign();
     }
 
-    addCoins(amount) {
-        this.coins += amount;
-        this.sessionCoins += amount;
-        this.saveProgress();
+    closeCampaign() {
+        this.campaignScreen.classList.add('hidden');
+        this.showMenu();
+    }
 
-        // Update HUD coin display
-        const coinsHud = document.getElementById('coins-hud');
-        if (coinsHud) {
-            coinsHud.textContent = `🪙 ${this.coins}`;
+    // Fetched the first time the level select opens; a failed load is tried again next time
+    loadCampaign() {
+        if (!this.campaignLoad) {
+            this.campaignLoad = fetch('levels/campaign.json')
+                .then(response => {
+                    if (!response.ok) throw new Error(`Campaign unavailable: ${response.status}`);
+                    return response.json();
+                })
+                .then(data => {
+                    this.campaignLevels = parseCampaign(data);
+                    return this.campaignLevels;
+                })
+                .catch(err => {
+                    this.campaignLoad = null;
+                    throw err;
+                });
         }
+        return this.campaignLoad;
     }
 
-    resize() {
-        this.canvas.width = window.innerWidth;
-        this.canvas.height = window.innerHeight;
+    // One card per level with its goal and best stars; a level opens once the one before it is cleared
+    renderCampaign() {
+        const statusEl = document.getElementById('campaign-status');
+        const levelsEl = document.getElementById('campaign-levels');
+        statusEl.textContent = t('campaign.loading');
+
+        return this.loadCampaign()
+            .then(levels => {
+                statusEl.textContent = t('campaign.total', {
+                    stars: levels.reduce((sum, level) => sum + (this.campaign[level.id] || 0), 0),
+                    total: levels.length * 3
+                });
+                levelsEl.innerHTML = '';
+                levels.forEach((level, index) => {
+                    const unlocked = isLevelUnlocked(levels, this.campaign, index);
+                    const card = document.createElement('button');
+                    card.className = `campaign-card${unlocked ? '' : ' locked'}`;
+                    card.dataset.level = level.id;
+                    card.disabled = !unlocked;
+                    card.innerHTML = `
+                        <span class="campaign-number">${unlocked ? index + 1 : '🔒'}</span>
+                        <span class="campaign-name"></span>
+                        <span class="campaign-goal"></span>
+                        <span class="campaign-stars">${this.starsText(this.campaign[level.id] || 0)}</span>
+                    `;
+                    // Names of levels from outside the game are filled as text
+                    card.querySelector('.campaign-name').textContent = this.levelName(level);
+                    card.querySelector('.campaign-goal').textContent = this.levelGoalText(level);
+                    card.addEventListener('click', () => this.startCampaignLevel(index));
+                    levelsEl.appendChild(card);
+                });
+            })
+            .catch(err => {
+                console.warn('Campaign unavailable:', err.message);
+                statusEl.textContent = t('campaign.loadFailed');
+            });
     }
 
-    handleKeyDown(e) {
-        this.keys[e.code] = true;
+    setupEditor() {
+        document.getElementById('editor-btn').addEventListener('click', () => this.openEditor());
+        document.getElementById('editor-back-btn').addEventListener('click', () => this.closeEditor());
+        document.getElementById('editor-return-btn').addEventListener('click', () => this.returnToEditor());
+        document.getElementById('editor-new-btn').addEventListener('click', () => this.editLevel(LevelEditor.blank()));
+        document.getElementById('editor-delete-level-btn').addEventListener('click', () => this.deleteEditorLevel());
+        document.getElementById('editor-delete-btn').addEventListener('click', () => {
+            this.editor.removeSelected();
+            this.renderEditor();
+        });
+        document.getElementById('editor-play-btn').addEventListener('click', () => this.testPlayLevel());
+        document.getElementById('editor-save-btn').addEventListener('click', () => this.saveEditorLevel());
+        document.getElementById('editor-export-btn').addEventListener('click', () => this.exportEditorLevel());
+
+        const fileInput = document.getElementById('editor-file-input');
+        document.getElementById('editor-import-btn').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files[0]) this.importEditorLevels(fileInput.files[0]);
+            fileInput.value = '';
+        });
 
-        if (e.code === 'Escape' && this.isRunning) {
-            this.togglePause();
-        }
+        const levelsEl = document.getElementById('editor-levels');
+        levelsEl.addEventListener('change', () => {
+            const level = this.levelLibrary.load().find(saved => saved.id === levelsEl.value);
+            if (level) this.editLevel(level);
+        });
 
-        // Prevent scrolling
-        if (['Space', 'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'].includes(e.code)) {
-            e.preventDefault();
+        const goalEl = document.getElementById('editor-goal-type');
+        for (const type of Object.keys(LEVEL_GOALS)) {
+            const option = document.createElement('option');
+            option.value = type;
+            option.dataset.i18n = `editor.goalType.${type}`;
+            goalEl.appendChild(option);
         }
+        document.querySelectorAll('[data-level-field]').forEach(input => {
+            input.addEventListener('input', () => {
+                this.editor.setLevelField(input.dataset.levelField, input.value);
+                this.drawEditor();
+            });
+        });
+
+        document.querySelectorAll('.editor-tool').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.editorTool = btn.dataset.tool;
+                this.renderEditor();
+            });
+        });
+
+        this.editorCanvas.addEventListener('mousedown', (e) => this.handleEditorMouseDown(e));
+        this.editorCanvas.addEventListener('mousemove', (e) => this.handleEditorMouseMove(e));
+        this.editorCanvas.addEventListener('mouseup', () => { this.editorDragging = false; });
+        this.editorCanvas.addEventListener('mouseleave', () => { this.editorDragging = false; });
     }
 
-    handleKeyUp(e) {
-        this.keys[e.code] = false;
+    openEditor() {
+        this.startScreen.classList.add('hidden');
+        this.editorScreen.classList.remove('hidden');
+        this.setEditorStatus('');
+        this.renderEditor();
     }
 
-    handleMouseMove(e) {
-        const rect = this.canvas.getBoundingClientRect();
-        this.mouseX = e.clientX - rect.left;
-        this.mouseY = e.clientY - rect.top;
+    closeEditor() {
+        this.editorScreen.classList.add('hidden');
+        this.showMenu();
     }
 
-    handleMouseDown(e) {
-        if (e.button === 0) {
-            this.mouseDown = true;
+    // Back from a test flight to the level as it was left
+    returnToEditor() {
+        this.gameOverScreen.classList.add('hidden');
+        this.hud.classList.add('hidden');
+        this.editorScreen.classList.remove('hidden');
+        this.renderEditor();
+    }
+
+    editLevel(level) {
+        this.editor = new LevelEditor(level);
+        this.setEditorStatus('');
+        this.renderEditor();
+    }
+
+    setEditorStatus(text, isError = false) {
+        const statusEl = document.getElementById('editor-status');
+        statusEl.textContent = text;
+        statusEl.classList.toggle('error', isError);
+    }
+
+    // The level as it stands, or null with the reason shown when it is not finished
+    editedLevel() {
+        try {
+            return this.editor.toLevel();
+        } catch (err) {
+            this.setEditorStatus(t('editor.invalid', { error: err.message }), true);
+            return null;
         }
     }
 
-    handleMouseUp(e) {
-        this.mouseDown = false;
+    testPlayLevel() {
+        const level = this.editedLevel();
+        if (!level) return;
+
+        this.testLevel = level;
+        this.editorScreen.classList.add('hidden');
+        this.startGame({ mode: 'campaign', campaignLevel: level });
     }
 
-    handleTouchMove(e) {
-        e.preventDefault();
-        const rect = this.canvas.getBoundingClientRect();
-        const touch = e.touches[0];
-        this.mouseX = touch.clientX - rect.left;
-        this.mouseY = touch.clientY - rect.top;
+    saveEditorLevel() {
+        const level = this.editedLevel();
+        if (!level) return;
+
+        this.levelLibrary.save(level);
+        this.setEditorStatus(t('editor.saved', { id: level.id }));
+        this.renderEditor();
     }
 
-    handleTouchStart(e) {
-        e.preventDefault();
-        this.mouseDown = true;
-        this.handleTouchMove(e);
+    deleteEditorLevel() {
+        const { id } = this.editor.level;
+        if (!this.levelLibrary.load().some(level => level.id === id)) return;
+        if (!confirm(t('editor.confirmDelete', { id }))) return;
+
+        this.levelLibrary.remove(id);
+        this.editLevel(LevelEditor.blank());
     }
 
-    handleTouchEnd(e) {
-        this.mouseDown = false;
+    // A campaign file with just this level, ready to add to levels/campaign.json
+    exportEditorLevel() {
+        const level = this.editedLevel();
+        if (!level) return;
+
+        this.downloadJSON(`cosmic-drift-level-${level.id}.json`, levelFile([level]), 4);
     }
 
-    createStars() {
-        this.stars = [];
-        for (let i = 0; i < 200; i++) {
-            this.stars.push({
-                x: Math.random() * this.canvas.width,
-                y: Math.random() * this.canvas.height,
-                size: Math.random() * 2 + 0.5,
-                brightness: Math.random(),
-                twinkleSpeed: Math.random() * 0.02 + 0.01
+    // Every level in a campaign file is saved, and the first one opened
+    importEditorLevels(file) {
+        return file.text()
+            .then(text => {
+                const levels = parseCampaign(JSON.parse(text));
+                if (levels.length === 0) throw new Error('Campaign file without levels');
+
+                levels.forEach(level => this.levelLibrary.save(level));
+                this.editLevel(levels[0]);
+                this.setEditorStatus(t('editor.imported', { count: levels.length }));
+            })
+            .catch(err => {
+                console.error('Level import failed:', err);
+                this.setEditorStatus(t('editor.importFailed'), true);
             });
-        }
     }
 
-    createPlayer() {
-        const shipType = this.shipTypes[this.selectedShip];
-        this.maxHP = shipType.maxHP;
-        this.hp = this.maxHP;
-
-        this.player = {
-            x: this.canvas.width / 2,
-            y: this.canvas.height / 2,
-            vx: 0,
-            vy: 0,
-            radius: 15,
-            angle: 0,
-            thrust: shipType.thrust,
-            maxSpeed: shipType.maxSpeed,
-            friction: shipType.friction,
-            boosting: false,
-            invincible: false,
-            invincibleTimer: 0,
-            shipType: this.selectedShip,
-            color: shipType.color,
-            boostColor: shipType.boostColor
-        };
+    renderEditor() {
+        const editor = this.editor;
+        document.querySelectorAll('[data-level-field]').forEach(input => {
+            input.value = editor.getLevelField(input.dataset.levelField);
+        });
+        document.querySelectorAll('.editor-tool').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.tool === this.editorTool);
+        });
 
-        this.updateHPDisplay();
-    }
+        const saved = this.levelLibrary.load();
+        const levelsEl = document.getElementById('editor-levels');
+        levelsEl.innerHTML = '';
+        const unsaved = document.createElement('option');
+        unsaved.value = '';
+        unsaved.textContent = t('editor.unsaved');
+        levelsEl.appendChild(unsaved);
+        for (const level of saved) {
+            const option = document.createElement('option');
+            option.value = level.id;
+            option.textContent = level.name || level.id; // Typed by the player
+            levelsEl.appendChild(option);
+        }
+        levelsEl.value = saved.some(level => level.id === editor.level.id) ? editor.level.id : '';
 
-    updateHPDisplay() {
-        const heartsContainer = document.getElementById('hp-hearts');
-        if (!heartsContainer) return;
+        this.renderEditorItem();
+        this.drawEditor();
+    }
 
-        let heartsHTML = '';
-        for (let i = 0; i < this.maxHP; i++) {
-            if (i < this.hp) {
-                heartsHTML += '<span class="heart full">❤️</span>';
+    // Fields of the selected black hole or wave
+    renderEditorItem() {
+        const item = this.editor.selectedItem;
+        document.getElementById('editor-item').classList.toggle('hidden', !item);
+        const fieldsEl = document.getElementById('editor-item-fields');
+        fieldsEl.innerHTML = '';
+        if (!item) return;
+
+        for (const field of EDITOR_FIELDS[this.editor.selected.kind]) {
+            const label = document.createElement('label');
+            label.className = 'editor-field';
+            const name = document.createElement('span');
+            name.textContent = t(`editor.field.${field.key}`);
+            label.appendChild(name);
+
+            let input;
+            if (field.options) {
+                input = document.createElement('select');
+                input.className = 'leaderboard-mode';
+                for (const value of field.options) {
+                    const option = document.createElement('option');
+                    option.value = value;
+                    option.textContent = t(`collectibles.${value}`);
+                    input.appendChild(option);
+                }
             } else {
-                heartsHTML += '<span class="heart empty">🖤</span>';
+                input = document.createElement('input');
+                input.className = 'seed-input';
+                input.type = 'number';
+                input.step = field.step;
+                input.min = field.min;
+                if (field.max !== undefined) input.max = field.max;
             }
+            input.dataset.field = field.key;
+            input.value = item[field.key];
+            input.addEventListener('input', () => {
+                this.editor.setField(field.key, input.value);
+                this.drawEditor();
+            });
+            label.appendChild(input);
+            fieldsEl.appendChild(label);
         }
-        heartsContainer.innerHTML = heartsHTML;
     }
 
-    takeDamage() {
-        if (this.player.invincible) return false;
+    // The arena scaled down: pull zones, black holes, wave rings and the ship's start
+    drawEditor() {
+        const ctx = this.editorCtx;
+        const { width, height } = this.editorCanvas;
+        const scale = width / EDITOR_ARENA.width;
+        const ring = Math.min(EDITOR_ARENA.width, EDITOR_ARENA.height) * scale;
+        const selected = this.editor.selectedItem;
 
-        this.hp--;
-        this.updateHPDisplay();
+        ctx.fillStyle = '#05050f';
+        ctx.fillRect(0, 0, width, height);
 
-        // Trigger damage animation
-        const hearts = document.querySelectorAll('.heart');
-        if (hearts[this.hp]) {
-            hearts[this.hp].classList.add('damage');
-            setTimeout(() => hearts[this.hp]?.classList.remove('damage'), 500);
-        }
+        ctx.strokeStyle = 'rgba(0, 245, 255, 0.6)';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(width / 2 - 8, height / 2 - 8, 16, 16);
 
-        // Create damage effect
-        this.createExplosion(this.player.x, this.player.y, 20, '#ff3366');
+        for (const hole of this.editor.level.blackHoles) {
+            const x = hole.x * width, y = hole.y * height;
+            ctx.beginPath();
+            ctx.arc(x, y, hole.pullRadius * scale, 0, Math.PI * 2);
+            ctx.fillStyle = 'rgba(139, 92, 246, 0.12)';
+            ctx.fill();
+            ctx.strokeStyle = 'rgba(139, 92, 246, 0.5)';
+            ctx.stroke();
 
-        if (this.hp <= 0) {
-            return true; // Player is dead
+            ctx.beginPath();
+            ctx.arc(x, y, hole.radius * scale, 0, Math.PI * 2);
+            ctx.fillStyle = '#000';
+            ctx.fill();
+            ctx.strokeStyle = hole === selected ? '#ffffff' : '#8b5cf6';
+            ctx.lineWidth = hole === selected ? 2 : 1;
+            ctx.stroke();
+            ctx.lineWidth = 1;
         }
 
-        // Give brief invincibility after taking damage
-        this.player.invincible = true;
-        this.player.invincibleTimer = 120; // 2 seconds
+        for (const wave of this.editor.level.waves) {
+            const style = COLLECTIBLE_STYLES[wave.type] || COLLECTIBLE_STYLES.points;
+            const x = wave.x * width, y = wave.y * height;
+            for (let i = 0; i < wave.count; i++) {
+                const angle = (Math.PI * 2 * i) / wave.count;
+                const offset = wave.count > 1 ? wave.spread * ring : 0;
+                ctx.beginPath();
+                ctx.arc(x + Math.cos(angle) * offset, y + Math.sin(angle) * offset, 12 * scale, 0, Math.PI * 2);
+                ctx.fillStyle = style.color;
+                ctx.fill();
+            }
+            if (wave === selected) {
+                ctx.beginPath();
+                ctx.arc(x, y, EDITOR_PICK_RADIUS * scale, 0, Math.PI * 2);
+                ctx.strokeStyle = '#ffffff';
+                ctx.stroke();
+            }
+        }
 
-        return false;
+        // When each item appears, in seconds
+        ctx.fillStyle = '#ffffff';
+        ctx.font = '10px sans-serif';
+        for (const item of [...this.editor.level.blackHoles, ...this.editor.level.waves]) {
+            ctx.fillText(`${item.at}s`, item.x * width + 4, item.y * height - 4);
+        }
     }
 
-    spawnCollectible() {
-        const edge = Math.floor(Math.random() * 4);
-        let x, y;
+    // Canvas point as arena fractions
+    editorPoint(e) {
+        const rect = this.editorCanvas.getBoundingClientRect();
+        return { x: (e.clientX - rect.left) / rect.width, y: (e.clientY - rect.top) / rect.height };
+    }
 
-        switch (edge) {
-            case 0: x = Math.random() * this.canvas.width; y = -30; break;
-            case 1: x = this.canvas.width + 30; y = Math.random() * this.canvas.height; break;
-            case 2: x = Math.random() * this.canvas.width; y = this.canvas.height + 30; break;
-            case 3: x = -30; y = Math.random() * this.canvas.height; break;
+    // Picks up whatever is under the cursor, otherwise places the tool's item there
+    handleEditorMouseDown(e) {
+        const { x, y } = this.editorPoint(e);
+        const hit = this.editor.itemAt(x, y);
+        if (hit) {
+            this.editor.select(hit);
+        } else if (this.editorTool !== 'select') {
+            this.editor.add(this.editorTool, x, y);
+        } else {
+            this.editor.select(null);
         }
+        this.editorDragging = !!this.editor.selected;
+        this.renderEditorItem();
+        this.drawEditor();
+    }
 
-        const types = ['energy', 'points', 'multiplier', 'shield'];
-        const weights = [0.4, 0.35, 0.15, 0.1];
-        let random = Math.random();
-        let type = types[0];
+    handleEditorMouseMove(e) {
+        if (!this.editorDragging) return;
+        const { x, y } = this.editorPoint(e);
+        this.editor.moveSelected(x, y);
+        this.drawEditor();
+    }
 
-        for (let i = 0; i < weights.length; i++) {
-            if (random < weights[i]) {
-                type = types[i];
-                break;
-            }
-            random -= weights[i];
-        }
-
-        // Target position near center
-        const targetX = this.canvas.width * (0.2 + Math.random() * 0.6);
-        const targetY = this.canvas.height * (0.2 + Math.random() * 0.6);
-
-        const dx = targetX - x;
-        const dy = targetY - y;
-        const dist = Math.sqrt(dx * dx + dy * dy);
-        const speed = 1 + Math.random() * 2;
-
-        this.collectibles.push({
-            x, y,
-            vx: (dx / dist) * speed,
-            vy: (dy / dist) * speed,
-            radius: 12,
-            type,
-            pulse: 0,
-            lifetime: 0
-        });
+    levelName(level) {
+        const key = `campaign.levels.${level.id}`;
+        return hasMessage(key) ? t(key) : level.name || level.id;
     }
 
-    spawnBlackHole() {
-        const margin = 100;
-        let x, y;
-        let attempts = 0;
-
-        do {
-            x = margin + Math.random() * (this.canvas.width - margin * 2);
-            y = margin + Math.random() * (this.canvas.height - margin * 2);
-            attempts++;
-        } while (
-            attempts < 50 &&
-            this.player &&
-            Math.hypot(x - this.player.x, y - this.player.y) < 200
-        );
-
-        this.blackHoles.push({
-            x, y,
-            radius: 30 + Math.random() * 20,
-            pullRadius: 150 + Math.random() * 100,
-            strength: 0.3 + (this.level * 0.05),
-            rotation: 0,
-            lifetime: 0,
-            maxLifetime: 500 + Math.random() * 300,
-            shootTimer: 0,
-            shootInterval: 120 + Math.random() * 60 // Shoot every 2-3 seconds
-        });
+    levelGoalText(level) {
+        const goal = t(`campaign.goal.${level.goal.type}`, { target: level.goal.target });
+        if (!level.timeLimit) return goal;
+        return `${goal} · ${t('campaign.timeLimit', { time: this.formatTicks(level.timeLimit * 60) })}`;
+    }
+
+    starsText(stars) {
+        return '★'.repeat(stars) + '☆'.repeat(3 - stars);
     }
 
-    spawnBullet(hole) {
-        if (!this.player) return;
+    startCampaignLevel(index) {
+        const levels = this.campaignLevels;
+        if (!levels || !levels[index] || !isLevelUnlocked(levels, this.campaign, index)) return;
 
-        const dx = this.player.x - hole.x;
-        const dy = this.player.y - hole.y;
-        const dist = Math.sqrt(dx * dx + dy * dy);
+        this.campaignScreen.classList.add('hidden');
+        this.startGame({ mode: 'campaign', campaignLevel: levels[index] });
+    }
 
-        const speed = 4 + this.level * 0.3;
+    // Levels from the editor, or imported into it, are flown for practice:
+    // anyone can make one easy, so they pay no coins and count for no stats,
+    // achievements or stars. Only the shipped campaign is played for real.
+    get practice() {
+        const level = this.sim && this.sim.campaignLevel;
+        return !!level && !(this.campaignLevels && this.campaignLevels.includes(level));
+    }
 
-        this.bullets.push({
-            x: hole.x,
-            y: hole.y,
-            vx: (dx / dist) * speed,
-            vy: (dy / dist) * speed,
-            radius: 6,
-            life: 300, // 5 seconds lifetime
-            trail: []
-        });
+    // Index of the campaign level after the one just played, or -1
+    nextCampaignLevel() {
+        const index = this.campaignLevels ? this.campaignLevels.indexOf(this.sim.campaignLevel) : -1;
+        return index >= 0 && index + 1 < this.campaignLevels.length ? index + 1 : -1;
     }
 
-    toggleBot() {
-        this.botEnabled = !this.botEnabled;
-        const btn = document.getElementById('bot-btn');
-        if (btn) {
-            btn.textContent = this.botEnabled ? '🤖 БОТ: ВКЛ' : '🤖 БОТ: ВЫКЛ';
-            btn.classList.toggle('active', this.botEnabled);
+    // Campaign levels are played again as they are, anything else in the
+    // selected mode. The daily challenge has one attempt a day, so it leads
+    // back to the menu.
+    restartRun() {
+        if (this.sim.mode === 'daily') {
+            this.showMenu();
+        } else if (this.sim.mode === 'campaign') {
+            this.startGame({ mode: 'campaign', campaignLevel: this.sim.campaignLevel });
+        } else {
+            this.startGame();
         }
     }
 
-    updateBot() {
-        if (!this.botEnabled || !this.player) return;
+    get highScore() {
+        return this.highScores[this.selectedMode] || 0;
+    }
 
-        // Find best target (closest collectible)
-        let bestCollectible = null;
-        let bestScore = -Infinity;
+    updateShipCardsUI() {
+        const shipCards = document.querySelectorAll('.ship-card');
+        shipCards.forEach(card => {
+            const shipId = card.dataset.ship;
+            const shipType = this.shipTypes[shipId];
+            const isUnlocked = this.unlockedShips.includes(shipId);
 
-        for (const c of this.collectibles) {
-            const dx = c.x - this.player.x;
-            const dy = c.y - this.player.y;
-            const dist = Math.sqrt(dx * dx + dy * dy);
+            // Update locked/unlocked state
+            card.classList.toggle('locked', !isUnlocked);
+            card.classList.toggle('unlocked', isUnlocked);
 
-            // Check if path to collectible is safe
-            let dangerScore = 0;
-            for (const hole of this.blackHoles) {
-                const holeDist = Math.hypot(c.x - hole.x, c.y - hole.y);
-                if (holeDist < hole.pullRadius) {
-                    dangerScore += (hole.pullRadius - holeDist) * 2;
-                }
+            // Update price display
+            let priceEl = card.querySelector('.ship-price');
+            if (!priceEl) {
+                priceEl = document.createElement('div');
+                priceEl.className = 'ship-price';
+                card.appendChild(priceEl);
             }
 
-            // Check bullets danger
-            for (const bullet of this.bullets) {
-                const bulletDist = Math.hypot(c.x - bullet.x, c.y - bullet.y);
-                if (bulletDist < 80) {
-                    dangerScore += 100;
-                }
+            if (isUnlocked) {
+                priceEl.textContent = t('ship.owned');
+                priceEl.classList.add('owned');
+            } else {
+                const canAfford = this.coins >= shipType.price;
+                priceEl.textContent = `🪙 ${shipType.price}`;
+                priceEl.classList.remove('owned');
+                priceEl.classList.toggle('affordable', canAfford);
             }
 
-            // Score based on distance, type priority, and danger
-            let typeBonus = 0;
-            if (c.type === 'shield') typeBonus = 200;
-            else if (c.type === 'multiplier') typeBonus = 150;
-            else if (c.type === 'energy' && this.energy < 50) typeBonus = 180;
-            else if (c.type === 'points') typeBonus = 100;
+            this.updateShipCardUpgrades(card, shipId, isUnlocked);
+        });
 
-            const score = typeBonus - dist - dangerScore;
+        // Ensure selected ship is valid
+        if (!this.unlockedShips.includes(this.selectedShip)) {
+            this.selectedShip = this.unlockedShips[0] || 'speeder';
+        }
 
-            if (score > bestScore) {
-                bestScore = score;
-                bestCollectible = c;
-            }
+        // Update selected visual
+        shipCards.forEach(card => {
+            card.classList.toggle('selected', card.dataset.ship === this.selectedShip);
+        });
+    }
+
+    // Upgraded HP, a summary of bought tiers and the shop button for owned ships
+    updateShipCardUpgrades(card, shipId, isUnlocked) {
+        const levels = this.shipUpgrades[shipId] || {};
+        const stats = upgradedShipStats(shipId, levels);
+        card.querySelector('.hearts').textContent = '❤️'.repeat(stats.maxHP);
+
+        let summaryEl = card.querySelector('.ship-upgrades');
+        let buttonEl = card.querySelector('.upgrade-btn');
+        if (!summaryEl) {
+            summaryEl = document.createElement('div');
+            summaryEl.className = 'ship-upgrades';
+            card.appendChild(summaryEl);
+
+            buttonEl = document.createElement('button');
+            buttonEl.className = 'upgrade-btn';
+            buttonEl.addEventListener('click', () => this.openUpgrades(shipId));
+            card.appendChild(buttonEl);
         }
 
-        // Check for immediate danger and evade
-        let evadeX = 0, evadeY = 0;
-        let inDanger = false;
+        const bought = Object.keys(SHIP_UPGRADES).filter(id => levels[id] > 0);
+        summaryEl.textContent = bought.map(id => `${t(`upgrades.${id}`)} +${levels[id]}`).join(' · ');
 
-        // Evade black holes
-        for (const hole of this.blackHoles) {
-            const dx = this.player.x - hole.x;
-            const dy = this.player.y - hole.y;
-            const dist = Math.sqrt(dx * dx + dy * dy);
+        const totalTiers = Object.values(SHIP_UPGRADES).reduce((sum, u) => sum + u.tiers, 0);
+        const boughtTiers = bought.reduce((sum, id) => sum + levels[id], 0);
+        buttonEl.textContent = `⬆ ${boughtTiers}/${totalTiers}`;
+        buttonEl.classList.toggle('hidden', !isUnlocked);
+    }
 
-            if (dist < hole.pullRadius * 0.8) {
-                const urgency = 1 - (dist / (hole.pullRadius * 0.8));
-                evadeX += (dx / dist) * urgency * 2;
-                evadeY += (dy / dist) * urgency * 2;
-                inDanger = true;
-            }
-        }
+    openUpgrades(shipId) {
+        this.upgradeShip = shipId;
+        this.startScreen.classList.add('hidden');
+        this.upgradeScreen.classList.remove('hidden');
+        this.renderUpgradeShop();
+    }
 
-        // Evade bullets
-        for (const bullet of this.bullets) {
-            const dx = this.player.x - bullet.x;
-            const dy = this.player.y - bullet.y;
-            const dist = Math.sqrt(dx * dx + dy * dy);
+    closeUpgrades() {
+        this.upgradeShip = null;
+        this.upgradeScreen.classList.add('hidden');
+        this.showMenu();
+    }
 
-            if (dist < 100) {
-                const urgency = 1 - (dist / 100);
-                evadeX += (dx / dist) * urgency * 3;
-                evadeY += (dy / dist) * urgency * 3;
-                inDanger = true;
-            }
+    renderUpgradeShop() {
+        const shipId = this.upgradeShip;
+        const levels = this.shipUpgrades[shipId] || {};
+        const stats = upgradedShipStats(shipId, levels);
+
+        document.getElementById('upgrade-ship-name').textContent = t(`ships.${shipId}`);
+        document.getElementById('upgrade-coins').textContent = this.coins;
+
+        const list = document.getElementById('upgrade-list');
+        list.innerHTML = '';
+
+        for (const [id, upgrade] of Object.entries(SHIP_UPGRADES)) {
+            const tier = levels[id] || 0;
+            const maxed = tier >= upgrade.tiers;
+            const price = maxed ? 0 : upgradePrice(id, tier);
+            const current = this.formatUpgradeValue(id, stats[id]);
+            const next = maxed ? '' : ` → ${this.formatUpgradeValue(id, stats[id] + upgrade.step)}`;
+
+            const row = document.createElement('div');
+            row.className = 'upgrade-row';
+            row.innerHTML = `
+                <div class="upgrade-info">
+                    <span class="upgrade-name">${t(`upgrades.${id}`)}</span>
+                    <span class="upgrade-value">${current}${next}</span>
+                </div>
+                <span class="upgrade-tiers">${'●'.repeat(tier)}${'○'.repeat(upgrade.tiers - tier)}</span>
+                <button class="upgrade-buy" data-upgrade="${id}">${maxed ? t('upgrades.max') : `🪙 ${price}`}</button>
+            `;
+
+            const buyBtn = row.querySelector('.upgrade-buy');
+            buyBtn.disabled = maxed || this.coins < price;
+            buyBtn.addEventListener('click', () => this.buyUpgrade(shipId, id));
+            list.appendChild(row);
         }
+    }
 
-        // Set bot target position
-        if (inDanger) {
-            // Evade danger
-            const evadeDist = Math.sqrt(evadeX * evadeX + evadeY * evadeY);
-            if (evadeDist > 0) {
-                this.mouseX = this.player.x + (evadeX / evadeDist) * 200;
-                this.mouseY = this.player.y + (evadeY / evadeDist) * 200;
-            }
-            // Boost when in danger
-            this.mouseDown = this.energy > 20;
-        } else if (bestCollectible) {
-            // Move towards best collectible
-            this.mouseX = bestCollectible.x;
-            this.mouseY = bestCollectible.y;
-
-            // Boost if far from target
-            const distToTarget = Math.hypot(
-                bestCollectible.x - this.player.x,
-                bestCollectible.y - this.player.y
-            );
-            this.mouseDown = distToTarget > 200 && this.energy > 30;
-        } else {
-            // Patrol center of screen
-            this.mouseX = this.canvas.width / 2 + Math.sin(Date.now() * 0.001) * 200;
-            this.mouseY = this.canvas.height / 2 + Math.cos(Date.now() * 0.001) * 150;
-            this.mouseDown = false;
+    formatUpgradeValue(id, value) {
+        switch (id) {
+            case 'friction': return `${Math.round((1 - value) * 100)}%`; // Speed shed per tick
+            case 'energyRegen': return t('upgrades.perSecond', { value: (value * 60).toFixed(1) });
+            case 'boostMultiplier': return `x${value.toFixed(1)}`;
+            case 'thrust': return value.toFixed(2);
+            case 'maxSpeed': return value.toFixed(1);
+            default: return String(value);
         }
-
-        // Keep target in bounds
-        this.mouseX = Math.max(50, Math.min(this.canvas.width - 50, this.mouseX));
-        this.mouseY = Math.max(50, Math.min(this.canvas.height - 50, this.mouseY));
     }
 
-    startGame() {
-        this.isRunning = true;
-        this.isPaused = false;
-        this.score = 0;
-        this.level = 1;
-        this.multiplier = 1;
-        this.energy = 100;
+    buyUpgrade(shipId, upgradeId) {
+        const levels = this.shipUpgrades[shipId] || {};
+        const tier = levels[upgradeId] || 0;
+        if (tier >= SHIP_UPGRADES[upgradeId].tiers) return false;
 
-        this.collectibles = [];
-        this.blackHoles = [];
-        this.trailParticles = [];
-        this.particles = [];
-        this.bullets = [];
+        const price = upgradePrice(upgradeId, tier);
+        if (this.coins < price) return false;
 
-        this.spawnTimer = 0;
-        this.difficultyTimer = 0;
-        this.sessionCoins = 0; // Reset session coins
+        this.coins -= price;
+        levels[upgradeId] = tier + 1;
+        this.shipUpgrades[shipId] = levels;
+        this.saveProgress();
 
-        this.createPlayer();
+        if (this.upgradeShip === shipId) this.renderUpgradeShop();
+        return true;
+    }
 
-        this.startScreen.classList.add('hidden');
-        this.gameOverScreen.classList.add('hidden');
-        this.pauseScreen.classList.add('hidden');
-        this.hud.classList.remove('hidden');
+    updateCoinsDisplay() {
+        const coinsDisplay = document.getElementById('coins-display');
+        if (coinsDisplay) {
+            coinsDisplay.textContent = this.coins;
+        }
+    }
 
+    saveProgress() {
+        this.saveStore.write(this.toSave());
+    }
+
+    toSave() {
+        return {
+            version: SAVE_VERSION,
+            highScores: this.highScores,
+            coins: this.coins,
+            unlockedShips: this.unlockedShips,
+            shipUpgrades: this.shipUpgrades, // shipId -> { upgradeId: tier }
+            stats: this.stats,
+            shipBests: this.shipBests,
+            runs: this.runs,
+            achievements: this.achievements.state,
+            shipColor: this.shipColor,
+            leaderboard: this.leaderboard,
+            playerName: this.playerName,
+            syncServer: this.syncServer,
+            daily: this.daily,
+            campaign: this.campaign
+        };
+    }
+
+    applySave(save) {
+        this.highScores = save.highScores;
+        this.daily = save.daily;
+        this.campaign = save.campaign;
+        this.coins = save.coins;
+        this.unlockedShips = save.unlockedShips;
+        this.shipUpgrades = save.shipUpgrades;
+        this.stats = save.stats;
+        this.shipBests = save.shipBests;
+        this.runs = save.runs;
+        this.achievements = new AchievementTracker(save.achievements, (id, a) => this.onAchievement(id, a));
+        this.shipColor = save.shipColor;
+        this.leaderboard = save.leaderboard;
+        this.playerName = save.playerName;
+        this.syncServer = save.syncServer;
+        this.connectSync();
+    }
+
+    saveSettings() {
+        this.settingsStore.write(this.toSettings());
+    }
+
+    toSettings() {
+        return {
+            version: SETTINGS_VERSION,
+            graphics: this.graphics,
+            screenShake: this.screenShake,
+            botIndicator: this.botIndicator,
+            language: this.language,
+            controlScheme: this.controlScheme,
+            touchScheme: this.touchScheme,
+            keyBindings: this.keyBindings.bindings,
+            audio: this.audio.settings
+        };
+    }
+
+    applySettings(settings) {
+        this.graphics = settings.graphics;
+        this.screenShake = settings.screenShake;
+        this.botIndicator = settings.botIndicator;
+        this.language = settings.language;
+        this.controlScheme = settings.controlScheme;
+        this.touchScheme = settings.touchScheme;
+        this.keyBindings = new KeyBindings(settings.keyBindings);
+        this.audio.settings = settings.audio;
+        this.audio.applyVolumes();
+    }
+
+    // Online leaderboard client, or null when no server is set
+    connectSync() {
+        this.sync = this.syncServer ? new LeaderboardClient(this.syncServer) : null;
+        if (this.sync) {
+            this.sync.onRejected = (body, reason) => {
+                this.showToast('⚠', t('online.rejected'), reason);
+            };
+        }
+    }
+
+    setSyncServer(value) {
+        const server = value.trim();
+        if (server && !/^https?:\/\//i.test(server)) {
+            document.getElementById('online-status').textContent = t('online.badAddress');
+            return;
+        }
+
+        this.syncServer = server;
+        this.connectSync();
+        this.saveProgress();
+        this.flushScores();
+        this.renderOnlineScores();
+    }
+
+    flushScores() {
+        if (!this.sync) return;
+        this.sync.flush().catch(err => {
+            console.warn('Leaderboard server unreachable, scores stay queued:', err.message);
+        });
+    }
+
+    // Send the last run to the online leaderboard, under the name it was given
+    submitScore() {
+        const run = this.unsentScore;
+        this.unsentScore = null;
+        if (!run || !this.sync) return;
+
+        this.sync.submit({ name: this.playerName || t('leaderboard.pilot'), mode: run.mode, replay: run.replay })
+            .catch(err => {
+                console.warn('Score not sent yet, kept in queue:', err.message);
+            });
+    }
+
+    setupLeaderboardFilters() {
+        const shipsEl = document.getElementById('leaderboard-ships');
+        const options = [['', 'leaderboard.allShips'], ...Object.keys(this.shipTypes).map(id => [id, `ships.${id}`])];
+        for (const [shipId, label] of options) {
+            const btn = document.createElement('button');
+            btn.className = 'filter-btn';
+            btn.dataset.filterShip = shipId;
+            btn.dataset.i18n = label;
+            btn.addEventListener('click', () => {
+                this.leaderboardFilter.ship = shipId || null;
+                this.renderLeaderboard();
+            });
+            shipsEl.appendChild(btn);
+        }
+
+        const modeEl = document.getElementById('leaderboard-mode');
+        const modes = [['', 'leaderboard.allModes'], ...Object.entries(LEADERBOARD_MODES)];
+        for (const [id, label] of modes) {
+            const option = document.createElement('option');
+            option.value = id;
+            option.dataset.i18n = label;
+            modeEl.appendChild(option);
+        }
+        modeEl.addEventListener('change', () => {
+            this.leaderboardFilter.mode = modeEl.value || null;
+            this.renderLeaderboard();
+        });
+
+        const botEl = document.getElementById('leaderboard-bot');
+        botEl.addEventListener('change', () => {
+            this.leaderboardFilter.bot = botEl.checked;
+            this.renderLeaderboard();
+        });
+    }
+
+    openLeaderboard() {
+        this.startScreen.classList.add('hidden');
+        this.leaderboardScreen.classList.remove('hidden');
+        this.renderLeaderboard();
+    }
+
+    closeLeaderboard() {
+        this.leaderboardScreen.classList.add('hidden');
+        this.showMenu();
+    }
+
+    renderLeaderboard() {
+        const filter = this.leaderboardFilter;
+        document.querySelectorAll('#leaderboard-ships .filter-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.filterShip === (filter.ship || ''));
+        });
+
+        const entries = leaderboardView(this.leaderboard, filter);
+        document.getElementById('leaderboard-empty').classList.toggle('hidden', entries.length > 0);
+
+        const rowsEl = document.getElementById('leaderboard-rows');
+        rowsEl.innerHTML = '';
+        entries.forEach((entry, i) => {
+            const row = this.leaderboardRow([...this.leaderboardCells(entry, i + 1), entry.bot ? '🤖' : '']);
+            row.classList.toggle('bot', entry.bot);
+            rowsEl.appendChild(row);
+        });
+
+        this.renderOnlineScores();
+    }
+
+    leaderboardCells(entry, rank) {
+        // Online entries may name ships and modes this version does not know
+        return [
+            rank,
+            entry.name || t(entry.bot ? 'leaderboard.bot' : 'leaderboard.pilot'),
+            entry.score,
+            entry.level,
+            this.shipTypes[entry.ship] ? t(`ships.${entry.ship}`) : entry.ship,
+            LEADERBOARD_MODES[entry.mode] ? t(LEADERBOARD_MODES[entry.mode]) : entry.mode,
+            new Date(entry.date).toLocaleDateString(currentLanguage)
+        ];
+    }
+
+    // Names are typed by players, so cells are filled as text
+    leaderboardRow(cells) {
+        const row = document.createElement('tr');
+        for (const value of cells) {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            row.appendChild(cell);
+        }
+        return row;
+    }
+
+    // World records from the online leaderboard, for the same filter as the local table
+    renderOnlineScores() {
+        const statusEl = document.getElementById('online-status');
+        const tableEl = document.getElementById('online-table');
+        document.getElementById('sync-server-input').value = this.syncServer;
+
+        if (!this.sync) {
+            statusEl.textContent = t('online.noServer');
+            tableEl.classList.add('hidden');
+            return Promise.resolve();
+        }
+
+        const sync = this.sync;
+        const { ship, mode } = this.leaderboardFilter;
+        statusEl.textContent = t('online.loading');
+        return Promise.all([sync.fetchTop({ ship, mode }), sync.pendingCount()])
+            .then(([scores, pending]) => {
+                if (sync !== this.sync) return; // Server changed while loading
+
+                const rowsEl = document.getElementById('online-rows');
+                rowsEl.innerHTML = '';
+                for (const score of scores) {
+                    rowsEl.appendChild(this.leaderboardRow(this.leaderboardCells(score, score.rank)));
+                }
+                tableEl.classList.toggle('hidden', scores.length === 0);
+
+                const messages = [];
+                if (scores.length === 0) messages.push(t('online.empty'));
+                if (pending) messages.push(t('online.pending', { count: pending }));
+                statusEl.textContent = messages.join('. ');
+            })
+            .catch(err => {
+                console.warn('Online leaderboard unavailable:', err.message);
+                if (sync !== this.sync) return;
+                statusEl.textContent = t('online.unavailable');
+                tableEl.classList.add('hidden');
+            });
+    }
+
+    // Put a finished run on the leaderboard if it made the top of its board
+    addToLeaderboard(entry) {
+        if (!qualifiesForLeaderboard(this.leaderboard, entry)) return null;
+        this.leaderboard = trimLeaderboard([...this.leaderboard, entry]);
+        return entry;
+    }
+
+    // Name the entry from the last run; the name is remembered for next time
+    savePlayerName() {
+        if (!this.pendingEntry) return;
+
+        this.playerName = normalizePlayerName(this.nameInput.value);
+        this.pendingEntry.name = this.playerName;
+        this.pendingEntry = null;
+        this.nameEntryEl.classList.add('hidden');
+        this.saveProgress();
+        this.submitScore();
+    }
+
+    onAchievement(id, achievement) {
+        this.showToast(achievement.icon, t('achievements.unlocked'), t(`achievements.${id}.name`));
+        if (achievement.coins) {
+            this.addCoins(achievement.coins);
+            this.updateCoinsDisplay();
+        }
+        this.saveProgress();
+    }
+
+    showToast(icon, title, text) {
+        const toast = document.createElement('div');
+        toast.className = 'toast';
+        toast.innerHTML = `
+            <span class="toast-icon"></span>
+            <div>
+                <div class="toast-title"></div>
+                <div class="toast-text"></div>
+            </div>
+        `;
+        // Text can come from outside the game (controller names, server replies)
+        toast.querySelector('.toast-icon').textContent = icon;
+        toast.querySelector('.toast-title').textContent = title;
+        toast.querySelector('.toast-text').textContent = text;
+        this.toastsEl.appendChild(toast);
+        setTimeout(() => toast.remove(), 4000);
+    }
+
+    openAchievements() {
+        this.startScreen.classList.add('hidden');
+        this.achievementsScreen.classList.remove('hidden');
+        this.renderAchievements();
+    }
+
+    closeAchievements() {
+        this.achievementsScreen.classList.add('hidden');
+        this.showMenu();
+    }
+
+    renderAchievements() {
+        const ids = Object.keys(ACHIEVEMENTS);
+        const unlockedCount = ids.filter(id => this.achievements.isUnlocked(id)).length;
+        document.getElementById('achievements-count').textContent = t('achievements.count', { count: unlockedCount, total: ids.length });
+
+        const list = document.getElementById('achievement-list');
+        list.innerHTML = '';
+        for (const [id, achievement] of Object.entries(ACHIEVEMENTS)) {
+            const unlocked = this.achievements.isUnlocked(id);
+            const progress = this.achievements.progress(id);
+            const reward = achievement.coins
+                ? `🪙 ${achievement.coins}`
+                : `🎨 ${t(`colors.${achievement.color}`)}`;
+            const bar = achievement.goal > 1 && !unlocked ? `
+                <div class="achievement-progress">
+                    <div class="achievement-progress-fill" style="width: ${(progress / achievement.goal) * 100}%"></div>
+                </div>
+                <span class="achievement-count">${progress} / ${achievement.goal}</span>
+            ` : '';
+
+            const card = document.createElement('div');
+            card.className = `achievement-card${unlocked ? ' unlocked' : ''}`;
+            card.dataset.achievement = id;
+            card.innerHTML = `
+                <span class="achievement-icon">${unlocked ? achievement.icon : '🔒'}</span>
+                <div class="achievement-info">
+                    <span class="achievement-name">${t(`achievements.${id}.name`)}</span>
+                    <span class="achievement-description">${t(`achievements.${id}.description`)}</span>
+                    ${bar}
+                </div>
+                <span class="achievement-reward">${reward}</span>
+            `;
+            list.appendChild(card);
+        }
+
+        this.renderShipColors();
+    }
+
+    renderShipColors() {
+        const colorsEl = document.getElementById('ship-colors');
+        colorsEl.innerHTML = '';
+
+        const options = [[null, { color: this.shipTypes[this.selectedShip].color }],
+            ...Object.entries(SHIP_COLORS)];
+        for (const [colorId, paint] of options) {
+            const unlocked = colorId === null || this.achievements.isColorUnlocked(colorId);
+
+            const swatch = document.createElement('button');
+            swatch.className = `color-swatch${colorId === this.shipColor ? ' selected' : ''}`;
+            swatch.dataset.color = colorId || 'default';
+            swatch.style.background = paint.color;
+            const name = colorId === null ? t('achievements.defaultColor') : t(`colors.${colorId}`);
+            swatch.title = unlocked ? name : t('achievements.lockedColor', { name });
+            swatch.textContent = unlocked ? '' : '🔒';
+            swatch.disabled = !unlocked;
+            swatch.addEventListener('click', () => this.selectShipColor(colorId));
+            colorsEl.appendChild(swatch);
+        }
+    }
+
+    selectShipColor(colorId) {
+        if (colorId !== null && !this.achievements.isColorUnlocked(colorId)) return;
+        this.shipColor = colorId;
+        this.saveProgress();
+        this.renderShipColors();
+    }
+
+    openStats() {
+        this.startScreen.classList.add('hidden');
+        this.statsScreen.classList.remove('hidden');
+        this.renderStats();
+    }
+
+    closeStats() {
+        this.statsScreen.classList.add('hidden');
+        this.showMenu();
+    }
+
+    // Clicking the sorted column again flips its direction
+    sortRunHistory(key) {
+        if (this.runSort.key === key) {
+            this.runSort.descending = !this.runSort.descending;
+        } else {
+            this.runSort = { key, descending: true };
+        }
+        this.renderRunHistory();
+    }
+
+    renderStats() {
+        const stats = this.stats;
+        const tally = (counts, group) => Object.entries(counts)
+            .sort((a, b) => b[1] - a[1])
+            .map(([key, count]) => `${hasMessage(`${group}.${key}`) ? t(`${group}.${key}`) : key}: ${count}`)
+            .join(', ') || '—';
+
+        const totals = [
+            [t('stats.runs'), stats.runs],
+            [t('stats.playTime'), this.formatTicks(stats.playTicks)],
+            [t('stats.totalScore'), stats.totalScore],
+            [t('stats.coinsEarned'), stats.coinsEarned],
+            [t('stats.bossesDefeated'), stats.bossesDefeated],
+            [t('stats.damageTaken'), stats.damageTaken],
+            [t('stats.collected'), tally(stats.collectibles, 'collectibles')],
+            // Saves from before SURVIVED_CAUSES may still count runs that ended otherwise
+            [t('stats.deaths'), tally(Object.fromEntries(Object.entries(stats.deaths).filter(([cause]) => isDeathCause(cause))), 'deaths')]
+        ];
+        document.getElementById('stats-totals').innerHTML = totals.map(([label, value]) => `
+            <div class="stats-total">
+                <span class="stats-label">${label}</span>
+                <span class="stats-value">${value}</span>
+            </div>
+        `).join('');
+
+        const shipsEl = document.getElementById('stats-ships');
+        shipsEl.innerHTML = '';
+        for (const shipId of Object.keys(this.shipTypes)) {
+            const best = this.shipBests[shipId];
+            if (!best) continue;
+
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td>${t(`ships.${shipId}`)}</td>
+                <td>${best.runs}</td>
+                <td>${best.score}</td>
+                <td>${best.level}</td>
+                <td>${this.formatTicks(best.ticks)}</td>
+            `;
+            shipsEl.appendChild(row);
+        }
+
+        this.renderRunHistory();
+    }
+
+    renderRunHistory() {
+        const { key, descending } = this.runSort;
+        document.querySelectorAll('#stats-screen [data-sort]').forEach(th => {
+            th.classList.toggle('asc', th.dataset.sort === key && !descending);
+            th.classList.toggle('desc', th.dataset.sort === key && descending);
+        });
+        document.getElementById('stats-empty').classList.toggle('hidden', this.runs.length > 0);
+
+        const runsEl = document.getElementById('stats-runs');
+        runsEl.innerHTML = '';
+        for (const run of sortRuns(this.runs, key, descending)) {
+            const date = new Date(run.date).toLocaleString(currentLanguage, {
+                day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit'
+            });
+
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td>${date}</td>
+                <td>${t(`ships.${run.ship}`)}${run.bot ? ' 🤖' : ''}</td>
+                <td>${run.score}</td>
+                <td>${run.level}</td>
+                <td>${run.coins}</td>
+                <td>${this.formatTicks(run.ticks)}</td>
+                <td>${run.damageTaken}</td>
+                <td>${run.cause && hasMessage(`deaths.${run.cause}`) ? t(`deaths.${run.cause}`) : '—'}</td>
+            `;
+            runsEl.appendChild(row);
+        }
+    }
+
+    setupSettings() {
+        const graphicsEl = document.getElementById('graphics-options');
+        for (const quality of Object.keys(GRAPHICS_QUALITY)) {
+            const btn = document.createElement('button');
+            btn.className = 'filter-btn';
+            btn.dataset.graphics = quality;
+            btn.dataset.i18n = `graphics.${quality}`;
+            btn.addEventListener('click', () => this.setGraphics(quality));
+            graphicsEl.appendChild(btn);
+        }
+
+        // Languages are listed under their own names, whatever the current one
+        const languageEl = document.getElementById('setting-language');
+        const auto = document.createElement('option');
+        auto.value = 'auto';
+        auto.dataset.i18n = 'settings.languageAuto';
+        languageEl.appendChild(auto);
+        for (const [language, name] of Object.entries(LANGUAGES)) {
+            const option = document.createElement('option');
+            option.value = language;
+            option.textContent = name;
+            languageEl.appendChild(option);
+        }
+
+        const schemesEl = document.getElementById('control-schemes');
+        for (const [scheme, label] of Object.entries(CONTROL_SCHEMES)) {
+            const btn = document.createElement('button');
+            btn.className = 'filter-btn';
+            btn.dataset.scheme = scheme;
+            btn.dataset.i18n = label;
+            btn.addEventListener('click', () => this.setControlScheme(scheme));
+            schemesEl.appendChild(btn);
+        }
+
+        const touchEl = document.getElementById('touch-schemes');
+        for (const [scheme, label] of Object.entries(TOUCH_SCHEMES)) {
+            const btn = document.createElement('button');
+            btn.className = 'filter-btn';
+            btn.dataset.touchScheme = scheme;
+            btn.dataset.i18n = label;
+            btn.addEventListener('click', () => this.setTouchScheme(scheme));
+            touchEl.appendChild(btn);
+        }
+    }
+
+    // The setting's language, or the browser's for 'auto'. Marked-up text is
+    // translated in place; text filled in from code is rendered again.
+    applyLanguage() {
+        setLanguage(this.language === 'auto' ? detectLanguage() : this.language);
+        document.documentElement.lang = currentLanguage;
+        document.title = t('meta.title');
+        document.querySelector('meta[name="description"]').setAttribute('content', t('meta.description'));
+        document.getElementById('manifest-link').setAttribute('href',
+            currentLanguage === DEFAULT_LANGUAGE ? 'manifest.json' : `manifest.${currentLanguage}.json`);
+        translatePage();
+
+        this.renderInstructions();
+        this.updateShipCardsUI();
+        this.renderModes();
+        this.renderDaily();
+        if (!this.campaignScreen.classList.contains('hidden')) this.renderCampaign();
+        if (!this.editorScreen.classList.contains('hidden')) this.renderEditor();
+        this.updateBotButton();
+        this.renderSettings();
+        if (!this.controlsScreen.classList.contains('hidden')) this.renderControls();
+    }
+
+    // returnTo: 'menu' from the start screen, 'pause' from a paused run
+    openSettings(returnTo) {
+        this.settingsReturnScreen = returnTo;
+        this.startScreen.classList.add('hidden');
+        this.pauseScreen.classList.add('hidden');
+        this.settingsScreen.classList.remove('hidden');
+        this.renderSettings();
+    }
+
+    closeSettings() {
+        this.rebinding = null;
+        this.settingsScreen.classList.add('hidden');
+        this.controlsScreen.classList.add('hidden');
+
+        if (this.settingsReturnScreen === 'pause') {
+            this.pauseScreen.classList.remove('hidden');
+        } else {
+            this.showMenu();
+        }
+        this.settingsReturnScreen = null;
+    }
+
+    renderSettings() {
+        document.querySelectorAll('#graphics-options .filter-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.graphics === this.graphics);
+        });
+        document.getElementById('setting-shake').checked = this.screenShake;
+        document.getElementById('setting-bot-indicator').checked = this.botIndicator;
+        document.getElementById('setting-language').value = this.language;
+
+        document.querySelectorAll('#control-schemes .filter-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.scheme === this.controlScheme);
+        });
+        document.getElementById('control-scheme-hint').textContent = this.controlScheme === 'keyboard'
+            ? t('schemes.keyboardHint')
+            : t('schemes.mouseHint');
+
+        document.querySelectorAll('#touch-schemes .filter-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.touchScheme === this.touchScheme);
+        });
+        document.getElementById('touch-scheme-hint').textContent = this.touchScheme === 'joystick'
+            ? t('touchSchemes.joystickHint')
+            : t('touchSchemes.followHint');
+
+        document.querySelectorAll('.volume-slider').forEach(slider => {
+            slider.value = Math.round(this.audio.settings[slider.dataset.bus] * 100);
+        });
+        document.getElementById('audio-mute').checked = this.audio.settings.muted;
+    }
+
+    // Takes effect at once: the star field is redrawn and surplus particles dropped
+    setGraphics(quality) {
+        this.graphics = quality;
+        this.saveSettings();
+        this.createStars();
+        this.particles.splice(GRAPHICS_QUALITY[quality].maxParticles);
+        if (!GRAPHICS_QUALITY[quality].trail) this.trailParticles = [];
+        this.renderSettings();
+    }
+
+    setControlScheme(scheme) {
+        this.controlScheme = scheme;
+        this.saveSettings();
+        this.renderSettings();
+        this.renderInstructions();
+    }
+
+    setTouchScheme(scheme) {
+        this.touchScheme = scheme;
+        this.saveSettings();
+        this.renderSettings();
+        if (this.isRunning) {
+            document.getElementById('touch-controls').classList.toggle('hidden', scheme !== 'joystick');
+        }
+    }
+
+    // Key bindings, a page of their own off the settings screen
+    openControls() {
+        this.settingsScreen.classList.add('hidden');
+        this.controlsScreen.classList.remove('hidden');
+        this.renderControls();
+    }
+
+    closeControls() {
+        this.rebinding = null;
+        this.controlsScreen.classList.add('hidden');
+        this.settingsScreen.classList.remove('hidden');
+        this.renderInstructions();
+    }
+
+    renderControls() {
+        const rowsEl = document.getElementById('binding-rows');
+        rowsEl.innerHTML = '';
+        for (const action of Object.keys(CONTROL_ACTIONS)) {
+            const row = document.createElement('tr');
+            const nameCell = document.createElement('td');
+            nameCell.textContent = t(`actions.${action}`);
+            row.appendChild(nameCell);
+
+            this.keyBindings.keysFor(action).forEach((code, slot) => {
+                const waiting = this.rebinding && this.rebinding.action === action && this.rebinding.slot === slot;
+                const btn = document.createElement('button');
+                btn.className = 'key-btn';
+                btn.classList.toggle('waiting', !!waiting);
+                btn.dataset.action = action;
+                btn.dataset.slot = slot;
+                btn.textContent = waiting ? t('controls.pressKey') : keyLabel(code);
+                btn.addEventListener('click', () => this.startRebind(action, slot));
+
+                const cell = document.createElement('td');
+                cell.appendChild(btn);
+                row.appendChild(cell);
+            });
+            rowsEl.appendChild(row);
+        }
+    }
+
+    // The next key pressed is bound to the slot: Escape cancels, Backspace clears it
+    startRebind(action, slot) {
+        this.rebinding = { action, slot };
+        this.renderControls();
+    }
+
+    finishRebind(code) {
+        const { action, slot } = this.rebinding;
+        this.rebinding = null;
+
+        if (code === 'Backspace' || code === 'Delete') {
+            this.keyBindings.keysFor(action)[slot] = null;
+        } else if (code !== 'Escape') {
+            this.keyBindings.bind(action, slot, code);
+        }
+        this.saveSettings();
+        this.renderControls();
+    }
+
+    resetBindings() {
+        this.rebinding = null;
+        this.keyBindings.reset();
+        this.saveSettings();
+        this.renderControls();
+    }
+
+    // Start screen help, in the chosen scheme with the current keys
+    renderInstructions() {
+        const keys = action => this.keyBindings.keysFor(action).filter(Boolean).map(keyLabel);
+        const keyboard = this.controlScheme === 'keyboard';
+
+        document.getElementById('steer-keys').textContent = keyboard
+            ? ['up', 'left', 'down', 'right'].map(action => keys(action)[0] || '—').join(' ')
+            : t('start.steerMouse');
+        document.getElementById('steer-desc').textContent = keyboard
+            ? t('start.steerKeysDesc')
+            : t('start.steerMouseDesc');
+        document.getElementById('boost-keys').textContent = [...(keyboard ? [] : [t('start.leftClick')]), ...keys('boost')].join(' / ');
+        document.getElementById('fire-keys').textContent = [...(keyboard ? [] : [t('start.rightClick')]), ...keys('fire')].join(' / ');
+    }
+
+    setMuted(muted) {
+        this.audio.setMuted(muted);
+        this.saveSettings();
+        this.updateMuteButton();
+    }
+
+    toggleMute() {
+        this.setMuted(!this.audio.settings.muted);
+        document.getElementById('audio-mute').checked = this.audio.settings.muted;
+    }
+
+    updateMuteButton() {
+        document.getElementById('mute-btn').textContent = this.audio.settings.muted ? '🔇' : '🔊';
+    }
+
+    openSaveScreen() {
+        this.setSaveStatus('');
+        document.getElementById('save-code').value = '';
+        this.startScreen.classList.add('hidden');
+        this.saveScreen.classList.remove('hidden');
+    }
+
+    closeSaveScreen() {
+        this.saveScreen.classList.add('hidden');
+        this.showMenu();
+    }
+
+    setSaveStatus(text, isError = false) {
+        const statusEl = document.getElementById('save-status');
+        statusEl.textContent = text;
+        statusEl.classList.toggle('error', isError);
+    }
+
+    exportSave() {
+        this.downloadJSON('cosmic-drift-save.json', this.toSave(), 2);
+    }
+
+    // Saves data as a JSON file through the browser's downloads, indented by
+    // `space` for files people read and edit
+    downloadJSON(filename, data, space = 0) {
+        const blob = new Blob([JSON.stringify(data, null, space)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    showSaveCode() {
+        const codeEl = document.getElementById('save-code');
+        codeEl.value = SaveStore.encode(this.toSave());
+        codeEl.select();
+        this.setSaveStatus(t('save.copyHint'));
+    }
+
+    // Replace all progress with a save file's contents or a save code
+    importSave(text) {
+        let save;
+        try {
+            save = SaveStore.decode(text);
+        } catch (err) {
+            console.error('Save import failed:', err);
+            this.setSaveStatus(t('save.readFailed'), true);
+            return false;
+        }
+
+        if (!confirm(t('save.confirmReplace'))) return false;
+
+        this.applySave(save);
+        this.saveProgress();
+        this.updateShipCardsUI();
+        this.updateCoinsDisplay();
+        this.highScoreEl.textContent = this.highScore;
+        this.renderDaily();
+        this.setSaveStatus(t('save.loaded'));
+        return true;
+    }
+
+    addCoins(amount) {
+        this.coins += amount;
+        this.saveProgress();
+
+        // Update HUD coin display
+        const coinsHud = document.getElementById('coins-hud');
+        if (coinsHud) {
+            coinsHud.textContent = `🪙 ${this.coins}`;
+        }
+    }
+
+    resize() {
+        this.canvas.width = window.innerWidth;
+        this.canvas.height = window.innerHeight;
+        this.updateView();
+    }
+
+    // Fit the simulation's arena into the canvas, centred, keeping its aspect ratio
+    updateView() {
+        if (!this.sim) return;
+
+        const { arenaWidth, arenaHeight } = this.sim;
+        this.viewScale = Math.min(this.canvas.width / arenaWidth, this.canvas.height / arenaHeight);
+        this.viewOffsetX = (this.canvas.width - arenaWidth * this.viewScale) / 2;
+        this.viewOffsetY = (this.canvas.height - arenaHeight * this.viewScale) / 2;
+    }
+
+    // Convert a screen position into arena coordinates
+    setPointer(clientX, clientY) {
+        this.inputSource = 'pointer';
+        const rect = this.canvas.getBoundingClientRect();
+        this.mouseX = (clientX - rect.left - this.viewOffsetX) / this.viewScale;
+        this.mouseY = (clientY - rect.top - this.viewOffsetY) / this.viewScale;
+    }
+
+    // Snapshot of the controls for one tick - rounded so a replay reproduces it exactly
+    readInput() {
+        let input;
+        if (this.botEnabled) {
+            input = this.bot.getInput(this.sim);
+        } else if (this.inputSource === 'gamepad') {
+            // The stick is a thrust vector, not a point to fly to
+            const pad = this.gamepad;
+            input = {
+                x: pad.stick.x * STICK_RANGE,
+                y: pad.stick.y * STICK_RANGE,
+                boost: pad.isDown('boost') || this.keyBindings.isDown('boost', this.keys),
+                fire: pad.isDown('fire') || this.keyBindings.isDown('fire', this.keys),
+                direct: true
+            };
+        } else if (this.inputSource === 'joystick') {
+            const stick = this.joystickVector();
+            input = {
+                x: stick.x * STICK_RANGE,
+                y: stick.y * STICK_RANGE,
+                boost: this.touchBoost || this.keyBindings.isDown('boost', this.keys),
+                fire: this.touchFire || this.keyBindings.isDown('fire', this.keys),
+                direct: true
+            };
+        } else if (this.controlScheme === 'keyboard') {
+            // Full thrust on every heading, diagonals included
+            const { x, y } = this.keyBindings.direction(this.keys);
+            const length = Math.sqrt(x * x + y * y) || 1;
+            input = {
+                x: x / length * STICK_RANGE,
+                y: y / length * STICK_RANGE,
+                boost: this.keyBindings.isDown('boost', this.keys),
+                fire: this.keyBindings.isDown('fire', this.keys),
+                direct: true
+            };
+        } else {
+            input = {
+                x: this.mouseX,
+                y: this.mouseY,
+                boost: this.mouseDown || this.keyBindings.isDown('boost', this.keys),
+                fire: this.fireDown || this.keyBindings.isDown('fire', this.keys)
+            };
+        }
+
+        return {
+            x: Math.round(input.x),
+            y: Math.round(input.y),
+            boost: !!input.boost,
+            fire: !!input.fire,
+            direct: !!input.direct
+        };
+    }
+
+    onGamepadConnected(gamepad) {
+        this.showToast('🎮', t('gamepad.connected'), gamepad.id);
+        this.startGamepadLoop();
+    }
+
+    startGamepadLoop() {
+        if (this.gamepadFrame !== null) return;
+
+        const poll = () => {
+            this.gamepadFrame = null;
+            this.updateGamepad();
+            if (this.gamepad.connected) {
+                this.gamepadFrame = requestAnimationFrame(poll);
+            }
+        };
+        this.gamepadFrame = requestAnimationFrame(poll);
+    }
+
+    updateGamepad() {
+        const pad = this.gamepad;
+        pad.poll();
+        if (!pad.connected) return;
+
+        if (pad.active) this.inputSource = 'gamepad';
+
+        if (pad.wasPressed('start')) {
+            if (this.replayMode) {
+                this.toggleReplayPause();
+            } else if (this.isRunning) {
+                this.togglePause();
+            }
+        }
+
+        if (!this.replayMode && (!this.isRunning || this.isPaused)) {
+            this.navigateMenu(pad);
+        }
+    }
+
+    // Buttons and ship cards on the open screen, in page order
+    menuControls() {
+        const screen = Array.from(document.querySelectorAll('.screen')).find(s => !s.classList.contains('hidden'));
+        if (!screen) return [];
+        return Array.from(screen.querySelectorAll('button, select, .ship-card'))
+            .filter(el => !el.disabled && !el.closest('.hidden'));
+    }
+
+    // The stick and d-pad move a highlight through the menu, A presses the
+    // highlighted control and B takes the screen's back button
+    navigateMenu(pad) {
+        const controls = this.menuControls();
+        if (controls.length === 0) return;
+
+        if (pad.wasPressed('back')) {
+            const back = controls.find(el => el.id.endsWith('back-btn'));
+            if (back) back.click();
+            return;
+        }
+
+        const index = controls.indexOf(this.menuFocus);
+        const step = pad.wasPressed('down') || pad.wasPressed('right') ? 1
+            : pad.wasPressed('up') || pad.wasPressed('left') ? -1 : 0;
+
+        if (index === -1) {
+            // Nothing highlighted on this screen yet - any press just shows where we are
+            if (step || pad.wasPressed('confirm')) this.setMenuFocus(controls[0]);
+        } else if (step) {
+            this.setMenuFocus(controls[(index + step + controls.length) % controls.length]);
+        } else if (pad.wasPressed('confirm')) {
+            this.menuFocus.click();
+        }
+    }
+
+    setMenuFocus(element) {
+        if (this.menuFocus) this.menuFocus.classList.remove('gamepad-focus');
+        this.menuFocus = element;
+        element.classList.add('gamepad-focus');
+        element.focus();
+        if (element.scrollIntoView) element.scrollIntoView({ block: 'nearest' });
+    }
+
+    handleKeyDown(e) {
+        if (this.rebinding) {
+            e.preventDefault();
+            this.finishRebind(e.code);
+            return;
+        }
+
+        // Let text fields (seed entry) receive keys normally
+        if (e.target && (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA')) return;
+
+        this.keys[e.code] = true;
+        const action = this.keyBindings.actionFor(e.code);
+
+        if (this.replayMode) {
+            if (action === 'pause' || e.code === 'Space') {
+                this.toggleReplayPause();
+            }
+        } else if (action === 'pause' && this.isRunning) {
+            this.togglePause();
+        }
+        if (action === 'mute') this.toggleMute();
+
+        // Flying with the keys takes over from a gamepad
+        if (this.controlScheme === 'keyboard' && ['up', 'down', 'left', 'right'].includes(action)) {
+            this.inputSource = 'keyboard';
+        }
+
+        // Prevent scrolling
+        if (action || ['Space', 'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'].includes(e.code)) {
+            e.preventDefault();
+        }
+    }
+
+    handleKeyUp(e) {
+        this.keys[e.code] = false;
+    }
+
+    handleMouseMove(e) {
+        this.setPointer(e.clientX, e.clientY);
+    }
+
+    handleMouseDown(e) {
+        if (e.button === 0) {
+            this.mouseDown = true;
+        } else if (e.button === 2) {
+            this.fireDown = true;
+        }
+    }
+
+    handleMouseUp(e) {
+        if (e.type === 'mouseleave') {
+            this.mouseDown = false;
+            this.fireDown = false;
+        } else if (e.button === 2) {
+            this.fireDown = false;
+        } else if (e.button === 0) {
+            this.mouseDown = false;
+        }
+    }
+
+    handleTouchMove(e) {
+        e.preventDefault();
+        if (this.touchScheme === 'joystick') {
+            this.moveJoystick(e.changedTouches);
+            return;
+        }
+        const touch = e.touches[0];
+        this.setPointer(touch.clientX, touch.clientY);
+    }
+
+    handleTouchStart(e) {
+        e.preventDefault();
+        if (this.touchScheme === 'joystick') {
+            this.startJoystick(e.changedTouches);
+            return;
+        }
+        this.mouseDown = true;
+        this.fireDown = e.touches.length > 1;
+        this.handleTouchMove(e);
+    }
+
+    handleTouchEnd(e) {
+        if (this.touchScheme === 'joystick') {
+            this.endJoystick(e.changedTouches);
+            return;
+        }
+        this.fireDown = e.touches.length > 1;
+        if (e.touches.length === 0) {
+            this.mouseDown = false;
+        }
+    }
+
+    // The stick appears wherever a finger lands on the left half of the screen
+    startJoystick(touches) {
+        const rect = this.canvas.getBoundingClientRect();
+        for (const touch of Array.from(touches)) {
+            const x = touch.clientX - rect.left;
+            const y = touch.clientY - rect.top;
+            if (this.joystick || x > rect.width / 2) continue;
+
+            this.joystick = { id: touch.identifier, originX: x, originY: y, x, y };
+            this.inputSource = 'joystick';
+        }
+    }
+
+    moveJoystick(touches) {
+        const touch = this.joystick && Array.from(touches).find(t => t.identifier === this.joystick.id);
+        if (!touch) return;
+
+        const rect = this.canvas.getBoundingClientRect();
+        this.joystick.x = touch.clientX - rect.left;
+        this.joystick.y = touch.clientY - rect.top;
+    }
+
+    endJoystick(touches) {
+        if (this.joystick && Array.from(touches).some(t => t.identifier === this.joystick.id)) {
+            this.joystick = null;
+        }
+    }
+
+    // How far the stick is pushed, -1..1 on each axis
+    joystickVector() {
+        if (!this.joystick) return { x: 0, y: 0 };
+
+        const dx = this.joystick.x - this.joystick.originX;
+        const dy = this.joystick.y - this.joystick.originY;
+        const length = Math.sqrt(dx * dx + dy * dy);
+        const scale = 1 / Math.max(length, JOYSTICK_RADIUS);
+        return { x: dx * scale, y: dy * scale };
+    }
+
+    // A button that holds its action for as long as a finger is on it
+    setupTouchButton(id, onChange) {
+        const btn = document.getElementById(id);
+        const set = pressed => (e) => {
+            e.preventDefault();
+            btn.classList.toggle('pressed', pressed);
+            onChange(pressed);
+        };
+        btn.addEventListener('touchstart', set(true));
+        btn.addEventListener('touchend', set(false));
+        btn.addEventListener('touchcancel', set(false));
+    }
+
+    createStars() {
+        this.stars = [];
+        for (let i = 0; i < GRAPHICS_QUALITY[this.graphics].stars; i++) {
+            this.stars.push({
+                x: this.fxRng.next() * this.canvas.width,
+                y: this.fxRng.next() * this.canvas.height,
+                size: this.fxRng.next() * 2 + 0.5,
+                brightness: this.fxRng.next(),
+                twinkleSpeed: this.fxRng.next() * 0.02 + 0.01
+            });
+        }
+    }
+
+    updateHPDisplay() {
+        const heartsContainer = document.getElementById('hp-hearts');
+        if (!heartsContainer) return;
+
+        let heartsHTML = '';
+        for (let i = 0; i < this.sim.maxHP; i++) {
+            if (i < this.sim.hp) {
+                heartsHTML += '<span class="heart full">❤️</span>';
+            } else {
+                heartsHTML += '<span class="heart empty">🖤</span>';
+            }
+        }
+        heartsContainer.innerHTML = heartsHTML;
+    }
+
+    // Wire the HUD, screens and effects up to a simulation's events
+    observe(sim) {
+        sim.on('damage', () => this.onDamage());
+
+        // Hits and level-ups are felt through the controller, in live runs only
+        sim.on('damage', () => {
+            if (!this.replayMode) this.gamepad.rumble(1, 250);
+        });
+        sim.on('levelUp', () => {
+            if (!this.replayMode) this.gamepad.rumble(0.4, 150);
+        });
+        sim.on('collect', ({ item }) => {
+            const style = COLLECTIBLE_STYLES[item.type];
+            this.createExplosion(item.x, item.y, style.burst, style.color);
+        });
+        sim.on('bulletHit', ({ bullet }) => this.createExplosion(bullet.x, bullet.y, 15, '#ff3366'));
+        sim.on('bulletDestroyed', ({ bullet }) => this.createExplosion(bullet.x, bullet.y, 6, '#ff3366'));
+        sim.on('blackHoleHit', ({ hole }) => this.createExplosion(hole.x, hole.y, 3, '#ff00ff'));
+        sim.on('blackHoleCollapsed', ({ hole }) => {
+            this.createExplosion(hole.x, hole.y, 40, '#8b5cf6');
+            this.createExplosion(hole.x, hole.y, 20, '#ffffff');
+            this.addShake(6);
+        });
+        sim.on('enemyHit', ({ enemy }) => this.createExplosion(enemy.x, enemy.y, 3, ENEMY_STYLES[enemy.type].color));
+        sim.on('enemyDestroyed', ({ enemy }) => {
+            const style = ENEMY_STYLES[enemy.type];
+            this.createExplosion(enemy.x, enemy.y, style.burst, style.color);
+        });
+        sim.on('teleport', ({ from, to }) => {
+            this.createExplosion(from.x, from.y, 12, ENEMY_STYLES.wormhole.color);
+            this.createExplosion(to.x, to.y, 12, ENEMY_STYLES.wormhole.color);
+            this.trailParticles = []; // Don't draw a trail across the jump
+        });
+        sim.on('bossStart', ({ boss }) => {
+            this.createExplosion(boss.x, boss.y, 40, '#ff00ff');
+            this.showBanner('banner.boss');
+        });
+        sim.on('bossPhase', ({ boss, phase }) => {
+            this.createExplosion(boss.x, boss.y, 50, '#ff00ff');
+            this.createExplosion(boss.x, boss.y, 30, '#ffffff');
+            this.addShake(8);
+            this.showBanner('banner.bossPhase', { phase: phase + 1 });
+        });
+        sim.on('bossDefeated', ({ boss, reward }) => {
+            this.createExplosion(boss.x, boss.y, 80, '#8b5cf6');
+            this.createExplosion(boss.x, boss.y, 60, '#ffd700');
+            this.addShake(12);
+            this.showBanner('banner.bossDefeated', { reward });
+
+            // Replays re-run the simulation but never pay out again
+            if (!this.replayMode && !this.practice) {
+                this.stats.bossesDefeated++;
+                this.addCoins(reward);
+            }
+        });
+        sim.on('bossEscaped', ({ boss }) => {
+            this.createExplosion(boss.x, boss.y, 30, '#8b5cf6');
+            this.showBanner('banner.bossEscaped');
+        });
+        sim.on('bomb', ({ x, y }) => {
+            this.createExplosion(x, y, 60, '#f97316');
+            this.createExplosion(x, y, 40, '#ffffff');
+            this.addShake(10);
+        });
+        sim.on('levelUp', () => this.createExplosion(sim.player.x, sim.player.y, 20, '#8b5cf6'));
+        sim.on('coins', ({ amount }) => {
+            // Replays re-run the simulation but never pay out again
+            if (!this.replayMode && !this.practice) this.addCoins(amount);
+        });
+        sim.on('wreck', () => {
+            this.updateHPDisplay();
+            this.addShake(15);
+            this.showBanner('banner.wreck');
+        });
+        sim.on('gameOver', () => this.gameOver());
+
+        // Sounds follow the same events; a replay being fast-forwarded stays quiet
+        for (const sound of ['collect', 'shoot', 'bulletFired', 'damage', 'levelUp', 'gameOver']) {
+            sim.on(sound, detail => {
+                if (!this.seeking) this.audio.play(sound, detail);
+            });
+        }
+    }
+
+    onDamage() {
+        this.updateHPDisplay();
+
+        // Trigger damage animation
+        const hp = this.sim.hp;
+        const hearts = document.querySelectorAll('.heart');
+        if (hearts[hp]) {
+            hearts[hp].classList.add('damage');
+            setTimeout(() => hearts[hp]?.classList.remove('damage'), 500);
+        }
+
+        // Create damage effect
+        this.createExplosion(this.sim.player.x, this.sim.player.y, 20, '#ff3366');
+        this.addShake(10);
+    }
+
+    // Stronger shakes take over, weaker ones are lost in them
+    addShake(strength) {
+        this.shake = Math.max(this.shake, strength);
+    }
+
+    // Kept as a message key so a language change shows up on a banner already in view
+    showBanner(key, params = {}) {
+        this.banner = { key, params, life: 1 };
+    }
+
+    toggleBot() {
+        this.botEnabled = !this.botEnabled;
+        this.bot = new Bot();
+
+        // A run that used the bot at any point is flagged in its replay
+        if (this.botEnabled && this.isRunning && !this.replayMode) {
+            this.replay.bot = true;
+        }
+
+        this.updateBotButton();
+    }
+
+    updateBotButton() {
+        if (!this.botBtn) return;
+        this.botBtn.textContent = t(this.botEnabled ? 'hud.botOn' : 'hud.botOff');
+        this.botBtn.classList.toggle('active', this.botEnabled);
+    }
+
+    // The daily challenge brings its own mode, seed and modifiers, a campaign
+    // run its level
+    startGame({ mode = this.selectedMode, seed = null, modifiers = [], campaignLevel = null } = {}) {
+        this.submitScore(); // Name prompt skipped - send the last run as it is
+
+        // Use the seed typed on the start screen, or roll a fresh one - a
+        // campaign level always flies under its own
+        const typedSeed = this.seedInput ? Random.normalizeSeed(this.seedInput.value) : '';
+        if (campaignLevel) seed = Random.normalizeSeed(campaignLevel.id);
+        seed = seed || typedSeed || Random.generateSeed();
+
+        // A modifier may hand out a ship, flown with whatever upgrades it has here
+        const ship = gameModeRules(mode, modifiers).ship || this.selectedShip;
+
+        this.replayMode = false;
+        this.replay = new Replay({
+            seed,
+            ship,
+            mode,
+            modifiers,
+            campaignLevel,
+            upgrades: { ...this.shipUpgrades[ship] },
+            arenaWidth: this.canvas.width,
+            arenaHeight: this.canvas.height,
+            bot: this.botEnabled
+        });
+        this.resetRun(this.replay);
+
+        // Runs the bot played any part of, and practice runs, earn no achievements
+        this.achievements.observe(this.sim, () => !this.replay.bot && !this.practice);
+
+        this.isRunning = true;
+        this.isPaused = false;
+        this.joystick = null;
+        this.touchBoost = false;
+        this.touchFire = false;
+
+        this.startScreen.classList.add('hidden');
+        this.gameOverScreen.classList.add('hidden');
+        this.pauseScreen.classList.add('hidden');
+        this.hud.classList.remove('hidden');
+        document.getElementById('touch-controls').classList.toggle('hidden', this.touchScheme !== 'joystick');
+
+        this.audio.unlock();
+        this.audio.startMusic();
         this.lastTime = performance.now();
 
         // Update HUD coins display
@@ -633,7 +2315,31 @@ class Game {
         this.gameLoop();
     }
 
+    // Start a fresh simulation - shared by live games and replay playback. A
+    // replay carries the whole run setup, so it is passed in directly.
+    resetRun({ seed, ship, mode, modifiers, campaignLevel, upgrades, arenaWidth, arenaHeight }) {
+        this.sim = new Simulation({ seed, ship, mode, modifiers, campaignLevel, upgrades, arenaWidth, arenaHeight });
+        this.observe(this.sim);
+
+        // Cosmetic paint job - the simulation never reads ship colours
+        const paint = SHIP_COLORS[this.shipColor];
+        if (paint) Object.assign(this.sim.player, { color: paint.color, boostColor: paint.boostColor });
+
+        this.fxRng = Random.fromSeed(seed + ':fx');
+        this.particles = [];
+        this.trailParticles = [];
+        this.accumulator = 0;
+
+        this.updateView();
+        this.createStars();
+        this.updateHPDisplay();
+        this.updateHUD();
+    }
+
     showMenu() {
+        this.submitScore();
+        this.audio.stop();
+        this.renderInstructions();
         this.isRunning = false;
         this.isPaused = false;
 
@@ -643,277 +2349,353 @@ class Game {
         this.hud.classList.add('hidden');
 
         this.highScoreEl.textContent = this.highScore;
+        this.updateShipCardsUI();
+        this.updateCoinsDisplay();
+        this.renderDaily();
     }
 
     togglePause() {
         if (!this.isRunning) return;
 
+        // Pausing again from the settings goes back to the pause menu
+        if (this.isPaused && this.settingsReturnScreen === 'pause') {
+            this.closeSettings();
+            return;
+        }
+
         this.isPaused = !this.isPaused;
 
         if (this.isPaused) {
+            this.audio.suspend();
+            const quitBtn = document.getElementById('quit-btn');
+            quitBtn.dataset.i18n = this.sim.rules.finishOnQuit ? 'pause.finish' : 'pause.quit';
+            quitBtn.textContent = t(quitBtn.dataset.i18n);
             this.pauseScreen.classList.remove('hidden');
         } else {
-            this.pauseScreen.classList.add('hidden');
+            this.audio.resume();
+            this.pauseScreen.classList.add('hidden');
+            this.lastTime = performance.now();
+            this.gameLoop();
+        }
+    }
+
+    // Leaving from the pause menu abandons the run, unless the mode counts it
+    // as finished (Zen has no other way to end)
+    quitRun() {
+        if (!this.sim.rules.finishOnQuit) {
+            this.showMenu();
+            // A test flight goes back to the level being made
+            if (this.sim.campaignLevel && this.sim.campaignLevel === this.testLevel) this.openEditor();
+            return;
+        }
+        this.isPaused = false;
+        this.pauseScreen.classList.add('hidden');
+        this.sim.gameOver('quit');
+    }
+
+    resumeGame() {
+        this.audio.resume();
+        this.isPaused = false;
+        this.pauseScreen.classList.add('hidden');
+        this.lastTime = performance.now();
+        this.gameLoop();
+    }
+
+    gameOver() {
+        if (this.replayMode) {
+            this.finishReplay(true);
+            return;
+        }
+
+        const sim = this.sim;
+        this.isRunning = false;
+        this.audio.stop();
+        this.replay.finish(sim.score, sim.level);
+        this.lastReplay = this.replay;
+
+        const date = Date.now();
+        const bot = this.replay.bot;
+        if (!this.practice) recordRun(this, createRunRecord(sim, { date, bot }));
+
+        // Check the mode's high score - the bot's runs never count as human records
+        const ranked = sim.rules.ranked;
+        let isNewRecord = false;
+        if (ranked && !bot && sim.score > (this.highScores[sim.mode] || 0)) {
+            this.highScores[sim.mode] = sim.score;
+            isNewRecord = true;
+        }
+
+        // Finishing the daily challenge pays a bonus that grows with the streak
+        const dailyReward = sim.mode === 'daily' && !bot ? dailyBonus(this.daily.streak) : 0;
+        if (dailyReward > 0) this.addCoins(dailyReward);
+        this.dailyRewardEl.classList.toggle('hidden', dailyReward === 0);
+        document.getElementById('daily-reward-value').textContent = `+${dailyReward} 🪙`;
+
+        // A campaign level keeps its best stars instead of a score
+        const stars = sim.campaignLevel ? levelStars(sim.campaignLevel, sim) : 0;
+        if (sim.campaignLevel && !this.practice && !bot && stars > (this.campaign[sim.campaignLevel.id] || 0)) {
+            this.campaign[sim.campaignLevel.id] = stars;
+        }
+        this.campaignResultEl.classList.toggle('hidden', !sim.campaignLevel);
+        document.getElementById('campaign-result-value').textContent = this.starsText(stars);
+        this.nextLevelBtn.classList.toggle('hidden', stars === 0 || this.nextCampaignLevel() < 0);
+        document.getElementById('restart-btn').classList.toggle('hidden', sim.mode === 'daily');
+        document.getElementById('editor-return-btn').classList.toggle('hidden', !sim.campaignLevel || sim.campaignLevel !== this.testLevel);
+
+        const entry = ranked && this.addToLeaderboard({
+            name: bot ? '' : this.playerName, // Unnamed runs are shown in the current language
+            score: sim.score,
+            level: sim.level,
+            ship: sim.player.shipType,
+            mode: sim.mode,
+            date,
+            bot
+        });
+        this.saveProgress();
+
+        // Ask a human for their name when they make the table
+        this.pendingEntry = entry && !bot ? entry : null;
+        this.nameEntryEl.classList.toggle('hidden', !this.pendingEntry);
+        this.nameInput.value = this.playerName;
+
+        // Human runs also go online, once the name prompt is settled
+        this.unsentScore = !ranked || bot || sim.score <= 0 ? null : { replay: this.replay, mode: sim.mode };
+        if (!this.pendingEntry) this.submitScore();
+
+        // Update game over screen - runs that end on the clock or by choice say so,
+        // and a campaign level is either cleared or failed
+        const title = sim.campaignLevel
+            ? (stars > 0 ? 'gameOver.cleared' : 'gameOver.failed')
+            : { timeUp: 'gameOver.timeUp', quit: 'gameOver.finished' }[sim.deathCause] || 'gameOver.title';
+        this.gameOverTitleEl.dataset.i18n = title;
+        this.gameOverTitleEl.textContent = t(title);
+        this.finalScoreEl.textContent = sim.score;
+        this.finalLevelEl.textContent = sim.level;
+        if (this.finalSeedEl) {
+            this.finalSeedEl.textContent = sim.seed;
+        }
+
+        // Show session coins earned
+        const sessionCoinsEl = document.getElementById('session-coins');
+        if (sessionCoinsEl) {
+            sessionCoinsEl.textContent = sim.sessionCoins;
+        }
+
+        if (isNewRecord) {
+            this.newRecordEl.classList.remove('hidden');
+        } else {
+            this.newRecordEl.classList.add('hidden');
+        }
+
+        // Create explosion effect - a cleared level leaves the ship in one piece
+        if (sim.deathCause !== 'cleared') {
+            this.createExplosion(sim.player.x, sim.player.y, 50, sim.player.color || '#00f5ff');
+        }
+
+        // Show game over screen after the explosion
+        setTimeout(() => {
+            this.hud.classList.add('hidden');
+            this.gameOverScreen.classList.remove('hidden');
+        }, 1500);
+    }
+
+    watchReplay(replay, returnScreen) {
+        this.replayMode = true;
+        this.replay = replay;
+        this.replayReturnScreen = returnScreen;
+        this.replayEnded = false;
+
+        this.resetRun(replay);
+        this.isRunning = true;
+        this.isPaused = false;
+
+        this.startScreen.classList.add('hidden');
+        this.gameOverScreen.classList.add('hidden');
+        this.pauseScreen.classList.add('hidden');
+        this.hud.classList.remove('hidden');
+        document.getElementById('touch-controls').classList.add('hidden');
+        this.replayControls.classList.remove('hidden');
+        if (this.botBtn) this.botBtn.classList.add('hidden');
+
+        this.setReplaySpeed(1);
+        this.audio.unlock();
+        this.audio.startMusic();
+        this.lastTime = performance.now();
+        this.gameLoop();
+    }
+
+    // Called when playback reaches the end of the recorded run
+    finishReplay(playerDied) {
+        if (playerDied) {
+            const player = this.sim.player;
+            this.createExplosion(player.x, player.y, 50, player.color || '#00f5ff');
+        }
+        this.replayEnded = true;
+        this.isPaused = true;
+        this.audio.stop();
+        this.render();
+        this.updateReplayControls();
+    }
+
+    toggleReplayPause() {
+        if (!this.replayMode) return;
+
+        // Pressing play at the end restarts from the beginning
+        if (this.replayEnded) {
+            this.seekReplay(0);
+            this.audio.startMusic();
+        }
+
+        this.isPaused = !this.isPaused;
+        if (this.isPaused) {
+            this.audio.suspend();
+        } else {
+            this.audio.resume();
             this.lastTime = performance.now();
             this.gameLoop();
         }
+        this.updateReplayControls();
     }
 
-    resumeGame() {
-        this.isPaused = false;
-        this.pauseScreen.classList.add('hidden');
-        this.lastTime = performance.now();
-        this.gameLoop();
+    setReplaySpeed(speed) {
+        this.replaySpeed = speed;
+        document.querySelectorAll('.replay-speed').forEach(btn => {
+            btn.classList.toggle('active', parseFloat(btn.dataset.speed) === speed);
+        });
     }
 
-    gameOver() {
-        this.isRunning = false;
+    // Jump to a tick by re-simulating from the start (runs are deterministic)
+    seekReplay(targetTick) {
+        if (!this.replayMode) return;
 
-        // Check high score
-        let isNewRecord = false;
-        if (this.score > this.highScore) {
-            this.highScore = this.score;
-            localStorage.setItem('cosmicDriftHighScore', this.highScore);
-            isNewRecord = true;
+        const target = Math.max(0, Math.min(targetTick, this.replay.length));
+        if (target < this.sim.tick || this.replayEnded) {
+            this.resetRun(this.replay);
+            this.replayEnded = false;
         }
 
-        // Update game over screen
-        this.finalScoreEl.textContent = this.score;
-        this.finalLevelEl.textContent = this.level;
-
-        // Show session coins earned
-        const sessionCoinsEl = document.getElementById('session-coins');
-        if (sessionCoinsEl) {
-            sessionCoinsEl.textContent = this.sessionCoins;
+        this.seeking = true;
+        while (this.sim.tick < target && !this.replayEnded) {
+            this.advance();
         }
+        this.seeking = false;
+        this.accumulator = 0;
 
-        if (isNewRecord) {
-            this.newRecordEl.classList.remove('hidden');
+        this.updateHUD();
+        this.render();
+        this.updateReplayControls();
+    }
+
+    exitReplay() {
+        this.audio.stop();
+        this.replayMode = false;
+        this.isRunning = false;
+        this.isPaused = false;
+        this.replayControls.classList.add('hidden');
+        if (this.botBtn) this.botBtn.classList.remove('hidden');
+
+        if (this.replayReturnScreen === 'gameOver') {
+            this.hud.classList.add('hidden');
+            this.gameOverScreen.classList.remove('hidden');
         } else {
-            this.newRecordEl.classList.add('hidden');
+            this.showMenu();
         }
+    }
 
-        // Create explosion effect
-        this.createExplosion(this.player.x, this.player.y, 50, this.player.color || '#00f5ff');
+    updateReplayControls() {
+        const total = this.replay.length;
+        this.replayScrub.max = total;
+        this.replayScrub.value = this.sim.tick;
+        this.replayTimeEl.textContent = `${this.formatTicks(this.sim.tick)} / ${this.formatTicks(total)}`;
+        this.replayPlayBtn.textContent = this.isPaused ? '▶' : '❚❚';
+    }
 
-        // Return to menu after delay
-        setTimeout(() => {
-            this.showMenu();
-            this.updateShipCardsUI();
-            this.updateCoinsDisplay();
-        }, 1500);
+    formatTicks(ticks) {
+        const seconds = Math.floor(ticks / 60);
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
     }
 
-    createExplosion(x, y, count, color) {
+    exportReplay(replay) {
+        this.downloadJSON(`cosmic-drift-${replay.seed}-${replay.score}.json`, replay);
+    }
+
+    // A file that is not a playable replay is reported on a toast, like other import failures
+    importReplay(file) {
+        return file.text()
+            .then(text => {
+                this.watchReplay(Replay.fromJSON(JSON.parse(text)), 'menu');
+            })
+            .catch(err => {
+                console.error('Replay import failed:', err);
+                this.showToast('⚠️', t('replay.loadFailed'), '');
+            });
+    }
+
+    // Bursts shrink with the graphics quality and stop at its particle budget
+    createExplosion(x, y, fullCount, color) {
+        const { burst, maxParticles } = GRAPHICS_QUALITY[this.graphics];
+        const count = Math.min(Math.ceil(fullCount * burst), maxParticles - this.particles.length);
         for (let i = 0; i < count; i++) {
-            const angle = (Math.PI * 2 / count) * i + Math.random() * 0.5;
-            const speed = 3 + Math.random() * 5;
+            const angle = (Math.PI * 2 / count) * i + this.fxRng.next() * 0.5;
+            const speed = 3 + this.fxRng.next() * 5;
 
             this.particles.push({
                 x, y,
                 vx: Math.cos(angle) * speed,
                 vy: Math.sin(angle) * speed,
-                radius: 2 + Math.random() * 4,
+                radius: 2 + this.fxRng.next() * 4,
                 color,
                 life: 1,
-                decay: 0.02 + Math.random() * 0.02
+                decay: 0.02 + this.fxRng.next() * 0.02
             });
         }
     }
 
-    update() {
-        if (!this.player) return;
-
-        const dt = this.deltaTime / 16.67; // Normalize to 60fps
-
-        // Mouse-following movement
-        const dx = this.mouseX - this.player.x;
-        const dy = this.mouseY - this.player.y;
-        const distToMouse = Math.sqrt(dx * dx + dy * dy);
-
-        // Calculate direction to mouse
-        let ax = 0, ay = 0;
-        if (distToMouse > 5) { // Dead zone to prevent jitter
-            ax = dx / distToMouse;
-            ay = dy / distToMouse;
-        }
-
-        // Boost with mouse button or space
-        this.player.boosting = (this.mouseDown || this.keys['Space']) && this.energy > 0;
-        const thrustMult = this.player.boosting ? 2.5 : 1;
-
-        if (this.player.boosting) {
-            this.energy = Math.max(0, this.energy - 0.5 * dt);
+    // Advance one fixed tick: the simulation first, then the cosmetic
+    // effects that follow it. Replays feed back the recorded input, live runs
+    // record theirs.
+    advance() {
+        let input;
+        if (this.replayMode) {
+            input = this.replay.inputAt(this.sim.tick);
         } else {
-            this.energy = Math.min(100, this.energy + 0.1 * dt);
-        }
-
-        // Smooth acceleration towards mouse (stronger when far, weaker when close)
-        const accelFactor = Math.min(distToMouse / 100, 1) * this.player.thrust * thrustMult;
-        this.player.vx += ax * accelFactor * dt;
-        this.player.vy += ay * accelFactor * dt;
-
-        // Black hole gravity
-        for (const hole of this.blackHoles) {
-            const dx = hole.x - this.player.x;
-            const dy = hole.y - this.player.y;
-            const dist = Math.sqrt(dx * dx + dy * dy);
-
-            if (dist < hole.pullRadius) {
-                const force = (hole.strength * (1 - dist / hole.pullRadius)) * dt;
-                this.player.vx += (dx / dist) * force;
-                this.player.vy += (dy / dist) * force;
-            }
-
-            // Collision with black hole
-            if (dist < hole.radius && !this.player.invincible) {
-                if (this.takeDamage()) {
-                    this.gameOver();
-                    return;
-                }
-            }
-        }
-
-        // Apply friction
-        this.player.vx *= this.player.friction;
-        this.player.vy *= this.player.friction;
-
-        // Clamp speed
-        const speed = Math.sqrt(this.player.vx ** 2 + this.player.vy ** 2);
-        const maxSpeed = this.player.boosting ? this.player.maxSpeed * 1.5 : this.player.maxSpeed;
-
-        if (speed > maxSpeed) {
-            this.player.vx = (this.player.vx / speed) * maxSpeed;
-            this.player.vy = (this.player.vy / speed) * maxSpeed;
-        }
-
-        // Move player
-        this.player.x += this.player.vx * dt;
-        this.player.y += this.player.vy * dt;
-
-        // Update angle
-        if (speed > 0.5) {
-            this.player.angle = Math.atan2(this.player.vy, this.player.vx);
+            input = this.readInput();
+            this.replay.record(input);
         }
 
-        // Wrap around edges
-        const margin = this.player.radius;
-        if (this.player.x < -margin) this.player.x = this.canvas.width + margin;
-        if (this.player.x > this.canvas.width + margin) this.player.x = -margin;
-        if (this.player.y < -margin) this.player.y = this.canvas.height + margin;
-        if (this.player.y > this.canvas.height + margin) this.player.y = -margin;
+        this.sim.update(input);
+        this.updateEffects();
+    }
 
-        // Invincibility timer
-        if (this.player.invincible) {
-            this.player.invincibleTimer -= dt;
-            if (this.player.invincibleTimer <= 0) {
-                this.player.invincible = false;
-            }
-        }
+    updateEffects() {
+        const player = this.sim.player;
 
         // Trail particles
-        if (speed > 1) {
+        if (!this.sim.isOver && player.speed > 1 && GRAPHICS_QUALITY[this.graphics].trail) {
             this.trailParticles.push({
-                x: this.player.x - Math.cos(this.player.angle) * this.player.radius,
-                y: this.player.y - Math.sin(this.player.angle) * this.player.radius,
-                radius: this.player.boosting ? 6 : 4,
+                x: player.x - Math.cos(player.angle) * player.radius,
+                y: player.y - Math.sin(player.angle) * player.radius,
+                radius: player.boosting ? 6 : 4,
                 life: 1,
-                color: this.player.boosting ? '#ff00ff' : '#00f5ff'
+                color: player.boosting ? '#ff00ff' : '#00f5ff'
             });
         }
 
-        // Update collectibles
-        for (let i = this.collectibles.length - 1; i >= 0; i--) {
-            const c = this.collectibles[i];
-            c.x += c.vx * dt;
-            c.y += c.vy * dt;
-            c.pulse += 0.1 * dt;
-            c.lifetime += dt;
-
-            // Check collection
-            const dx = this.player.x - c.x;
-            const dy = this.player.y - c.y;
-            const dist = Math.sqrt(dx * dx + dy * dy);
-
-            if (dist < this.player.radius + c.radius) {
-                this.collectItem(c);
-                this.collectibles.splice(i, 1);
-                continue;
-            }
-
-            // Remove if out of bounds
-            if (c.x < -50 || c.x > this.canvas.width + 50 ||
-                c.y < -50 || c.y > this.canvas.height + 50 ||
-                c.lifetime > 600) {
-                this.collectibles.splice(i, 1);
-            }
-        }
-
-        // Update black holes
-        for (let i = this.blackHoles.length - 1; i >= 0; i--) {
-            const hole = this.blackHoles[i];
-            hole.rotation += 0.02 * dt;
-            hole.lifetime += dt;
-            hole.shootTimer += dt;
-
-            // Shoot bullets
-            if (hole.shootTimer >= hole.shootInterval) {
-                hole.shootTimer = 0;
-                hole.shootInterval = 100 + Math.random() * 80 - (this.level * 5); // Faster at higher levels
-                hole.shootInterval = Math.max(40, hole.shootInterval);
-                this.spawnBullet(hole);
-            }
-
-            if (hole.lifetime > hole.maxLifetime) {
-                this.blackHoles.splice(i, 1);
-            }
+        if (this.banner) {
+            this.banner.life -= 1 / 150;
+            if (this.banner.life <= 0) this.banner = null;
         }
 
-        // Update bullets
-        for (let i = this.bullets.length - 1; i >= 0; i--) {
-            const b = this.bullets[i];
-
-            // Store trail
-            b.trail.push({ x: b.x, y: b.y });
-            if (b.trail.length > 10) b.trail.shift();
-
-            b.x += b.vx * dt;
-            b.y += b.vy * dt;
-            b.life -= dt;
-
-            // Check collision with player
-            if (this.player) {
-                const dx = this.player.x - b.x;
-                const dy = this.player.y - b.y;
-                const dist = Math.sqrt(dx * dx + dy * dy);
-
-                if (dist < this.player.radius + b.radius && !this.player.invincible) {
-                    this.createExplosion(b.x, b.y, 15, '#ff3366');
-                    this.bullets.splice(i, 1);
-                    if (this.takeDamage()) {
-                        this.gameOver();
-                        return;
-                    }
-                    continue;
-                }
-            }
-
-            // Remove if out of bounds or expired
-            if (b.life <= 0 ||
-                b.x < -50 || b.x > this.canvas.width + 50 ||
-                b.y < -50 || b.y > this.canvas.height + 50) {
-                this.bullets.splice(i, 1);
-            }
-        }
+        this.shake = this.shake > 0.5 ? this.shake * 0.85 : 0;
 
         // Update particles
         for (let i = this.particles.length - 1; i >= 0; i--) {
             const p = this.particles[i];
-            p.x += p.vx * dt;
-            p.y += p.vy * dt;
+            p.x += p.vx;
+            p.y += p.vy;
             p.vx *= 0.98;
             p.vy *= 0.98;
-            p.life -= p.decay * dt;
+            p.life -= p.decay;
 
             if (p.life <= 0) {
                 this.particles.splice(i, 1);
@@ -923,92 +2705,85 @@ class Game {
         // Update trail particles
         for (let i = this.trailParticles.length - 1; i >= 0; i--) {
             const p = this.trailParticles[i];
-            p.life -= 0.05 * dt;
+            p.life -= 0.05;
             p.radius *= 0.95;
 
             if (p.life <= 0) {
                 this.trailParticles.splice(i, 1);
             }
         }
+    }
 
-        // Spawning
-        this.spawnTimer += dt;
-        this.difficultyTimer += dt;
-
-        if (this.spawnTimer > 60) {
-            this.spawnTimer = 0;
-            this.spawnCollectible();
+    // Position between the previous and current tick (alpha 0..1) for smooth rendering
+    interpolate(entity, alpha) {
+        if (entity.prevX === undefined) return { x: entity.x, y: entity.y };
 
-            if (Math.random() < 0.3 + (this.level * 0.05)) {
-                this.spawnCollectible();
-            }
-        }
+        const dx = entity.x - entity.prevX;
+        const dy = entity.y - entity.prevY;
 
-        // Spawn black holes based on level
-        if (this.blackHoles.length < Math.min(3 + Math.floor(this.level / 2), 8)) {
-            if (Math.random() < 0.005 * this.level) {
-                this.spawnBlackHole();
-            }
+        // Don't smear across the screen when wrapping around edges
+        if (Math.abs(dx) > this.sim.arenaWidth / 2 || Math.abs(dy) > this.sim.arenaHeight / 2) {
+            return { x: entity.x, y: entity.y };
         }
 
-        // Increase difficulty over time
-        if (this.difficultyTimer > 1800) { // Every 30 seconds at 60fps
-            this.difficultyTimer = 0;
-            this.level++;
-            this.multiplier = Math.min(this.multiplier + 0.5, 10);
+        return { x: entity.prevX + dx * alpha, y: entity.prevY + dy * alpha };
+    }
 
-            // Level up effect
-            this.createExplosion(this.player.x, this.player.y, 20, '#8b5cf6');
+    updateHUD() {
+        const sim = this.sim;
+        this.scoreEl.textContent = sim.score;
+        this.levelEl.textContent = sim.level;
+        this.multiplierEl.textContent = `x${sim.multiplier.toFixed(1)}`;
+        this.timeContainer.classList.toggle('hidden', !sim.rules.timeLimit);
+        this.goalContainer.classList.toggle('hidden', !sim.script);
+        if (sim.script) {
+            this.goalProgressEl.textContent = `${sim.script.progress(sim)} / ${sim.campaignLevel.goal.target}`;
         }
+        if (sim.rules.timeLimit) {
+            // Counted down in whole seconds, rounded up so 0:00 means the run is over
+            this.timeLeftEl.textContent = this.formatTicks(Math.max(0, sim.rules.timeLimit - sim.tick + 59));
+        }
+        this.energyFill.style.width = `${(sim.energy / sim.maxEnergy) * 100}%`;
 
-        // Update bot AI
-        this.updateBot();
+        this.updatePowerUpsDisplay();
 
-        // Update HUD
-        this.updateHUD();
+        if (sim.boss) {
+            this.bossBar.classList.remove('hidden');
+            this.bossBar.classList.toggle('transition', !sim.boss.vulnerable);
+            this.bossBar.dataset.phase = sim.boss.phase + 1;
+            this.bossHPFill.style.width = `${(sim.boss.hp / sim.boss.maxHP) * 100}%`;
+        } else {
+            this.bossBar.classList.add('hidden');
+        }
     }
 
-    collectItem(item) {
-        const basePoints = 100;
+    // One icon per active power-up, with a ring that empties as it runs out
+    updatePowerUpsDisplay() {
+        for (const type of Object.keys(POWERUP_TYPES)) {
+            const effect = this.sim.effects[type];
+            let icon = this.powerUpIcons[type];
 
-        switch (item.type) {
-            case 'energy':
-                this.energy = Math.min(100, this.energy + 30);
-                this.score += Math.floor(basePoints * 0.5 * this.multiplier);
-                this.createExplosion(item.x, item.y, 10, '#00ff88');
-                break;
-
-            case 'points':
-                this.score += Math.floor(basePoints * this.multiplier);
-                // Award 1-3 coins
-                const coinsEarned = Math.floor(Math.random() * 3) + 1;
-                this.addCoins(coinsEarned);
-                this.createExplosion(item.x, item.y, 10, '#ffff00');
-                break;
+            if (!effect) {
+                if (icon) icon.classList.add('hidden');
+                continue;
+            }
 
-            case 'multiplier':
-                this.multiplier = Math.min(this.multiplier + 0.5, 10);
-                this.score += Math.floor(basePoints * 0.75 * this.multiplier);
-                this.createExplosion(item.x, item.y, 15, '#ff00ff');
-                break;
+            const style = COLLECTIBLE_STYLES[type];
+            if (!icon) {
+                icon = document.createElement('div');
+                icon.className = 'powerup-icon';
+                icon.innerHTML = `<span class="powerup-symbol">${style.icon}</span>`;
+                this.powerUpsEl.appendChild(icon);
+                this.powerUpIcons[type] = icon;
+            }
 
-            case 'shield':
-                this.player.invincible = true;
-                this.player.invincibleTimer = 180; // 3 seconds at 60fps
-                this.score += Math.floor(basePoints * 0.5 * this.multiplier);
-                this.createExplosion(item.x, item.y, 20, '#00f5ff');
-                break;
+            const degrees = (effect.remaining / effect.total) * 360;
+            icon.classList.remove('hidden');
+            icon.style.background = `conic-gradient(${style.color} ${degrees}deg, rgba(255, 255, 255, 0.1) 0deg)`;
         }
     }
 
-    updateHUD() {
-        this.scoreEl.textContent = this.score;
-        this.levelEl.textContent = this.level;
-        this.multiplierEl.textContent = `x${this.multiplier.toFixed(1)}`;
-        this.energyFill.style.width = `${this.energy}%`;
-    }
-
-    render() {
+    render(alpha = 1) {
         const ctx = this.ctx;
 
         // Clear canvas
@@ -1018,15 +2793,39 @@ class Game {
         // Draw stars
         this.renderStars();
 
-        if (!this.isRunning && !this.gameOverScreen.classList.contains('hidden')) {
+        if (!this.sim || (!this.isRunning && !this.gameOverScreen.classList.contains('hidden'))) {
             return; // Still render stars on game over
         }
 
+        const sim = this.sim;
+
+        // World is drawn in arena coordinates, jolted while the screen shakes.
+        // The jolt is cosmetic and per frame, so it stays off the fx rng.
+        ctx.save();
+        ctx.translate(this.viewOffsetX, this.viewOffsetY);
+        if (this.screenShake && this.shake > 0) {
+            ctx.translate((Math.random() * 2 - 1) * this.shake, (Math.random() * 2 - 1) * this.shake);
+        }
+        ctx.scale(this.viewScale, this.viewScale);
+        ctx.beginPath();
+        ctx.rect(0, 0, sim.arenaWidth, sim.arenaHeight);
+        ctx.clip();
+
         // Draw black holes
-        for (const hole of this.blackHoles) {
+        for (const hole of sim.blackHoles) {
             this.renderBlackHole(hole);
         }
 
+        if (sim.boss) {
+            this.renderBoss(sim.boss);
+        }
+
+        // Draw enemies
+        for (const enemy of sim.enemies) {
+            const pos = this.interpolate(enemy, alpha);
+            this.renderEnemy(enemy, pos.x, pos.y);
+        }
+
         // Draw trail particles
         for (const p of this.trailParticles) {
             ctx.beginPath();
@@ -1036,8 +2835,9 @@ class Game {
         }
 
         // Draw collectibles
-        for (const c of this.collectibles) {
-            this.renderCollectible(c);
+        for (const c of sim.collectibles) {
+            const pos = this.interpolate(c, alpha);
+            this.renderCollectible(c, pos.x, pos.y);
         }
 
         // Draw particles
@@ -1049,24 +2849,74 @@ class Game {
         }
 
         // Draw bullets
-        for (const b of this.bullets) {
-            this.renderBullet(b);
+        for (const b of sim.bullets) {
+            const pos = this.interpolate(b, alpha);
+            this.renderBullet(b, pos.x, pos.y);
+        }
+
+        // Draw player shots
+        for (const s of sim.shots) {
+            const pos = this.interpolate(s, alpha);
+            this.renderShot(s, pos.x, pos.y);
         }
 
         // Draw player
-        if (this.player && this.isRunning) {
-            this.renderPlayer();
+        if (this.isRunning && !this.replayEnded) {
+            const pos = this.interpolate(sim.player, alpha);
+            this.renderPlayer(pos.x, pos.y);
+        }
+
+        ctx.restore();
+
+        // Slow-mo tints the screen
+        if (sim.hasEffect('slowmo')) {
+            ctx.fillStyle = 'rgba(96, 165, 250, 0.08)';
+            ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        }
+
+        // Draw announcement banner
+        if (this.banner) {
+            ctx.save();
+            ctx.globalAlpha = Math.min(1, this.banner.life * 3);
+            ctx.fillStyle = '#ff00ff';
+            ctx.shadowColor = '#ff00ff';
+            ctx.shadowBlur = 20;
+            ctx.font = 'bold 36px Orbitron, sans-serif';
+            ctx.textAlign = 'center';
+            ctx.fillText(t(this.banner.key, this.banner.params), this.canvas.width / 2, this.canvas.height * 0.3);
+            ctx.restore();
         }
 
         // Draw bot indicator
-        if (this.botEnabled && this.isRunning) {
+        const botActive = this.replayMode ? this.replay.bot : this.botEnabled;
+        if (botActive && this.isRunning && this.botIndicator) {
             ctx.fillStyle = 'rgba(0, 255, 136, 0.8)';
             ctx.font = '14px Orbitron, sans-serif';
-            ctx.fillText('🤖 БОТ АКТИВЕН', 20, this.canvas.height - 20);
+            ctx.fillText(t('hud.botActive'), 20, this.canvas.height - 20);
+        }
+
+        // Draw the virtual joystick under the player's thumb
+        if (this.joystick && this.isRunning && !this.replayMode) {
+            const { originX, originY } = this.joystick;
+            const stick = this.joystickVector();
+
+            ctx.save();
+            ctx.strokeStyle = 'rgba(0, 245, 255, 0.4)';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc(originX, originY, JOYSTICK_RADIUS, 0, Math.PI * 2);
+            ctx.stroke();
+
+            ctx.fillStyle = 'rgba(0, 245, 255, 0.35)';
+            ctx.beginPath();
+            ctx.arc(originX + stick.x * JOYSTICK_RADIUS, originY + stick.y * JOYSTICK_RADIUS,
+                JOYSTICK_RADIUS * 0.4, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.restore();
         }
     }
 
-    renderBullet(b) {
+    renderBullet(b, x, y) {
         const ctx = this.ctx;
 
         // Draw trail
@@ -1082,29 +2932,62 @@ class Game {
         }
 
         // Glow
-        const gradient = ctx.createRadialGradient(b.x, b.y, 0, b.x, b.y, b.radius * 3);
-        gradient.addColorStop(0, 'rgba(255, 51, 102, 0.8)');
-        gradient.addColorStop(0.5, 'rgba(255, 51, 102, 0.3)');
-        gradient.addColorStop(1, 'rgba(255, 51, 102, 0)');
+        if (GRAPHICS_QUALITY[this.graphics].glow) {
+            const gradient = ctx.createRadialGradient(x, y, 0, x, y, b.radius * 3);
+            gradient.addColorStop(0, 'rgba(255, 51, 102, 0.8)');
+            gradient.addColorStop(0.5, 'rgba(255, 51, 102, 0.3)');
+            gradient.addColorStop(1, 'rgba(255, 51, 102, 0)');
 
-        ctx.beginPath();
-        ctx.arc(b.x, b.y, b.radius * 3, 0, Math.PI * 2);
-        ctx.fillStyle = gradient;
-        ctx.fill();
+            ctx.beginPath();
+            ctx.arc(x, y, b.radius * 3, 0, Math.PI * 2);
+            ctx.fillStyle = gradient;
+            ctx.fill();
+        }
 
         // Core
         ctx.beginPath();
-        ctx.arc(b.x, b.y, b.radius, 0, Math.PI * 2);
+        ctx.arc(x, y, b.radius, 0, Math.PI * 2);
         ctx.fillStyle = '#ff3366';
         ctx.fill();
 
         // Inner bright core
         ctx.beginPath();
-        ctx.arc(b.x, b.y, b.radius * 0.5, 0, Math.PI * 2);
+        ctx.arc(x, y, b.radius * 0.5, 0, Math.PI * 2);
         ctx.fillStyle = '#ffffff';
         ctx.fill();
     }
 
+    renderShot(s, x, y) {
+        const ctx = this.ctx;
+        const color = this.sim.player.color;
+        const length = s.radius * 3;
+
+        ctx.save();
+        ctx.translate(x, y);
+        ctx.rotate(s.angle);
+
+        ctx.shadowColor = color;
+        ctx.shadowBlur = 10;
+        ctx.beginPath();
+        ctx.moveTo(-length, 0);
+        ctx.lineTo(length * 0.5, 0);
+        ctx.strokeStyle = color;
+        ctx.lineWidth = s.radius * 2;
+        ctx.lineCap = 'round';
+        ctx.stroke();
+
+        // White-hot core
+        ctx.shadowBlur = 0;
+        ctx.beginPath();
+        ctx.moveTo(-length * 0.5, 0);
+        ctx.lineTo(length * 0.5, 0);
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = s.radius;
+        ctx.stroke();
+
+        ctx.restore();
+    }
+
     renderStars() {
         const ctx = this.ctx;
         const time = performance.now() * 0.001;
@@ -1163,59 +3046,280 @@ class Game {
         ctx.fillStyle = coreGradient;
         ctx.fill();
 
+        // Flash the horizon when hit
+        if (hole.hitFlash > 0) {
+            ctx.strokeStyle = `rgba(255, 255, 255, ${hole.hitFlash / 8 * alpha})`;
+            ctx.lineWidth = 3;
+            ctx.stroke();
+        }
+
+        ctx.restore();
+
+        // Health arc once damaged, drawn unrotated around the hole
+        if (hole.hp < hole.maxHP) {
+            const end = -Math.PI / 2 + Math.PI * 2 * (hole.hp / hole.maxHP);
+            ctx.beginPath();
+            ctx.arc(hole.x, hole.y, hole.radius + 8, -Math.PI / 2, end);
+            ctx.strokeStyle = `rgba(255, 0, 255, ${0.8 * alpha})`;
+            ctx.lineWidth = 3;
+            ctx.stroke();
+        }
+    }
+
+    renderBoss(boss) {
+        const ctx = this.ctx;
+        const grow = Math.min(1, boss.lifetime / boss.introTime);
+        const radius = boss.radius * grow;
+        const pullRadius = boss.pullRadius * grow;
+
+        ctx.save();
+        ctx.translate(boss.x, boss.y);
+
+        // Gravity well
+        const well = ctx.createRadialGradient(0, 0, radius, 0, 0, pullRadius);
+        well.addColorStop(0, 'rgba(255, 0, 255, 0.35)');
+        well.addColorStop(0.5, 'rgba(139, 92, 246, 0.12)');
+        well.addColorStop(1, 'rgba(139, 92, 246, 0)');
+        ctx.beginPath();
+        ctx.arc(0, 0, pullRadius, 0, Math.PI * 2);
+        ctx.fillStyle = well;
+        ctx.fill();
+
+        // Phase transition shockwave
+        if (boss.transitionTimer > 0) {
+            const t = 1 - boss.transitionTimer / boss.transitionTime;
+            ctx.beginPath();
+            ctx.arc(0, 0, radius + t * pullRadius, 0, Math.PI * 2);
+            ctx.strokeStyle = `rgba(255, 255, 255, ${1 - t})`;
+            ctx.lineWidth = 6;
+            ctx.stroke();
+        }
+
+        // Spiral accretion arms - one more per phase
+        ctx.rotate(boss.rotation);
+        const arms = 3 + boss.phase;
+        for (let i = 0; i < arms; i++) {
+            ctx.rotate((Math.PI * 2) / arms);
+            ctx.beginPath();
+            ctx.arc(radius * 0.6, 0, radius * 1.1, Math.PI * 0.9, Math.PI * 1.5);
+            ctx.strokeStyle = `rgba(255, 0, 255, ${0.6 - i * 0.05})`;
+            ctx.lineWidth = 3;
+            ctx.stroke();
+        }
+
+        // Event horizon
+        const core = ctx.createRadialGradient(0, 0, 0, 0, 0, radius);
+        core.addColorStop(0, '#000000');
+        core.addColorStop(0.75, '#14001e');
+        core.addColorStop(1, boss.hitFlash > 0 ? '#ffffff' : '#ff00ff');
+        ctx.beginPath();
+        ctx.arc(0, 0, radius, 0, Math.PI * 2);
+        ctx.fillStyle = core;
+        ctx.fill();
+
+        ctx.restore();
+    }
+
+    renderEnemy(enemy, x, y) {
+        switch (enemy.type) {
+            case 'drone': this.renderDrone(enemy, x, y); break;
+            case 'pulsar': this.renderPulsar(enemy, x, y); break;
+            case 'wormhole': this.renderWormhole(enemy); break;
+        }
+    }
+
+    renderDrone(drone, x, y) {
+        const ctx = this.ctx;
+        const color = drone.hitFlash > 0 ? '#ffffff' : ENEMY_STYLES.drone.color;
+        const r = drone.radius;
+
+        ctx.save();
+        ctx.translate(x, y);
+        ctx.rotate(drone.angle);
+
+        ctx.shadowColor = ENEMY_STYLES.drone.color;
+        ctx.shadowBlur = 12;
+
+        // Arrowhead hull
+        ctx.beginPath();
+        ctx.moveTo(r * 1.4, 0);
+        ctx.lineTo(-r, -r);
+        ctx.lineTo(-r * 0.5, 0);
+        ctx.lineTo(-r, r);
+        ctx.closePath();
+        ctx.fillStyle = color;
+        ctx.fill();
+
+        // Blinking eye
+        if (Math.floor(drone.life / 10) % 2 === 0) {
+            ctx.beginPath();
+            ctx.arc(r * 0.2, 0, r * 0.25, 0, Math.PI * 2);
+            ctx.fillStyle = '#ff3366';
+            ctx.fill();
+        }
+
+        ctx.restore();
+    }
+
+    renderPulsar(pulsar, x, y) {
+        const ctx = this.ctx;
+        const color = ENEMY_STYLES.pulsar.color;
+        const fadeIn = Math.min(1, pulsar.lifetime / 60);
+        const coreAlpha = pulsar.lifetime < pulsar.maxLifetime ? fadeIn : 0.3;
+
+        // Shockwaves fade as they spread
+        for (const ring of pulsar.rings) {
+            const ringAlpha = 1 - ring.radius / ring.maxRadius;
+            ctx.beginPath();
+            ctx.arc(x, y, ring.radius, 0, Math.PI * 2);
+            ctx.strokeStyle = `rgba(250, 204, 21, ${0.8 * ringAlpha})`;
+            ctx.lineWidth = pulsar.ringWidth;
+            ctx.stroke();
+        }
+
+        // Charging glow grows towards the next pulse
+        if (GRAPHICS_QUALITY[this.graphics].glow) {
+            const charge = pulsar.pulseTimer / pulsar.pulseInterval;
+            const glowRadius = pulsar.radius * (2 + charge);
+            const gradient = ctx.createRadialGradient(x, y, 0, x, y, glowRadius);
+            gradient.addColorStop(0, `rgba(250, 204, 21, ${0.6 * coreAlpha})`);
+            gradient.addColorStop(1, 'rgba(250, 204, 21, 0)');
+            ctx.beginPath();
+            ctx.arc(x, y, glowRadius, 0, Math.PI * 2);
+            ctx.fillStyle = gradient;
+            ctx.fill();
+        }
+
+        // Spinning beams
+        ctx.save();
+        ctx.translate(x, y);
+        ctx.rotate(pulsar.rotation);
+        ctx.globalAlpha = coreAlpha;
+        ctx.beginPath();
+        ctx.moveTo(-pulsar.radius * 2, 0);
+        ctx.lineTo(pulsar.radius * 2, 0);
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.stroke();
+
+        ctx.beginPath();
+        ctx.arc(0, 0, pulsar.radius, 0, Math.PI * 2);
+        ctx.fillStyle = pulsar.hitFlash > 0 ? '#ffffff' : color;
+        ctx.fill();
+        ctx.restore();
+    }
+
+    renderWormhole(wormhole) {
+        const ctx = this.ctx;
+        const color = ENEMY_STYLES.wormhole.color;
+        const fadeIn = Math.min(1, wormhole.lifetime / wormhole.fadeTime);
+        const fadeOut = Math.min(1, (wormhole.maxLifetime - wormhole.lifetime) / wormhole.fadeTime);
+        const alpha = Math.max(0, fadeIn * fadeOut);
+        const [a, b] = wormhole.ends;
+
+        // Faint tether between the two ends
+        ctx.save();
+        ctx.globalAlpha = 0.15 * alpha;
+        ctx.setLineDash([6, 12]);
+        ctx.beginPath();
+        ctx.moveTo(a.x, a.y);
+        ctx.lineTo(b.x, b.y);
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.stroke();
         ctx.restore();
+
+        // Each end is a swirl spinning the opposite way to its partner
+        wormhole.ends.forEach((end, i) => {
+            const direction = i === 0 ? 1 : -1;
+
+            ctx.save();
+            ctx.translate(end.x, end.y);
+            ctx.rotate(wormhole.rotation * direction);
+            ctx.globalAlpha = alpha;
+
+            const gradient = ctx.createRadialGradient(0, 0, 0, 0, 0, wormhole.radius);
+            gradient.addColorStop(0, 'rgba(255, 255, 255, 0.9)');
+            gradient.addColorStop(0.4, 'rgba(34, 211, 238, 0.5)');
+            gradient.addColorStop(1, 'rgba(34, 211, 238, 0)');
+            ctx.beginPath();
+            ctx.arc(0, 0, wormhole.radius, 0, Math.PI * 2);
+            ctx.fillStyle = gradient;
+            ctx.fill();
+
+            for (let arm = 0; arm < 3; arm++) {
+                ctx.rotate((Math.PI * 2) / 3);
+                ctx.beginPath();
+                ctx.arc(wormhole.radius * 0.4, 0, wormhole.radius * 0.6, Math.PI, Math.PI * 1.6);
+                ctx.strokeStyle = color;
+                ctx.lineWidth = 2;
+                ctx.stroke();
+            }
+
+            ctx.restore();
+        });
     }
 
-    renderCollectible(c) {
+    renderCollectible(c, x, y) {
         const ctx = this.ctx;
         const pulse = Math.sin(c.pulse) * 0.2 + 1;
         const radius = c.radius * pulse;
 
-        let color, glowColor;
-        switch (c.type) {
-            case 'energy':
-                color = '#00ff88';
-                glowColor = 'rgba(0, 255, 136, 0.5)';
-                break;
-            case 'points':
-                color = '#ffff00';
-                glowColor = 'rgba(255, 255, 0, 0.5)';
-                break;
-            case 'multiplier':
-                color = '#ff00ff';
-                glowColor = 'rgba(255, 0, 255, 0.5)';
-                break;
-            case 'shield':
-                color = '#00f5ff';
-                glowColor = 'rgba(0, 245, 255, 0.5)';
-                break;
-        }
+        const { color, glow: glowColor } = COLLECTIBLE_STYLES[c.type];
 
         // Glow
         ctx.beginPath();
-        ctx.arc(c.x, c.y, radius * 2, 0, Math.PI * 2);
+        ctx.arc(x, y, radius * 2, 0, Math.PI * 2);
         ctx.fillStyle = glowColor;
         ctx.fill();
 
         // Core
         ctx.beginPath();
-        ctx.arc(c.x, c.y, radius, 0, Math.PI * 2);
+        ctx.arc(x, y, radius, 0, Math.PI * 2);
         ctx.fillStyle = color;
         ctx.fill();
 
         // Inner highlight
         ctx.beginPath();
-        ctx.arc(c.x - radius * 0.3, c.y - radius * 0.3, radius * 0.3, 0, Math.PI * 2);
+        ctx.arc(x - radius * 0.3, y - radius * 0.3, radius * 0.3, 0, Math.PI * 2);
         ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
         ctx.fill();
+
+        // Power-ups carry their icon
+        const icon = COLLECTIBLE_STYLES[c.type].icon;
+        if (icon) {
+            ctx.save();
+            ctx.font = `${Math.round(radius * 1.2)}px sans-serif`;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(icon, x, y);
+            ctx.restore();
+        }
     }
 
-    renderPlayer() {
+    renderPlayer(x, y) {
         const ctx = this.ctx;
-        const p = this.player;
+        const p = this.sim.player;
 
         ctx.save();
-        ctx.translate(p.x, p.y);
+        ctx.translate(x, y);
+
+        // Magnet reach
+        if (this.sim.hasEffect('magnet')) {
+            ctx.beginPath();
+            ctx.arc(0, 0, MAGNET_RADIUS, 0, Math.PI * 2);
+            ctx.strokeStyle = 'rgba(239, 68, 68, 0.15)';
+            ctx.lineWidth = 2;
+            ctx.setLineDash([4, 10]);
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+
+        // Ghosts are see-through
+        if (this.sim.hasEffect('ghost')) {
+            ctx.globalAlpha = 0.4 + Math.sin(performance.now() * 0.01) * 0.15;
+        }
+
         // Rotate to face movement direction (ship points right by default)
         ctx.rotate(p.angle);
 
@@ -1229,11 +3333,13 @@ class Game {
             ctx.stroke();
 
             // Shield glow
-            const shieldGlow = ctx.createRadialGradient(0, 0, p.radius * 1.5, 0, 0, p.radius * 2.5);
-            shieldGlow.addColorStop(0, 'rgba(0, 245, 255, 0)');
-            shieldGlow.addColorStop(1, `rgba(0, 245, 255, ${shieldPulse * 0.2})`);
-            ctx.fillStyle = shieldGlow;
-            ctx.fill();
+            if (GRAPHICS_QUALITY[this.graphics].glow) {
+                const shieldGlow = ctx.createRadialGradient(0, 0, p.radius * 1.5, 0, 0, p.radius * 2.5);
+                shieldGlow.addColorStop(0, 'rgba(0, 245, 255, 0)');
+                shieldGlow.addColorStop(1, `rgba(0, 245, 255, ${shieldPulse * 0.2})`);
+                ctx.fillStyle = shieldGlow;
+                ctx.fill();
+            }
         }
 
         // Draw sprite if loaded, otherwise fallback to geometric ship
@@ -1273,15 +3379,17 @@ class Game {
             const shipColor = p.color || '#00f5ff';
             const boostColor = p.boostColor || '#ff00ff';
 
-            const glowGradient = ctx.createRadialGradient(0, 0, 0, 0, 0, p.radius * 2);
-            const glowColorStr = p.boosting ? boostColor : shipColor;
-            glowGradient.addColorStop(0, glowColorStr + '80'); // 50% alpha
-            glowGradient.addColorStop(1, glowColorStr + '00'); // 0% alpha
+            if (GRAPHICS_QUALITY[this.graphics].glow) {
+                const glowGradient = ctx.createRadialGradient(0, 0, 0, 0, 0, p.radius * 2);
+                const glowColorStr = p.boosting ? boostColor : shipColor;
+                glowGradient.addColorStop(0, glowColorStr + '80'); // 50% alpha
+                glowGradient.addColorStop(1, glowColorStr + '00'); // 0% alpha
 
-            ctx.beginPath();
-            ctx.arc(0, 0, p.radius * 2, 0, Math.PI * 2);
-            ctx.fillStyle = glowGradient;
-            ctx.fill();
+                ctx.beginPath();
+                ctx.arc(0, 0, p.radius * 2, 0, Math.PI * 2);
+                ctx.fillStyle = glowGradient;
+                ctx.fill();
+            }
 
             ctx.beginPath();
             ctx.moveTo(p.radius * 1.5, 0);
@@ -1310,11 +3418,28 @@ class Game {
         if (!this.isRunning || this.isPaused) return;
 
         const now = performance.now();
-        this.deltaTime = Math.min(now - this.lastTime, 50); // Cap delta to prevent spiral of death
+        const frameMs = Math.min(now - this.lastTime, this.maxFrameMs);
+        this.accumulator += this.replayMode ? frameMs * this.replaySpeed : frameMs;
         this.lastTime = now;
 
-        this.update();
-        this.render();
+        // Run as many fixed ticks as the elapsed time covers
+        while (this.accumulator >= this.tickMs) {
+            if (this.replayMode && this.sim.tick >= this.replay.length) {
+                this.finishReplay(false);
+                return;
+            }
+
+            this.advance();
+            this.accumulator -= this.tickMs;
+            if (!this.isRunning || this.isPaused) return;
+        }
+
+        this.render(this.accumulator / this.tickMs);
+        this.updateHUD();
+        this.audio.update(this.sim);
+        if (this.replayMode) {
+            this.updateReplayControls();
+        }
 
         requestAnimationFrame(() => this.gameLoop());
     }
@@ -0,0 +1,97 @@
+// Cosmic Drift - Gamepad input
+//
+// Polls the Gamepad API once per frame. The left stick steers directly - how
+// far it is pushed is how hard the ship thrusts - and every button is reported
+// both as held and as pressed since the last poll, for menus. Buttons follow
+// the standard mapping; the first connected controller is used, so pads can be
+// plugged in and out at any time.
+
+const GAMEPAD_DEADZONE = 0.2;
+
+// Standard mapping button indices for each action; any of them will do
+const GAMEPAD_BUTTONS = {
+    confirm: [0],     // A
+    back: [1],        // B
+    boost: [0, 7],    // A, right trigger
+    fire: [2, 6],     // X, left trigger
+    start: [9],
+    up: [12],
+    down: [13],
+    left: [14],
+    right: [15]
+};
+
+// The stick also moves through menus once pushed past this
+const GAMEPAD_NAV_THRESHOLD = 0.5;
+
+class GamepadInput {
+    constructor(source = typeof navigator === 'undefined' ? null : navigator) {
+        this.source = source;
+        this.pad = null;
+        this.stick = { x: 0, y: 0 }; // -1..1 on each axis, deadzone removed
+        this.held = new Set();
+        this.pressed = new Set();
+    }
+
+    get connected() {
+        return this.pad !== null;
+    }
+
+    // Touched since the last poll - stick out of its deadzone or a button down
+    get active() {
+        return this.stick.x !== 0 || this.stick.y !== 0 || this.held.size > 0;
+    }
+
+    poll() {
+        const pads = this.source && this.source.getGamepads ? Array.from(this.source.getGamepads()) : [];
+        this.pad = pads.find(p => p && p.connected) || null;
+
+        const held = new Set();
+        this.stick = { x: 0, y: 0 };
+
+        if (this.pad) {
+            this.stick = applyDeadzone(this.pad.axes[0] || 0, this.pad.axes[1] || 0);
+            for (const [action, indices] of Object.entries(GAMEPAD_BUTTONS)) {
+                if (indices.some(i => this.pad.buttons[i] && this.pad.buttons[i].pressed)) {
+                    held.add(action);
+                }
+            }
+            if (this.stick.y < -GAMEPAD_NAV_THRESHOLD) held.add('up');
+            if (this.stick.y > GAMEPAD_NAV_THRESHOLD) held.add('down');
+            if (this.stick.x < -GAMEPAD_NAV_THRESHOLD) held.add('left');
+            if (this.stick.x > GAMEPAD_NAV_THRESHOLD) held.add('right');
+        }
+
+        this.pressed = new Set([...held].filter(action => !this.held.has(action)));
+        this.held = held;
+    }
+
+    isDown(action) {
+        return this.held.has(action);
+    }
+
+    wasPressed(action) {
+        return this.pressed.has(action);
+    }
+
+    // Vibrate for duration ms, where the controller supports it
+    rumble(strength, duration) {
+        const actuator = this.pad && this.pad.vibrationActuator;
+        if (!actuator || !actuator.playEffect) return;
+
+        actuator.playEffect('dual-rumble', {
+            duration,
+            strongMagnitude: strength,
+            weakMagnitude: strength
+        }).catch(() => {});
+    }
+}
+
+// Radial deadzone, rescaled so the usable range still reaches full deflection
+function applyDeadzone(x, y) {
+    const length = Math.sqrt(x * x + y * y);
+    if (length < GAMEPAD_DEADZONE) return { x: 0, y: 0 };
+
+    const scale = Math.min((length - GAMEPAD_DEADZONE) / (1 - GAMEPAD_DEADZONE), 1) / length;
+    return { x: x * scale, y: y * scale };
+}
@@ -0,0 +1,63 @@
+// Cosmic Drift - Localization
+//
+// Every player-facing string is looked up by key in the catalog of the
+// current language (locales/). A key missing from a catalog falls back to
+// Russian, the language the game was written in. Markup carries its keys in
+// data-i18n attributes, which translatePage fills in; code calls t() and
+// renders again when the language changes.
+
+const LANGUAGES = {
+    ru: 'Русский',
+    en: 'English'
+};
+
+const DEFAULT_LANGUAGE = 'ru';
+const FOREIGN_LANGUAGE = 'en'; // For browsers set to a language without a catalog
+
+const MESSAGES = {
+    ru: MESSAGES_RU,
+    en: MESSAGES_EN
+};
+
+let currentLanguage = DEFAULT_LANGUAGE;
+
+// First supported language in the browser's preferences: 'en-GB' -> 'en'
+function detectLanguage(nav = navigator) {
+    const preferred = (nav.languages && nav.languages.length ? nav.languages : [nav.language]).filter(Boolean);
+    for (const tag of preferred) {
+        const language = tag.split('-')[0].toLowerCase();
+        if (LANGUAGES[language]) return language;
+    }
+    return preferred.length > 0 ? FOREIGN_LANGUAGE : DEFAULT_LANGUAGE;
+}
+
+function setLanguage(language) {
+    currentLanguage = LANGUAGES[language] ? language : DEFAULT_LANGUAGE;
+}
+
+function hasMessage(key) {
+    return key in MESSAGES[currentLanguage] || key in MESSAGES[DEFAULT_LANGUAGE];
+}
+
+// The message for key, with {name} placeholders filled from params
+function t(key, params = {}) {
+    const template = MESSAGES[currentLanguage][key] ?? MESSAGES[DEFAULT_LANGUAGE][key];
+    if (template === undefined) {
+        console.warn(`Missing message: ${key}`);
+        return key;
+    }
+    return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+// Fill in the text and attributes of every marked element under root
+function translatePage(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(el => {
+        el.textContent = t(el.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
+        el.placeholder = t(el.dataset.i18nPlaceholder);
+    });
+    root.querySelectorAll('[data-i18n-title]').forEach(el => {
+        el.title = t(el.dataset.i18nTitle);
+    });
+}
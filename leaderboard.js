@@ -0,0 +1,52 @@
+// Cosmic Drift - Local leaderboard
+//
+// The best LEADERBOARD_SIZE runs are kept for every ship and mode. Runs the
+// bot played are ranked in a board of their own, so they can never push a
+// human score off the table. Views filter and re-rank the kept entries.
+//
+// Entry: { name, score, level, ship, mode, date, bot } - an empty name is
+// shown as the pilot or the bot in the current language
+
+const LEADERBOARD_SIZE = 10;
+const LEADERBOARD_NAME_LENGTH = 12;
+
+// Mode -> message key of its name (see i18n.js)
+const LEADERBOARD_MODES = {
+    classic: 'modes.classic',
+    timeAttack: 'modes.timeAttack',
+    zen: 'modes.zen',
+    hardcore: 'modes.hardcore',
+    daily: 'modes.daily'
+};
+
+function compareEntries(a, b) {
+    return b.score - a.score || a.date - b.date; // Earlier runs win ties
+}
+
+// Top entries matching a filter; a null ship or mode matches all of them
+function leaderboardView(entries, { ship = null, mode = null, bot = false } = {}) {
+    return entries
+        .filter(e => (!ship || e.ship === ship) && (!mode || e.mode === mode) && (bot || !e.bot))
+        .sort(compareEntries)
+        .slice(0, LEADERBOARD_SIZE);
+}
+
+// Keep only the best LEADERBOARD_SIZE entries of each board
+function trimLeaderboard(entries) {
+    const counts = {};
+    return [...entries].sort(compareEntries).filter(e => {
+        const board = `${e.ship}/${e.mode}/${e.bot}`;
+        counts[board] = (counts[board] || 0) + 1;
+        return counts[board] <= LEADERBOARD_SIZE;
+    });
+}
+
+function qualifiesForLeaderboard(entries, { score, ship, mode, bot }) {
+    if (score <= 0) return false;
+    const board = entries.filter(e => e.ship === ship && e.mode === mode && e.bot === bot);
+    return board.length < LEADERBOARD_SIZE || board.some(e => score > e.score);
+}
+
+function normalizePlayerName(name) {
+    return name.trim().slice(0, LEADERBOARD_NAME_LENGTH);
+}
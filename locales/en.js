@@ -0,0 +1,343 @@
+// Cosmic Drift - English messages. Keys match locales/ru.js; see i18n.js.
+
+const MESSAGES_EN = {
+    'meta.title': 'Cosmic Drift - Space Arcade',
+    'meta.description': 'Cosmic Drift - a neon space arcade',
+
+    'start.subtitle': 'Navigate the abyss',
+    'start.steerMouse': '🖱️ MOUSE',
+    'start.steerMouseDesc': 'The ship follows the cursor',
+    'start.steerKeysDesc': 'Thrust direction',
+    'start.boostDesc': 'Boost',
+    'start.fireDesc': 'Fire',
+    'start.leftClick': 'LMB',
+    'start.rightClick': 'RMB',
+    'start.chooseShip': 'CHOOSE YOUR SHIP',
+    'start.chooseMode': 'GAME MODE',
+    'daily.play': '☀ DAILY DRIFT',
+    'daily.today': 'Today: {rules} · Streak: {streak}',
+    'daily.done': 'Done for today · Streak: {streak}',
+    'modifiers.strongGravity': 'black holes pull twice as hard',
+    'modifiers.noRegen': 'no energy recharge',
+    'modifiers.tankOnly': 'TANK only',
+    'modifiers.solarWind': 'solar wind pushes right',
+    'modifiers.fastBullets': 'fast bullets',
+    'start.seed': 'SEED',
+    'start.seedPlaceholder': 'RANDOM',
+    'start.play': 'START GAME',
+    'start.campaign': '🗺 CAMPAIGN',
+    'start.editor': '🛠 LEVEL EDITOR',
+    'start.importReplay': '⬆ LOAD REPLAY',
+    'start.leaderboard': '🏅 HIGH SCORES',
+    'start.stats': '📊 STATISTICS',
+    'start.achievements': '🏆 ACHIEVEMENTS',
+    'start.save': '💾 SAVE DATA',
+    'start.settings': '⚙ SETTINGS',
+    'start.saveRepaired': 'Your save was damaged — everything that could be recovered was',
+    'start.highScore': 'Best: ',
+
+    'ships.speeder': 'SPEEDER',
+    'ships.balanced': 'BALANCED',
+    'ships.tank': 'TANK',
+    'ship.speed': 'Speed',
+    'ship.handling': 'Handling',
+    'ship.hp': 'HP',
+    'ship.weapon': 'Weapon',
+    'ship.owned': '✓ OWNED',
+    'weapons.laser': 'Laser',
+    'weapons.twin': 'Twin gun',
+    'weapons.cannon': 'Cannon',
+
+    'upgrades.title': 'UPGRADES',
+    'upgrades.max': 'MAX',
+    'upgrades.perSecond': '{value}/s',
+    'upgrades.maxSpeed': 'Speed',
+    'upgrades.thrust': 'Thrust',
+    'upgrades.friction': 'Handling',
+    'upgrades.maxHP': 'Hull',
+    'upgrades.maxEnergy': 'Battery',
+    'upgrades.energyRegen': 'Recharge',
+    'upgrades.boostMultiplier': 'Afterburner',
+
+    'hud.score': 'SCORE',
+    'hud.energy': 'ENERGY',
+    'hud.coins': 'COINS',
+    'hud.boss': 'SUPERMASSIVE HOLE',
+    'hud.level': 'LEVEL',
+    'hud.multiplier': 'MULTIPLIER',
+    'hud.time': 'TIME',
+    'hud.goal': 'GOAL',
+    'hud.mute': 'Sound',
+    'hud.botOn': '🤖 BOT: ON',
+    'hud.botOff': '🤖 BOT: OFF',
+    'hud.botActive': '🤖 BOT ACTIVE',
+    'hud.touchFire': 'FIRE',
+    'hud.touchBoost': 'BOOST',
+
+    'banner.boss': '⚠ SUPERMASSIVE HOLE ⚠',
+    'banner.bossPhase': 'PHASE {phase}',
+    'banner.bossDefeated': 'BOSS DEFEATED! +{reward} 🪙',
+    'banner.bossEscaped': 'THE BOSS GOT AWAY',
+    'banner.wreck': 'CRASH! MULTIPLIER LOST',
+
+    'collectibles.energy': 'Energy',
+    'collectibles.points': 'Points',
+    'collectibles.multiplier': 'Multiplier',
+    'collectibles.shield': 'Shield',
+    'collectibles.magnet': 'Magnet',
+    'collectibles.slowmo': 'Slow motion',
+    'collectibles.doubleCoins': 'Double coins',
+    'collectibles.ghost': 'Ghost',
+    'collectibles.bomb': 'Bomb',
+
+    'deaths.blackHole': 'Black hole',
+    'deaths.bullet': 'Bullet',
+    'deaths.drone': 'Drone',
+    'deaths.pulsar': 'Pulsar',
+    'deaths.boss': 'Boss',
+    'deaths.timeUp': 'Time ran out',
+    'deaths.quit': 'Ended by the pilot',
+    'deaths.cleared': 'Level cleared',
+
+    'gameOver.title': 'GAME OVER',
+    'gameOver.timeUp': 'TIME IS UP',
+    'gameOver.finished': 'FLIGHT COMPLETE',
+    'gameOver.cleared': 'LEVEL CLEARED',
+    'gameOver.failed': 'LEVEL FAILED',
+    'gameOver.score': 'Final score',
+    'gameOver.level': 'Level reached',
+    'gameOver.seed': 'Run seed',
+    'gameOver.newRecord': '🏆 NEW RECORD!',
+    'gameOver.dailyBonus': 'Daily bonus',
+    'gameOver.stars': 'Stars',
+    'gameOver.nameLabel': 'YOU MADE THE HIGH SCORES! YOUR NAME',
+    'gameOver.restart': 'PLAY AGAIN',
+    'gameOver.nextLevel': 'NEXT LEVEL ▶',
+    'gameOver.backToEditor': '🛠 BACK TO EDITOR',
+    'gameOver.watchReplay': '▶ WATCH REPLAY',
+    'gameOver.exportReplay': '⬇ DOWNLOAD REPLAY',
+    'gameOver.menu': 'MAIN MENU',
+
+    'replay.badge': 'REPLAY',
+    'replay.loadFailed': 'Could not load the replay',
+
+    'pause.title': 'PAUSED',
+    'pause.resume': 'RESUME',
+    'pause.quit': 'QUIT TO MENU',
+    'pause.finish': 'END FLIGHT',
+
+    'common.back': 'BACK',
+
+    'table.name': 'Name',
+    'table.score': 'Score',
+    'table.level': 'Level',
+    'table.ship': 'Ship',
+    'table.mode': 'Mode',
+    'table.date': 'Date',
+    'table.bot': 'Bot',
+    'table.runs': 'Runs',
+    'table.best': 'Best',
+    'table.time': 'Time',
+    'table.coins': 'Coins',
+    'table.damage': 'Damage',
+    'table.death': 'Death',
+    'table.action': 'Action',
+    'table.key': 'Key',
+    'table.altKey': 'Alternate',
+
+    'leaderboard.title': 'HIGH SCORES',
+    'leaderboard.allShips': 'ALL',
+    'leaderboard.allModes': 'All modes',
+    'leaderboard.botRuns': 'Bot runs',
+    'leaderboard.empty': 'Nothing here yet - set the first record',
+    'leaderboard.pilot': 'PILOT',
+    'leaderboard.bot': 'BOT',
+    'modes.classic': 'Classic',
+    'modes.timeAttack': 'Time Attack',
+    'modes.zen': 'Zen',
+    'modes.hardcore': 'Hardcore',
+    'modes.classicHint': 'Endless flight: levels keep climbing while your ship holds',
+    'modes.timeAttackHint': 'Two minutes for your best score; a crash resets the multiplier',
+    'modes.zenHint': 'No black holes, no bullets — just collect and drift',
+    'modes.hardcoreHint': 'One hit and you are done; faster levels, double coins',
+    'modes.daily': 'Daily Drift',
+    'modes.campaign': 'Campaign',
+
+    'online.title': 'ONLINE',
+    'online.connect': 'CONNECT',
+    'online.badAddress': 'The address must start with http:// or https://',
+    'online.noServer': 'Enter a server address to see world records',
+    'online.loading': 'Loading...',
+    'online.empty': 'No records on the server yet',
+    'online.pending': 'Waiting to be sent: {count}',
+    'online.unavailable': 'Server unavailable',
+    'online.rejected': 'Score rejected by the server',
+
+    'stats.title': 'STATISTICS',
+    'stats.bestByShip': 'BEST BY SHIP',
+    'stats.recentRuns': 'RECENT RUNS',
+    'stats.empty': 'Play a run and your history will appear here',
+    'stats.runs': 'Runs',
+    'stats.playTime': 'Time played',
+    'stats.totalScore': 'Total score',
+    'stats.coinsEarned': 'Coins earned',
+    'stats.bossesDefeated': 'Bosses defeated',
+    'stats.damageTaken': 'Damage taken',
+    'stats.collected': 'Collected',
+    'stats.deaths': 'Causes of death',
+
+    'achievements.title': 'ACHIEVEMENTS',
+    'achievements.count': 'Unlocked: {count} / {total}',
+    'campaign.title': 'CAMPAIGN',
+    'campaign.loading': 'Loading levels…',
+    'campaign.loadFailed': 'The levels could not be loaded',
+    'campaign.total': 'Stars: {stars} / {total}',
+    'campaign.goal.collect': 'Collect {target} items',
+    'campaign.goal.survive': 'Survive {target} s',
+    'campaign.goal.score': 'Score {target} points',
+    'campaign.timeLimit': 'within {time}',
+    'campaign.levels.first-light': 'First Light',
+    'campaign.levels.gentle-pull': 'Gentle Pull',
+    'campaign.levels.orbit': 'Orbit',
+    'campaign.levels.first-fire': 'First Fire',
+    'campaign.levels.crossfire': 'Crossfire',
+    'campaign.levels.harvest': 'Harvest',
+    'campaign.levels.twin-wells': 'Twin Wells',
+    'campaign.levels.spiral-storm': 'Spiral Storm',
+    'campaign.levels.shield-run': 'Shield Run',
+    'campaign.levels.gauntlet': 'Gauntlet',
+    'campaign.levels.magnet-field': 'Magnet Field',
+    'campaign.levels.the-belt': 'The Belt',
+    'campaign.levels.slow-dance': 'Slow Dance',
+    'campaign.levels.demolition': 'Demolition',
+    'campaign.levels.event-horizon': 'Event Horizon',
+    'campaign.levels.last-stand': 'Last Stand',
+    'editor.title': 'LEVEL EDITOR',
+    'editor.unsaved': '— not saved —',
+    'editor.new': 'NEW',
+    'editor.deleteLevel': 'DELETE',
+    'editor.confirmDelete': 'Delete level {id}?',
+    'editor.id': 'ID',
+    'editor.name': 'Name',
+    'editor.goal': 'Goal',
+    'editor.goalType.collect': 'Collect items',
+    'editor.goalType.survive': 'Survive, s',
+    'editor.goalType.score': 'Reach a score',
+    'editor.target': 'Target',
+    'editor.timeLimit': 'Time limit, s',
+    'editor.twoStars': '★★ from',
+    'editor.threeStars': '★★★ from',
+    'editor.toolSelect': '✋ SELECT',
+    'editor.toolBlackHole': '🕳 BLACK HOLE',
+    'editor.toolWave': '✦ WAVE',
+    'editor.deleteItem': '✕ REMOVE',
+    'editor.field.at': 'Appears at, s',
+    'editor.field.radius': 'Radius',
+    'editor.field.pullRadius': 'Pull radius',
+    'editor.field.strength': 'Strength',
+    'editor.field.shootInterval': 'Fires every, s',
+    'editor.field.lifetime': 'Lasts, s',
+    'editor.field.type': 'Item',
+    'editor.field.count': 'Count',
+    'editor.field.spread': 'Spread',
+    'editor.field.life': 'Stays, s',
+    'editor.play': '▶ TEST PLAY',
+    'editor.save': '💾 SAVE',
+    'editor.export': '⬇ EXPORT',
+    'editor.import': '⬆ IMPORT',
+    'editor.saved': 'Level {id} saved',
+    'editor.invalid': 'The level is not ready: {error}',
+    'editor.imported': 'Levels loaded: {count}',
+    'editor.importFailed': 'This is not a Cosmic Drift level file',
+    'achievements.unlocked': 'Achievement unlocked',
+    'achievements.shipColor': 'SHIP COLOR',
+    'achievements.defaultColor': 'Standard',
+    'achievements.lockedColor': '{name} - unlock with an achievement',
+    'achievements.collector.name': 'Collector',
+    'achievements.collector.description': 'Pick up 100 items',
+    'achievements.hoarder.name': 'Hoarder',
+    'achievements.hoarder.description': 'Pick up 1000 items',
+    'achievements.powerUser.name': 'Supercharged',
+    'achievements.powerUser.description': 'Pick up 25 power-ups',
+    'achievements.farOut.name': 'Long Haul',
+    'achievements.farOut.description': 'Reach level 5',
+    'achievements.deepSpace.name': 'Edge of the Galaxy',
+    'achievements.deepSpace.description': 'Reach level 10',
+    'achievements.lastHeart.name': 'By a Thread',
+    'achievements.lastHeart.description': 'Survive a hit on your last ❤️',
+    'achievements.calm.name': 'No Rush',
+    'achievements.calm.description': 'Clear a whole level without boosting',
+    'achievements.demolition.name': 'Collapser',
+    'achievements.demolition.description': 'Destroy 50 black holes',
+    'achievements.giantSlayer.name': 'Giant Slayer',
+    'achievements.giantSlayer.description': 'Defeat a boss',
+    'achievements.bossHunter.name': 'Bane of Supermassives',
+    'achievements.bossHunter.description': 'Defeat 5 bosses',
+    'achievements.fleet.name': 'Full Fleet',
+    'achievements.fleet.description': 'Buy every ship',
+    'colors.gold': 'Gold',
+    'colors.nebula': 'Nebula',
+    'colors.crimson': 'Crimson',
+    'colors.emerald': 'Emerald',
+
+    'save.title': 'SAVE DATA',
+    'save.hint': 'Move your progress to another device with a file or a code',
+    'save.download': '⬇ DOWNLOAD FILE',
+    'save.upload': '⬆ LOAD FILE',
+    'save.codePlaceholder': 'Paste a save code',
+    'save.showCode': 'SHOW CODE',
+    'save.applyCode': 'APPLY CODE',
+    'save.copyHint': 'Copy the code and paste it on the other device',
+    'save.readFailed': 'Could not read the save',
+    'save.confirmReplace': 'Replace your current progress with the loaded one?',
+    'save.loaded': 'Progress loaded',
+
+    'settings.title': 'SETTINGS',
+    'settings.graphics': 'GRAPHICS',
+    'settings.shake': 'Screen shake',
+    'settings.botIndicator': 'Bot label',
+    'settings.language': 'Language',
+    'settings.languageAuto': 'Browser default',
+    'settings.controls': 'CONTROLS',
+    'settings.touch': 'TOUCH SCREEN',
+    'settings.bindings': '⌨ KEYS',
+    'settings.sound': 'SOUND',
+    'settings.master': 'Master volume',
+    'settings.music': 'Music',
+    'settings.sfx': 'Effects',
+    'settings.mute': 'Mute',
+    'graphics.low': 'Low',
+    'graphics.medium': 'Medium',
+    'graphics.high': 'High',
+
+    'schemes.mouse': 'Mouse',
+    'schemes.keyboard': 'Keyboard',
+    'schemes.mouseHint': 'The ship flies toward the cursor; movement keys are not used',
+    'schemes.keyboardHint': 'Movement keys set the thrust direction',
+    'touchSchemes.follow': 'Follow finger',
+    'touchSchemes.joystick': 'Joystick',
+    'touchSchemes.followHint': 'The ship follows your finger and boosts; a second finger fires',
+    'touchSchemes.joystickHint': 'Joystick under your left thumb, boost and fire buttons on the right',
+
+    'controls.title': 'KEYS',
+    'controls.reset': 'RESET KEYS',
+    'controls.pressKey': 'Press a key…',
+    'actions.up': 'Up',
+    'actions.down': 'Down',
+    'actions.left': 'Left',
+    'actions.right': 'Right',
+    'actions.boost': 'Boost',
+    'actions.fire': 'Fire',
+    'actions.pause': 'Pause',
+    'actions.mute': 'Sound',
+    'keys.Space': 'Space',
+    'keys.ShiftLeft': 'Left Shift',
+    'keys.ShiftRight': 'Right Shift',
+    'keys.ControlLeft': 'Left Ctrl',
+    'keys.ControlRight': 'Right Ctrl',
+    'keys.AltLeft': 'Left Alt',
+    'keys.AltRight': 'Right Alt',
+
+    'gamepad.connected': 'Controller connected',
+    'gamepad.disconnected': 'Controller disconnected'
+};
@@ -0,0 +1,344 @@
+// Cosmic Drift - Russian messages, the language the game was written in and
+// the fallback for anything missing from another catalog. See i18n.js.
+
+const MESSAGES_RU = {
+    'meta.title': 'Cosmic Drift - Космическая Аркада',
+    'meta.description': 'Cosmic Drift - космическая аркада с неоновой графикой',
+
+    'start.subtitle': 'Навигация сквозь бездну',
+    'start.steerMouse': '🖱️ МЫШЬ',
+    'start.steerMouseDesc': 'Корабль следует за курсором',
+    'start.steerKeysDesc': 'Направление тяги',
+    'start.boostDesc': 'Ускорение',
+    'start.fireDesc': 'Огонь',
+    'start.leftClick': 'ЛКМ',
+    'start.rightClick': 'ПКМ',
+    'start.chooseShip': 'ВЫБЕРИ КОРАБЛЬ',
+    'start.chooseMode': 'РЕЖИМ ИГРЫ',
+    'daily.play': '☀ ДРЕЙФ ДНЯ',
+    'daily.today': 'Сегодня: {rules} · Серия: {streak}',
+    'daily.done': 'Попытка на сегодня использована · Серия: {streak}',
+    'modifiers.strongGravity': 'чёрные дыры тянут вдвое сильнее',
+    'modifiers.noRegen': 'энергия не восстанавливается',
+    'modifiers.tankOnly': 'только ТАНК',
+    'modifiers.solarWind': 'солнечный ветер сносит вправо',
+    'modifiers.fastBullets': 'быстрые пули',
+    'start.seed': 'СИД',
+    'start.seedPlaceholder': 'СЛУЧАЙНЫЙ',
+    'start.play': 'НАЧАТЬ ИГРУ',
+    'start.campaign': '🗺 КАМПАНИЯ',
+    'start.editor': '🛠 РЕДАКТОР УРОВНЕЙ',
+    'start.importReplay': '⬆ ЗАГРУЗИТЬ ПОВТОР',
+    'start.leaderboard': '🏅 РЕКОРДЫ',
+    'start.stats': '📊 СТАТИСТИКА',
+    'start.achievements': '🏆 ДОСТИЖЕНИЯ',
+    'start.save': '💾 СОХРАНЕНИЕ',
+    'start.settings': '⚙ НАСТРОЙКИ',
+    'start.saveRepaired': 'Сохранение было повреждено — восстановлено всё, что удалось',
+    'start.highScore': 'Рекорд: ',
+
+    'ships.speeder': 'СКОРОСТЬ',
+    'ships.balanced': 'БАЛАНС',
+    'ships.tank': 'ТАНК',
+    'ship.speed': 'Скорость',
+    'ship.handling': 'Манёвр',
+    'ship.hp': 'HP',
+    'ship.weapon': 'Оружие',
+    'ship.owned': '✓ КУПЛЕНО',
+    'weapons.laser': 'Лазер',
+    'weapons.twin': 'Дуплет',
+    'weapons.cannon': 'Пушка',
+
+    'upgrades.title': 'УЛУЧШЕНИЯ',
+    'upgrades.max': 'МАКС',
+    'upgrades.perSecond': '{value}/с',
+    'upgrades.maxSpeed': 'Скорость',
+    'upgrades.thrust': 'Тяга',
+    'upgrades.friction': 'Манёвр',
+    'upgrades.maxHP': 'Корпус',
+    'upgrades.maxEnergy': 'Батарея',
+    'upgrades.energyRegen': 'Регенерация',
+    'upgrades.boostMultiplier': 'Форсаж',
+
+    'hud.score': 'СЧЁТ',
+    'hud.energy': 'ЭНЕРГИЯ',
+    'hud.coins': 'МОНЕТЫ',
+    'hud.boss': 'СВЕРХМАССИВНАЯ ДЫРА',
+    'hud.level': 'УРОВЕНЬ',
+    'hud.multiplier': 'МНОЖИТЕЛЬ',
+    'hud.time': 'ВРЕМЯ',
+    'hud.goal': 'ЦЕЛЬ',
+    'hud.mute': 'Звук',
+    'hud.botOn': '🤖 БОТ: ВКЛ',
+    'hud.botOff': '🤖 БОТ: ВЫКЛ',
+    'hud.botActive': '🤖 БОТ АКТИВЕН',
+    'hud.touchFire': 'ОГОНЬ',
+    'hud.touchBoost': 'УСКОРЕНИЕ',
+
+    'banner.boss': '⚠ СВЕРХМАССИВНАЯ ДЫРА ⚠',
+    'banner.bossPhase': 'ФАЗА {phase}',
+    'banner.bossDefeated': 'БОСС ПОВЕРЖЕН! +{reward} 🪙',
+    'banner.bossEscaped': 'БОСС УШЁЛ',
+    'banner.wreck': 'АВАРИЯ! МНОЖИТЕЛЬ СБРОШЕН',
+
+    'collectibles.energy': 'Энергия',
+    'collectibles.points': 'Очки',
+    'collectibles.multiplier': 'Множитель',
+    'collectibles.shield': 'Щит',
+    'collectibles.magnet': 'Магнит',
+    'collectibles.slowmo': 'Замедление',
+    'collectibles.doubleCoins': 'Двойные монеты',
+    'collectibles.ghost': 'Призрак',
+    'collectibles.bomb': 'Бомба',
+
+    'deaths.blackHole': 'Чёрная дыра',
+    'deaths.bullet': 'Снаряд',
+    'deaths.drone': 'Дрон',
+    'deaths.pulsar': 'Пульсар',
+    'deaths.boss': 'Босс',
+    'deaths.timeUp': 'Время вышло',
+    'deaths.quit': 'Завершён пилотом',
+    'deaths.cleared': 'Уровень пройден',
+
+    'gameOver.title': 'КОНЕЦ ИГРЫ',
+    'gameOver.timeUp': 'ВРЕМЯ ВЫШЛО',
+    'gameOver.finished': 'ПОЛЁТ ЗАВЕРШЁН',
+    'gameOver.cleared': 'УРОВЕНЬ ПРОЙДЕН',
+    'gameOver.failed': 'УРОВЕНЬ ПРОВАЛЕН',
+    'gameOver.score': 'Итоговый счёт',
+    'gameOver.level': 'Достигнутый уровень',
+    'gameOver.seed': 'Сид забега',
+    'gameOver.newRecord': '🏆 НОВЫЙ РЕКОРД!',
+    'gameOver.dailyBonus': 'Бонус дня',
+    'gameOver.stars': 'Звёзды',
+    'gameOver.nameLabel': 'ВЫ В ТАБЛИЦЕ РЕКОРДОВ! ВАШЕ ИМЯ',
+    'gameOver.restart': 'ИГРАТЬ СНОВА',
+    'gameOver.nextLevel': 'СЛЕДУЮЩИЙ УРОВЕНЬ ▶',
+    'gameOver.backToEditor': '🛠 В РЕДАКТОР',
+    'gameOver.watchReplay': '▶ СМОТРЕТЬ ПОВТОР',
+    'gameOver.exportReplay': '⬇ СКАЧАТЬ ПОВТОР',
+    'gameOver.menu': 'В МЕНЮ',
+
+    'replay.badge': 'ПОВТОР',
+    'replay.loadFailed': 'Не удалось загрузить повтор',
+
+    'pause.title': 'ПАУЗА',
+    'pause.resume': 'ПРОДОЛЖИТЬ',
+    'pause.quit': 'ВЫЙТИ В МЕНЮ',
+    'pause.finish': 'ЗАВЕРШИТЬ ПОЛЁТ',
+
+    'common.back': 'НАЗАД',
+
+    'table.name': 'Имя',
+    'table.score': 'Очки',
+    'table.level': 'Уровень',
+    'table.ship': 'Корабль',
+    'table.mode': 'Режим',
+    'table.date': 'Дата',
+    'table.bot': 'Бот',
+    'table.runs': 'Забеги',
+    'table.best': 'Рекорд',
+    'table.time': 'Время',
+    'table.coins': 'Монеты',
+    'table.damage': 'Урон',
+    'table.death': 'Гибель',
+    'table.action': 'Действие',
+    'table.key': 'Клавиша',
+    'table.altKey': 'Запасная',
+
+    'leaderboard.title': 'РЕКОРДЫ',
+    'leaderboard.allShips': 'ВСЕ',
+    'leaderboard.allModes': 'Все режимы',
+    'leaderboard.botRuns': 'Забеги бота',
+    'leaderboard.empty': 'Здесь пока пусто - установите первый рекорд',
+    'leaderboard.pilot': 'ПИЛОТ',
+    'leaderboard.bot': 'БОТ',
+    'modes.classic': 'Классика',
+    'modes.timeAttack': 'На время',
+    'modes.zen': 'Дзен',
+    'modes.hardcore': 'Хардкор',
+    'modes.classicHint': 'Бесконечный полёт: уровни растут, пока корабль цел',
+    'modes.timeAttackHint': 'Две минуты на лучший счёт; авария сбрасывает множитель',
+    'modes.zenHint': 'Ни чёрных дыр, ни пуль — просто собирай и дрейфуй',
+    'modes.hardcoreHint': 'Одно попадание — конец; уровни быстрее, монеты вдвое',
+    'modes.daily': 'Дрейф дня',
+    'modes.campaign': 'Кампания',
+
+    'online.title': 'ОНЛАЙН',
+    'online.connect': 'ПОДКЛЮЧИТЬ',
+    'online.badAddress': 'Адрес должен начинаться с http:// или https://',
+    'online.noServer': 'Укажите адрес сервера, чтобы видеть мировые рекорды',
+    'online.loading': 'Загрузка...',
+    'online.empty': 'На сервере пока нет рекордов',
+    'online.pending': 'Ждут отправки: {count}',
+    'online.unavailable': 'Сервер недоступен',
+    'online.rejected': 'Рекорд отклонён сервером',
+
+    'stats.title': 'СТАТИСТИКА',
+    'stats.bestByShip': 'ЛУЧШЕЕ ПО КОРАБЛЯМ',
+    'stats.recentRuns': 'ПОСЛЕДНИЕ ЗАБЕГИ',
+    'stats.empty': 'Сыграйте, и здесь появится история забегов',
+    'stats.runs': 'Забегов',
+    'stats.playTime': 'Время в игре',
+    'stats.totalScore': 'Всего очков',
+    'stats.coinsEarned': 'Монет заработано',
+    'stats.bossesDefeated': 'Боссов побеждено',
+    'stats.damageTaken': 'Урона получено',
+    'stats.collected': 'Собрано',
+    'stats.deaths': 'Причины гибели',
+
+    'achievements.title': 'ДОСТИЖЕНИЯ',
+    'achievements.count': 'Получено: {count} / {total}',
+    'campaign.title': 'КАМПАНИЯ',
+    'campaign.loading': 'Загрузка уровней…',
+    'campaign.loadFailed': 'Не удалось загрузить уровни',
+    'campaign.total': 'Звёзд: {stars} / {total}',
+    'campaign.goal.collect': 'Собрать {target} предметов',
+    'campaign.goal.survive': 'Продержаться {target} с',
+    'campaign.goal.score': 'Набрать {target} очков',
+    'campaign.timeLimit': 'за {time}',
+    'campaign.levels.first-light': 'Первый свет',
+    'campaign.levels.gentle-pull': 'Лёгкое притяжение',
+    'campaign.levels.orbit': 'Орбита',
+    'campaign.levels.first-fire': 'Первый огонь',
+    'campaign.levels.crossfire': 'Перекрёстный огонь',
+    'campaign.levels.harvest': 'Жатва',
+    'campaign.levels.twin-wells': 'Двойной колодец',
+    'campaign.levels.spiral-storm': 'Спиральный шторм',
+    'campaign.levels.shield-run': 'Под щитом',
+    'campaign.levels.gauntlet': 'Сквозь строй',
+    'campaign.levels.magnet-field': 'Магнитное поле',
+    'campaign.levels.the-belt': 'Пояс',
+    'campaign.levels.slow-dance': 'Медленный танец',
+    'campaign.levels.demolition': 'Снос',
+    'campaign.levels.event-horizon': 'Горизонт событий',
+    'campaign.levels.last-stand': 'Последний рубеж',
+    'editor.title': 'РЕДАКТОР УРОВНЕЙ',
+    'editor.unsaved': '— не сохранён —',
+    'editor.new': 'НОВЫЙ',
+    'editor.deleteLevel': 'УДАЛИТЬ',
+    'editor.confirmDelete': 'Удалить уровень {id}?',
+    'editor.id': 'ID',
+    'editor.name': 'Название',
+    'editor.goal': 'Цель',
+    'editor.goalType.collect': 'Собрать предметы',
+    'editor.goalType.survive': 'Продержаться, с',
+    'editor.goalType.score': 'Набрать очки',
+    'editor.target': 'Сколько',
+    'editor.timeLimit': 'Лимит, с',
+    'editor.twoStars': '★★ от',
+    'editor.threeStars': '★★★ от',
+    'editor.toolSelect': '✋ ВЫБОР',
+    'editor.toolBlackHole': '🕳 ЧЁРНАЯ ДЫРА',
+    'editor.toolWave': '✦ ВОЛНА',
+    'editor.deleteItem': '✕ УБРАТЬ',
+    'editor.field.at': 'Появление, с',
+    'editor.field.radius': 'Радиус',
+    'editor.field.pullRadius': 'Радиус притяжения',
+    'editor.field.strength': 'Сила',
+    'editor.field.shootInterval': 'Выстрел раз в, с',
+    'editor.field.lifetime': 'Живёт, с',
+    'editor.field.type': 'Предмет',
+    'editor.field.count': 'Количество',
+    'editor.field.spread': 'Разброс',
+    'editor.field.life': 'Лежит, с',
+    'editor.play': '▶ ИСПЫТАТЬ',
+    'editor.save': '💾 СОХРАНИТЬ',
+    'editor.export': '⬇ ЭКСПОРТ',
+    'editor.import': '⬆ ИМПОРТ',
+    'editor.saved': 'Уровень {id} сохранён',
+    'editor.invalid': 'Уровень не готов: {error}',
+    'editor.imported': 'Загружено уровней: {count}',
+    'editor.importFailed': 'Это не файл уровней Cosmic Drift',
+    'achievements.unlocked': 'Достижение получено',
+    'achievements.shipColor': 'ЦВЕТ КОРАБЛЯ',
+    'achievements.defaultColor': 'Стандарт',
+    'achievements.lockedColor': '{name} - откройте достижением',
+    'achievements.collector.name': 'Собиратель',
+    'achievements.collector.description': 'Подберите 100 предметов',
+    'achievements.hoarder.name': 'Барахольщик',
+    'achievements.hoarder.description': 'Подберите 1000 предметов',
+    'achievements.powerUser.name': 'Заряженный',
+    'achievements.powerUser.description': 'Подберите 25 усилений',
+    'achievements.farOut.name': 'Дальний рейс',
+    'achievements.farOut.description': 'Доберитесь до 5 уровня',
+    'achievements.deepSpace.name': 'Край галактики',
+    'achievements.deepSpace.description': 'Доберитесь до 10 уровня',
+    'achievements.lastHeart.name': 'На волоске',
+    'achievements.lastHeart.description': 'Переживите удар с последним ❤️',
+    'achievements.calm.name': 'Без суеты',
+    'achievements.calm.description': 'Пройдите уровень целиком без ускорения',
+    'achievements.demolition.name': 'Схлопыватель',
+    'achievements.demolition.description': 'Уничтожьте 50 чёрных дыр',
+    'achievements.giantSlayer.name': 'Охотник на гигантов',
+    'achievements.giantSlayer.description': 'Победите босса',
+    'achievements.bossHunter.name': 'Гроза сверхмассивных',
+    'achievements.bossHunter.description': 'Победите 5 боссов',
+    'achievements.fleet.name': 'Весь флот',
+    'achievements.fleet.description': 'Купите все корабли',
+    'colors.gold': 'Золото',
+    'colors.nebula': 'Туманность',
+    'colors.crimson': 'Багрянец',
+    'colors.emerald': 'Изумруд',
+
+    'save.title': 'СОХРАНЕНИЕ',
+    'save.hint': 'Перенесите прогресс на другое устройство файлом или кодом',
+    'save.download': '⬇ СКАЧАТЬ ФАЙЛ',
+    'save.upload': '⬆ ЗАГРУЗИТЬ ФАЙЛ',
+    'save.codePlaceholder': 'Вставьте код сохранения',
+    'save.showCode': 'ПОКАЗАТЬ КОД',
+    'save.applyCode': 'ПРИМЕНИТЬ КОД',
+    'save.copyHint': 'Скопируйте код и вставьте его на другом устройстве',
+    'save.readFailed': 'Не удалось прочитать сохранение',
+    'save.confirmReplace': 'Заменить текущий прогресс загруженным?',
+    'save.loaded': 'Прогресс загружен',
+
+    'settings.title': 'НАСТРОЙКИ',
+    'settings.graphics': 'ГРАФИКА',
+    'settings.shake': 'Тряска экрана',
+    'settings.botIndicator': 'Значок бота',
+    'settings.language': 'Язык',
+    'settings.languageAuto': 'Как в браузере',
+    'settings.controls': 'УПРАВЛЕНИЕ',
+    'settings.touch': 'СЕНСОРНЫЙ ЭКРАН',
+    'settings.bindings': '⌨ КЛАВИШИ',
+    'settings.sound': 'ЗВУК',
+    'settings.master': 'Общая громкость',
+    'settings.music': 'Музыка',
+    'settings.sfx': 'Эффекты',
+    'settings.mute': 'Без звука',
+    'graphics.low': 'Низкое',
+    'graphics.medium': 'Среднее',
+    'graphics.high': 'Высокое',
+
+    'schemes.mouse': 'Мышь',
+    'schemes.keyboard': 'Клавиатура',
+    'schemes.mouseHint': 'Корабль летит за курсором, клавиши движения не используются',
+    'schemes.keyboardHint': 'Клавиши движения задают направление тяги',
+    'touchSchemes.follow': 'За пальцем',
+    'touchSchemes.joystick': 'Джойстик',
+    'touchSchemes.followHint': 'Корабль летит за пальцем и ускоряется, второй палец - огонь',
+    'touchSchemes.joystickHint': 'Джойстик под левым пальцем, кнопки ускорения и огня справа',
+
+    'controls.title': 'КЛАВИШИ',
+    'controls.reset': 'СБРОСИТЬ КЛАВИШИ',
+    'controls.pressKey': 'Нажмите клавишу…',
+    'actions.up': 'Вверх',
+    'actions.down': 'Вниз',
+    'actions.left': 'Влево',
+    'actions.right': 'Вправо',
+    'actions.boost': 'Ускорение',
+    'actions.fire': 'Огонь',
+    'actions.pause': 'Пауза',
+    'actions.mute': 'Звук',
+    'keys.Space': 'Пробел',
+    'keys.ShiftLeft': 'Левый Shift',
+    'keys.ShiftRight': 'Правый Shift',
+    'keys.ControlLeft': 'Левый Ctrl',
+    'keys.ControlRight': 'Правый Ctrl',
+    'keys.AltLeft': 'Левый Alt',
+    'keys.AltRight': 'Правый Alt',
+
+    'gamepad.connected': 'Геймпад подключён',
+    'gamepad.disconnected': 'Геймпад отключён'
+};
@@ -0,0 +1,124 @@
+// Cosmic Drift - Game modes
+//
+// Each mode tweaks the simulation through the hooks in MODE_DEFAULTS:
+// start(sim) runs once the ship is built, update(sim) at the end of every
+// tick, spawns(sim, kind) gates random collectibles, black holes, enemies and
+// bosses, spawned(sim, kind, entity) sees every collectible, black hole,
+// bullet and enemy as it appears, and gameOver(sim, cause) can veto the end
+// of a run by returning false. Every ranked mode keeps its own high score.
+//
+// RULE_MODIFIERS use the same hooks and stack on top of a mode in the order
+// they are listed - the daily challenge (daily.js) picks them by date.
+
+const MODE_DEFAULTS = {
+    levelTicks: 1800,     // Ticks per level - 30 seconds at 60fps
+    coinMultiplier: 1,
+    timeLimit: null,      // Ticks, for modes that end on the clock
+    finishOnQuit: false,  // Quitting ends the run and records it instead of abandoning it
+    selectable: true,     // Offered by the start screen's mode picker
+    ranked: true,         // Kept in the high scores and leaderboards
+    ship: null,           // Flown instead of the chosen ship
+    start() {},
+    update() {},
+    spawns: () => true,
+    spawned() {},
+    gameOver: () => true
+};
+
+const GAME_MODES = {
+    classic: {},
+    // Two minutes to score as much as possible. Crashing costs the
+    // multiplier, not the run.
+    timeAttack: {
+        timeLimit: 2 * 60 * 60,
+        update(sim) {
+            if (sim.tick >= sim.rules.timeLimit) sim.gameOver('timeUp');
+        },
+        gameOver(sim, cause) {
+            if (cause === 'timeUp') return true;
+            sim.hp = sim.maxHP;
+            sim.multiplier = 1;
+            sim.player.invincible = true;
+            sim.player.invincibleTimer = 120;
+            sim.emit('wreck', { cause });
+            return false;
+        }
+    },
+    // Nothing hostile ever shows up; the run lasts until the player leaves
+    zen: {
+        finishOnQuit: true,
+        spawns: (sim, kind) => kind === 'collectible'
+    },
+    // One hit from anything, levels come faster and coins pay double
+    hardcore: {
+        levelTicks: 1200,
+        coinMultiplier: 2,
+        start(sim) {
+            sim.maxHP = 1;
+            sim.hp = 1;
+        }
+    },
+    // Classic rules with the day's seed and modifiers, started from its own button
+    daily: {
+        selectable: false
+    },
+    // A hand-authored level (campaign.js) decides everything that appears and
+    // when the run is won; the level number never rises
+    campaign: {
+        selectable: false,
+        ranked: false,
+        levelTicks: Infinity,
+        spawns: () => false,
+        start(sim) {
+            sim.script = new LevelScript(sim.campaignLevel);
+            sim.script.start(sim);
+        },
+        update(sim) {
+            sim.script.update(sim);
+        }
+    }
+};
+
+const RULE_MODIFIERS = {
+    strongGravity: {
+        spawned(sim, kind, entity) {
+            if (kind === 'blackHole') entity.strength *= 2;
+        }
+    },
+    noRegen: {
+        start(sim) {
+            sim.player.energyRegen = 0;
+        }
+    },
+    tankOnly: {
+        ship: 'tank'
+    },
+    solarWind: {
+        update(sim) {
+            sim.player.vx += 0.15; // A steady push to the right
+        }
+    },
+    fastBullets: {
+        spawned(sim, kind, entity) {
+            if (kind === 'bullet') {
+                entity.vx *= 1.5;
+                entity.vy *= 1.5;
+            }
+        }
+    }
+};
+
+// The mode's rules with each modifier's hooks run after the ones before it
+function gameModeRules(mode, modifiers = []) {
+    const rules = { ...MODE_DEFAULTS, ...GAME_MODES[mode] };
+    for (const id of modifiers) {
+        const modifier = RULE_MODIFIERS[id];
+        const { start, update, spawns, spawned } = rules;
+        rules.ship = modifier.ship || rules.ship;
+        if (modifier.start) rules.start = sim => { start(sim); modifier.start(sim); };
+        if (modifier.update) rules.update = sim => { update(sim); modifier.update(sim); };
+        if (modifier.spawns) rules.spawns = (sim, kind) => spawns(sim, kind) && modifier.spawns(sim, kind);
+        if (modifier.spawned) rules.spawned = (sim, kind, entity) => { spawned(sim, kind, entity); modifier.spawned(sim, kind, entity); };
+    }
+    return rules;
+}
@@ -0,0 +1,37 @@
+// Cosmic Drift - Collectibles and timed power-ups
+//
+// COLLECTIBLE_SPAWNS decides what spawnCollectible() drops at each level.
+// Weights are relative; an entry joins the pool at minLevel and its weight
+// then changes by perLevel every level.
+//
+// POWERUP_TYPES are the timed effects. Picking one up while it is active adds
+// its duration again, up to maxStacks durations; different effects run side
+// by side. Durations are in ticks.
+
+const COLLECTIBLE_SPAWNS = [
+    { type: 'energy', weight: 40, minLevel: 1, perLevel: 0 },
+    { type: 'points', weight: 35, minLevel: 1, perLevel: -1 },
+    { type: 'multiplier', weight: 15, minLevel: 1, perLevel: 0 },
+    { type: 'shield', weight: 10, minLevel: 1, perLevel: 0 },
+    { type: 'magnet', weight: 5, minLevel: 2, perLevel: 0.5 },
+    { type: 'doubleCoins', weight: 4, minLevel: 2, perLevel: 0.5 },
+    { type: 'slowmo', weight: 3, minLevel: 3, perLevel: 0.5 },
+    { type: 'ghost', weight: 3, minLevel: 4, perLevel: 0.5 },
+    { type: 'bomb', weight: 2, minLevel: 5, perLevel: 0.5 }
+];
+
+const POWERUP_TYPES = {
+    shield: { duration: 180, maxStacks: 2 },      // Immune to all damage
+    magnet: { duration: 600, maxStacks: 2 },      // Pulls nearby collectibles in
+    slowmo: { duration: 360, maxStacks: 2 },      // Enemies and bullets run at half speed
+    doubleCoins: { duration: 900, maxStacks: 2 }, // Every coin counts twice
+    ghost: { duration: 300, maxStacks: 1 }        // Black holes neither pull nor hurt
+};
+
+const MAGNET_RADIUS = 250;
+const BOMB_DAMAGE = 10;
+
+function collectibleWeight(entry, level) {
+    if (level < entry.minLevel) return 0;
+    return Math.max(0, entry.weight + entry.perLevel * (level - entry.minLevel));
+}
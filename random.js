@@ -0,0 +1,55 @@
+// Cosmic Drift - Deterministic random numbers
+
+// Seeded PRNG (mulberry32) - the same seed always produces the same sequence
+class Random {
+    constructor(seed) {
+        this.state = seed >>> 0;
+    }
+
+    // Float in [0, 1), drop-in replacement for Math.random()
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Float in [min, max)
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    // Integer in [0, n)
+    int(n) {
+        return Math.floor(this.next() * n);
+    }
+
+    // Seeds are strings so players can read and type them
+    static normalizeSeed(seed) {
+        return String(seed).trim().toUpperCase();
+    }
+
+    static generateSeed() {
+        const alphabet = '0123456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+        let seed = '';
+        for (let i = 0; i < 8; i++) {
+            seed += alphabet[Math.floor(Math.random() * alphabet.length)];
+        }
+        return seed;
+    }
+
+    // FNV-1a hash of the seed string into a 32-bit state
+    static hashSeed(seed) {
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < seed.length; i++) {
+            hash ^= seed.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    static fromSeed(seed) {
+        return new Random(Random.hashSeed(Random.normalizeSeed(seed)));
+    }
+}
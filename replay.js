@@ -0,0 +1,212 @@
+// Cosmic Drift - Replay recording and serialization
+//
+// A run is fully determined by its seed, ship, mode, rule modifiers, campaign
+// level, arena size and the input used on every tick, so a replay stores
+// exactly that and is played back through the normal Game.update() path.
+// Replay.fromJSON() refuses any file this version could not play back, for
+// the game's replay import and the leaderboard server alike.
+
+const REPLAY_FORMAT = 'cosmic-drift-replay';
+const REPLAY_VERSION = 5; // 2 added direct (analog stick) input, 3 game modes, 4 rule modifiers, 5 campaign levels
+
+// Bits of the per-tick input flags
+const INPUT_BOOST = 1;
+const INPUT_FIRE = 2;
+const INPUT_DIRECT = 4;
+
+const MAX_REPLAY_ARENA = 8192; // Pixels on either side, past any real screen
+const MAX_REPLAY_TICKS = 30 * 60 * 60; // Half an hour, so checking a replay stays quick
+// Inputs are points on or around the arena, so no step between them is wider
+const MAX_REPLAY_STEP = 2 * MAX_REPLAY_ARENA;
+
+class Replay {
+    constructor({ seed, ship, arenaWidth, arenaHeight, upgrades = {}, mode = 'classic', modifiers = [], campaignLevel = null, bot = false, rules = SIMULATION_VERSION }) {
+        this.rules = rules; // Simulation version the run was played under
+        this.seed = seed;
+        this.ship = ship;
+        this.mode = mode;
+        this.modifiers = modifiers; // See RULE_MODIFIERS
+        this.campaignLevel = campaignLevel; // The whole level, so edited and imported levels replay too
+        this.upgrades = upgrades; // The ship's upgrade tiers change how it flies
+        this.arenaWidth = arenaWidth;
+        this.arenaHeight = arenaHeight;
+        this.bot = bot;
+
+        // Result of the run, filled in when it ends
+        this.score = 0;
+        this.level = 1;
+        this.date = new Date().toISOString();
+
+        // One entry per tick
+        this.xs = [];
+        this.ys = [];
+        this.flags = [];
+    }
+
+    get length() {
+        return this.xs.length;
+    }
+
+    record(input) {
+        this.xs.push(input.x);
+        this.ys.push(input.y);
+        this.flags.push((input.boost ? INPUT_BOOST : 0) | (input.fire ? INPUT_FIRE : 0) |
+            (input.direct ? INPUT_DIRECT : 0));
+    }
+
+    inputAt(tick) {
+        return {
+            x: this.xs[tick],
+            y: this.ys[tick],
+            boost: (this.flags[tick] & INPUT_BOOST) !== 0,
+            fire: (this.flags[tick] & INPUT_FIRE) !== 0,
+            direct: (this.flags[tick] & INPUT_DIRECT) !== 0
+        };
+    }
+
+    finish(score, level) {
+        this.score = score;
+        this.level = level;
+    }
+
+    // Inputs are stored as flat runs of [count, dx, dy, flags], with positions
+    // relative to the previous run - the cursor often sits still for many ticks
+    toJSON() {
+        const inputs = [];
+        let prevX = 0, prevY = 0;
+
+        for (let i = 0; i < this.length;) {
+            const x = this.xs[i], y = this.ys[i], flags = this.flags[i];
+            let count = 1;
+            while (i + count < this.length &&
+                this.xs[i + count] === x &&
+                this.ys[i + count] === y &&
+                this.flags[i + count] === flags) {
+                count++;
+            }
+
+            inputs.push(count, x - prevX, y - prevY, flags);
+            prevX = x;
+            prevY = y;
+            i += count;
+        }
+
+        return {
+            format: REPLAY_FORMAT,
+            version: REPLAY_VERSION,
+            rules: this.rules,
+            seed: this.seed,
+            ship: this.ship,
+            mode: this.mode,
+            modifiers: this.modifiers,
+            campaignLevel: this.campaignLevel,
+            upgrades: this.upgrades,
+            arena: [this.arenaWidth, this.arenaHeight],
+            bot: this.bot,
+            score: this.score,
+            level: this.level,
+            ticks: this.length,
+            date: this.date,
+            inputs
+        };
+    }
+
+    static fromJSON(data) {
+        if (!data || data.format !== REPLAY_FORMAT) {
+            throw new Error('Not a Cosmic Drift replay');
+        }
+        // Version 1 replays never set INPUT_DIRECT and older versions were all
+        // classic runs, so they still read as they are
+        if (![1, 2, 3, 4, REPLAY_VERSION].includes(data.version)) {
+            throw new Error(`Unsupported replay version: ${data.version}`);
+        }
+        if (data.rules !== SIMULATION_VERSION) {
+            throw new Error(`Replay was recorded with different game rules (${data.rules})`);
+        }
+        if (typeof data.seed !== 'string' || typeof data.ship !== 'string' ||
+            !Array.isArray(data.arena) || !Array.isArray(data.inputs) ||
+            data.inputs.length % 4 !== 0 ||
+            (data.mode !== undefined && typeof data.mode !== 'string') ||
+            (data.modifiers !== undefined && (!Array.isArray(data.modifiers) ||
+                !data.modifiers.every(id => typeof id === 'string'))) ||
+            (data.campaignLevel !== undefined && data.campaignLevel !== null && typeof data.campaignLevel !== 'object') ||
+            (data.upgrades !== undefined && (typeof data.upgrades !== 'object' || data.upgrades === null))) {
+            throw new Error('Malformed replay');
+        }
+        if (data.arena.length !== 2 || !data.arena.every(Replay.isArenaSide)) {
+            throw new Error('Malformed replay: arena');
+        }
+        // Upgrade tiers the shop could never have sold would make a stronger ship
+        if (data.upgrades && !Object.entries(data.upgrades).every(([id, tier]) =>
+            Object.hasOwn(SHIP_UPGRADES, id) && Number.isInteger(tier) && tier >= 0 && tier <= SHIP_UPGRADES[id].tiers)) {
+            throw new Error('Malformed replay: upgrades');
+        }
+        // Everything the run is set up from has to exist in this version
+        if (!SHIP_TYPES[data.ship]) {
+            throw new Error(`Unknown ship type: ${data.ship}`);
+        }
+        const mode = data.mode || 'classic';
+        if (!GAME_MODES[mode]) {
+            throw new Error(`Unknown game mode: ${mode}`);
+        }
+        const unknown = (data.modifiers || []).find(id => !RULE_MODIFIERS[id]);
+        if (unknown) {
+            throw new Error(`Unknown rule modifier: ${unknown}`);
+        }
+        if (mode === 'campaign' && !data.campaignLevel) {
+            throw new Error('Campaign replay without its level');
+        }
+
+        const replay = new Replay({
+            seed: data.seed,
+            ship: data.ship,
+            arenaWidth: data.arena[0],
+            arenaHeight: data.arena[1],
+            upgrades: data.upgrades || {},
+            mode,
+            modifiers: data.modifiers || [],
+            campaignLevel: data.campaignLevel ? parseLevel(data.campaignLevel) : null,
+            bot: !!data.bot,
+            rules: data.rules
+        });
+        replay.score = data.score || 0;
+        replay.level = data.level || 1;
+        replay.date = data.date || replay.date;
+
+        // The length is checked before anything is expanded, and every run of
+        // inputs as it is, so a small file cannot claim an endless run
+        if (!Number.isInteger(data.ticks) || data.ticks <= 0 || data.ticks > MAX_REPLAY_TICKS) {
+            throw new Error('Malformed replay: ticks');
+        }
+        let x = 0, y = 0;
+        for (let i = 0; i < data.inputs.length; i += 4) {
+            const [count, dx, dy, flags] = data.inputs.slice(i, i + 4);
+            if (!Number.isInteger(count) || count <= 0 || replay.length + count > data.ticks ||
+                !Replay.isInputStep(dx) || !Replay.isInputStep(dy) ||
+                !Number.isInteger(flags) || flags < 0 || flags > (INPUT_BOOST | INPUT_FIRE | INPUT_DIRECT)) {
+                throw new Error('Malformed replay: inputs');
+            }
+            x += dx;
+            y += dy;
+            for (let j = 0; j < count; j++) {
+                replay.xs.push(x);
+                replay.ys.push(y);
+                replay.flags.push(flags);
+            }
+        }
+
+        if (replay.length !== data.ticks) {
+            throw new Error('Replay input stream is truncated');
+        }
+
+        return replay;
+    }
+
+    static isArenaSide(size) {
+        return Number.isInteger(size) && size > 0 && size <= MAX_REPLAY_ARENA;
+    }
+
+    static isInputStep(delta) {
+        return Number.isInteger(delta) && Math.abs(delta) <= MAX_REPLAY_STEP;
+    }
+}
@@ -0,0 +1,377 @@
+// Cosmic Drift - Save data
+//
+// All progress lives in one versioned object under SAVE_KEY. Loading
+// validates it field by field, so a damaged entry only loses the fields that
+// are actually broken, and older saves are migrated forward step by step.
+// Progress from before the save object existed is picked up from the old
+// loose keys once and then moved over.
+
+const SAVE_KEY = 'cosmicDriftSave';
+const SAVE_VERSION = 5;
+const SAVE_CODE_PREFIX = 'CDSAVE1:';
+
+// Pre-versioning keys, read once by the migration
+const LEGACY_SAVE_KEYS = {
+    highScore: 'cosmicDriftHighScore',
+    coins: 'cosmicDriftCoins',
+    unlockedShips: 'cosmicDriftUnlockedShips',
+    shipUpgrades: 'cosmicDriftShipUpgrades',
+    stats: 'cosmicDriftStats'
+};
+
+// SAVE_MIGRATIONS[n] turns a version n save into version n + 1
+const SAVE_MIGRATIONS = {
+    // Version 2 added run statistics; nothing was recorded before it
+    1: save => ({ ...save, shipBests: {}, runs: [] }),
+
+    // Version 3 added achievements; credit what the stats already show
+    2: save => {
+        const stats = save.stats || {};
+        const collected = Object.values(stats.collectibles || {}).reduce((sum, count) => sum + count, 0);
+        return {
+            ...save,
+            achievements: {
+                progress: { collectibles: collected, bosses: stats.bossesDefeated || 0 },
+                unlocked: {}
+            },
+            shipColor: null
+        };
+    },
+
+    // Version 4 added the leaderboard; seed it from the run history. Those
+    // runs were never named, so the table shows them as the pilot or the bot.
+    3: save => ({
+        ...save,
+        leaderboard: (Array.isArray(save.runs) ? save.runs : []).map(run => ({
+            name: '',
+            score: run.score,
+            level: run.level,
+            ship: run.ship,
+            mode: 'classic',
+            date: run.date,
+            bot: run.bot === true
+        })),
+        playerName: ''
+    }),
+
+    // Version 5 split the high score by game mode; every run so far was classic
+    4: save => {
+        const { highScore, ...rest } = save;
+        return {
+            ...rest,
+            highScores: { classic: highScore === undefined ? 0 : highScore },
+            runs: (Array.isArray(save.runs) ? save.runs : [])
+                .map(run => (run && typeof run === 'object' ? { mode: 'classic', ...run } : run))
+        };
+    }
+};
+
+class SaveStore {
+    constructor(storage) {
+        this.storage = storage;
+        this.problems = []; // What had to be repaired on the last load
+    }
+
+    static defaults() {
+        return {
+            version: SAVE_VERSION,
+            highScores: {}, // modeId -> best score, see modes.js
+            coins: 0,
+            unlockedShips: ['speeder'], // Speeder is free
+            shipUpgrades: {},
+            stats: {
+                bossesDefeated: 0,
+                runs: 0,
+                playTicks: 0,
+                totalScore: 0,
+                coinsEarned: 0,
+                damageTaken: 0,
+                collectibles: {}, // type -> count
+                deaths: {}        // cause -> count
+            },
+            shipBests: {}, // shipId -> { runs, score, level, ticks }
+            runs: [],      // Latest run records first - see stats.js
+            achievements: { progress: {}, unlocked: {} }, // See achievements.js
+            shipColor: null, // Unlocked SHIP_COLORS entry, or null for the ship's own
+            leaderboard: [], // See leaderboard.js
+            playerName: '',  // Last name entered for the leaderboard
+            syncServer: '',  // Online leaderboard address, empty when offline-only
+            daily: { lastDate: '', streak: 0, bestStreak: 0 }, // See daily.js
+            campaign: {} // levelId -> best stars, see campaign.js
+        };
+    }
+
+    load() {
+        this.problems = [];
+        const raw = this.storage.getItem(SAVE_KEY);
+
+        if (raw === null) {
+            const save = this.migrateLegacy();
+            this.write(save);
+            return save;
+        }
+
+        let data;
+        try {
+            data = JSON.parse(raw);
+        } catch (e) {
+            // Keep the broken text around so nothing is thrown away for good
+            this.storage.setItem(`${SAVE_KEY}.corrupt`, raw);
+            this.problems.push('unreadable');
+            data = null;
+        }
+
+        const save = SaveStore.validate(SaveStore.migrate(data), this.problems);
+        this.write(save);
+        return save;
+    }
+
+    write(save) {
+        this.storage.setItem(SAVE_KEY, JSON.stringify(save));
+    }
+
+    // Build a save from the old loose keys and remove them. Each key is parsed
+    // separately so one damaged value does not take the others with it.
+    migrateLegacy() {
+        const data = { version: SAVE_VERSION };
+        for (const [field, key] of Object.entries(LEGACY_SAVE_KEYS)) {
+            const raw = this.storage.getItem(key);
+            if (raw === null) continue;
+            try {
+                data[field] = JSON.parse(raw);
+            } catch (e) {
+                this.problems.push(field);
+            }
+        }
+        // The high score predates game modes, so it is the classic one
+        if (data.highScore !== undefined) data.highScores = { classic: data.highScore };
+
+        const save = SaveStore.validate(data, this.problems);
+        for (const key of Object.values(LEGACY_SAVE_KEYS)) {
+            this.storage.removeItem(key);
+        }
+        return save;
+    }
+
+    static migrate(data) {
+        if (!data || typeof data !== 'object') return data;
+
+        let save = data;
+        let version = Number.isInteger(save.version) ? save.version : SAVE_VERSION;
+        while (version < SAVE_VERSION && SAVE_MIGRATIONS[version]) {
+            save = SAVE_MIGRATIONS[version](save);
+            version++;
+        }
+        return { ...save, version: SAVE_VERSION };
+    }
+
+    // Check every field against the schema, replacing whatever is invalid with
+    // its default. The names of repaired fields are added to `problems`.
+    static validate(data, problems = []) {
+        const save = SaveStore.defaults();
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            if (data !== null) problems.push('save');
+            return save;
+        }
+
+        const isCount = value => Number.isInteger(value) && value >= 0;
+        const isCounts = value => value && typeof value === 'object' && !Array.isArray(value) &&
+            Object.values(value).every(isCount);
+
+        if (data.coins !== undefined) {
+            if (isCount(data.coins)) save.coins = data.coins;
+            else problems.push('coins');
+        }
+
+        if (data.highScores !== undefined) {
+            if (data.highScores && typeof data.highScores === 'object' && !Array.isArray(data.highScores)) {
+                for (const [mode, score] of Object.entries(data.highScores)) {
+                    if (GAME_MODES[mode] && isCount(score)) save.highScores[mode] = score;
+                    else problems.push('highScores');
+                }
+            } else {
+                problems.push('highScores');
+            }
+        }
+
+        if (data.unlockedShips !== undefined) {
+            if (Array.isArray(data.unlockedShips)) {
+                const ships = data.unlockedShips.filter(id => SHIP_TYPES[id]);
+                save.unlockedShips = [...new Set(['speeder', ...ships])];
+                if (ships.length !== data.unlockedShips.length) problems.push('unlockedShips');
+            } else {
+                problems.push('unlockedShips');
+            }
+        }
+
+        if (data.shipUpgrades !== undefined) {
+            if (data.shipUpgrades && typeof data.shipUpgrades === 'object') {
+                for (const [shipId, levels] of Object.entries(data.shipUpgrades)) {
+                    if (!SHIP_TYPES[shipId] || !levels || typeof levels !== 'object') {
+                        problems.push('shipUpgrades');
+                        continue;
+                    }
+                    const valid = {};
+                    for (const [id, tier] of Object.entries(levels)) {
+                        if (SHIP_UPGRADES[id] && isCount(tier) && tier <= SHIP_UPGRADES[id].tiers) {
+                            valid[id] = tier;
+                        } else {
+                            problems.push('shipUpgrades');
+                        }
+                    }
+                    save.shipUpgrades[shipId] = valid;
+                }
+            } else {
+                problems.push('shipUpgrades');
+            }
+        }
+
+        if (data.stats !== undefined) {
+            if (data.stats && typeof data.stats === 'object') {
+                for (const [key, value] of Object.entries(data.stats)) {
+                    // Tallies like collectibles hold a count per type
+                    const isTally = typeof save.stats[key] === 'object';
+                    if (isTally ? isCounts(value) : isCount(value)) {
+                        save.stats[key] = isTally ? { ...value } : value;
+                    } else {
+                        problems.push('stats');
+                    }
+                }
+            } else {
+                problems.push('stats');
+            }
+        }
+
+        if (data.shipBests !== undefined) {
+            if (data.shipBests && typeof data.shipBests === 'object') {
+                for (const [shipId, best] of Object.entries(data.shipBests)) {
+                    if (SHIP_TYPES[shipId] && isCounts(best)) {
+                        save.shipBests[shipId] = { runs: 0, score: 0, level: 0, ticks: 0, ...best };
+                    } else {
+                        problems.push('shipBests');
+                    }
+                }
+            } else {
+                problems.push('shipBests');
+            }
+        }
+
+        if (data.runs !== undefined) {
+            if (Array.isArray(data.runs)) {
+                const isRun = run => run && typeof run === 'object' &&
+                    SHIP_TYPES[run.ship] && GAME_MODES[run.mode] && typeof run.seed === 'string' &&
+                    ['date', 'score', 'level', 'coins', 'ticks', 'bossesDefeated', 'damageTaken']
+                        .every(key => isCount(run[key])) &&
+                    isCounts(run.collectibles) &&
+                    (run.cause === null || typeof run.cause === 'string');
+                save.runs = data.runs.filter(isRun).slice(0, RUN_HISTORY_LIMIT);
+                if (save.runs.length !== Math.min(data.runs.length, RUN_HISTORY_LIMIT)) problems.push('runs');
+            } else {
+                problems.push('runs');
+            }
+        }
+
+        if (data.achievements !== undefined) {
+            const { progress, unlocked } = data.achievements || {};
+            if (isCounts(progress)) save.achievements.progress = { ...progress };
+            else problems.push('achievements');
+
+            if (isCounts(unlocked)) {
+                for (const [id, date] of Object.entries(unlocked)) {
+                    if (ACHIEVEMENTS[id]) save.achievements.unlocked[id] = date;
+                    else problems.push('achievements');
+                }
+            } else {
+                problems.push('achievements');
+            }
+        }
+
+        if (data.shipColor !== undefined) {
+            if (data.shipColor === null || SHIP_COLORS[data.shipColor]) save.shipColor = data.shipColor;
+            else problems.push('shipColor');
+        }
+
+        if (data.leaderboard !== undefined) {
+            if (Array.isArray(data.leaderboard)) {
+                const isEntry = e => e && typeof e === 'object' &&
+                    typeof e.name === 'string' && SHIP_TYPES[e.ship] && typeof e.mode === 'string' &&
+                    typeof e.bot === 'boolean' && ['score', 'level', 'date'].every(key => isCount(e[key]));
+                const entries = data.leaderboard.filter(isEntry);
+                if (entries.length !== data.leaderboard.length) problems.push('leaderboard');
+                save.leaderboard = trimLeaderboard(entries.map(e => ({ ...e, name: normalizePlayerName(e.name) })));
+            } else {
+                problems.push('leaderboard');
+            }
+        }
+
+        if (data.playerName !== undefined) {
+            if (typeof data.playerName === 'string') save.playerName = normalizePlayerName(data.playerName);
+            else problems.push('playerName');
+        }
+
+        if (data.syncServer !== undefined) {
+            if (typeof data.syncServer === 'string' && (data.syncServer === '' || /^https?:\/\//i.test(data.syncServer))) {
+                save.syncServer = data.syncServer;
+            } else {
+                problems.push('syncServer');
+            }
+        }
+
+        if (data.daily !== undefined) {
+            const { lastDate, streak, bestStreak } = data.daily || {};
+            if ((lastDate === '' || /^\d{4}-\d{2}-\d{2}$/.test(lastDate)) && isCount(streak) && isCount(bestStreak)) {
+                save.daily = { lastDate, streak, bestStreak };
+            } else {
+                problems.push('daily');
+            }
+        }
+
+        if (data.campaign !== undefined) {
+            if (data.campaign && typeof data.campaign === 'object' && !Array.isArray(data.campaign)) {
+                for (const [id, stars] of Object.entries(data.campaign)) {
+                    if (Number.isInteger(stars) && stars >= 0 && stars <= 3) save.campaign[id] = stars;
+                    else problems.push('campaign');
+                }
+            } else {
+                problems.push('campaign');
+            }
+        }
+
+        return save;
+    }
+
+    // Portable text form of a save, for copying between devices
+    static encode(save) {
+        const bytes = new TextEncoder().encode(JSON.stringify(save));
+        let binary = '';
+        for (const byte of bytes) binary += String.fromCharCode(byte);
+        return SAVE_CODE_PREFIX + btoa(binary);
+    }
+
+    // Accepts a save code or the contents of an exported save file
+    static decode(text) {
+        const trimmed = text.trim();
+        let data;
+
+        try {
+            if (trimmed.startsWith(SAVE_CODE_PREFIX)) {
+                const binary = atob(trimmed.slice(SAVE_CODE_PREFIX.length));
+                const bytes = Uint8Array.from(binary, c => c.charCodeAt(0));
+                data = JSON.parse(new TextDecoder().decode(bytes));
+            } else {
+                data = JSON.parse(trimmed);
+            }
+        } catch (e) {
+            throw new Error('Not a Cosmic Drift save');
+        }
+
+        if (!data || typeof data !== 'object' || typeof data.version !== 'number') {
+            throw new Error('Not a Cosmic Drift save');
+        }
+        if (data.version > SAVE_VERSION) {
+            throw new Error(`Save is from a newer version: ${data.version}`);
+        }
+
+        return SaveStore.validate(SaveStore.migrate(data));
+    }
+}
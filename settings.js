@@ -0,0 +1,163 @@
+// Cosmic Drift - Settings
+//
+// Preferences live apart from progress, in their own versioned object under
+// SETTINGS_KEY, so loading a save from another device never changes how this
+// one looks, sounds or is controlled. Loading validates field by field like
+// the save does. Preferences kept in the save before this entry existed are
+// taken over from it once.
+
+const SETTINGS_KEY = 'cosmicDriftSettings';
+const SETTINGS_VERSION = 2;
+
+// Detail levels: background stars, explosion size as a share of the full
+// burst, live particle cap, ship trails and radial-gradient glows
+const GRAPHICS_QUALITY = {
+    low: { stars: 60, burst: 0.3, maxParticles: 150, trail: false, glow: false },
+    medium: { stars: 120, burst: 0.6, maxParticles: 400, trail: true, glow: false },
+    high: { stars: 200, burst: 1, maxParticles: 1000, trail: true, glow: true }
+};
+
+// Save fields that held preferences before the settings entry existed
+const SAVE_PREFERENCE_FIELDS = ['controlScheme', 'touchScheme', 'keyBindings', 'audio'];
+
+// SETTINGS_MIGRATIONS[n] turns version n settings into version n + 1
+const SETTINGS_MIGRATIONS = {
+    // Version 2 added English and following the browser's language. Russian
+    // was the only choice before, so nobody had picked it on purpose.
+    1: settings => ({ ...settings, language: settings.language === 'ru' ? 'auto' : settings.language })
+};
+
+class SettingsStore {
+    constructor(storage) {
+        this.storage = storage;
+        this.problems = []; // What had to be repaired on the last load
+    }
+
+    static defaults() {
+        return {
+            version: SETTINGS_VERSION,
+            graphics: 'high', // See GRAPHICS_QUALITY
+            screenShake: true,
+            botIndicator: true, // Label on screen while the bot flies
+            language: 'auto', // A LANGUAGES key, or 'auto' to follow the browser
+            controlScheme: 'mouse', // See controls.js
+            touchScheme: 'follow',
+            keyBindings: defaultBindings(),
+            audio: { ...AUDIO_DEFAULTS } // Volumes 0..1 - see audio.js
+        };
+    }
+
+    load() {
+        this.problems = [];
+        const raw = this.storage.getItem(SETTINGS_KEY);
+
+        let data;
+        if (raw === null) {
+            data = this.fromSave();
+        } else {
+            try {
+                data = JSON.parse(raw);
+            } catch (e) {
+                this.problems.push('unreadable');
+                data = null;
+            }
+        }
+
+        const settings = SettingsStore.validate(SettingsStore.migrate(data), this.problems);
+        this.write(settings);
+        return settings;
+    }
+
+    write(settings) {
+        this.storage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    }
+
+    // Preferences out of a save written before settings had their own entry
+    fromSave() {
+        let save;
+        try {
+            save = JSON.parse(this.storage.getItem(SAVE_KEY));
+        } catch (e) {
+            save = null;
+        }
+
+        const data = { version: SETTINGS_VERSION };
+        if (!save || typeof save !== 'object') return data;
+        for (const field of SAVE_PREFERENCE_FIELDS) {
+            if (save[field] !== undefined) data[field] = save[field];
+        }
+        return data;
+    }
+
+    static migrate(data) {
+        if (!data || typeof data !== 'object') return data;
+
+        let settings = data;
+        let version = Number.isInteger(settings.version) ? settings.version : SETTINGS_VERSION;
+        while (version < SETTINGS_VERSION && SETTINGS_MIGRATIONS[version]) {
+            settings = SETTINGS_MIGRATIONS[version](settings);
+            version++;
+        }
+        return { ...settings, version: SETTINGS_VERSION };
+    }
+
+    // Replace whatever is invalid with its default, adding the names of
+    // repaired fields to `problems`
+    static validate(data, problems = []) {
+        const settings = SettingsStore.defaults();
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            if (data !== null) problems.push('settings');
+            return settings;
+        }
+
+        const choices = {
+            graphics: GRAPHICS_QUALITY,
+            language: { auto: true, ...LANGUAGES },
+            controlScheme: CONTROL_SCHEMES,
+            touchScheme: TOUCH_SCHEMES
+        };
+        for (const [field, options] of Object.entries(choices)) {
+            if (data[field] === undefined) continue;
+            if (Object.hasOwn(options, data[field])) settings[field] = data[field];
+            else problems.push(field);
+        }
+
+        for (const field of ['screenShake', 'botIndicator']) {
+            if (data[field] === undefined) continue;
+            if (typeof data[field] === 'boolean') settings[field] = data[field];
+            else problems.push(field);
+        }
+
+        if (data.audio !== undefined) {
+            if (data.audio && typeof data.audio === 'object') {
+                for (const [key, value] of Object.entries(data.audio)) {
+                    const valid = key === 'muted' ? typeof value === 'boolean'
+                        : key in AUDIO_DEFAULTS && typeof value === 'number' && value >= 0 && value <= 1;
+                    if (valid) settings.audio[key] = value;
+                    else problems.push('audio');
+                }
+            } else {
+                problems.push('audio');
+            }
+        }
+
+        // Actions missing from older or damaged settings keep their default keys
+        if (data.keyBindings !== undefined) {
+            if (data.keyBindings && typeof data.keyBindings === 'object') {
+                const isSlot = code => code === null || typeof code === 'string';
+                for (const [action, keys] of Object.entries(data.keyBindings)) {
+                    if (CONTROL_ACTIONS[action] && Array.isArray(keys) &&
+                        keys.length === BINDING_SLOTS && keys.every(isSlot)) {
+                        settings.keyBindings[action] = [...keys];
+                    } else {
+                        problems.push('keyBindings');
+                    }
+                }
+            } else {
+                problems.push('keyBindings');
+            }
+        }
+
+        return settings;
+    }
+}
@@ -0,0 +1,901 @@
+// Cosmic Drift - Headless simulation core
+//
+// World state and gameplay rules with no DOM or canvas access. The world
+// advances one fixed 60 Hz tick per update(input) call inside a fixed-size
+// arena, so the same seed and inputs always produce the same run - in the
+// browser, in a replay or under Node. The HUD, screens and renderer observe it
+// through events and by reading its state.
+
+// Bumped whenever a rule change would make old replays play out differently
+const SIMULATION_VERSION = 6;
+
+// Direct (analog stick) input is a thrust vector in hundredths of full thrust
+const STICK_RANGE = 100;
+
+// Ship types with different stats, weapons and prices. Weapon cooldown and
+// shot life are in ticks; energyCost is drawn from the shared energy pool.
+const SHIP_TYPES = {
+    speeder: {
+        maxSpeed: 12,
+        thrust: 1.2,
+        friction: 0.85,  // Less inertia - stops faster
+        maxHP: 1,
+        color: '#00f5ff',
+        boostColor: '#00ffff',
+        price: 100,
+        weapon: {
+            damage: 1,
+            cooldown: 8,     // Rapid-fire laser
+            energyCost: 3,
+            speed: 16,
+            life: 40,
+            radius: 3,
+            pellets: 1,
+            spread: 0
+        }
+    },
+    balanced: {
+        maxSpeed: 8,
+        thrust: 1.0,
+        friction: 0.88,  // Less inertia
+        maxHP: 2,
+        color: '#8b5cf6',
+        boostColor: '#a78bfa',
+        price: 400,
+        weapon: {
+            damage: 1.5,
+            cooldown: 14,    // Twin shot
+            energyCost: 5,
+            speed: 13,
+            life: 50,
+            radius: 4,
+            pellets: 2,
+            spread: 0.12
+        }
+    },
+    tank: {
+        maxSpeed: 5,
+        thrust: 1.1,
+        friction: 0.90,  // Less inertia
+        maxHP: 3,
+        color: '#ff00ff',
+        boostColor: '#f97316',
+        price: 600,
+        weapon: {
+            damage: 5,
+            cooldown: 30,    // Slow heavy cannon
+            energyCost: 10,
+            speed: 10,
+            life: 60,
+            radius: 7,
+            pellets: 1,
+            spread: 0
+        }
+    }
+};
+
+class Simulation {
+    constructor({ seed, ship, arenaWidth, arenaHeight, upgrades = {}, mode = 'classic', modifiers = [], campaignLevel = null }) {
+        this.seed = seed;
+        this.mode = mode;
+        this.modifiers = modifiers;
+        this.campaignLevel = campaignLevel; // Level played in campaign mode - see campaign.js
+        this.script = null;
+        this.rules = gameModeRules(mode, modifiers); // See modes.js
+        this.upgrades = upgrades; // Bought upgrade tiers for the ship - see upgrades.js
+        this.rng = Random.fromSeed(seed);
+        this.arenaWidth = arenaWidth;
+        this.arenaHeight = arenaHeight;
+        this.listeners = {};
+
+        // Game State
+        this.isOver = false;
+        this.score = 0;
+        this.level = 1;
+        this.multiplier = 1;
+        this.energy = 100;
+        this.maxEnergy = 100;
+        this.hp = 1;
+        this.maxHP = 1;
+        this.sessionCoins = 0; // Coins earned this run
+        this.effects = {}; // Active power-ups: type -> { remaining, total } in ticks
+
+        // Entities
+        this.player = null;
+        this.collectibles = [];
+        this.blackHoles = [];
+        this.bullets = []; // Bullets from black holes
+        this.shots = []; // Player weapon projectiles
+        this.enemies = []; // Drones, pulsars, wormholes - see ENEMY_TYPES
+        this.boss = null; // Active Boss, if any
+        this.bossesDefeated = 0;
+
+        // Run statistics
+        this.collected = {}; // Collectibles picked up: type -> count
+        this.damageTaken = 0;
+        this.boostTicks = 0;
+        this.deathCause = null; // What ended the run
+
+        // Timing - all counted in ticks
+        this.tick = 0;
+        this.spawnTimer = 0;
+        this.difficultyTimer = 0;
+
+        this.createPlayer(this.rules.ship || ship);
+        this.rules.start(this);
+    }
+
+    // Observers subscribe to named events: collect, coins, damage, bulletHit,
+    // bulletFired, shoot, bulletDestroyed, blackHoleHit, blackHoleCollapsed, enemyHit,
+    // enemyDestroyed, pulse, teleport, bossStart, bossPhase, bossDefeated,
+    // bossEscaped, powerUp, powerUpExpired, bomb, levelUp, wreck, gameOver
+    on(type, listener) {
+        (this.listeners[type] = this.listeners[type] || []).push(listener);
+        return this;
+    }
+
+    emit(type, data = {}) {
+        for (const listener of this.listeners[type] || []) {
+            listener(data);
+        }
+    }
+
+    createPlayer(shipId) {
+        const shipType = SHIP_TYPES[shipId];
+        const stats = upgradedShipStats(shipId, this.upgrades);
+        this.maxHP = stats.maxHP;
+        this.hp = this.maxHP;
+        this.maxEnergy = stats.maxEnergy;
+        this.energy = this.maxEnergy;
+
+        this.player = {
+            x: this.arenaWidth / 2,
+            y: this.arenaHeight / 2,
+            vx: 0,
+            vy: 0,
+            radius: 15,
+            angle: 0,
+            thrust: stats.thrust,
+            maxSpeed: stats.maxSpeed,
+            friction: stats.friction,
+            energyRegen: stats.energyRegen,
+            boostMultiplier: stats.boostMultiplier,
+            boosting: false,
+            invincible: false,
+            invincibleTimer: 0,
+            shipType: shipId,
+            color: shipType.color,
+            boostColor: shipType.boostColor,
+            weapon: { ...shipType.weapon },
+            fireCooldown: 0
+        };
+    }
+
+    takeDamage(cause) {
+        if (this.player.invincible) return false;
+
+        this.hp--;
+        this.damageTaken++;
+        this.emit('damage', { cause, hp: this.hp });
+
+        if (this.hp <= 0) {
+            return true; // Player is dead
+        }
+
+        // Give brief invincibility after taking damage
+        this.player.invincible = true;
+        this.player.invincibleTimer = 120; // 2 seconds
+
+        return false;
+    }
+
+    hasEffect(type) {
+        return this.effects[type] !== undefined;
+    }
+
+    // Time dilation applied to enemies and their bullets
+    get enemyTimeScale() {
+        return this.hasEffect('slowmo') ? 0.5 : 1;
+    }
+
+    activatePowerUp(type) {
+        const { duration, maxStacks } = POWERUP_TYPES[type];
+        const effect = this.effects[type] || { remaining: 0, total: 0 };
+
+        effect.remaining = Math.min(effect.remaining + duration, duration * maxStacks);
+        effect.total = effect.remaining; // The countdown ring restarts from full
+        this.effects[type] = effect;
+
+        if (type === 'shield') this.player.invincible = true;
+        this.emit('powerUp', { type });
+    }
+
+    tickPowerUps() {
+        for (const type of Object.keys(this.effects)) {
+            this.effects[type].remaining--;
+            if (this.effects[type].remaining <= 0) {
+                delete this.effects[type];
+                this.emit('powerUpExpired', { type });
+            }
+        }
+    }
+
+    // Every coin source goes through here so double coins applies everywhere
+    awardCoins(amount) {
+        amount *= this.rules.coinMultiplier;
+        if (this.hasEffect('doubleCoins')) amount *= 2;
+        this.sessionCoins += amount;
+        this.emit('coins', { amount });
+        return amount;
+    }
+
+    // Clear every bullet and hit everything hostile hard
+    detonateBomb() {
+        for (const bullet of this.bullets) {
+            this.score += Math.floor(10 * this.multiplier);
+            this.emit('bulletDestroyed', { bullet });
+        }
+        this.bullets = [];
+
+        for (const hole of [...this.blackHoles]) {
+            this.damageBlackHole(hole, BOMB_DAMAGE);
+        }
+        for (const enemy of this.enemies.filter(e => e.hp !== undefined)) {
+            this.damageEnemy(enemy, BOMB_DAMAGE);
+        }
+        if (this.boss) {
+            this.boss.damage(this, BOMB_DAMAGE);
+        }
+
+        this.emit('bomb', { x: this.player.x, y: this.player.y });
+    }
+
+    // The mode may keep the run going - see modes.js
+    gameOver(cause) {
+        if (!this.rules.gameOver(this, cause)) return;
+
+        this.isOver = true;
+        this.deathCause = cause;
+        this.emit('gameOver', { cause });
+    }
+
+    // Damage from anything but the built-in hazards, ending the run if it was fatal
+    hurtPlayer(cause) {
+        if (this.takeDamage(cause)) {
+            this.gameOver(cause);
+        }
+    }
+
+    // Random point just outside one of the arena edges
+    randomEdgePoint() {
+        const edge = this.rng.int(4);
+        let x, y;
+
+        switch (edge) {
+            case 0: x = this.rng.next() * this.arenaWidth; y = -30; break;
+            case 1: x = this.arenaWidth + 30; y = this.rng.next() * this.arenaHeight; break;
+            case 2: x = this.rng.next() * this.arenaWidth; y = this.arenaHeight + 30; break;
+            case 3: x = -30; y = this.rng.next() * this.arenaHeight; break;
+        }
+
+        return { x, y };
+    }
+
+    // Random point inside the arena, away from the player where possible
+    randomSpawnPoint(minDistance = 200) {
+        const margin = 100;
+        let x, y;
+        let attempts = 0;
+
+        do {
+            x = margin + this.rng.next() * (this.arenaWidth - margin * 2);
+            y = margin + this.rng.next() * (this.arenaHeight - margin * 2);
+            attempts++;
+        } while (
+            attempts < 50 &&
+            this.player &&
+            Math.hypot(x - this.player.x, y - this.player.y) < minDistance
+        );
+
+        return { x, y };
+    }
+
+    spawnCollectible() {
+        const { x, y } = this.randomEdgePoint();
+
+        const weights = COLLECTIBLE_SPAWNS.map(entry => collectibleWeight(entry, this.level));
+        let random = this.rng.next() * weights.reduce((sum, w) => sum + w, 0);
+        let type = COLLECTIBLE_SPAWNS[0].type;
+
+        for (let i = 0; i < weights.length; i++) {
+            if (random < weights[i]) {
+                type = COLLECTIBLE_SPAWNS[i].type;
+                break;
+            }
+            random -= weights[i];
+        }
+
+        // Target position near center
+        const targetX = this.arenaWidth * (0.2 + this.rng.next() * 0.6);
+        const targetY = this.arenaHeight * (0.2 + this.rng.next() * 0.6);
+
+        const dx = targetX - x;
+        const dy = targetY - y;
+        const dist = Math.sqrt(dx * dx + dy * dy);
+        const speed = 1 + this.rng.next() * 2;
+
+        this.addCollectible({
+            x, y,
+            vx: (dx / dist) * speed,
+            vy: (dy / dist) * speed,
+            type
+        });
+    }
+
+    // Collectible from any source - random drifts or a level's waves
+    addCollectible(props) {
+        const item = { radius: 12, pulse: 0, lifetime: 0, maxLifetime: 600, ...props };
+        this.collectibles.push(item);
+        this.rules.spawned(this, 'collectible', item);
+        return item;
+    }
+
+    spawnBlackHole() {
+        const { x, y } = this.randomSpawnPoint();
+        const radius = 30 + this.rng.next() * 20;
+
+        this.addBlackHole({
+            x, y,
+            radius,
+            pullRadius: 150 + this.rng.next() * 100,
+            strength: 0.3 + (this.level * 0.05),
+            maxLifetime: 500 + this.rng.next() * 300,
+            shootInterval: 120 + this.rng.next() * 60 // Shoot every 2-3 seconds
+        });
+    }
+
+    // Black hole from any source. Scripted ones keep the shooting rhythm they
+    // were given instead of speeding up with the level.
+    addBlackHole(props) {
+        const maxHP = Math.round(props.radius / 5) + this.level;
+        const hole = {
+            hp: maxHP,
+            maxHP,
+            hitFlash: 0,
+            rotation: 0,
+            lifetime: 0,
+            shootTimer: 0,
+            scripted: false,
+            ...props
+        };
+        this.blackHoles.push(hole);
+        this.rules.spawned(this, 'blackHole', hole);
+        return hole;
+    }
+
+    spawnBullet(hole) {
+        if (!this.player) return;
+
+        const dx = this.player.x - hole.x;
+        const dy = this.player.y - hole.y;
+        const dist = Math.sqrt(dx * dx + dy * dy);
+
+        const speed = 4 + this.level * 0.3;
+
+        this.bullets.push({
+            x: hole.x,
+            y: hole.y,
+            vx: (dx / dist) * speed,
+            vy: (dy / dist) * speed,
+            radius: 6,
+            life: 300, // 5 seconds lifetime
+            trail: []
+        });
+        this.rules.spawned(this, 'bullet', this.bullets[this.bullets.length - 1]);
+        this.emit('bulletFired', { bullet: this.bullets[this.bullets.length - 1] });
+    }
+
+    // Bullet fired in a fixed direction, for patterns rather than aimed shots
+    fireBullet(x, y, angle, speed) {
+        this.bullets.push({
+            x, y,
+            vx: Math.cos(angle) * speed,
+            vy: Math.sin(angle) * speed,
+            radius: 6,
+            life: 300,
+            trail: []
+        });
+        this.rules.spawned(this, 'bullet', this.bullets[this.bullets.length - 1]);
+        this.emit('bulletFired', { bullet: this.bullets[this.bullets.length - 1] });
+    }
+
+    startBoss() {
+        this.boss = new Boss(this, this.level / BOSS_INTERVAL);
+        this.emit('bossStart', { boss: this.boss });
+    }
+
+    updateBoss() {
+        const boss = this.boss;
+        boss.update(this);
+        if (this.isOver) return;
+
+        if (boss.lifetime > boss.timeLimit) {
+            this.boss = null;
+            this.emit('bossEscaped', { boss });
+        }
+    }
+
+    defeatBoss() {
+        const boss = this.boss;
+        this.boss = null;
+        this.bossesDefeated++;
+        this.score += Math.floor(5000 * boss.number * this.multiplier);
+
+        // Paid out by the host through addCoins, not the coins event
+        const reward = boss.reward * this.rules.coinMultiplier * (this.hasEffect('doubleCoins') ? 2 : 1);
+        this.sessionCoins += reward;
+        this.emit('bossDefeated', { boss, reward });
+    }
+
+    // Weighted pick among the enemy types unlocked at the current level
+    pickEnemyType() {
+        const available = Object.keys(ENEMY_TYPES).filter(type => {
+            const def = ENEMY_TYPES[type];
+            if (this.level < def.minLevel) return false;
+            return !def.limit || this.enemies.filter(e => e.type === type).length < def.limit;
+        });
+        if (available.length === 0) return null;
+
+        const weights = available.map(type => ENEMY_TYPES[type].weight(this.level));
+        let random = this.rng.next() * weights.reduce((sum, w) => sum + w, 0);
+
+        for (let i = 0; i < available.length; i++) {
+            if (random < weights[i]) return available[i];
+            random -= weights[i];
+        }
+        return available[available.length - 1];
+    }
+
+    spawnEnemy(type) {
+        const enemy = ENEMY_TYPES[type].spawn(this);
+        enemy.type = type;
+        this.enemies.push(enemy);
+        this.rules.spawned(this, 'enemy', enemy);
+        return enemy;
+    }
+
+    updateEnemies() {
+        for (let i = this.enemies.length - 1; i >= 0; i--) {
+            const enemy = this.enemies[i];
+            if (enemy.hitFlash > 0) enemy.hitFlash--;
+
+            const alive = ENEMY_TYPES[enemy.type].update(this, enemy);
+            if (this.isOver) return;
+
+            if (!alive) {
+                this.enemies.splice(i, 1);
+            }
+        }
+    }
+
+    damageEnemy(enemy, damage) {
+        enemy.hp -= damage;
+        enemy.hitFlash = 8;
+        this.emit('enemyHit', { enemy });
+
+        if (enemy.hp > 0) return;
+
+        this.enemies.splice(this.enemies.indexOf(enemy), 1);
+        this.score += Math.floor(ENEMY_TYPES[enemy.type].reward * this.multiplier);
+        this.emit('enemyDestroyed', { enemy });
+    }
+
+    // Fire the ship's weapon along its heading, spreading multiple pellets
+    firePlayerWeapon() {
+        const weapon = this.player.weapon;
+        this.player.fireCooldown = weapon.cooldown;
+        this.energy = Math.max(0, this.energy - weapon.energyCost);
+
+        for (let i = 0; i < weapon.pellets; i++) {
+            const offset = (i - (weapon.pellets - 1) / 2) * weapon.spread;
+            const angle = this.player.angle + offset;
+
+            this.shots.push({
+                x: this.player.x + Math.cos(angle) * this.player.radius,
+                y: this.player.y + Math.sin(angle) * this.player.radius,
+                vx: Math.cos(angle) * weapon.speed + this.player.vx,
+                vy: Math.sin(angle) * weapon.speed + this.player.vy,
+                angle,
+                radius: weapon.radius,
+                damage: weapon.damage,
+                life: weapon.life
+            });
+        }
+
+        this.emit('shoot', { weapon });
+    }
+
+    damageBlackHole(hole, damage) {
+        hole.hp -= damage;
+        hole.hitFlash = 8;
+        this.emit('blackHoleHit', { hole });
+
+        if (hole.hp > 0) return;
+
+        // Collapse - worth a big score bonus and a few coins
+        this.blackHoles.splice(this.blackHoles.indexOf(hole), 1);
+        this.score += Math.floor(250 * this.multiplier);
+        this.emit('blackHoleCollapsed', { hole });
+        this.awardCoins(2);
+    }
+
+    // Advance the world by one tick. input: { x, y, boost, fire, direct } - the
+    // point the ship steers toward, in arena coordinates, and the held buttons.
+    // With direct set, x and y are a thrust vector instead (see STICK_RANGE).
+    update(input) {
+        if (this.isOver) return;
+
+        this.tick++;
+        this.storePreviousPositions();
+
+        let ax = 0, ay = 0, pull;
+        if (input.direct) {
+            // Thrust along the stick, as hard as it is pushed
+            const length = Math.sqrt(input.x * input.x + input.y * input.y);
+            if (length > 0) {
+                ax = input.x / length;
+                ay = input.y / length;
+            }
+            pull = Math.min(length / STICK_RANGE, 1);
+        } else {
+            // Steer towards the target point
+            const dx = input.x - this.player.x;
+            const dy = input.y - this.player.y;
+            const distToTarget = Math.sqrt(dx * dx + dy * dy);
+
+            // Calculate direction to target
+            if (distToTarget > 5) { // Dead zone to prevent jitter
+                ax = dx / distToTarget;
+                ay = dy / distToTarget;
+            }
+            pull = Math.min(distToTarget / 100, 1); // Stronger when far, weaker when close
+        }
+
+        this.player.boosting = input.boost && this.energy > 0;
+        const thrustMult = this.player.boosting ? this.player.boostMultiplier : 1;
+
+        if (this.player.boosting) {
+            this.boostTicks++;
+            this.energy = Math.max(0, this.energy - 0.5);
+        } else {
+            this.energy = Math.min(this.maxEnergy, this.energy + this.player.energyRegen);
+        }
+
+        // Smooth acceleration towards target
+        const accelFactor = pull * this.player.thrust * thrustMult;
+        this.player.vx += ax * accelFactor;
+        this.player.vy += ay * accelFactor;
+
+        // Black hole gravity - ghosts slip straight through
+        for (const hole of this.hasEffect('ghost') ? [] : this.blackHoles) {
+            const dx = hole.x - this.player.x;
+            const dy = hole.y - this.player.y;
+            const dist = Math.sqrt(dx * dx + dy * dy);
+
+            if (dist < hole.pullRadius) {
+                const force = hole.strength * (1 - dist / hole.pullRadius);
+                this.player.vx += (dx / dist) * force;
+                this.player.vy += (dy / dist) * force;
+            }
+
+            // Collision with black hole
+            if (dist < hole.radius && !this.player.invincible) {
+                if (this.takeDamage('blackHole')) {
+                    this.gameOver('blackHole');
+                    if (this.isOver) return;
+                }
+            }
+        }
+
+        // Apply friction
+        this.player.vx *= this.player.friction;
+        this.player.vy *= this.player.friction;
+
+        // Clamp speed
+        const speed = Math.sqrt(this.player.vx ** 2 + this.player.vy ** 2);
+        const maxSpeed = this.player.boosting ? this.player.maxSpeed * 1.5 : this.player.maxSpeed;
+
+        if (speed > maxSpeed) {
+            this.player.vx = (this.player.vx / speed) * maxSpeed;
+            this.player.vy = (this.player.vy / speed) * maxSpeed;
+        }
+
+        // Move player
+        this.player.x += this.player.vx;
+        this.player.y += this.player.vy;
+        this.player.speed = speed;
+
+        // Update angle
+        if (speed > 0.5) {
+            this.player.angle = Math.atan2(this.player.vy, this.player.vx);
+        }
+
+        // Wrap around edges
+        const margin = this.player.radius;
+        if (this.player.x < -margin) this.player.x = this.arenaWidth + margin;
+        if (this.player.x > this.arenaWidth + margin) this.player.x = -margin;
+        if (this.player.y < -margin) this.player.y = this.arenaHeight + margin;
+        if (this.player.y > this.arenaHeight + margin) this.player.y = -margin;
+
+        // Power-up countdowns, then invincibility - brief after taking damage,
+        // or for as long as a shield lasts
+        this.tickPowerUps();
+        if (this.player.invincibleTimer > 0) {
+            this.player.invincibleTimer--;
+        }
+        this.player.invincible = this.player.invincibleTimer > 0 || this.hasEffect('shield');
+
+        // Weapon
+        if (this.player.fireCooldown > 0) {
+            this.player.fireCooldown--;
+        }
+        if (input.fire && this.player.fireCooldown <= 0 && this.energy >= this.player.weapon.energyCost) {
+            this.firePlayerWeapon();
+        }
+
+        // Update collectibles
+        for (let i = this.collectibles.length - 1; i >= 0; i--) {
+            const c = this.collectibles[i];
+            c.x += c.vx;
+            c.y += c.vy;
+
+            // Magnet drags nearby collectibles towards the ship
+            if (this.hasEffect('magnet')) {
+                const mx = this.player.x - c.x;
+                const my = this.player.y - c.y;
+                const mDist = Math.sqrt(mx * mx + my * my);
+                if (mDist < MAGNET_RADIUS && mDist > 0) {
+                    c.x += (mx / mDist) * 5;
+                    c.y += (my / mDist) * 5;
+                }
+            }
+
+            c.pulse += 0.1;
+            c.lifetime++;
+
+            // Check collection
+            const dx = this.player.x - c.x;
+            const dy = this.player.y - c.y;
+            const dist = Math.sqrt(dx * dx + dy * dy);
+
+            if (dist < this.player.radius + c.radius) {
+                this.collectItem(c);
+                this.collectibles.splice(i, 1);
+                continue;
+            }
+
+            // Remove if out of bounds
+            if (c.x < -50 || c.x > this.arenaWidth + 50 ||
+                c.y < -50 || c.y > this.arenaHeight + 50 ||
+                c.lifetime > c.maxLifetime) {
+                this.collectibles.splice(i, 1);
+            }
+        }
+
+        // Update black holes
+        for (let i = this.blackHoles.length - 1; i >= 0; i--) {
+            const hole = this.blackHoles[i];
+            hole.rotation += 0.02;
+            hole.lifetime++;
+            hole.shootTimer += this.enemyTimeScale;
+            if (hole.hitFlash > 0) hole.hitFlash--;
+
+            // Shoot bullets
+            if (hole.shootTimer >= hole.shootInterval) {
+                hole.shootTimer = 0;
+                if (!hole.scripted) {
+                    hole.shootInterval = 100 + this.rng.next() * 80 - (this.level * 5); // Faster at higher levels
+                    hole.shootInterval = Math.max(40, hole.shootInterval);
+                }
+                this.spawnBullet(hole);
+            }
+
+            if (hole.lifetime > hole.maxLifetime) {
+                this.blackHoles.splice(i, 1);
+            }
+        }
+
+        // Update bullets
+        for (let i = this.bullets.length - 1; i >= 0; i--) {
+            const b = this.bullets[i];
+
+            // Store trail
+            b.trail.push({ x: b.x, y: b.y });
+            if (b.trail.length > 10) b.trail.shift();
+
+            b.x += b.vx * this.enemyTimeScale;
+            b.y += b.vy * this.enemyTimeScale;
+            b.life -= this.enemyTimeScale;
+
+            // Check collision with player
+            const dx = this.player.x - b.x;
+            const dy = this.player.y - b.y;
+            const dist = Math.sqrt(dx * dx + dy * dy);
+
+            if (dist < this.player.radius + b.radius && !this.player.invincible) {
+                this.emit('bulletHit', { bullet: b });
+                this.bullets.splice(i, 1);
+                if (this.takeDamage('bullet')) {
+                    this.gameOver('bullet');
+                    if (this.isOver) return;
+                }
+                continue;
+            }
+
+            // Remove if out of bounds or expired
+            if (b.life <= 0 ||
+                b.x < -50 || b.x > this.arenaWidth + 50 ||
+                b.y < -50 || b.y > this.arenaHeight + 50) {
+                this.bullets.splice(i, 1);
+            }
+        }
+
+        // Slow-mo runs enemies and the boss on every other tick
+        if (this.enemyTimeScale === 1 || this.tick % 2 === 0) {
+            this.updateEnemies();
+            if (this.isOver) return;
+
+            if (this.boss) {
+                this.updateBoss();
+                if (this.isOver) return;
+            }
+        }
+
+        this.updateShots();
+
+        // Spawning - levelling pauses while a boss is in the arena
+        this.spawnTimer++;
+        if (!this.boss) this.difficultyTimer++;
+
+        if (this.spawnTimer > 60 && this.rules.spawns(this, 'collectible')) {
+            this.spawnTimer = 0;
+            this.spawnCollectible();
+
+            if (this.rng.next() < 0.3 + (this.level * 0.05)) {
+                this.spawnCollectible();
+            }
+        }
+
+        // Spawn black holes based on level
+        if (!this.boss && this.blackHoles.length < Math.min(3 + Math.floor(this.level / 2), 8) &&
+            this.rules.spawns(this, 'blackHole')) {
+            if (this.rng.next() < 0.005 * this.level) {
+                this.spawnBlackHole();
+            }
+        }
+
+        // Other enemies join in from level 3, more of them as levels go up
+        if (!this.boss && this.enemies.length < Math.min(Math.floor((this.level - 1) / 2), 5) &&
+            this.rules.spawns(this, 'enemy')) {
+            if (this.rng.next() < 0.004 * this.level) {
+                const type = this.pickEnemyType();
+                if (type) this.spawnEnemy(type);
+            }
+        }
+
+        // Increase difficulty over time
+        if (this.difficultyTimer > this.rules.levelTicks) {
+            this.difficultyTimer = 0;
+            this.level++;
+            this.multiplier = Math.min(this.multiplier + 0.5, 10);
+            this.emit('levelUp', { level: this.level });
+
+            if (this.level % BOSS_INTERVAL === 0 && this.rules.spawns(this, 'boss')) {
+                this.startBoss();
+            }
+        }
+
+        this.rules.update(this);
+    }
+
+    // Player shots destroy enemy bullets and wear black holes and enemies down
+    updateShots() {
+        for (let i = this.shots.length - 1; i >= 0; i--) {
+            const s = this.shots[i];
+            s.x += s.vx;
+            s.y += s.vy;
+            s.life--;
+
+            let hit = false;
+
+            for (let j = this.bullets.length - 1; j >= 0; j--) {
+                const b = this.bullets[j];
+                if (Math.hypot(s.x - b.x, s.y - b.y) < s.radius + b.radius) {
+                    this.bullets.splice(j, 1);
+                    this.score += Math.floor(10 * this.multiplier);
+                    this.emit('bulletDestroyed', { bullet: b });
+                    hit = true;
+                    break;
+                }
+            }
+
+            if (!hit) {
+                for (const hole of this.blackHoles) {
+                    if (Math.hypot(s.x - hole.x, s.y - hole.y) < s.radius + hole.radius) {
+                        this.damageBlackHole(hole, s.damage);
+                        hit = true;
+                        break;
+                    }
+                }
+            }
+
+            const boss = this.boss;
+            if (!hit && boss && Math.hypot(s.x - boss.x, s.y - boss.y) < s.radius + boss.radius) {
+                boss.damage(this, s.damage);
+                hit = true;
+            }
+
+            if (!hit) {
+                for (const enemy of this.enemies) {
+                    if (enemy.hp !== undefined &&
+                        Math.hypot(s.x - enemy.x, s.y - enemy.y) < s.radius + enemy.radius) {
+                        this.damageEnemy(enemy, s.damage);
+                        hit = true;
+                        break;
+                    }
+                }
+            }
+
+            if (hit || s.life <= 0 ||
+                s.x < -50 || s.x > this.arenaWidth + 50 ||
+                s.y < -50 || s.y > this.arenaHeight + 50) {
+                this.shots.splice(i, 1);
+            }
+        }
+    }
+
+    // Remember last tick's positions so the renderer can interpolate
+    storePreviousPositions() {
+        const entities = [this.player, ...this.collectibles, ...this.bullets, ...this.shots, ...this.enemies];
+        for (const e of entities) {
+            e.prevX = e.x;
+            e.prevY = e.y;
+        }
+    }
+
+    collectItem(item) {
+        const basePoints = 100;
+
+        switch (item.type) {
+            case 'energy':
+                this.energy = Math.min(this.maxEnergy, this.energy + 30);
+                this.score += Math.floor(basePoints * 0.5 * this.multiplier);
+                break;
+
+            case 'points':
+                this.score += Math.floor(basePoints * this.multiplier);
+                // Award 1-3 coins
+                this.awardCoins(this.rng.int(3) + 1);
+                break;
+
+            case 'multiplier':
+                this.multiplier = Math.min(this.multiplier + 0.5, 10);
+                this.score += Math.floor(basePoints * 0.75 * this.multiplier);
+                break;
+
+            case 'bomb':
+                this.detonateBomb();
+                this.score += Math.floor(basePoints * 0.5 * this.multiplier);
+                break;
+
+            default:
+                // Timed power-ups - shield, magnet, slow-mo, double coins, ghost
+                this.activatePowerUp(item.type);
+                this.score += Math.floor(basePoints * 0.5 * this.multiplier);
+                break;
+        }
+
+        this.collected[item.type] = (this.collected[item.type] || 0) + 1;
+        this.emit('collect', { item });
+    }
+}
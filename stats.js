@@ -0,0 +1,78 @@
+// Cosmic Drift - Run statistics
+//
+// Every finished run is summed up in a run record. Progress keeps the last
+// RUN_HISTORY_LIMIT records, lifetime totals in `stats` and each ship's bests
+// in `shipBests`, so totals and bests outlive the history that fed them.
+
+const RUN_HISTORY_LIMIT = 50;
+
+// Run history columns that can be sorted on
+const RUN_SORT_KEYS = ['date', 'ship', 'score', 'level', 'coins', 'ticks'];
+
+// How runs end without the ship being destroyed - running out of time,
+// leaving a zen run and clearing a campaign level are no deaths
+const SURVIVED_CAUSES = ['timeUp', 'quit', 'cleared'];
+
+function isDeathCause(cause) {
+    return !!cause && !SURVIVED_CAUSES.includes(cause);
+}
+
+function createRunRecord(sim, { date, bot = false }) {
+    return {
+        date,                 // Epoch milliseconds when the run ended
+        seed: sim.seed,
+        ship: sim.player.shipType,
+        mode: sim.mode,
+        bot,
+        score: sim.score,
+        level: sim.level,
+        coins: sim.sessionCoins,
+        ticks: sim.tick,      // Duration
+        bossesDefeated: sim.bossesDefeated,
+        collectibles: { ...sim.collected },
+        damageTaken: sim.damageTaken,
+        cause: sim.deathCause
+    };
+}
+
+// Add a finished run to the totals, bests and history of `progress` - the
+// save object or anything else holding stats, shipBests and runs
+function recordRun(progress, run) {
+    const add = (counts, key, amount = 1) => {
+        counts[key] = (counts[key] || 0) + amount;
+    };
+
+    const stats = progress.stats;
+    add(stats, 'runs');
+    add(stats, 'playTicks', run.ticks);
+    add(stats, 'totalScore', run.score);
+    add(stats, 'coinsEarned', run.coins);
+    add(stats, 'damageTaken', run.damageTaken);
+    for (const [type, count] of Object.entries(run.collectibles)) {
+        add(stats.collectibles, type, count);
+    }
+    if (isDeathCause(run.cause)) add(stats.deaths, run.cause);
+
+    // Bests are human records - the bot never sets them
+    if (!run.bot) {
+        const best = progress.shipBests[run.ship] || { runs: 0, score: 0, level: 0, ticks: 0 };
+        progress.shipBests[run.ship] = {
+            runs: best.runs + 1,
+            score: Math.max(best.score, run.score),
+            level: Math.max(best.level, run.level),
+            ticks: Math.max(best.ticks, run.ticks)
+        };
+    }
+
+    progress.runs = [run, ...progress.runs].slice(0, RUN_HISTORY_LIMIT);
+}
+
+// Sorted copy of a run history; ties keep the newest run first
+function sortRuns(runs, key = 'date', descending = true) {
+    const direction = descending ? -1 : 1;
+    return [...runs].sort((a, b) => {
+        if (a[key] < b[key]) return -direction;
+        if (a[key] > b[key]) return direction;
+        return b.date - a.date;
+    });
+}
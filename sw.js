@@ -1,11 +1,39 @@
 // Service Worker for Cosmic Drift PWA
-const CACHE_NAME = 'cosmic-drift-v1';
+importScripts('./sync.js');
+
+const CACHE_NAME = 'cosmic-drift-v24';
 const urlsToCache = [
     './',
     './index.html',
     './style.css',
+    './locales/ru.js',
+    './locales/en.js',
+    './i18n.js',
+    './random.js',
+    './simulation.js',
+    './enemies.js',
+    './boss.js',
+    './powerups.js',
+    './modes.js',
+    './daily.js',
+    './campaign.js',
+    './editor.js',
+    './levels/campaign.json',
+    './upgrades.js',
+    './stats.js',
+    './leaderboard.js',
+    './achievements.js',
+    './controls.js',
+    './audio.js',
+    './settings.js',
+    './save.js',
+    './bot.js',
+    './replay.js',
+    './sync.js',
+    './gamepad.js',
     './game.js',
     './manifest.json',
+    './manifest.en.json',
     './icon-192.png',
     './icon-512.png'
 ];
@@ -40,6 +68,10 @@ self.addEventListener('activate', event => {
 
 // Fetch event - serve from cache, fallback to network
 self.addEventListener('fetch', event => {
+    // Leaderboard traffic and anything else not ours goes straight to the network
+    const url = new URL(event.request.url);
+    if (event.request.method !== 'GET' || url.origin !== self.location.origin) return;
+
     event.respondWith(
         caches.match(event.request)
             .then(response => {
@@ -61,3 +93,10 @@ self.addEventListener('fetch', event => {
             })
     );
 });
+
+// Background sync - send leaderboard scores queued while offline
+self.addEventListener('sync', event => {
+    if (event.tag === SYNC_TAG) {
+        event.waitUntil(new LeaderboardClient().flush());
+    }
+});
@@ -0,0 +1,176 @@
+// Cosmic Drift - Online leaderboard client
+//
+// Speaks the protocol in docs/leaderboard-protocol.md. Every submission is
+// queued in IndexedDB before it is sent, so runs finished offline go out once
+// the connection is back - from the page, or from the service worker's
+// background sync. It runs in both, so it must not touch the DOM.
+
+const SYNC_DB_NAME = 'cosmic-drift-sync';
+const SYNC_STORE = 'submissions';
+const SYNC_TAG = 'leaderboard-sync';
+
+// Submissions waiting to be sent, oldest first. Without IndexedDB (some
+// private browsing modes) the queue only lasts for the session.
+class SubmissionQueue {
+    constructor() {
+        this.db = null;
+        this.memory = typeof indexedDB === 'undefined' ? [] : null;
+        this.nextKey = 1;
+    }
+
+    open() {
+        if (!this.db) {
+            this.db = new Promise((resolve, reject) => {
+                const request = indexedDB.open(SYNC_DB_NAME, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(SYNC_STORE, { autoIncrement: true });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.db;
+    }
+
+    add(submission) {
+        if (this.memory) {
+            this.memory.push({ key: this.nextKey++, submission });
+            return Promise.resolve();
+        }
+        return this.open().then(db => new Promise((resolve, reject) => {
+            const request = db.transaction(SYNC_STORE, 'readwrite').objectStore(SYNC_STORE).add(submission);
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        }));
+    }
+
+    // Everything queued, as { key, submission }
+    entries() {
+        if (this.memory) return Promise.resolve([...this.memory]);
+        return this.open().then(db => new Promise((resolve, reject) => {
+            const entries = [];
+            const request = db.transaction(SYNC_STORE).objectStore(SYNC_STORE).openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    resolve(entries);
+                    return;
+                }
+                entries.push({ key: cursor.key, submission: cursor.value });
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        }));
+    }
+
+    remove(key) {
+        if (this.memory) {
+            this.memory = this.memory.filter(e => e.key !== key);
+            return Promise.resolve();
+        }
+        return this.open().then(db => new Promise((resolve, reject) => {
+            const request = db.transaction(SYNC_STORE, 'readwrite').objectStore(SYNC_STORE).delete(key);
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        }));
+    }
+}
+
+class LeaderboardClient {
+    // server is the base URL. The service worker passes none: every queued
+    // submission remembers the server it was meant for.
+    constructor(server = '', queue = new SubmissionQueue()) {
+        this.server = server.replace(/\/+$/, '');
+        this.queue = queue;
+        this.flushing = null;
+        this.onRejected = null; // (submission body, reason) when the server refuses a score
+    }
+
+    // Queue a finished run and try to send it straight away
+    submit({ name, mode, replay }) {
+        const data = replay.toJSON();
+        const submission = {
+            server: this.server,
+            body: {
+                id: Date.now().toString(36) + Math.random().toString(36).slice(2, 10),
+                name,
+                mode,
+                seed: data.seed,
+                ship: data.ship,
+                score: data.score,
+                level: data.level,
+                replay: data
+            }
+        };
+
+        return this.queue.add(submission)
+            .then(() => requestBackgroundSync())
+            .then(() => this.flush());
+    }
+
+    // Send the queue in order. Resolves once it is empty; rejects, keeping the
+    // rest queued, as soon as a submission cannot be delivered.
+    flush() {
+        if (!this.flushing) {
+            this.flushing = this.queue.entries()
+                .then(entries => this.sendAll(entries))
+                .finally(() => {
+                    this.flushing = null;
+                });
+        }
+        return this.flushing;
+    }
+
+    sendAll(entries) {
+        if (entries.length === 0) return Promise.resolve();
+
+        const [{ key, submission }, ...rest] = entries;
+        return fetch(`${submission.server}/scores`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(submission.body)
+        })
+            .then(response => {
+                if (response.status >= 500) {
+                    throw new Error(`Leaderboard server error: ${response.status}`);
+                }
+                // Refused for good - retrying would not change the answer
+                if (!response.ok) {
+                    return response.json()
+                        .catch(() => ({}))
+                        .then(body => {
+                            if (this.onRejected) this.onRejected(submission.body, body.error || `HTTP ${response.status}`);
+                        });
+                }
+            })
+            .then(() => this.queue.remove(key))
+            .then(() => this.sendAll(rest));
+    }
+
+    pendingCount() {
+        return this.queue.entries().then(entries => entries.length);
+    }
+
+    // Top scores, optionally for one ship and mode
+    fetchTop({ ship = null, mode = null, limit = LEADERBOARD_SIZE } = {}) {
+        const params = new URLSearchParams({ limit });
+        if (ship) params.set('ship', ship);
+        if (mode) params.set('mode', mode);
+
+        return fetch(`${this.server}/scores?${params}`)
+            .then(response => {
+                if (!response.ok) throw new Error(`Leaderboard server error: ${response.status}`);
+                return response.json();
+            })
+            .then(data => data.scores);
+    }
+}
+
+// Have the service worker flush the queue once the connection is back, where
+// the browser supports background sync. Elsewhere the page flushes instead.
+function requestBackgroundSync() {
+    if (typeof navigator === 'undefined' || !navigator.serviceWorker) return Promise.resolve();
+    return navigator.serviceWorker.getRegistration()
+        .then(registration => registration && registration.sync && registration.sync.register(SYNC_TAG))
+        .catch(() => {});
+}
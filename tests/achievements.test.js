@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCore } = require('../tools/headless');
+const { createBrowser, createGame } = require('./fake-dom');
+
+const { Simulation, ACHIEVEMENTS, AchievementTracker } = loadCore();
+
+const arena = { arenaWidth: 1280, arenaHeight: 720 };
+
+function tracker() {
+    const unlocked = [];
+    const t = new AchievementTracker({ progress: {}, unlocked: {} }, id => unlocked.push(id));
+    return { t, unlocked };
+}
+
+function card(context, shipId) {
+    return context.document.querySelector(`.ship-card[data-ship="${shipId}"]`);
+}
+
+test('counters add up across runs and unlock each achievement once', () => {
+    const { t, unlocked } = tracker();
+    t.add('collectibles', 60);
+    assert.equal(t.progress('collector'), 60);
+    assert.deepEqual(unlocked, []);
+
+    t.add('collectibles', 60);
+    t.add('collectibles', 60);
+    assert.deepEqual(unlocked, ['collector']);
+    assert.equal(t.progress('collector'), ACHIEVEMENTS.collector.goal);
+    assert.equal(t.progress('hoarder'), 180);
+});
+
+test('best-value counters only move up', () => {
+    const { t, unlocked } = tracker();
+    t.reach('level', 7);
+    t.reach('level', 3);
+    assert.equal(t.state.progress.level, 7);
+    assert.deepEqual(unlocked, ['farOut']);
+});
+
+test('a level flown without boosting counts as calm', () => {
+    const { t, unlocked } = tracker();
+    const sim = new Simulation({ seed: 'CALM', ship: 'tank', ...arena });
+    t.observe(sim);
+
+    sim.boostTicks = 10;
+    sim.emit('levelUp', { level: 2 }); // Boosted during level 1
+    assert.equal(t.state.progress.calmLevels, undefined);
+
+    sim.emit('levelUp', { level: 3 });
+    assert.equal(t.state.progress.calmLevels, 1);
+    assert.ok(unlocked.includes('calm'));
+});
+
+test('surviving a hit on the last heart unlocks its achievement', () => {
+    const { t, unlocked } = tracker();
+    const sim = new Simulation({ seed: 'HEART', ship: 'balanced', ...arena });
+    t.observe(sim);
+
+    sim.hurtPlayer('bullet');
+    assert.equal(sim.hp, 1);
+    assert.deepEqual(unlocked, ['lastHeart']);
+});
+
+test('events stop counting once the run no longer qualifies', () => {
+    const { t } = tracker();
+    const sim = new Simulation({ seed: 'BOT', ship: 'speeder', ...arena });
+    let counting = true;
+    t.observe(sim, () => counting);
+
+    sim.collectItem({ type: 'energy', x: 0, y: 0 });
+    counting = false;
+    sim.collectItem({ type: 'energy', x: 0, y: 0 });
+    assert.equal(t.state.progress.collectibles, 1);
+});
+
+test('progress persists and the unlock pays out coins with a toast', () => {
+    const save = {
+        version: 3, coins: 0, achievements: { progress: { collectibles: 99 }, unlocked: {} }
+    };
+    const context = createBrowser({ storage: { cosmicDriftSave: JSON.stringify(save) } });
+    const game = createGame(context);
+    context.setTimeout = () => {}; // Keep toasts on screen
+    game.startGame();
+
+    game.sim.collectItem({ type: 'energy', x: 0, y: 0 });
+    assert.ok(game.achievements.isUnlocked('collector'));
+    assert.equal(game.coins, ACHIEVEMENTS.collector.coins);
+    assert.equal(context.document.querySelectorAll('.toast').length, 1);
+
+    const saved = JSON.parse(context.localStorage.getItem('cosmicDriftSave'));
+    assert.equal(saved.achievements.progress.collectibles, 100);
+    assert.ok(saved.achievements.unlocked.collector);
+});
+
+test('buying every ship unlocks a colour that paints the next run', () => {
+    const context = createBrowser({ storage: { cosmicDriftCoins: '1000' } });
+    const game = createGame(context);
+    card(context, 'balanced').click();
+    assert.ok(!game.achievements.isColorUnlocked('emerald'));
+    card(context, 'tank').click();
+    assert.ok(game.achievements.isUnlocked('fleet'));
+
+    context.document.getElementById('achievements-btn').click();
+    const swatch = context.document.querySelector('.color-swatch[data-color="emerald"]');
+    assert.ok(!swatch.disabled);
+    swatch.click();
+    assert.equal(game.shipColor, 'emerald');
+    assert.ok(context.document.querySelector('.color-swatch[data-color="gold"]').disabled);
+
+    game.startGame();
+    assert.equal(game.sim.player.color, '#10b981');
+    assert.equal(JSON.parse(context.localStorage.getItem('cosmicDriftSave')).shipColor, 'emerald');
+});
+
+test('older saves are credited with what their stats already show', () => {
+    const save = { version: 2, coins: 10, stats: { bossesDefeated: 1, collectibles: { energy: 80, points: 40 } } };
+    const game = createGame(createBrowser({ storage: { cosmicDriftSave: JSON.stringify(save) } }));
+
+    assert.ok(game.achievements.isUnlocked('collector'));
+    assert.ok(game.achievements.isUnlocked('giantSlayer'));
+    assert.equal(game.coins, 10 + ACHIEVEMENTS.collector.coins + ACHIEVEMENTS.giantSlayer.coins);
+});
@@ -0,0 +1,209 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const vm = require('vm');
+const { createBrowser, createGame } = require('./fake-dom');
+
+function savedSettings(context) {
+    return JSON.parse(context.localStorage.getItem('cosmicDriftSettings'));
+}
+
+class FakeParam {
+    constructor(value) {
+        this.value = value;
+    }
+
+    setValueAtTime(value) {
+        this.value = value;
+    }
+
+    exponentialRampToValueAtTime() {}
+
+    setTargetAtTime(value) {
+        this.value = value;
+    }
+}
+
+// Web Audio stand-in that records every source started, with a clock tests move by hand
+class FakeAudioContext {
+    constructor() {
+        this.state = 'running';
+        this.currentTime = 0;
+        this.sampleRate = 100;
+        this.destination = {};
+        this.started = [];
+    }
+
+    node(props) {
+        return { connect() {}, ...props };
+    }
+
+    source(props) {
+        const source = this.node({
+            ...props,
+            start: () => this.started.push(source),
+            stop() {}
+        });
+        return source;
+    }
+
+    createGain() {
+        return this.node({ gain: new FakeParam(1) });
+    }
+
+    createOscillator() {
+        return this.source({ kind: 'oscillator', type: 'sine', frequency: new FakeParam(440) });
+    }
+
+    createBufferSource() {
+        return this.source({ kind: 'noise', loop: false });
+    }
+
+    createBiquadFilter() {
+        return this.node({ type: 'lowpass', frequency: new FakeParam(350) });
+    }
+
+    createBuffer(channels, length) {
+        const data = new Float32Array(length);
+        return { getChannelData: () => data };
+    }
+
+    suspend() {
+        this.state = 'suspended';
+        return Promise.resolve();
+    }
+
+    resume() {
+        this.state = 'running';
+        return Promise.resolve();
+    }
+}
+
+function createAudio() {
+    const context = createBrowser();
+    context.AudioContext = FakeAudioContext;
+    const audio = vm.runInContext('new AudioEngine()', context);
+    audio.unlock();
+    return audio;
+}
+
+function fakeSim({ level = 1, blackHoles = [], boosting = false } = {}) {
+    return { level, blackHoles, player: { x: 500, y: 300, boosting } };
+}
+
+test('volumes and mute are kept with the settings', () => {
+    const context = createBrowser();
+    const game = createGame(context);
+    game.openSettings('menu');
+
+    const music = context.document.getElementById('volume-music');
+    assert.equal(music.value, 50);
+    music.value = 20;
+    music.dispatchEvent({ type: 'input' });
+    music.dispatchEvent({ type: 'change' });
+    assert.equal(savedSettings(context).audio.music, 0.2);
+
+    game.closeSettings();
+    context.dispatchWindowEvent({ type: 'keydown', code: 'KeyM' });
+    assert.equal(savedSettings(context).audio.muted, true);
+    assert.equal(context.document.getElementById('mute-btn').textContent, '🔇');
+
+    const reloaded = createGame(createBrowser({ storage: { cosmicDriftSettings: context.localStorage.getItem('cosmicDriftSettings') } }));
+    assert.deepEqual({ ...reloaded.audio.settings }, { master: 0.8, music: 0.2, sfx: 0.8, muted: true });
+});
+
+test('damaged sound settings fall back to the defaults', () => {
+    const settings = { version: 1, audio: { master: 3, music: 0.1, muted: 'yes' } };
+    const game = createGame(createBrowser({ storage: { cosmicDriftSettings: JSON.stringify(settings) } }));
+    assert.deepEqual({ ...game.audio.settings }, { master: 0.8, music: 0.1, sfx: 0.8, muted: false });
+    assert.deepEqual([...game.settingsStore.problems], ['audio', 'audio']);
+});
+
+test('muting silences the master bus and the volumes set each bus', () => {
+    const audio = createAudio();
+    audio.setVolume('sfx', 0.25);
+    assert.equal(audio.buses.sfx.gain.value, 0.25);
+    assert.equal(audio.buses.master.gain.value, 0.8);
+
+    audio.setMuted(true);
+    assert.equal(audio.buses.master.gain.value, 0);
+    audio.setMuted(false);
+    assert.equal(audio.buses.master.gain.value, 0.8);
+});
+
+test('each effect plays once however often it fires in one moment', () => {
+    const audio = createAudio();
+    audio.play('collect', { item: { type: 'multiplier' } });
+    const collectNotes = audio.ctx.started.length;
+    assert.equal(collectNotes, 3);
+
+    audio.play('collect', { item: { type: 'multiplier' } });
+    assert.equal(audio.ctx.started.length, collectNotes);
+
+    audio.ctx.currentTime = 1;
+    audio.play('collect', { item: { type: 'energy' } });
+    assert.equal(audio.ctx.started.length, collectNotes + 2);
+
+    audio.play('gameOver');
+    assert.ok(audio.ctx.started.slice(-2).some(s => s.kind === 'noise'));
+});
+
+test('the music gains layers as the level rises', () => {
+    const layers = level => {
+        const audio = createAudio();
+        audio.startMusic();
+        audio.update(fakeSim({ level }));
+        audio.ctx.currentTime = 2;
+        audio.update(fakeSim({ level }));
+        return new Set(audio.ctx.started.filter(s => s.kind === 'oscillator').map(s => s.type));
+    };
+
+    assert.deepEqual([...layers(1)].sort(), ['sawtooth', 'sine']); // Bass, plus the always-on hum
+    assert.ok(layers(2).has('square'));
+    assert.ok(!layers(4).has('triangle'));
+    assert.ok(layers(5).has('triangle'));
+});
+
+test('black holes hum louder the closer the ship gets, and boosting roars', () => {
+    const audio = createAudio();
+    const hole = distance => ({ x: 500 + distance, y: 300, pullRadius: 200 });
+
+    audio.update(fakeSim({ blackHoles: [hole(150)] }));
+    const far = audio.loops.hum.gain.gain.value;
+    audio.update(fakeSim({ blackHoles: [hole(50)] }));
+    const near = audio.loops.hum.gain.gain.value;
+    assert.ok(near > far && far > 0);
+
+    audio.update(fakeSim({ blackHoles: [hole(500)] }));
+    assert.equal(audio.loops.hum.gain.gain.value, 0);
+
+    assert.equal(audio.loops.boost.gain.gain.value, 0);
+    audio.update(fakeSim({ boosting: true }));
+    assert.ok(audio.loops.boost.gain.gain.value > 0);
+});
+
+test('pausing suspends the sound and quitting stops the music', () => {
+    const context = createBrowser();
+    context.AudioContext = FakeAudioContext;
+    const game = createGame(context);
+
+    game.startGame();
+    assert.equal(game.audio.ctx.state, 'running');
+    assert.ok(game.audio.music);
+
+    game.togglePause();
+    assert.equal(game.audio.ctx.state, 'suspended');
+    game.togglePause();
+    assert.equal(game.audio.ctx.state, 'running');
+
+    game.showMenu();
+    assert.equal(game.audio.music, null);
+    assert.equal(game.audio.loops, null);
+});
+
+test('the game runs silently without Web Audio', () => {
+    const context = createBrowser();
+    const game = createGame(context);
+    game.startGame();
+    game.sim.hurtPlayer('bullet');
+    assert.equal(game.audio.ctx, null);
+});
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCore } = require('../tools/headless');
+
+const { Simulation, BOSS_INTERVAL, BOSS_PHASES } = loadCore();
+
+function createSim() {
+    return new Simulation({ seed: 'BOSS', ship: 'tank', arenaWidth: 1280, arenaHeight: 720 });
+}
+
+// Reach the level just before a boss, then cross into it
+function reachBoss(sim) {
+    sim.level = BOSS_INTERVAL - 1;
+    sim.difficultyTimer = 1800;
+    sim.update({ x: sim.player.x, y: sim.player.y, boost: false });
+    return sim.boss;
+}
+
+// Skip the boss's entrance so it can be damaged
+function skipIntro(boss) {
+    boss.lifetime = boss.introTime + 1;
+}
+
+test('a boss arrives every fifth level', () => {
+    const sim = createSim();
+    const events = [];
+    sim.on('bossStart', ({ boss }) => events.push(boss.number));
+
+    const boss = reachBoss(sim);
+    assert.equal(sim.level, BOSS_INTERVAL);
+    assert.ok(boss);
+    assert.deepEqual(events, [1]);
+});
+
+test('normal spawns and levelling pause during the fight', () => {
+    const sim = createSim();
+    const boss = reachBoss(sim);
+    sim.blackHoles = [];
+    sim.enemies = [];
+
+    for (let i = 0; i < 2000; i++) {
+        sim.player.invincibleTimer = 10;
+        sim.player.x = 100;
+        sim.player.y = 100;
+        sim.update({ x: 100, y: 100, boost: false });
+    }
+
+    assert.equal(sim.boss, boss);
+    assert.equal(sim.level, BOSS_INTERVAL);
+    assert.equal(sim.blackHoles.length, 0);
+    assert.equal(sim.difficultyTimer, 0);
+});
+
+test('the boss is invulnerable during its entrance', () => {
+    const sim = createSim();
+    const boss = reachBoss(sim);
+
+    boss.damage(sim, 10);
+    assert.equal(boss.hp, boss.maxHP);
+});
+
+test('crossing an HP threshold starts an invulnerable phase transition', () => {
+    const sim = createSim();
+    const boss = reachBoss(sim);
+    skipIntro(boss);
+    const phases = [];
+    sim.on('bossPhase', ({ phase }) => phases.push(phase));
+
+    boss.damage(sim, Math.ceil(boss.maxHP * (1 - BOSS_PHASES[1].threshold)));
+    assert.equal(boss.phase, 1);
+    assert.deepEqual(phases, [1]);
+    assert.equal(sim.bullets.length, 0);
+
+    const hp = boss.hp;
+    boss.damage(sim, 5);
+    assert.equal(boss.hp, hp, 'no damage while transitioning');
+
+    boss.transitionTimer = 0;
+    boss.damage(sim, 5);
+    assert.equal(boss.hp, hp - 5);
+});
+
+test('defeating the boss pays out and lets the run continue', () => {
+    const sim = createSim();
+    const boss = reachBoss(sim);
+    skipIntro(boss);
+    const defeated = [];
+    sim.on('bossDefeated', (event) => defeated.push(event.reward));
+
+    boss.phase = BOSS_PHASES.length - 1;
+    boss.damage(sim, boss.maxHP);
+
+    assert.equal(sim.boss, null);
+    assert.equal(sim.bossesDefeated, 1);
+    assert.deepEqual(defeated, [boss.reward]);
+    assert.equal(sim.sessionCoins, boss.reward);
+    assert.ok(sim.score >= 5000);
+});
+
+test('an unbeaten boss leaves when time runs out', () => {
+    const sim = createSim();
+    const boss = reachBoss(sim);
+    const escaped = [];
+    sim.on('bossEscaped', () => escaped.push(true));
+
+    boss.lifetime = boss.timeLimit;
+    sim.player.invincibleTimer = 10;
+    sim.update({ x: sim.player.x, y: sim.player.y, boost: false });
+
+    assert.equal(sim.boss, null);
+    assert.equal(escaped.length, 1);
+});
@@ -0,0 +1,215 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadCore, verifyReplay } = require('../tools/headless');
+const { createBrowser, createGame } = require('./fake-dom');
+
+const ROOT = path.join(__dirname, '..');
+const core = loadCore();
+const { Simulation, Replay, parseLevel, parseCampaign, levelStars, isLevelUnlocked } = core;
+
+const arena = { arenaWidth: 1280, arenaHeight: 720 };
+const campaignJSON = () => JSON.parse(fs.readFileSync(path.join(ROOT, 'levels/campaign.json'), 'utf8'));
+
+function createSim(level) {
+    return new Simulation({ seed: 'LEVEL', ship: 'speeder', mode: 'campaign', campaignLevel: parseLevel(level), ...arena });
+}
+
+function idle(sim, ticks) {
+    for (let i = 0; i < ticks && !sim.isOver; i++) {
+        sim.update({ x: sim.player.x, y: sim.player.y, boost: false });
+    }
+}
+
+// Serves the game's own files, like the page would
+function localFetch(url) {
+    return Promise.resolve({
+        ok: true,
+        status: 200,
+        json: () => Promise.resolve(JSON.parse(fs.readFileSync(path.join(ROOT, url), 'utf8')))
+    });
+}
+
+test('the shipped campaign parses and every level has a name in both catalogs', () => {
+    const levels = parseCampaign(campaignJSON());
+    assert.ok(levels.length >= 15);
+    assert.equal(new Set(levels.map(level => level.id)).size, levels.length);
+
+    for (const file of ['locales/ru.js', 'locales/en.js']) {
+        const catalog = fs.readFileSync(path.join(ROOT, file), 'utf8');
+        for (const level of levels) {
+            assert.ok(catalog.includes(`'campaign.levels.${level.id}'`), `${file}: ${level.id}`);
+        }
+    }
+});
+
+test('a level script places its black holes, waves and bullet patterns on time', () => {
+    const sim = createSim({
+        id: 'script',
+        goal: { type: 'survive', target: 60 },
+        blackHoles: [
+            { at: 0, x: 0.85, y: 0.15, radius: 30 },
+            { at: 1, x: 0.85, y: 0.85, radius: 50, lifetime: 2 }
+        ],
+        waves: [{ at: 0, type: 'shield', count: 4, x: 0.1, y: 0.1, spread: 0.05, life: 0 }],
+        bullets: [{ at: 0.5, pattern: 'ring', x: 0.25, y: 0.25, count: 8, speed: 4, every: 0.5, repeat: 2 }]
+    });
+
+    assert.equal(sim.blackHoles.length, 1);
+    assert.equal(sim.blackHoles[0].x, 0.85 * 1280);
+    assert.equal(sim.collectibles.length, 4);
+    assert.ok(sim.collectibles.every(c => c.type === 'shield' && c.vx === 0 && c.vy === 0));
+
+    idle(sim, 31);
+    assert.equal(sim.bullets.length, 8);
+    idle(sim, 30);
+    assert.equal(sim.bullets.length, 16);
+    assert.equal(sim.blackHoles.length, 2);
+    assert.equal(sim.blackHoles[1].radius, 50);
+
+    // The timed hole leaves, the other stays for good; scripted holes never
+    // shoot unless told to and nothing spawns at random
+    idle(sim, 60 * 5);
+    assert.equal(sim.blackHoles.length, 1);
+    assert.equal(sim.bullets.length, 0);
+    assert.equal(sim.enemies.length, 0);
+    assert.equal(sim.collectibles.length, 4);
+    assert.equal(sim.level, 1);
+});
+
+test('each kind of goal clears the level and stars follow the score', () => {
+    const collect = createSim({
+        id: 'collect',
+        goal: { type: 'collect', target: 2 },
+        stars: [100, 100000],
+        waves: [{ at: 0, type: 'points', count: 2, spread: 0, life: 0 }]
+    });
+    idle(collect, 1);
+    assert.equal(collect.deathCause, 'cleared');
+    assert.equal(levelStars(collect.campaignLevel, collect), 2);
+
+    const survive = createSim({ id: 'survive', goal: { type: 'survive', target: 2 }, stars: [1000, 2000] });
+    assert.equal(survive.rules.timeLimit, 120);
+    idle(survive, 119);
+    assert.ok(!survive.isOver);
+    idle(survive, 1);
+    assert.equal(survive.deathCause, 'cleared');
+    assert.equal(levelStars(survive.campaignLevel, survive), 1);
+
+    const score = createSim({ id: 'score', goal: { type: 'score', target: 500 }, stars: [400, 500] });
+    score.score = 500;
+    idle(score, 1);
+    assert.equal(score.deathCause, 'cleared');
+    assert.equal(levelStars(score.campaignLevel, score), 3);
+
+    const late = createSim({ id: 'late', goal: { type: 'collect', target: 5 }, timeLimit: 1 });
+    idle(late, 60 * 2);
+    assert.equal(late.deathCause, 'timeUp');
+    assert.equal(late.tick, 60);
+    assert.equal(levelStars(late.campaignLevel, late), 0);
+});
+
+test('levels open one after another as they are cleared', () => {
+    const levels = parseCampaign(campaignJSON());
+    assert.ok(isLevelUnlocked(levels, {}, 0));
+    assert.ok(!isLevelUnlocked(levels, {}, 1));
+    assert.ok(isLevelUnlocked(levels, { [levels[0].id]: 1 }, 1));
+    assert.ok(!isLevelUnlocked(levels, { [levels[0].id]: 0 }, 1));
+});
+
+test('malformed levels and campaigns are rejected', () => {
+    const goal = { type: 'collect', target: 1 };
+    assert.throws(() => parseLevel({ id: 'bad', goal: { type: 'fly', target: 1 } }), /Malformed level bad: goal/);
+    assert.throws(() => parseLevel({ id: 'bad id!', goal }), /Malformed level bad id!: id/);
+    assert.throws(() => parseLevel({ id: 'bad', goal, waves: [{ type: 'gold' }] }), /waves/);
+    assert.throws(() => parseLevel({ id: 'bad', goal, blackHoles: [{ x: 2 }] }), /blackHoles/);
+    assert.throws(() => parseLevel({ id: 'bad', goal, bullets: [{ pattern: 'zigzag' }] }), /bullets/);
+    assert.throws(() => parseLevel({ id: 'bad', goal, stars: [100] }), /stars/);
+    assert.throws(() => parseCampaign({ format: 'something-else', levels: [] }), /Not a Cosmic Drift campaign/);
+    assert.throws(() => parseCampaign({ ...campaignJSON(), version: 99 }), /Unsupported campaign version/);
+});
+
+test('a campaign run replays and verifies with its level', () => {
+    const level = parseLevel({
+        id: 'replayed',
+        goal: { type: 'survive', target: 3 },
+        blackHoles: [{ at: 0, x: 0.2, y: 0.2, shootInterval: 1 }],
+        bullets: [{ at: 1, pattern: 'aimed', x: 0.9, y: 0.5, count: 3, every: 0.5, repeat: 3 }]
+    });
+    const setup = { seed: 'REPLAYED', ship: 'speeder', mode: 'campaign', campaignLevel: level, ...arena };
+    const replay = new Replay(setup);
+    const sim = new Simulation(setup);
+    while (!sim.isOver) {
+        const input = { x: 1000, y: 600, boost: false };
+        replay.record(input);
+        sim.update(input);
+    }
+    replay.finish(sim.score, sim.level);
+
+    const data = JSON.parse(JSON.stringify(replay));
+    assert.equal(data.campaignLevel.id, 'replayed');
+    assert.ok(verifyReplay(core, data).valid);
+    assert.throws(() => verifyReplay(core, { ...data, campaignLevel: null }), /without its level/);
+});
+
+test('the level select shows stars, locks and unlocks levels and keeps them out of the high scores', async () => {
+    const context = createBrowser({ fetch: localFetch });
+    const game = createGame(context);
+    const { document } = context;
+
+    await game.openCampaign();
+    const cards = document.querySelectorAll('.campaign-card');
+    assert.equal(cards.length, game.campaignLevels.length);
+    assert.ok(!cards[0].disabled);
+    assert.ok(cards[1].disabled);
+    assert.equal(cards[0].querySelector('.campaign-name').textContent, 'Первый свет');
+
+    cards[0].click();
+    assert.equal(game.sim.mode, 'campaign');
+    assert.equal(game.sim.campaignLevel.id, 'first-light');
+    assert.ok(!document.getElementById('goal-container').classList.contains('hidden'));
+
+    game.sim.score = 100000;
+    game.sim.gameOver('cleared');
+    assert.equal(game.campaign['first-light'], 3);
+    assert.equal(document.getElementById('campaign-result-value').textContent, '★★★');
+    assert.ok(!document.getElementById('next-level-btn').classList.contains('hidden'));
+    assert.equal(game.leaderboard.length, 0);
+    assert.equal(game.highScores.campaign, undefined);
+
+    document.getElementById('next-level-btn').click();
+    assert.equal(game.sim.campaignLevel.id, 'gentle-pull');
+    game.sim.gameOver('blackHole');
+    assert.equal(game.campaign['gentle-pull'], undefined);
+    assert.ok(document.getElementById('next-level-btn').classList.contains('hidden'));
+
+    // Playing again keeps to the same level
+    document.getElementById('restart-btn').click();
+    assert.equal(game.sim.campaignLevel.id, 'gentle-pull');
+
+    // Progress survives a reload
+    const reloaded = createBrowser({ fetch: localFetch, storage: { cosmicDriftSave: context.localStorage.getItem('cosmicDriftSave') } });
+    const again = createGame(reloaded);
+    await again.openCampaign();
+    const reloadedCards = reloaded.document.querySelectorAll('.campaign-card');
+    assert.ok(!reloadedCards[1].disabled);
+    assert.ok(reloadedCards[2].disabled);
+    assert.ok(reloaded.document.getElementById('campaign-status').textContent.includes('3 /'));
+});
+
+test('the level select reports a campaign that cannot be loaded', async () => {
+    const context = createBrowser();
+    const game = createGame(context);
+    await game.openCampaign();
+    assert.equal(context.document.getElementById('campaign-status').textContent, 'Не удалось загрузить уровни');
+    assert.equal(game.campaignLoad, null);
+});
+
+test('saved campaign stars are validated', () => {
+    const save = { version: 5, campaign: { 'first-light': 2, orbit: 7 } };
+    const context = createBrowser({ storage: { cosmicDriftSave: JSON.stringify(save) } });
+    const game = createGame(context);
+    assert.deepEqual({ ...game.campaign }, { 'first-light': 2 });
+    assert.ok(!context.document.getElementById('save-notice').classList.contains('hidden'));
+});
@@ -0,0 +1,197 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const vm = require('vm');
+const { createBrowser, createGame } = require('./fake-dom');
+
+function savedSettings(context) {
+    return JSON.parse(context.localStorage.getItem('cosmicDriftSettings'));
+}
+
+function press(context, code) {
+    context.dispatchWindowEvent({ type: 'keydown', code });
+}
+
+function release(context, code) {
+    context.dispatchWindowEvent({ type: 'keyup', code });
+}
+
+function bindingButton(context, action, slot) {
+    return context.document.querySelector(`.key-btn[data-action="${action}"][data-slot="${slot}"]`);
+}
+
+test('a key drives one action at a time', () => {
+    const context = createBrowser();
+    const bindings = vm.runInContext('new KeyBindings()', context);
+
+    assert.equal(bindings.actionFor('KeyW'), 'up');
+    bindings.bind('fire', 0, 'KeyW');
+    assert.equal(bindings.actionFor('KeyW'), 'fire');
+    assert.deepEqual([...bindings.keysFor('up')], [null, 'ArrowUp']);
+
+    assert.deepEqual({ ...bindings.direction({ KeyA: true, ArrowUp: true }) }, { x: -1, y: -1 });
+    assert.deepEqual({ ...bindings.direction({ KeyA: true, KeyD: true }) }, { x: 0, y: 0 });
+
+    const keyLabel = vm.runInContext('keyLabel', context);
+    assert.equal(keyLabel('KeyQ'), 'Q');
+    assert.equal(keyLabel('Digit7'), '7');
+    assert.equal(keyLabel('ArrowLeft'), '←');
+    assert.equal(keyLabel(null), '—');
+});
+
+test('the keyboard scheme flies with the movement keys', () => {
+    const context = createBrowser();
+    const game = createGame(context);
+    const STICK_RANGE = vm.runInContext('STICK_RANGE', context);
+
+    game.openSettings('menu');
+    context.document.querySelector('.filter-btn[data-scheme="keyboard"]').click();
+    assert.equal(savedSettings(context).controlScheme, 'keyboard');
+    game.closeSettings();
+    assert.equal(context.document.getElementById('steer-keys').textContent, 'W A S D');
+
+    game.startGame();
+    press(context, 'KeyD');
+    assert.deepEqual({ ...game.readInput() }, { x: STICK_RANGE, y: 0, boost: false, fire: false, direct: true });
+
+    // Diagonals are not faster than straight lines
+    press(context, 'ArrowUp');
+    press(context, 'ShiftLeft');
+    const input = game.readInput();
+    assert.equal(input.x, Math.round(STICK_RANGE / Math.SQRT2));
+    assert.equal(input.y, -input.x);
+    assert.equal(input.boost, true);
+
+    release(context, 'KeyD');
+    release(context, 'ArrowUp');
+    assert.equal(game.readInput().x, 0);
+    assert.equal(game.readInput().y, 0);
+});
+
+test('the mouse scheme ignores the movement keys', () => {
+    const context = createBrowser();
+    const game = createGame(context);
+    game.startGame();
+    game.handleMouseMove({ clientX: 300, clientY: 200 });
+
+    press(context, 'KeyD');
+    press(context, 'Space');
+    const input = game.readInput();
+    assert.equal(input.direct, false);
+    assert.equal(input.x, 300);
+    assert.equal(input.boost, true);
+});
+
+test('every action can be rebound, and the bindings are saved', () => {
+    const context = createBrowser();
+    const game = createGame(context);
+    game.openSettings('menu');
+    context.document.getElementById('bindings-btn').click();
+    assert.ok(!context.document.getElementById('controls-screen').classList.contains('hidden'));
+
+    bindingButton(context, 'fire', 0).click();
+    assert.equal(bindingButton(context, 'fire', 0).textContent, 'Нажмите клавишу…');
+    press(context, 'KeyK');
+    assert.equal(bindingButton(context, 'fire', 0).textContent, 'K');
+    assert.deepEqual(savedSettings(context).keyBindings.fire, ['KeyK', 'KeyJ']);
+
+    // Escape cancels, Backspace empties the slot
+    bindingButton(context, 'pause', 1).click();
+    press(context, 'Escape');
+    assert.equal(bindingButton(context, 'pause', 1).textContent, 'P');
+    bindingButton(context, 'pause', 0).click();
+    press(context, 'Backspace');
+    assert.equal(bindingButton(context, 'pause', 0).textContent, '—');
+
+    // The new keys work in a run
+    game.closeControls();
+    game.closeSettings();
+    game.startGame();
+    press(context, 'Escape');
+    assert.equal(game.isPaused, false);
+    press(context, 'KeyP');
+    assert.equal(game.isPaused, true);
+    press(context, 'KeyP');
+
+    // They survive a reload
+    const reloaded = createGame(createBrowser({ storage: { cosmicDriftSettings: context.localStorage.getItem('cosmicDriftSettings') } }));
+    assert.equal(reloaded.keyBindings.actionFor('KeyK'), 'fire');
+    assert.equal(reloaded.keyBindings.actionFor('Escape'), null);
+
+    reloaded.resetBindings();
+    assert.equal(reloaded.keyBindings.actionFor('Escape'), 'pause');
+});
+
+test('damaged bindings fall back to the default keys', () => {
+    const settings = {
+        version: 1,
+        controlScheme: 'telepathy',
+        keyBindings: { up: ['KeyI', null], down: 'KeyK', warp: ['KeyX', null] }
+    };
+    const context = createBrowser({ storage: { cosmicDriftSettings: JSON.stringify(settings) } });
+    const game = createGame(context);
+
+    assert.equal(game.controlScheme, 'mouse');
+    assert.deepEqual([...game.keyBindings.keysFor('up')], ['KeyI', null]);
+    assert.deepEqual([...game.keyBindings.keysFor('down')], ['KeyS', 'ArrowDown']);
+    assert.deepEqual([...game.settingsStore.problems].sort(), ['controlScheme', 'keyBindings', 'keyBindings']);
+});
+
+function touch(context, type, touches, changed = touches) {
+    context.document.getElementById('gameCanvas').dispatchEvent({ type, touches, changedTouches: changed });
+}
+
+test('the joystick scheme steers with one thumb and boosts with a button', () => {
+    const context = createBrowser();
+    const game = createGame(context);
+    const STICK_RANGE = vm.runInContext('STICK_RANGE', context);
+    const JOYSTICK_RADIUS = vm.runInContext('JOYSTICK_RADIUS', context);
+
+    game.openSettings('menu');
+    context.document.querySelector('.filter-btn[data-touch-scheme="joystick"]').click();
+    assert.equal(savedSettings(context).touchScheme, 'joystick');
+    game.closeSettings();
+
+    game.startGame();
+    const touchControls = context.document.getElementById('touch-controls');
+    assert.ok(!touchControls.classList.contains('hidden'));
+
+    // Landing the thumb does not move or boost the ship
+    const thumb = { identifier: 1, clientX: 200, clientY: 400 };
+    touch(context, 'touchstart', [thumb]);
+    assert.deepEqual({ ...game.readInput() }, { x: 0, y: 0, boost: false, fire: false, direct: true });
+
+    const moved = { ...thumb, clientX: 200 + JOYSTICK_RADIUS / 2 };
+    touch(context, 'touchmove', [moved]);
+    assert.equal(game.readInput().x, STICK_RANGE / 2);
+
+    // Pushing past the rim is full thrust; fingers on the right half leave the stick alone
+    const far = { ...thumb, clientX: 200, clientY: 400 - JOYSTICK_RADIUS * 3 };
+    const other = { identifier: 2, clientX: 1000, clientY: 300 };
+    touch(context, 'touchstart', [far, other], [other]);
+    touch(context, 'touchmove', [far, other]);
+    assert.deepEqual({ ...game.readInput() }, { x: 0, y: -STICK_RANGE, boost: false, fire: false, direct: true });
+
+    const boostBtn = context.document.getElementById('touch-boost-btn');
+    boostBtn.dispatchEvent({ type: 'touchstart' });
+    assert.equal(game.readInput().boost, true);
+    boostBtn.dispatchEvent({ type: 'touchend' });
+    assert.equal(game.readInput().boost, false);
+
+    touch(context, 'touchend', [other], [far]);
+    assert.equal(game.joystick, null);
+    assert.equal(game.readInput().y, 0);
+});
+
+test('the follow scheme keeps the finger steering and boosting', () => {
+    const context = createBrowser();
+    const game = createGame(context);
+    game.startGame();
+    assert.ok(context.document.getElementById('touch-controls').classList.contains('hidden'));
+
+    const finger = { identifier: 1, clientX: 500, clientY: 300 };
+    touch(context, 'touchstart', [finger]);
+    const input = game.readInput();
+    assert.equal(input.direct, false);
+    assert.equal(input.x, 500);
+    assert.equal(input.boost, true);
+});
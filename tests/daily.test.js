@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCore, verifyReplay } = require('../tools/headless');
+const { createBrowser, createGame } = require('./fake-dom');
+
+const core = loadCore();
+const {
+    Simulation, Replay, DAILY_ROTATION,
+    dailyDateKey, dailyChallenge, dailyStreak, recordDailyAttempt, dailyBonus
+} = core;
+
+const arena = { arenaWidth: 1280, arenaHeight: 720 };
+
+function dayBefore(date) {
+    const previous = new Date(date);
+    previous.setDate(previous.getDate() - 1);
+    return previous;
+}
+
+test('everyone gets the same challenge on the same date', () => {
+    const challenge = dailyChallenge('2026-10-19');
+    assert.deepEqual(dailyChallenge('2026-10-19'), challenge);
+    assert.match(challenge.seed, /^D[0-9A-Z]{7}$/);
+    assert.notEqual(dailyChallenge('2026-10-20').seed, challenge.seed);
+
+    // A week runs through the whole rotation
+    const week = ['2026-10-19', '2026-10-20', '2026-10-21', '2026-10-22', '2026-10-23', '2026-10-24', '2026-10-25']
+        .map(date => JSON.stringify(dailyChallenge(date).modifiers));
+    assert.deepEqual(new Set(week), new Set(DAILY_ROTATION.map(modifiers => JSON.stringify(modifiers))));
+    assert.equal(dailyDateKey(new Date(2026, 0, 5, 23, 59)), '2026-01-05');
+});
+
+test('modifiers stack on top of the mode', () => {
+    const create = modifiers => new Simulation({ seed: 'MODS', ship: 'speeder', mode: 'daily', modifiers, ...arena });
+    const plain = create([]);
+    const stacked = create(['strongGravity', 'fastBullets', 'tankOnly']);
+
+    plain.spawnBlackHole();
+    stacked.spawnBlackHole();
+    assert.equal(stacked.blackHoles[0].strength, plain.blackHoles[0].strength * 2);
+
+    plain.spawnBullet(plain.blackHoles[0]);
+    stacked.spawnBullet(stacked.blackHoles[0]);
+    assert.equal(stacked.bullets[0].vx, plain.bullets[0].vx * 1.5);
+    assert.equal(stacked.player.shipType, 'tank');
+    assert.equal(stacked.maxHP, 3);
+
+    const drained = create(['noRegen']);
+    drained.energy = 50;
+    drained.update({ x: drained.player.x, y: drained.player.y, boost: false });
+    assert.equal(drained.energy, 50);
+
+    const windy = create(['solarWind']);
+    windy.update({ x: windy.player.x, y: windy.player.y, boost: false });
+    assert.ok(windy.player.vx > 0);
+});
+
+test('attempts on consecutive days build a streak that raises the bonus', () => {
+    let daily = { lastDate: '', streak: 0, bestStreak: 0 };
+    assert.equal(dailyStreak(daily, '2026-10-19'), 0);
+
+    for (const date of ['2026-10-19', '2026-10-20', '2026-10-21']) {
+        daily = recordDailyAttempt(daily, date);
+    }
+    assert.deepEqual({ ...daily }, { lastDate: '2026-10-21', streak: 3, bestStreak: 3 });
+    assert.equal(dailyStreak(daily, '2026-10-22'), 3);
+    assert.equal(dailyStreak(daily, '2026-10-23'), 0);
+
+    daily = recordDailyAttempt(daily, '2026-10-23');
+    assert.deepEqual({ ...daily }, { lastDate: '2026-10-23', streak: 1, bestStreak: 3 });
+
+    assert.ok(dailyBonus(2) > dailyBonus(1));
+    assert.equal(dailyBonus(30), dailyBonus(7));
+});
+
+test('a daily run replays and verifies with its modifiers', () => {
+    const challenge = dailyChallenge('2026-10-19');
+    const replay = new Replay({ seed: challenge.seed, ship: 'speeder', mode: 'daily', modifiers: ['strongGravity'], ...arena });
+    const sim = new Simulation({ seed: challenge.seed, ship: 'speeder', mode: 'daily', modifiers: ['strongGravity'], ...arena });
+    while (!sim.isOver && sim.tick < 60 * 60 * 5) {
+        const input = { x: 100, y: 100, boost: false };
+        replay.record(input);
+        sim.update(input);
+    }
+    replay.finish(sim.score, sim.level);
+
+    const data = JSON.parse(JSON.stringify(replay));
+    assert.deepEqual(data.modifiers, ['strongGravity']);
+    assert.ok(verifyReplay(core, data).valid);
+    assert.throws(() => verifyReplay(core, { ...data, modifiers: ['lowGravity'] }), /Unknown rule modifier/);
+});
+
+test('the daily run can be played once a day and pays a bonus for finishing', () => {
+    const today = new Date();
+    const save = {
+        version: 5,
+        coins: 0,
+        daily: { lastDate: dailyDateKey(dayBefore(today)), streak: 3, bestStreak: 5 }
+    };
+    const context = createBrowser({ storage: { cosmicDriftSave: JSON.stringify(save) } });
+    const game = createGame(context);
+    const { document } = context;
+    const challenge = dailyChallenge(dailyDateKey(today));
+
+    assert.ok(document.getElementById('daily-info').textContent.includes('Серия: 3'));
+    document.getElementById('daily-btn').click();
+
+    assert.equal(game.sim.mode, 'daily');
+    assert.equal(game.sim.seed, challenge.seed);
+    assert.deepEqual([...game.sim.modifiers], [...challenge.modifiers]);
+    assert.deepEqual({ ...game.daily }, { lastDate: dailyDateKey(today), streak: 4, bestStreak: 5 });
+    assert.ok(document.getElementById('daily-btn').disabled);
+
+    game.sim.gameOver('bullet');
+    assert.equal(game.coins, game.sim.sessionCoins + dailyBonus(4));
+    assert.ok(!document.getElementById('daily-reward').classList.contains('hidden'));
+    assert.equal(game.leaderboard.length, 0); // Scoreless
+
+    // There is no second attempt to play again; the way on is the menu
+    const restart = document.getElementById('restart-btn');
+    assert.ok(restart.classList.contains('hidden'));
+    game.restartRun();
+    assert.ok(!game.isRunning);
+    assert.ok(!document.getElementById('start-screen').classList.contains('hidden'));
+    game.startGame();
+    game.sim.gameOver('bullet');
+    assert.ok(!restart.classList.contains('hidden'));
+
+    // The attempt is spent, even after a reload
+    const reloaded = createBrowser({ storage: { cosmicDriftSave: context.localStorage.getItem('cosmicDriftSave') } });
+    const again = createGame(reloaded);
+    assert.ok(reloaded.document.getElementById('daily-btn').disabled);
+    again.startDaily();
+    assert.ok(!again.isRunning);
+});
+
+test('the daily mode is left out of the mode picker', () => {
+    const context = createBrowser();
+    createGame(context);
+    assert.equal(context.document.querySelector('.filter-btn[data-mode="daily"]'), null);
+    assert.ok(context.document.querySelector('.filter-btn[data-mode="hardcore"]'));
+});
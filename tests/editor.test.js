@@ -0,0 +1,196 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCore } = require('../tools/headless');
+const { createBrowser, createGame } = require('./fake-dom');
+
+const core = loadCore();
+const { LEVELS_KEY, levelFile, LevelEditor, LevelLibrary } = core;
+
+function memoryStorage(initial = {}) {
+    const data = new Map(Object.entries(initial));
+    return {
+        getItem: key => (data.has(key) ? data.get(key) : null),
+        setItem: (key, value) => data.set(key, String(value))
+    };
+}
+
+// The editor canvas at its markup size, so clicks map onto the arena
+function openEditor(context) {
+    const game = createGame(context);
+    const canvas = context.document.getElementById('editor-canvas');
+    canvas.width = 640;
+    canvas.height = 360;
+    context.document.getElementById('editor-btn').click();
+    return { game, canvas };
+}
+
+function mouse(canvas, type, clientX, clientY) {
+    canvas.dispatchEvent({ type, clientX, clientY });
+}
+
+test('black holes and waves are placed, picked up, moved and tuned', () => {
+    const editor = new LevelEditor();
+    const hole = editor.add('blackHoles', 0.3, 0.4);
+    assert.equal(hole.radius, 40);
+    assert.deepEqual({ ...editor.selected }, { kind: 'blackHoles', index: 0 });
+
+    editor.add('waves', 0.8, 1.3);
+    assert.equal(editor.selectedItem.y, 1);
+
+    // Anywhere on the hole's body picks it up, just outside does not
+    editor.select(null);
+    assert.deepEqual({ ...editor.itemAt(0.3 + 35 / 1280, 0.4) }, { kind: 'blackHoles', index: 0 });
+    assert.equal(editor.itemAt(0.3 + 45 / 1280, 0.4), null);
+
+    editor.select(editor.itemAt(0.3, 0.4));
+    editor.moveSelected(0.12345, 0.5);
+    editor.setField('strength', '0.8');
+    editor.setField('shootInterval', '2.5');
+    assert.equal(hole.x, 0.123);
+    assert.equal(hole.strength, 0.8);
+
+    editor.setLevelField('goal.type', 'survive');
+    editor.setLevelField('goal.target', '20');
+    editor.setLevelField('stars.1', '3000');
+    const level = editor.toLevel();
+    assert.deepEqual({ ...level.goal }, { type: 'survive', target: 20 });
+    assert.deepEqual([...level.stars], [1000, 3000]);
+    assert.equal(level.blackHoles[0].shootInterval, 2.5);
+
+    editor.removeSelected();
+    assert.equal(editor.level.blackHoles.length, 0);
+    assert.equal(editor.selected, null);
+
+    editor.setLevelField('id', '');
+    assert.throws(() => editor.toLevel(), /Malformed level: id/);
+});
+
+test('the library keeps levels by id and drops ones that no longer parse', () => {
+    const storage = memoryStorage();
+    const library = new LevelLibrary(storage);
+    assert.deepEqual([...library.load()], []);
+
+    const level = new LevelEditor().toLevel();
+    library.save(level);
+    library.save({ ...level, name: 'Renamed' });
+    library.save({ ...level, id: 'second' });
+    assert.deepEqual([...library.load().map(saved => saved.name || saved.id)], ['Renamed', 'second']);
+    assert.equal(JSON.parse(storage.getItem(LEVELS_KEY)).format, 'cosmic-drift-campaign');
+
+    library.remove('second');
+    assert.equal(library.load().length, 1);
+
+    const data = JSON.parse(storage.getItem(LEVELS_KEY));
+    data.levels.push({ id: 'broken', goal: { type: 'dance', target: 1 } });
+    storage.setItem(LEVELS_KEY, JSON.stringify(data));
+    assert.equal(library.load().length, 1);
+
+    storage.setItem(LEVELS_KEY, '{not json');
+    assert.deepEqual([...library.load()], []);
+});
+
+test('a level built on the editor canvas test-plays straight away and leads back', () => {
+    const context = createBrowser();
+    const { document } = context;
+    const { game, canvas } = openEditor(context);
+    assert.ok(!document.getElementById('editor-screen').classList.contains('hidden'));
+
+    document.querySelector('.editor-tool[data-tool="blackHoles"]').click();
+    mouse(canvas, 'mousedown', 160, 90);
+    mouse(canvas, 'mousemove', 480, 90);
+    mouse(canvas, 'mouseup', 480, 90);
+    assert.equal(game.editor.level.blackHoles.length, 1);
+    assert.equal(game.editor.level.blackHoles[0].x, 0.75);
+
+    const lifetime = document.querySelector('[data-field="lifetime"]');
+    lifetime.value = '12';
+    lifetime.dispatchEvent({ type: 'input' });
+    assert.equal(game.editor.level.blackHoles[0].lifetime, 12);
+
+    document.querySelector('.editor-tool[data-tool="waves"]').click();
+    mouse(canvas, 'mousedown', 160, 270);
+    mouse(canvas, 'mouseup', 160, 270);
+    const count = document.querySelector('[data-field="count"]');
+    count.value = '5';
+    count.dispatchEvent({ type: 'input' });
+
+    const target = document.querySelector('[data-level-field="goal.target"]');
+    target.value = '3';
+    target.dispatchEvent({ type: 'input' });
+
+    document.getElementById('editor-play-btn').click();
+    assert.ok(document.getElementById('editor-screen').classList.contains('hidden'));
+    assert.equal(game.sim.mode, 'campaign');
+    assert.equal(game.sim.blackHoles.length, 1);
+    assert.equal(game.sim.blackHoles[0].maxLifetime, 12 * 60);
+    assert.equal(game.sim.collectibles.length, 5);
+
+    // Test flights are practice: no coins, stats, achievements or campaign stars
+    const { coins } = game;
+    const stats = JSON.stringify(game.stats);
+    const progress = JSON.stringify(game.achievements.state);
+    game.sim.awardCoins(500);
+    game.sim.emit('collect', { item: { type: 'points', x: 100, y: 100 } });
+    game.sim.gameOver('cleared');
+    assert.equal(game.coins, coins);
+    assert.equal(JSON.stringify(game.stats), stats);
+    assert.equal(JSON.stringify(game.achievements.state), progress);
+    assert.deepEqual({ ...game.campaign }, {});
+    const back = document.getElementById('editor-return-btn');
+    assert.ok(!back.classList.contains('hidden'));
+    back.click();
+    assert.ok(!document.getElementById('editor-screen').classList.contains('hidden'));
+    assert.equal(game.editor.level.waves[0].count, 5);
+});
+
+test('an unfinished level says what is wrong instead of playing', () => {
+    const context = createBrowser();
+    const { game } = openEditor(context);
+    const id = context.document.querySelector('[data-level-field="id"]');
+    id.value = 'no spaces';
+    id.dispatchEvent({ type: 'input' });
+
+    context.document.getElementById('editor-play-btn').click();
+    assert.ok(!game.isRunning);
+    const status = context.document.getElementById('editor-status');
+    assert.ok(status.textContent.includes('id'));
+    assert.ok(status.classList.contains('error'));
+});
+
+test('saved levels survive a reload and move in and out as campaign files', async () => {
+    const context = createBrowser();
+    const { document } = context;
+    const { game } = openEditor(context);
+
+    const name = document.querySelector('[data-level-field="name"]');
+    name.value = 'Mine';
+    name.dispatchEvent({ type: 'input' });
+    document.getElementById('editor-save-btn').click();
+
+    const reloaded = createBrowser({ storage: { [LEVELS_KEY]: context.localStorage.getItem(LEVELS_KEY) } });
+    openEditor(reloaded);
+    const levelsEl = reloaded.document.getElementById('editor-levels');
+    assert.deepEqual(levelsEl.children.map(option => option.value), ['', 'new-level']);
+    levelsEl.value = 'new-level';
+    levelsEl.dispatchEvent({ type: 'change' });
+    assert.equal(reloaded.document.querySelector('[data-level-field="name"]').value, 'Mine');
+
+    const file = data => ({ text: () => Promise.resolve(JSON.stringify(data)) });
+    const imported = levelFile([
+        { id: 'imported-one', goal: { type: 'score', target: 500 } },
+        { id: 'imported-two', goal: { type: 'collect', target: 3 } }
+    ]);
+    await game.importEditorLevels(file(imported));
+    assert.equal(game.editor.level.id, 'imported-one');
+    assert.deepEqual([...game.levelLibrary.load().map(level => level.id)], ['new-level', 'imported-one', 'imported-two']);
+
+    await game.importEditorLevels(file({ format: 'cosmic-drift-replay' }));
+    assert.equal(document.getElementById('editor-status').textContent, 'Это не файл уровней Cosmic Drift');
+    assert.equal(game.levelLibrary.load().length, 3);
+
+    // Deleting asks first, then leaves a fresh level open
+    game.editLevel(game.levelLibrary.load()[1]);
+    document.getElementById('editor-delete-level-btn').click();
+    assert.deepEqual([...game.levelLibrary.load().map(level => level.id)], ['new-level', 'imported-two']);
+    assert.equal(game.editor.level.id, 'new-level');
+});
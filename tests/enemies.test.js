@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCore } = require('../tools/headless');
+
+const { Simulation, ENEMY_TYPES } = loadCore();
+
+function createSim(level = 1) {
+    const sim = new Simulation({ seed: 'ENEMIES', ship: 'tank', arenaWidth: 1280, arenaHeight: 720 });
+    sim.level = level;
+    sim.spawnTimer = -Infinity; // No random collectibles
+    return sim;
+}
+
+// Hold the ship where it is, with no black holes around
+function hold(sim, ticks = 1) {
+    for (let i = 0; i < ticks; i++) {
+        sim.blackHoles = [];
+        sim.bullets = [];
+        sim.update({ x: sim.player.x, y: sim.player.y, boost: false });
+    }
+}
+
+test('no enemy types are available before their level', () => {
+    const sim = createSim(1);
+    assert.equal(sim.pickEnemyType(), null);
+
+    for (const level of [3, 4, 6, 10]) {
+        sim.level = level;
+        for (let i = 0; i < 50; i++) {
+            const type = sim.pickEnemyType();
+            assert.ok(ENEMY_TYPES[type].minLevel <= level, `${type} at level ${level}`);
+        }
+    }
+});
+
+test('only one wormhole pair is open at a time', () => {
+    const sim = createSim(6);
+    sim.spawnEnemy('wormhole');
+
+    for (let i = 0; i < 100; i++) {
+        assert.notEqual(sim.pickEnemyType(), 'wormhole');
+    }
+});
+
+test('a drone homes in on the player and is spent ramming it', () => {
+    const sim = createSim(3);
+    const drone = sim.spawnEnemy('drone');
+    drone.x = sim.player.x + 200;
+    drone.y = sim.player.y;
+
+    hold(sim, 10);
+    assert.ok(drone.vx < 0, 'drone accelerates towards the player');
+    assert.ok(drone.x < sim.player.x + 200);
+
+    hold(sim, 300);
+    assert.ok(!sim.enemies.includes(drone));
+    assert.equal(sim.hp, sim.maxHP - 1);
+});
+
+test('drones can be shot down for a reward', () => {
+    const sim = createSim(3);
+    const drone = sim.spawnEnemy('drone');
+    drone.hp = 1;
+
+    sim.damageEnemy(drone, 5);
+    assert.equal(sim.enemies.length, 0);
+    assert.equal(sim.score, ENEMY_TYPES.drone.reward * sim.multiplier);
+});
+
+test('pulsar rings hurt the player as they pass', () => {
+    const sim = createSim(4);
+    const pulsar = sim.spawnEnemy('pulsar');
+    pulsar.x = sim.player.x + 100;
+    pulsar.y = sim.player.y;
+    pulsar.pulseTimer = pulsar.pulseInterval - 1;
+
+    const causes = [];
+    sim.on('damage', ({ cause }) => causes.push(cause));
+
+    hold(sim, 60);
+    assert.deepEqual(causes, ['pulsar']);
+});
+
+test('a wormhole sends the player out of the other end', () => {
+    const sim = createSim(6);
+    const wormhole = sim.spawnEnemy('wormhole');
+    const [a, b] = wormhole.ends;
+    wormhole.lifetime = wormhole.fadeTime + 1;
+
+    // Fly right into end a
+    sim.player.x = a.x - 20;
+    sim.player.y = a.y;
+    sim.player.vx = 4;
+    sim.player.vy = 0;
+    const teleports = [];
+    sim.on('teleport', (event) => teleports.push(event));
+
+    sim.update({ x: a.x + 100, y: a.y, boost: false });
+
+    assert.equal(teleports.length, 1);
+    assert.ok(Math.hypot(sim.player.x - b.x, sim.player.y - b.y) < wormhole.radius + sim.player.radius + 5);
+    assert.ok(sim.player.x > b.x, 'player keeps its heading');
+});
+
+test('bot runs with enemies stay deterministic', () => {
+    const { Bot } = loadCore();
+    const play = () => {
+        const sim = new Simulation({ seed: 'ENEMY-BOT', ship: 'balanced', arenaWidth: 1280, arenaHeight: 720 });
+        sim.level = 6;
+        const bot = new Bot();
+        while (!sim.isOver && sim.tick < 60 * 60) {
+            const input = bot.getInput(sim);
+            sim.update({ x: Math.round(input.x), y: Math.round(input.y), boost: input.boost, fire: input.fire });
+        }
+        return [sim.tick, sim.score, sim.enemies.length];
+    };
+
+    assert.deepEqual(play(), play());
+});
@@ -0,0 +1,337 @@
+// Cosmic Drift - Minimal DOM stand-in for tests
+//
+// Builds an element tree from the real index.html so tests exercise the
+// actual markup, with just enough of the DOM, canvas and storage APIs for
+// game.js to run under Node.
+//
+// Run the suite with: npm test (node --test tests/)
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const ROOT = path.join(__dirname, '..');
+const VOID_TAGS = new Set(['meta', 'link', 'input', 'br', 'img', 'hr', 'source']);
+
+class FakeClassList {
+    constructor(element) {
+        this.element = element;
+    }
+
+    get names() {
+        return this.element.className.split(/\s+/).filter(Boolean);
+    }
+
+    contains(name) {
+        return this.names.includes(name);
+    }
+
+    add(...names) {
+        this.element.className = [...new Set([...this.names, ...names])].join(' ');
+    }
+
+    remove(...names) {
+        this.element.className = this.names.filter(n => !names.includes(n)).join(' ');
+    }
+
+    toggle(name, force) {
+        const enable = force === undefined ? !this.contains(name) : force;
+        if (enable) this.add(name);
+        else this.remove(name);
+        return enable;
+    }
+}
+
+class FakeElement {
+    constructor(tagName, attributes = {}) {
+        this.tagName = tagName.toUpperCase();
+        this.attributes = { ...attributes };
+        this.id = attributes.id || '';
+        this.className = attributes.class || '';
+        this.classList = new FakeClassList(this);
+        this.dataset = {};
+        this.style = {};
+        this.children = [];
+        this.parentNode = null;
+        this.listeners = {};
+        this.value = attributes.value || '';
+        this.type = attributes.type || '';
+        this.textContent = '';
+        this.disabled = 'disabled' in attributes;
+        this.checked = 'checked' in attributes;
+        this.files = [];
+
+        for (const [name, value] of Object.entries(attributes)) {
+            if (name.startsWith('data-')) {
+                const key = name.slice(5).replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+                this.dataset[key] = value;
+            }
+        }
+    }
+
+    get innerHTML() {
+        return this.children.map(c => c.outerHTML).join('') || this.textContent;
+    }
+
+    set innerHTML(html) {
+        this.children = [];
+        this.textContent = '';
+        for (const child of parseHTML(html).children) {
+            this.appendChild(child);
+        }
+    }
+
+    get outerHTML() {
+        return `<${this.tagName.toLowerCase()} class="${this.className}">${this.innerHTML}</${this.tagName.toLowerCase()}>`;
+    }
+
+    get hidden() {
+        return 'hidden' in this.attributes;
+    }
+
+    set hidden(value) {
+        if (value) this.attributes.hidden = '';
+        else delete this.attributes.hidden;
+    }
+
+    getAttribute(name) {
+        // data-* attributes follow dataset, as in a browser
+        if (name.startsWith('data-')) {
+            const key = name.slice(5).replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+            return key in this.dataset ? String(this.dataset[key]) : null;
+        }
+        return name in this.attributes ? this.attributes[name] : null;
+    }
+
+    setAttribute(name, value) {
+        this.attributes[name] = String(value);
+        if (name === 'id') this.id = String(value);
+        if (name === 'class') this.className = String(value);
+    }
+
+    removeAttribute(name) {
+        delete this.attributes[name];
+    }
+
+    appendChild(child) {
+        child.parentNode = this;
+        this.children.push(child);
+        return child;
+    }
+
+    remove() {
+        if (!this.parentNode) return;
+        const siblings = this.parentNode.children;
+        siblings.splice(siblings.indexOf(this), 1);
+        this.parentNode = null;
+    }
+
+    addEventListener(type, listener) {
+        (this.listeners[type] = this.listeners[type] || []).push(listener);
+    }
+
+    removeEventListener(type, listener) {
+        this.listeners[type] = (this.listeners[type] || []).filter(l => l !== listener);
+    }
+
+    dispatchEvent(event) {
+        event.target = event.target || this;
+        event.preventDefault = event.preventDefault || (() => {});
+        for (const listener of this.listeners[event.type] || []) {
+            listener(event);
+        }
+    }
+
+    click() {
+        this.dispatchEvent({ type: 'click' });
+    }
+
+    focus() {}
+
+    blur() {}
+
+    select() {}
+
+    descendants() {
+        return this.children.flatMap(c => [c, ...c.descendants()]);
+    }
+
+    matches(selector) {
+        return selector.split(',').some(part => matchesSimple(this, part.trim()));
+    }
+
+    querySelectorAll(selector) {
+        return this.descendants().filter(e => e.matches(selector));
+    }
+
+    querySelector(selector) {
+        return this.querySelectorAll(selector)[0] || null;
+    }
+
+    closest(selector) {
+        for (let e = this; e; e = e.parentNode) {
+            if (e.matches && e.matches(selector)) return e;
+        }
+        return null;
+    }
+
+    getBoundingClientRect() {
+        return { left: 0, top: 0, width: this.width || 0, height: this.height || 0 };
+    }
+
+    getContext() {
+        return createContext2D();
+    }
+}
+
+// Supports tag, #id, .class and [attr="value"] compounds - all game.js uses
+function matchesSimple(element, selector) {
+    const pattern = /([a-z]+)|#([\w-]+)|\.([\w-]+)|\[([\w-]+)(?:="([^"]*)")?\]/gi;
+    let match, matched = false;
+    while ((match = pattern.exec(selector))) {
+        matched = true;
+        const [, tag, id, cls, attr, value] = match;
+        if (tag && element.tagName !== tag.toUpperCase()) return false;
+        if (id && element.id !== id) return false;
+        if (cls && !element.classList.contains(cls)) return false;
+        if (attr && (element.getAttribute(attr) === null ||
+            (value !== undefined && element.getAttribute(attr) !== value))) return false;
+    }
+    return matched;
+}
+
+function parseHTML(html) {
+    const root = new FakeElement('#root');
+    const stack = [root];
+    const tokens = /<!--[\s\S]*?-->|<!DOCTYPE[^>]*>|<script[\s\S]*?<\/script>|<\/([a-z0-9]+)\s*>|<([a-z0-9]+)([^>]*)>|([^<]+)/gi;
+    let match;
+
+    while ((match = tokens.exec(html))) {
+        const [, closeTag, openTag, attrText, text] = match;
+        const parent = stack[stack.length - 1];
+
+        if (openTag) {
+            const attributes = {};
+            const attrPattern = /([\w-:]+)(?:\s*=\s*"([^"]*)")?/g;
+            let attr;
+            while ((attr = attrPattern.exec(attrText))) {
+                attributes[attr[1]] = attr[2] === undefined ? '' : attr[2];
+            }
+            const element = parent.appendChild(new FakeElement(openTag, attributes));
+            if (!VOID_TAGS.has(openTag.toLowerCase()) && !attrText.trim().endsWith('/')) {
+                stack.push(element);
+            }
+        } else if (closeTag) {
+            while (stack.length > 1 && stack.pop().tagName !== closeTag.toUpperCase());
+        } else if (text && text.trim()) {
+            parent.textContent += text.trim();
+        }
+    }
+
+    return root;
+}
+
+// Canvas 2D context where every drawing call is a no-op
+function createContext2D() {
+    const gradient = { addColorStop() {} };
+    return new Proxy({}, {
+        get(target, prop) {
+            if (prop in target) return target[prop];
+            if (prop === 'createRadialGradient' || prop === 'createLinearGradient') return () => gradient;
+            if (prop === 'measureText') return text => ({ width: String(text).length * 8 });
+            return () => {};
+        },
+        set(target, prop, value) {
+            target[prop] = value;
+            return true;
+        }
+    });
+}
+
+function createStorage(initial = {}) {
+    const data = new Map(Object.entries(initial));
+    return {
+        getItem: key => (data.has(key) ? data.get(key) : null),
+        setItem: (key, value) => data.set(key, String(value)),
+        removeItem: key => data.delete(key),
+        clear: () => data.clear(),
+        key: i => [...data.keys()][i] ?? null,
+        get length() {
+            return data.size;
+        }
+    };
+}
+
+// Load index.html and the game scripts into a fresh browser-like context.
+// Returns the context; construct the game with createGame(context).
+// Network requests fail unless a test passes its own fetch
+function createBrowser({ storage = {}, width = 1280, height = 720, fetch = () => Promise.reject(new Error('offline')) } = {}) {
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    const root = parseHTML(html);
+    const document = {
+        listeners: {},
+        body: root.querySelector('body'),
+        documentElement: root.querySelector('html'),
+        getElementById: id => root.querySelector(`#${id}`),
+        querySelector: selector => root.querySelector(selector),
+        querySelectorAll: selector => root.querySelectorAll(selector),
+        createElement: tag => new FakeElement(tag),
+        addEventListener() {},
+        removeEventListener() {}
+    };
+
+    const windowListeners = {};
+    const animationFrames = [];
+    let now = 0;
+
+    const context = vm.createContext({
+        console,
+        document,
+        localStorage: createStorage(storage),
+        navigator: { language: 'ru-RU', languages: ['ru-RU'] },
+        performance: { now: () => now },
+        requestAnimationFrame: callback => animationFrames.push(callback),
+        setTimeout: callback => callback(),
+        clearTimeout() {},
+        alert() {},
+        confirm: () => true,
+        btoa, atob, TextEncoder, TextDecoder,
+        fetch, URLSearchParams,
+        Blob: class {},
+        URL: { createObjectURL: () => 'blob:', revokeObjectURL() {} }
+    });
+
+    context.window = context;
+    context.innerWidth = width;
+    context.innerHeight = height;
+    context.addEventListener = (type, listener) => {
+        (windowListeners[type] = windowListeners[type] || []).push(listener);
+    };
+    context.removeEventListener = () => {};
+
+    // Advance the fake clock and run one animation frame
+    context.advanceFrame = (ms = 1000 / 60) => {
+        now += ms;
+        const callbacks = animationFrames.splice(0);
+        callbacks.forEach(callback => callback(now));
+    };
+    context.dispatchWindowEvent = event => {
+        event.preventDefault = event.preventDefault || (() => {});
+        event.target = event.target || document.body;
+        for (const listener of windowListeners[event.type] || []) listener(event);
+    };
+
+    // Same scripts in the same order as the page
+    const scripts = [...html.matchAll(/<script src="([^"]+)"><\/script>/g)].map(m => m[1]);
+    for (const file of scripts) {
+        const code = fs.readFileSync(path.join(ROOT, file), 'utf8');
+        vm.runInContext(code, context, { filename: file });
+    }
+
+    return context;
+}
+
+function createGame(context) {
+    return vm.runInContext('new Game()', context);
+}
+
+module.exports = { createBrowser, createGame, parseHTML };
@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createBrowser, createGame } = require('./fake-dom');
+
+function card(context, shipId) {
+    return context.document.querySelector(`.ship-card[data-ship="${shipId}"]`);
+}
+
+function savedProgress(context) {
+    return JSON.parse(context.localStorage.getItem('cosmicDriftSave'));
+}
+
+test('buying a ship deducts its price and persists the unlock', () => {
+    const context = createBrowser({ storage: { cosmicDriftCoins: '450' } });
+    const game = createGame(context);
+
+    card(context, 'balanced').click();
+
+    assert.equal(game.coins, 50);
+    assert.ok(game.unlockedShips.includes('balanced'));
+    assert.equal(game.selectedShip, 'balanced');
+    assert.equal(savedProgress(context).coins, 50);
+    assert.deepEqual(savedProgress(context).unlockedShips, ['speeder', 'balanced']);
+    assert.equal(card(context, 'balanced').querySelector('.ship-price').textContent, '✓ КУПЛЕНО');
+});
+
+test('a ship the player cannot afford stays locked', () => {
+    const context = createBrowser({ storage: { cosmicDriftCoins: '599' } });
+    const game = createGame(context);
+
+    card(context, 'tank').click();
+
+    assert.equal(game.coins, 599);
+    assert.ok(!game.unlockedShips.includes('tank'));
+    assert.equal(game.selectedShip, 'speeder');
+    assert.ok(card(context, 'tank').classList.contains('locked'));
+});
+
+test('unlocked ships are restored on the next launch', () => {
+    const first = createBrowser({ storage: { cosmicDriftCoins: '1000' } });
+    createGame(first);
+    card(first, 'tank').click();
+
+    const saved = {};
+    for (let i = 0; i < first.localStorage.length; i++) {
+        const key = first.localStorage.key(i);
+        saved[key] = first.localStorage.getItem(key);
+    }
+
+    const second = createBrowser({ storage: saved });
+    const game = createGame(second);
+    assert.equal(game.coins, 400);
+    assert.deepEqual([...game.unlockedShips], ['speeder', 'tank']);
+
+    // Selecting an owned ship is free
+    card(second, 'tank').click();
+    assert.equal(game.coins, 400);
+    assert.equal(game.selectedShip, 'tank');
+});
+
+test('coins earned in a run are saved, but not again when it is replayed', () => {
+    const context = createBrowser();
+    const game = createGame(context);
+    game.toggleBot();
+    game.startGame();
+
+    while (game.isRunning) context.advanceFrame();
+    const earned = game.sim.sessionCoins;
+    assert.equal(game.coins, earned);
+
+    game.watchReplay(game.lastReplay, 'gameOver');
+    game.setReplaySpeed(4);
+    while (!game.replayEnded) context.advanceFrame();
+
+    assert.equal(game.sim.sessionCoins, earned);
+    assert.equal(game.coins, earned);
+});
+
+test('beating a boss pays coins and is counted in saved stats', () => {
+    const context = createBrowser();
+    const game = createGame(context);
+    game.startGame();
+
+    const sim = game.sim;
+    sim.level = 5;
+    sim.startBoss();
+    sim.boss.lifetime = sim.boss.introTime + 1;
+    sim.boss.phase = 2;
+    sim.boss.damage(sim, sim.boss.maxHP);
+
+    // The boss reward, plus the achievement for a first boss
+    assert.equal(game.coins, 50 + 100);
+    assert.equal(savedProgress(context).stats.bossesDefeated, 1);
+});
+
+test('ship upgrades are bought with escalating prices and persist', () => {
+    const context = createBrowser({ storage: { cosmicDriftCoins: '1000' } });
+    const game = createGame(context);
+
+    card(context, 'speeder').querySelector('.upgrade-btn').click();
+    assert.ok(!context.document.getElementById('upgrade-screen').classList.contains('hidden'));
+
+    const buy = () => context.document.querySelector('.upgrade-buy[data-upgrade="maxHP"]').click();
+    buy();
+    assert.equal(game.coins, 600);
+    buy(); // 720 for the second tier - too expensive
+    assert.equal(game.coins, 600);
+    assert.deepEqual(savedProgress(context).shipUpgrades, { speeder: { maxHP: 1 } });
+
+    context.document.getElementById('upgrade-back-btn').click();
+    assert.equal(card(context, 'speeder').querySelector('.hearts').textContent, '❤️❤️');
+
+    game.startGame();
+    assert.equal(game.sim.maxHP, 2);
+    assert.deepEqual({ ...game.replay.upgrades }, { maxHP: 1 });
+});
+
+test('a replay file that cannot be played is reported on a toast, not an alert', async () => {
+    const context = createBrowser();
+    const game = createGame(context);
+    const alerts = [];
+    const toasts = [];
+    context.alert = message => alerts.push(message);
+    game.showToast = (icon, title) => toasts.push(title);
+
+    await game.importReplay({ text: () => Promise.resolve('{"format":"something-else"}') });
+    assert.deepEqual(toasts, ['Не удалось загрузить повтор']);
+    assert.equal(alerts.length, 0);
+    assert.ok(!game.replayMode);
+});
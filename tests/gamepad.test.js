@@ -0,0 +1,165 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCore } = require('../tools/headless');
+const { createBrowser, createGame } = require('./fake-dom');
+
+const { Simulation, Replay, STICK_RANGE } = loadCore();
+
+const arena = { arenaWidth: 1024, arenaHeight: 768 };
+
+// A standard-mapping controller whose state tests can change between frames
+function createPad() {
+    const effects = [];
+    return {
+        id: 'Test Pad',
+        index: 0,
+        connected: true,
+        axes: [0, 0, 0, 0],
+        buttons: Array.from({ length: 17 }, () => ({ pressed: false, value: 0 })),
+        vibrationActuator: {
+            playEffect: (type, params) => {
+                effects.push({ type, ...params });
+                return Promise.resolve('complete');
+            }
+        },
+        effects,
+        press(index, pressed = true) {
+            this.buttons[index] = { pressed, value: pressed ? 1 : 0 };
+        }
+    };
+}
+
+function plugIn(context, pad) {
+    context.navigator.getGamepads = () => [pad, null, null, null];
+    context.dispatchWindowEvent({ type: 'gamepadconnected', gamepad: pad });
+    context.advanceFrame();
+}
+
+// Press and release a button, one frame each
+function tap(context, pad, index) {
+    pad.press(index);
+    context.advanceFrame();
+    pad.press(index, false);
+    context.advanceFrame();
+}
+
+test('direct input thrusts along the stick wherever the ship is', () => {
+    const sim = new Simulation({ seed: 'STICK', ship: 'balanced', ...arena });
+    const startX = sim.player.x, startY = sim.player.y;
+    for (let i = 0; i < 10; i++) sim.update({ x: STICK_RANGE, y: 0, boost: false, fire: false, direct: true });
+    assert.ok(sim.player.x > startX + 10);
+    assert.ok(Math.abs(sim.player.y - startY) < 1);
+
+    const idle = new Simulation({ seed: 'STICK', ship: 'balanced', ...arena });
+    for (let i = 0; i < 10; i++) idle.update({ x: 0, y: 0, boost: false, fire: false, direct: true });
+    assert.equal(idle.player.vx, 0);
+
+    const half = new Simulation({ seed: 'STICK', ship: 'balanced', ...arena });
+    half.update({ x: STICK_RANGE / 2, y: 0, boost: false, fire: false, direct: true });
+    const full = new Simulation({ seed: 'STICK', ship: 'balanced', ...arena });
+    full.update({ x: STICK_RANGE, y: 0, boost: false, fire: false, direct: true });
+    assert.ok(half.player.vx > 0 && half.player.vx < full.player.vx);
+});
+
+test('replays keep direct input, and version 1 replays still load', () => {
+    const replay = new Replay({ seed: 'PAD', ship: 'speeder', ...arena });
+    replay.record({ x: 500, y: 300, boost: false, fire: false });
+    replay.record({ x: -70, y: 20, boost: true, fire: false, direct: true });
+    const loaded = Replay.fromJSON(JSON.parse(JSON.stringify(replay)));
+
+    assert.equal(loaded.inputAt(0).direct, false);
+    assert.deepEqual({ ...loaded.inputAt(1) }, { x: -70, y: 20, boost: true, fire: false, direct: true });
+
+    const old = { ...replay.toJSON(), version: 1, ticks: 1, inputs: [1, 500, 300, 0] };
+    assert.equal(Replay.fromJSON(old).inputAt(0).direct, false);
+});
+
+test('the left stick steers and the buttons boost and fire', () => {
+    const context = createBrowser();
+    const game = createGame(context);
+    const pad = createPad();
+    plugIn(context, pad);
+    game.startGame();
+
+    // A resting stick that drifts a little does not steer
+    pad.axes[0] = 0.15;
+    context.advanceFrame();
+    assert.deepEqual({ ...game.gamepad.stick }, { x: 0, y: 0 });
+
+    pad.axes[0] = 1;
+    pad.press(7);
+    pad.press(2);
+    context.advanceFrame();
+
+    const input = game.readInput();
+    assert.equal(input.direct, true);
+    assert.equal(input.x, STICK_RANGE);
+    assert.equal(input.y, 0);
+    assert.equal(input.boost, true);
+    assert.equal(input.fire, true);
+
+    // Moving the mouse hands steering back to the pointer
+    game.handleMouseMove({ clientX: 100, clientY: 100 });
+    assert.equal(game.readInput().direct, false);
+});
+
+test('Start pauses and resumes a run', () => {
+    const context = createBrowser();
+    const game = createGame(context);
+    const pad = createPad();
+    plugIn(context, pad);
+    game.startGame();
+
+    tap(context, pad, 9);
+    assert.equal(game.isPaused, true);
+    assert.ok(!context.document.getElementById('pause-screen').classList.contains('hidden'));
+
+    tap(context, pad, 9);
+    assert.equal(game.isPaused, false);
+});
+
+test('the d-pad and face buttons drive the menus', () => {
+    const context = createBrowser();
+    const game = createGame(context);
+    const pad = createPad();
+    plugIn(context, pad);
+
+    // B leaves a screen through its back button
+    game.openStats();
+    tap(context, pad, 1);
+    assert.ok(context.document.getElementById('stats-screen').classList.contains('hidden'));
+
+    // The first press only shows the highlight; later ones move it
+    const controls = game.menuControls();
+    assert.ok(controls.some(el => el.classList.contains('ship-card')));
+    tap(context, pad, 13);
+    assert.ok(controls[0].classList.contains('gamepad-focus'));
+
+    const start = controls.indexOf(context.document.getElementById('start-btn'));
+    for (let i = 0; i < start; i++) tap(context, pad, 13);
+    assert.equal(game.menuFocus.id, 'start-btn');
+
+    tap(context, pad, 0);
+    assert.equal(game.isRunning, true);
+});
+
+test('hits and level-ups rumble, and unplugging is noticed', () => {
+    const context = createBrowser();
+    const game = createGame(context);
+    const pad = createPad();
+    plugIn(context, pad);
+    game.startGame();
+
+    game.sim.hurtPlayer('bullet');
+    game.sim.emit('levelUp', { level: 2 });
+    assert.equal(pad.effects.length, 2);
+    assert.ok(pad.effects[0].strongMagnitude > pad.effects[1].strongMagnitude);
+
+    const toasts = [];
+    game.showToast = (icon, title) => toasts.push(title);
+    pad.connected = false;
+    context.dispatchWindowEvent({ type: 'gamepaddisconnected', gamepad: pad });
+    context.advanceFrame();
+    assert.equal(game.gamepad.connected, false);
+    assert.deepEqual(toasts, ['Геймпад отключён']);
+});
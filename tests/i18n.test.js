@@ -0,0 +1,157 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createBrowser, createGame } = require('./fake-dom');
+
+const ROOT = path.join(__dirname, '..');
+
+function englishBrowser(options) {
+    const context = createBrowser(options);
+    context.navigator = { language: 'en-US', languages: ['en-US', 'en'] };
+    return context;
+}
+
+function canvasTexts(game) {
+    const texts = [];
+    game.ctx.fillText = text => texts.push(text);
+    game.render();
+    return texts;
+}
+
+test('both catalogs have the same messages with the same placeholders', () => {
+    const context = createBrowser();
+    const { ru, en } = vm.runInContext('MESSAGES', context);
+    assert.deepEqual(Object.keys(en).sort(), Object.keys(ru).sort());
+
+    const placeholders = text => (text.match(/\{\w+\}/g) || []).sort();
+    for (const key of Object.keys(ru)) {
+        assert.deepEqual(placeholders(en[key]), placeholders(ru[key]), key);
+    }
+});
+
+test('every key used by the page and the game is in the catalog', () => {
+    const context = createBrowser();
+    const ru = vm.runInContext('MESSAGES.ru', context);
+
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    const markupKeys = [...html.matchAll(/data-i18n(?:-\w+)?="([\w.]+)"/g)].map(m => m[1]);
+    const game = fs.readFileSync(path.join(ROOT, 'game.js'), 'utf8');
+    const codeKeys = [...game.matchAll(/\bt\('([\w.]+)'/g)].map(m => m[1]);
+
+    assert.ok(markupKeys.length > 50);
+    for (const key of [...markupKeys, ...codeKeys]) {
+        assert.ok(key in ru, key);
+    }
+});
+
+test('the browser language is picked up, with English for languages without a catalog', () => {
+    const context = createBrowser();
+    const detectLanguage = vm.runInContext('detectLanguage', context);
+
+    assert.equal(detectLanguage({ language: 'en-US', languages: ['en-US'] }), 'en');
+    assert.equal(detectLanguage({ language: 'ru-RU', languages: ['ru-RU', 'en'] }), 'ru');
+    assert.equal(detectLanguage({ language: 'de-DE', languages: ['de-DE', 'en-GB'] }), 'en');
+    assert.equal(detectLanguage({ language: 'de-DE', languages: ['de-DE'] }), 'en');
+    assert.equal(detectLanguage({ language: 'en' }), 'en');
+    assert.equal(detectLanguage({}), 'ru');
+});
+
+test('messages fall back to Russian and fill in their placeholders', () => {
+    const context = createBrowser();
+    vm.runInContext('setLanguage("en")', context);
+    const t = vm.runInContext('t', context);
+
+    assert.equal(t('banner.bossPhase', { phase: 3 }), 'PHASE 3');
+    vm.runInContext('MESSAGES.ru["test.only"] = "Только {what}"', context);
+    assert.equal(t('test.only', { what: 'русский' }), 'Только русский');
+
+    const warnings = [];
+    context.console = { ...console, warn: message => warnings.push(message) };
+    assert.equal(t('no.such.key'), 'no.such.key');
+    assert.equal(warnings.length, 1);
+});
+
+test('an English browser gets the page, canvas and manifest in English', () => {
+    const context = englishBrowser();
+    const game = createGame(context);
+    const { document } = context;
+
+    assert.equal(document.documentElement.lang, 'en');
+    assert.equal(document.title, 'Cosmic Drift - Space Arcade');
+    assert.equal(document.getElementById('manifest-link').getAttribute('href'), 'manifest.en.json');
+    assert.equal(document.getElementById('start-btn').textContent, 'START GAME');
+    assert.equal(document.querySelector('.ship-card[data-ship="speeder"]').querySelector('.ship-price').textContent, '✓ OWNED');
+    assert.equal(document.getElementById('steer-desc').textContent, 'The ship follows the cursor');
+    assert.equal(document.getElementById('bot-btn').textContent, '🤖 BOT: OFF');
+
+    game.toggleBot();
+    game.startGame();
+    game.showBanner('banner.bossDefeated', { reward: 150 });
+    const texts = canvasTexts(game);
+    assert.ok(texts.includes('🤖 BOT ACTIVE'));
+    assert.ok(texts.includes('BOSS DEFEATED! +150 🪙'));
+});
+
+test('the language can be switched from the settings while playing', () => {
+    const context = createBrowser();
+    const game = createGame(context);
+    const { document } = context;
+    assert.equal(document.getElementById('start-btn').textContent, 'НАЧАТЬ ИГРУ');
+
+    game.startGame();
+    game.showBanner('banner.bossEscaped');
+    game.togglePause();
+    document.getElementById('pause-settings-btn').click();
+
+    const picker = document.getElementById('setting-language');
+    picker.value = 'en';
+    picker.dispatchEvent({ type: 'change' });
+
+    assert.equal(document.getElementById('settings-back-btn').textContent, 'BACK');
+    assert.equal(document.querySelector('.filter-btn[data-graphics="low"]').textContent, 'Low');
+    assert.equal(document.getElementById('control-scheme-hint').textContent,
+        'The ship flies toward the cursor; movement keys are not used');
+    assert.equal(document.querySelector('.pause-title').textContent, 'PAUSED');
+    assert.equal(document.title, 'Cosmic Drift - Space Arcade');
+    assert.equal(document.querySelector('meta[name="description"]').getAttribute('content'), 'Cosmic Drift - a neon space arcade');
+    assert.ok(canvasTexts(game).includes('THE BOSS GOT AWAY'));
+    assert.equal(JSON.parse(context.localStorage.getItem('cosmicDriftSettings')).language, 'en');
+
+    // The choice wins over the browser's language next time
+    const reloaded = createBrowser({ storage: { cosmicDriftSettings: context.localStorage.getItem('cosmicDriftSettings') } });
+    createGame(reloaded);
+    assert.equal(reloaded.document.getElementById('start-btn').textContent, 'START GAME');
+    assert.equal(reloaded.document.getElementById('setting-language').value, 'en');
+});
+
+test('settings from before languages could be chosen follow the browser', () => {
+    const settings = { version: 1, graphics: 'medium', language: 'ru' };
+    const context = englishBrowser({ storage: { cosmicDriftSettings: JSON.stringify(settings) } });
+    const game = createGame(context);
+
+    assert.equal(game.language, 'auto');
+    assert.equal(game.graphics, 'medium');
+    assert.equal(context.document.getElementById('start-btn').textContent, 'START GAME');
+});
+
+test('stats and leaderboard tables use the current language', () => {
+    const context = englishBrowser();
+    const game = createGame(context);
+    game.selectedShip = 'speeder';
+    game.startGame();
+    game.sim.score = 500; // Scoreless runs stay off the leaderboard
+    game.sim.hurtPlayer('blackHole');
+
+    game.openStats();
+    const totals = context.document.getElementById('stats-totals').innerHTML;
+    assert.ok(totals.includes('Causes of death'));
+    assert.ok(totals.includes('Black hole: 1'));
+
+    game.openLeaderboard();
+    const cells = context.document.getElementById('leaderboard-rows').children[0].children;
+    assert.equal(cells[1].textContent, 'PILOT');
+    assert.equal(cells[4].textContent, 'SPEEDER');
+    assert.equal(cells[5].textContent, 'Classic');
+});
@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCore } = require('../tools/headless');
+const { createBrowser, createGame } = require('./fake-dom');
+
+const { LEADERBOARD_SIZE, leaderboardView, trimLeaderboard, qualifiesForLeaderboard } = loadCore();
+
+function entry(overrides) {
+    return { name: 'ПИЛОТ', score: 100, level: 1, ship: 'speeder', mode: 'classic', date: 0, bot: false, ...overrides };
+}
+
+// Finish a run with the given score
+function playRun(game, score) {
+    game.startGame();
+    game.sim.score = score;
+    game.sim.hurtPlayer('bullet');
+}
+
+test('each ship keeps its own top ten, with the bot ranked apart', () => {
+    const entries = [];
+    for (let i = 0; i < LEADERBOARD_SIZE + 3; i++) {
+        entries.push(entry({ score: i * 10, date: i }));
+        entries.push(entry({ ship: 'tank', score: i * 10, date: i }));
+    }
+    entries.push(entry({ score: 9999, bot: true, name: 'БОТ' }));
+
+    const kept = trimLeaderboard(entries);
+    assert.equal(kept.filter(e => e.ship === 'speeder' && !e.bot).length, LEADERBOARD_SIZE);
+    assert.equal(kept.filter(e => e.ship === 'tank').length, LEADERBOARD_SIZE);
+    assert.ok(kept.some(e => e.bot));
+
+    const human = leaderboardView(kept, { ship: 'speeder' });
+    assert.equal(human[0].score, (LEADERBOARD_SIZE + 2) * 10);
+    assert.ok(human.every(e => !e.bot));
+    assert.equal(leaderboardView(kept, { ship: 'speeder', bot: true })[0].score, 9999);
+});
+
+test('a run qualifies only by beating the last place of its own board', () => {
+    const entries = trimLeaderboard(Array.from({ length: LEADERBOARD_SIZE }, (_, i) => entry({ score: 100 + i, date: i })));
+    assert.ok(!qualifiesForLeaderboard(entries, entry({ score: 100 })));
+    assert.ok(qualifiesForLeaderboard(entries, entry({ score: 101 })));
+    assert.ok(qualifiesForLeaderboard(entries, entry({ score: 1, ship: 'tank' })));
+    assert.ok(qualifiesForLeaderboard(entries, entry({ score: 1, bot: true })));
+    assert.ok(!qualifiesForLeaderboard([], entry({ score: 0 })));
+});
+
+test('a qualifying run asks for a name and remembers it', () => {
+    const context = createBrowser();
+    const game = createGame(context);
+    const nameEntry = context.document.getElementById('name-entry');
+    const nameInput = context.document.getElementById('name-input');
+
+    playRun(game, 800);
+    assert.ok(!nameEntry.classList.contains('hidden'));
+    nameInput.value = '  <b>Ася</b>  ';
+    nameInput.dispatchEvent({ type: 'keydown', key: 'Enter' });
+
+    assert.ok(nameEntry.classList.contains('hidden'));
+    const saved = JSON.parse(context.localStorage.getItem('cosmicDriftSave'));
+    assert.equal(saved.playerName, '<b>Ася</b>');
+    assert.equal(saved.leaderboard[0].name, '<b>Ася</b>');
+
+    playRun(game, 900);
+    assert.equal(nameInput.value, '<b>Ася</b>');
+    assert.equal(game.leaderboard.length, 2);
+
+    context.document.getElementById('leaderboard-btn').click();
+    const firstRow = context.document.getElementById('leaderboard-rows').querySelector('tr');
+    assert.equal(firstRow.children[1].textContent, '<b>Ася</b>');
+    assert.equal(firstRow.children[2].textContent, 900);
+});
+
+test('bot runs never set the human high score or ask for a name', () => {
+    const context = createBrowser();
+    const game = createGame(context);
+    game.toggleBot();
+    playRun(game, 5000);
+
+    assert.equal(game.highScore, 0);
+    assert.ok(context.document.getElementById('new-record').classList.contains('hidden'));
+    assert.ok(context.document.getElementById('name-entry').classList.contains('hidden'));
+    assert.equal(game.leaderboard[0].bot, true);
+    assert.equal(game.shipBests.speeder, undefined);
+
+    game.openLeaderboard();
+    const rows = () => context.document.getElementById('leaderboard-rows').querySelectorAll('tr');
+    assert.equal(rows().length, 0);
+
+    const botToggle = context.document.getElementById('leaderboard-bot');
+    botToggle.checked = true;
+    botToggle.dispatchEvent({ type: 'change' });
+    assert.equal(rows().length, 1);
+});
+
+test('the ship filter narrows the table', () => {
+    const save = {
+        version: 4,
+        leaderboard: [entry({ score: 300 }), entry({ ship: 'tank', score: 200 })]
+    };
+    const context = createBrowser({ storage: { cosmicDriftSave: JSON.stringify(save) } });
+    createGame(context).openLeaderboard();
+    const rows = () => context.document.getElementById('leaderboard-rows').querySelectorAll('tr');
+    assert.equal(rows().length, 2);
+
+    context.document.querySelector('.filter-btn[data-filter-ship="tank"]').click();
+    assert.equal(rows().length, 1);
+    assert.equal(rows()[0].children[2].textContent, 200);
+});
+
+test('older saves seed the leaderboard from their run history', () => {
+    const run = { date: 5, seed: 'A', ship: 'balanced', score: 1500, level: 3, coins: 4, ticks: 600,
+        bossesDefeated: 0, collectibles: {}, damageTaken: 1, cause: 'bullet' };
+    const save = { version: 3, runs: [run, { ...run, score: 700, bot: true }] };
+    const game = createGame(createBrowser({ storage: { cosmicDriftSave: JSON.stringify(save) } }));
+
+    assert.equal(game.leaderboard.length, 2);
+    assert.equal(leaderboardView(game.leaderboard, { ship: 'balanced' })[0].score, 1500);
+    assert.equal(game.leaderboard.find(e => e.bot).name, '');
+    assert.equal(game.leaderboardCells(game.leaderboard.find(e => e.bot), 1)[1], 'БОТ');
+    assert.equal(game.leaderboardCells(game.leaderboard.find(e => !e.bot), 1)[1], 'ПИЛОТ');
+});
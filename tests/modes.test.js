@@ -0,0 +1,186 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const vm = require('node:vm');
+const { loadCore, verifyReplay } = require('../tools/headless');
+const { createBrowser, createGame } = require('./fake-dom');
+
+const core = loadCore();
+const { Simulation, Replay, BOSS_INTERVAL } = core;
+
+const arena = { arenaWidth: 1280, arenaHeight: 720 };
+
+function createSim(mode, ship = 'speeder') {
+    return new Simulation({ seed: 'MODES', ship, mode, ...arena });
+}
+
+function idle(sim, ticks) {
+    for (let i = 0; i < ticks && !sim.isOver; i++) {
+        sim.update({ x: sim.player.x, y: sim.player.y, boost: false });
+    }
+}
+
+test('time attack survives crashes and ends when the clock runs out', () => {
+    const sim = createSim('timeAttack');
+    const wrecks = [];
+    sim.on('wreck', ({ cause }) => wrecks.push(cause));
+    sim.multiplier = 3;
+
+    sim.hurtPlayer('bullet');
+    assert.ok(!sim.isOver);
+    assert.deepEqual(wrecks, ['bullet']);
+    assert.equal(sim.hp, sim.maxHP);
+    assert.equal(sim.multiplier, 1);
+    assert.ok(sim.player.invincible);
+
+    sim.tick = sim.rules.timeLimit - 1;
+    idle(sim, 1);
+    assert.ok(sim.isOver);
+    assert.equal(sim.deathCause, 'timeUp');
+    assert.equal(sim.tick, 2 * 60 * 60);
+});
+
+test('a crash the mode survives does not cut the rest of the tick short', () => {
+    const sim = createSim('timeAttack');
+    sim.tick = sim.rules.timeLimit - 1;
+    sim.hp = 1;
+    sim.bullets.push({ x: sim.player.x, y: sim.player.y, vx: 0, vy: 0, radius: 6, life: 300, trail: [] });
+    const wrecks = [];
+    sim.on('wreck', ({ cause }) => wrecks.push(cause));
+
+    idle(sim, 1);
+    assert.deepEqual(wrecks, ['bullet']);
+    assert.equal(sim.deathCause, 'timeUp'); // The clock still ran out on this tick
+});
+
+test('zen spawns nothing hostile, not even a boss', () => {
+    const sim = createSim('zen');
+    sim.level = BOSS_INTERVAL - 1;
+    sim.difficultyTimer = sim.rules.levelTicks;
+    idle(sim, 60 * 30);
+
+    assert.ok(!sim.isOver);
+    assert.ok(sim.level >= BOSS_INTERVAL);
+    assert.equal(sim.boss, null);
+    assert.equal(sim.blackHoles.length, 0);
+    assert.equal(sim.enemies.length, 0);
+    assert.equal(sim.bullets.length, 0);
+    assert.ok(sim.collectibles.length > 0);
+});
+
+test('hardcore flies on one heart, levels up faster and pays double', () => {
+    const sim = createSim('hardcore', 'tank');
+    assert.equal(sim.maxHP, 1);
+    assert.equal(sim.awardCoins(3), 6);
+
+    sim.difficultyTimer = 1200;
+    idle(sim, 1);
+    assert.equal(sim.level, 2);
+
+    sim.hurtPlayer('bullet');
+    assert.ok(sim.isOver);
+});
+
+test('classic rules are unchanged', () => {
+    const sim = createSim('classic', 'tank');
+    assert.equal(sim.maxHP, 3);
+    assert.equal(sim.awardCoins(3), 3);
+    sim.difficultyTimer = 1200;
+    idle(sim, 1);
+    assert.equal(sim.level, 1);
+});
+
+test('a zen run quit by the player verifies as a finished replay', () => {
+    const replay = new Replay({ seed: 'ZEN', ship: 'speeder', mode: 'zen', ...arena });
+    const sim = new Simulation({ seed: 'ZEN', ship: 'speeder', mode: 'zen', ...arena });
+    for (let i = 0; i < 600; i++) {
+        const input = { x: 200 + (i % 300), y: 300, boost: i % 50 < 10 };
+        replay.record(input);
+        sim.update(input);
+    }
+    sim.score += 10; // Whatever it collected on the way
+    sim.gameOver('quit');
+    replay.finish(sim.score, sim.level);
+
+    const data = JSON.parse(JSON.stringify(replay));
+    assert.equal(data.mode, 'zen');
+    assert.equal(verifyReplay(core, data).valid, false);
+
+    sim.score -= 10;
+    replay.finish(sim.score, sim.level);
+    const result = verifyReplay(core, JSON.parse(JSON.stringify(replay)));
+    assert.ok(result.valid);
+    assert.equal(result.sim.deathCause, 'quit');
+
+    // The same inputs in a mode that cannot be quit never finish
+    assert.equal(verifyReplay(core, { ...JSON.parse(JSON.stringify(replay)), mode: 'classic' }).valid, false);
+    assert.throws(() => verifyReplay(core, { ...data, mode: 'marathon' }), /Unknown game mode/);
+});
+
+test('replays from before modes play back as classic', () => {
+    const replay = new Replay({ seed: 'OLD', ship: 'speeder', ...arena });
+    replay.record({ x: 0, y: 0, boost: false });
+    const data = replay.toJSON();
+    delete data.mode;
+    data.version = 2;
+    assert.equal(Replay.fromJSON(data).mode, 'classic');
+});
+
+test('each mode keeps its own high score and leaderboard entries', () => {
+    const context = createBrowser();
+    const game = createGame(context);
+    const { document } = context;
+
+    document.querySelector('.filter-btn[data-mode="zen"]').click();
+    assert.equal(document.getElementById('mode-hint').textContent, 'Ни чёрных дыр, ни пуль — просто собирай и дрейфуй');
+    game.startGame();
+    assert.equal(game.sim.mode, 'zen');
+    game.sim.score = 250;
+
+    game.togglePause();
+    const quitBtn = document.getElementById('quit-btn');
+    assert.equal(quitBtn.textContent, 'ЗАВЕРШИТЬ ПОЛЁТ');
+    quitBtn.click();
+
+    assert.ok(game.sim.isOver);
+    assert.equal(document.getElementById('game-over-title').textContent, 'ПОЛЁТ ЗАВЕРШЁН');
+    assert.equal(game.highScore, 250);
+    assert.equal(game.leaderboard[0].mode, 'zen');
+    assert.equal(game.runs[0].mode, 'zen');
+
+    game.showMenu();
+    assert.equal(document.getElementById('high-score').textContent, 250);
+    document.querySelector('.filter-btn[data-mode="classic"]').click();
+    assert.equal(document.getElementById('high-score').textContent, 0);
+
+    const save = JSON.parse(context.localStorage.getItem('cosmicDriftSave'));
+    assert.deepEqual(save.highScores, { zen: 250 });
+});
+
+test('quitting a classic run still abandons it', () => {
+    const context = createBrowser();
+    const game = createGame(context);
+    game.startGame();
+    game.sim.score = 400;
+    game.togglePause();
+    context.document.getElementById('quit-btn').click();
+
+    assert.ok(!game.sim.isOver);
+    assert.equal(game.runs.length, 0);
+    assert.ok(context.document.getElementById('game-over-screen').classList.contains('hidden'));
+});
+
+test('the high score from before modes becomes the classic one', () => {
+    const run = {
+        date: 1, seed: 'OLD', ship: 'speeder', bot: false, score: 900, level: 3, coins: 4,
+        ticks: 4000, bossesDefeated: 0, collectibles: {}, damageTaken: 1, cause: 'bullet'
+    };
+    const context = createBrowser({
+        storage: { cosmicDriftSave: JSON.stringify({ version: 4, highScore: 900, runs: [run] }) }
+    });
+    const game = createGame(context);
+
+    assert.deepEqual({ ...game.highScores }, { classic: 900 });
+    assert.equal(game.runs[0].mode, 'classic');
+    assert.equal(game.saveStore.problems.length, 0);
+    assert.equal(vm.runInContext('SAVE_VERSION', context), 5);
+});
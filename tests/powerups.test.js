@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCore } = require('../tools/headless');
+
+const { Simulation, COLLECTIBLE_SPAWNS, POWERUP_TYPES, collectibleWeight } = loadCore();
+
+function createSim() {
+    const sim = new Simulation({ seed: 'POWERUPS', ship: 'tank', arenaWidth: 1280, arenaHeight: 720 });
+    sim.spawnTimer = -Infinity; // No random collectibles
+    return sim;
+}
+
+function hold(sim, ticks = 1) {
+    for (let i = 0; i < ticks; i++) {
+        sim.update({ x: sim.player.x, y: sim.player.y, boost: false });
+    }
+}
+
+function placeHole(sim, x, y) {
+    sim.blackHoles.push({
+        x, y, radius: 30, hp: 8, maxHP: 8, hitFlash: 0,
+        pullRadius: 200, strength: 0.5, rotation: 0,
+        lifetime: 0, maxLifetime: 10000, shootTimer: 0, shootInterval: Infinity
+    });
+    return sim.blackHoles[sim.blackHoles.length - 1];
+}
+
+test('collectible weights follow the level table', () => {
+    const bomb = COLLECTIBLE_SPAWNS.find(entry => entry.type === 'bomb');
+    assert.equal(collectibleWeight(bomb, bomb.minLevel - 1), 0);
+    assert.equal(collectibleWeight(bomb, bomb.minLevel), bomb.weight);
+    assert.ok(collectibleWeight(bomb, bomb.minLevel + 4) > bomb.weight);
+
+    // Weights never go negative
+    const points = COLLECTIBLE_SPAWNS.find(entry => entry.type === 'points');
+    assert.equal(collectibleWeight(points, 1000), 0);
+});
+
+test('level 1 only drops the basic collectibles', () => {
+    const sim = createSim();
+    for (let i = 0; i < 300; i++) sim.spawnCollectible();
+
+    const types = new Set(sim.collectibles.map(c => c.type));
+    assert.deepEqual([...types].sort(), ['energy', 'multiplier', 'points', 'shield']);
+});
+
+test('effects run side by side and picking one up again extends it', () => {
+    const sim = createSim();
+    sim.collectItem({ type: 'magnet', x: 0, y: 0 });
+    sim.collectItem({ type: 'ghost', x: 0, y: 0 });
+    hold(sim, 100);
+
+    assert.ok(sim.hasEffect('magnet') && sim.hasEffect('ghost'));
+
+    sim.collectItem({ type: 'magnet', x: 0, y: 0 });
+    const { duration, maxStacks } = POWERUP_TYPES.magnet;
+    assert.equal(sim.effects.magnet.remaining, Math.min(duration - 100 + duration, duration * maxStacks));
+
+    hold(sim, POWERUP_TYPES.ghost.duration);
+    assert.ok(!sim.hasEffect('ghost'));
+    assert.ok(sim.hasEffect('magnet'));
+});
+
+test('magnet pulls nearby collectibles in', () => {
+    const sim = createSim();
+    sim.activatePowerUp('magnet');
+    sim.collectibles.push({ x: sim.player.x + 150, y: sim.player.y, vx: 0, vy: 0, radius: 12, type: 'energy', pulse: 0, lifetime: 0 });
+    sim.energy = 0;
+
+    hold(sim, 40);
+    assert.equal(sim.collectibles.length, 0);
+    assert.ok(sim.energy >= 30);
+});
+
+test('slow-mo halves bullet speed', () => {
+    const sim = createSim();
+    sim.activatePowerUp('slowmo');
+    sim.bullets.push({ x: 100, y: 100, vx: 4, vy: 0, radius: 6, life: 300, trail: [] });
+
+    hold(sim, 10);
+    assert.equal(sim.bullets[0].x, 120);
+});
+
+test('double coins doubles every payout', () => {
+    const sim = createSim();
+    const coins = [];
+    sim.on('coins', ({ amount }) => coins.push(amount));
+    sim.activatePowerUp('doubleCoins');
+
+    const hole = placeHole(sim, 1000, 600);
+    sim.damageBlackHole(hole, hole.hp);
+
+    assert.deepEqual(coins, [4]);
+    assert.equal(sim.sessionCoins, 4);
+});
+
+test('ghosts pass through black holes unharmed', () => {
+    const sim = createSim();
+    sim.activatePowerUp('ghost');
+    placeHole(sim, sim.player.x, sim.player.y);
+
+    hold(sim, 30);
+    assert.equal(sim.hp, sim.maxHP);
+    assert.equal(sim.player.vx, 0);
+});
+
+test('a bomb clears bullets and damages everything hostile', () => {
+    const sim = createSim();
+    const hole = placeHole(sim, 1000, 600);
+    for (let i = 0; i < 5; i++) {
+        sim.bullets.push({ x: 100 + i * 50, y: 100, vx: 0, vy: 0, radius: 6, life: 300, trail: [] });
+    }
+
+    sim.collectItem({ type: 'bomb', x: 0, y: 0 });
+
+    assert.equal(sim.bullets.length, 0);
+    assert.equal(sim.blackHoles.includes(hole), false);
+});
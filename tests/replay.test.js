@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCore } = require('../tools/headless');
+
+const { Simulation, Bot, Replay, SIMULATION_VERSION } = loadCore();
+
+const arena = { arenaWidth: 1024, arenaHeight: 768 };
+
+function recordBotRun(seed, ship) {
+    const replay = new Replay({ seed, ship, ...arena, bot: true });
+    const sim = new Simulation({ seed, ship, ...arena });
+    const bot = new Bot();
+
+    while (!sim.isOver && sim.tick < 60 * 60 * 5) {
+        const raw = bot.getInput(sim);
+        const input = { x: Math.round(raw.x), y: Math.round(raw.y), boost: raw.boost, fire: raw.fire };
+        replay.record(input);
+        sim.update(input);
+    }
+    replay.finish(sim.score, sim.level);
+    return { replay, sim };
+}
+
+// A one-tick replay file, with some of its fields replaced
+function replayJSON(overrides) {
+    const replay = new Replay({ seed: 'X', ship: 'speeder', ...arena });
+    replay.record({ x: 10, y: 20, boost: false });
+    return { ...replay.toJSON(), ...overrides };
+}
+
+test('a replay survives a JSON round trip', () => {
+    const { replay } = recordBotRun('ROUNDTRIP', 'speeder');
+    const loaded = Replay.fromJSON(JSON.parse(JSON.stringify(replay)));
+
+    assert.equal(loaded.length, replay.length);
+    assert.equal(loaded.seed, 'ROUNDTRIP');
+    assert.equal(loaded.bot, true);
+    for (let tick = 0; tick < replay.length; tick++) {
+        assert.deepEqual(loaded.inputAt(tick), replay.inputAt(tick));
+    }
+});
+
+test('playing a replay back reproduces the recorded run', () => {
+    const { replay, sim: original } = recordBotRun('PLAYBACK', 'balanced');
+    const loaded = Replay.fromJSON(JSON.parse(JSON.stringify(replay)));
+
+    const sim = new Simulation({ seed: loaded.seed, ship: loaded.ship, ...arena });
+    for (let tick = 0; tick < loaded.length; tick++) {
+        sim.update(loaded.inputAt(tick));
+    }
+
+    assert.equal(sim.score, original.score);
+    assert.equal(sim.level, original.level);
+    assert.equal(sim.isOver, original.isOver);
+});
+
+test('idle input compresses to a single run', () => {
+    const replay = new Replay({ seed: 'IDLE', ship: 'speeder', ...arena });
+    for (let i = 0; i < 600; i++) replay.record({ x: 10, y: 20, boost: false });
+
+    assert.deepEqual([...replay.toJSON().inputs], [600, 10, 20, 0]);
+});
+
+test('fromJSON rejects foreign and truncated files', () => {
+    assert.throws(() => Replay.fromJSON({ format: 'something-else' }), /Not a Cosmic Drift replay/);
+
+    const data = new Replay({ seed: 'X', ship: 'speeder', ...arena }).toJSON();
+    data.inputs = [5, 0, 0, 0];
+    data.ticks = 10;
+    assert.throws(() => Replay.fromJSON(data), /truncated/);
+});
+
+test('fromJSON rejects replays recorded under other game rules', () => {
+    const data = new Replay({ seed: 'X', ship: 'speeder', ...arena }).toJSON();
+    data.rules = SIMULATION_VERSION - 1;
+    assert.throws(() => Replay.fromJSON(data), /different game rules/);
+});
+
+test('fromJSON rejects impossible arenas and upgrade tiers', () => {
+    assert.equal(Replay.fromJSON(replayJSON({ upgrades: { maxSpeed: 5, maxHP: 0 } })).upgrades.maxSpeed, 5);
+
+    for (const bad of [[1024], [0, 768], [-1024, 768], [1024.5, 768], [1024, 100000], ['1024', 768]]) {
+        assert.throws(() => Replay.fromJSON(replayJSON({ arena: bad })), /Malformed replay: arena/);
+    }
+    for (const bad of [{ maxSpeed: 6 }, { maxSpeed: -1 }, { maxSpeed: 1.5 }, { maxSpeed: '2' }, { warpDrive: 1 }]) {
+        assert.throws(() => Replay.fromJSON(replayJSON({ upgrades: bad })), /Malformed replay: upgrades/);
+    }
+});
+
+test('fromJSON rejects ships, modes, modifiers and levels this version does not have', () => {
+    assert.throws(() => Replay.fromJSON(replayJSON({ ship: 'ufo' })), /Unknown ship type: ufo/);
+    assert.throws(() => Replay.fromJSON(replayJSON({ mode: 'battleRoyale' })), /Unknown game mode: battleRoyale/);
+    assert.throws(() => Replay.fromJSON(replayJSON({ modifiers: ['gravity'] })), /Unknown rule modifier: gravity/);
+    assert.throws(() => Replay.fromJSON(replayJSON({ mode: 'campaign' })), /Campaign replay without its level/);
+    assert.throws(() => Replay.fromJSON(replayJSON({ mode: 'campaign', campaignLevel: { id: 'x', goal: { type: 'fly' } } })), /Malformed level/);
+
+    const level = { id: 'loaded', goal: { type: 'collect', target: 1 } };
+    assert.equal(Replay.fromJSON(replayJSON({ mode: 'campaign', campaignLevel: level })).campaignLevel.timeLimit, 0);
+});
+
+test('fromJSON rejects input streams that could not have been recorded', () => {
+    for (const ticks of [0, -5, 2.5, '1', 30 * 60 * 60 + 1]) {
+        assert.throws(() => Replay.fromJSON(replayJSON({ ticks })), /Malformed replay: ticks/);
+    }
+
+    const inputs = tuple => replayJSON({ inputs: tuple, ticks: 2 });
+    assert.equal(Replay.fromJSON(inputs([2, -300, 40, 7])).inputAt(1).x, -300);
+    for (const bad of [
+        [1.5, 0, 0, 0], [0, 0, 0, 0], [-1, 0, 0, 0], ['2', 0, 0, 0], // Counts
+        [2, 'a', 0, 0], [2, 0, 0.5, 0], [2, Infinity, 0, 0], [2, 0, 100000, 0], // Steps
+        [2, 0, 0, 8], [2, 0, 0, -1], [2, 0, 0, 1.5], // Flags
+        [3, 0, 0, 0] // More ticks than the replay claims
+    ]) {
+        assert.throws(() => Replay.fromJSON(inputs(bad)), /Malformed replay: inputs/, JSON.stringify(bad));
+    }
+});
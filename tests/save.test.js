@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const vm = require('vm');
+const { createBrowser, createGame } = require('./fake-dom');
+
+function savedProgress(context) {
+    return JSON.parse(context.localStorage.getItem('cosmicDriftSave'));
+}
+
+test('progress from the old loose keys is moved into the save object', () => {
+    const context = createBrowser({
+        storage: {
+            cosmicDriftHighScore: '4200',
+            cosmicDriftCoins: '310',
+            cosmicDriftUnlockedShips: '["speeder","tank"]'
+        }
+    });
+    const game = createGame(context);
+
+    assert.equal(game.highScore, 4200);
+    assert.equal(game.coins, 310);
+    assert.deepEqual([...game.unlockedShips], ['speeder', 'tank']);
+
+    const save = savedProgress(context);
+    assert.equal(save.version, vm.runInContext('SAVE_VERSION', context));
+    assert.equal(save.highScores.classic, 4200);
+    assert.equal(context.localStorage.getItem('cosmicDriftCoins'), null);
+    assert.equal(context.localStorage.getItem('cosmicDriftHighScore'), null);
+    assert.ok(context.document.getElementById('save-notice').classList.contains('hidden'));
+});
+
+test('an unreadable save is backed up and replaced with a fresh one', () => {
+    const context = createBrowser({ storage: { cosmicDriftSave: '{"coins": 12' } });
+    const game = createGame(context);
+
+    assert.equal(game.coins, 0);
+    assert.deepEqual([...game.unlockedShips], ['speeder']);
+    assert.equal(context.localStorage.getItem('cosmicDriftSave.corrupt'), '{"coins": 12');
+    assert.equal(savedProgress(context).coins, 0);
+    assert.ok(!context.document.getElementById('save-notice').classList.contains('hidden'));
+});
+
+test('invalid fields fall back on their own and keep the rest', () => {
+    const context = createBrowser({
+        storage: {
+            cosmicDriftSave: JSON.stringify({
+                version: 1,
+                highScore: 1200,
+                coins: -5,
+                unlockedShips: ['tank', 'rocket'],
+                shipUpgrades: { speeder: { thrust: 2, maxHP: 9 } },
+                stats: { runs: 3 }
+            })
+        }
+    });
+    const game = createGame(context);
+
+    assert.equal(game.highScore, 1200);
+    assert.equal(game.coins, 0);
+    assert.deepEqual([...game.unlockedShips], ['speeder', 'tank']);
+    assert.deepEqual({ ...game.shipUpgrades.speeder }, { thrust: 2 });
+    assert.equal(game.stats.runs, 3);
+    assert.deepEqual([...game.saveStore.problems].sort(), ['coins', 'shipUpgrades', 'unlockedShips']);
+});
+
+test('a save code restores the same progress on another device', () => {
+    const first = createBrowser({ storage: { cosmicDriftCoins: '1000' } });
+    const source = createGame(first);
+    first.document.querySelector('.ship-card[data-ship="tank"]').click();
+    source.buyUpgrade('tank', 'maxHP');
+    source.showSaveCode();
+    const code = first.document.getElementById('save-code').value;
+    assert.ok(code.startsWith('CDSAVE1:'));
+
+    const second = createBrowser();
+    const game = createGame(second);
+    assert.ok(game.importSave(code));
+
+    assert.equal(game.coins, source.coins);
+    assert.deepEqual([...game.unlockedShips], ['speeder', 'tank']);
+    assert.deepEqual({ ...game.shipUpgrades.tank }, { maxHP: 1 });
+    assert.equal(savedProgress(second).coins, source.coins);
+    assert.equal(second.document.getElementById('coins-display').textContent, source.coins);
+});
+
+test('importing needs confirmation and rejects foreign or newer saves', () => {
+    const context = createBrowser({ storage: { cosmicDriftCoins: '80' } });
+    const game = createGame(context);
+    const status = context.document.getElementById('save-status');
+
+    context.confirm = () => false;
+    assert.equal(game.importSave(JSON.stringify({ version: 1, coins: 5000 })), false);
+    assert.equal(game.coins, 80);
+
+    context.confirm = () => true;
+    assert.equal(game.importSave('hello'), false);
+    assert.ok(status.classList.contains('error'));
+    assert.equal(game.importSave(JSON.stringify({ version: 99, coins: 5000 })), false);
+    assert.equal(game.coins, 80);
+
+    assert.ok(game.importSave(JSON.stringify({ version: 1, coins: 5000 })));
+    assert.equal(game.coins, 5000);
+    assert.ok(!status.classList.contains('error'));
+});
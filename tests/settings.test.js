@@ -0,0 +1,163 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const vm = require('vm');
+const { createBrowser, createGame } = require('./fake-dom');
+
+function savedSettings(context) {
+    return JSON.parse(context.localStorage.getItem('cosmicDriftSettings'));
+}
+
+function isHidden(context, id) {
+    return context.document.getElementById(id).classList.contains('hidden');
+}
+
+test('preferences kept in an older save move to the settings entry once', () => {
+    const save = {
+        version: 4,
+        coins: 120,
+        controlScheme: 'keyboard',
+        audio: { master: 0.4, music: 0.5, sfx: 0.8, muted: true }
+    };
+    const context = createBrowser({ storage: { cosmicDriftSave: JSON.stringify(save) } });
+    const game = createGame(context);
+
+    assert.equal(game.controlScheme, 'keyboard');
+    assert.equal(game.audio.settings.master, 0.4);
+    assert.equal(game.coins, 120);
+    assert.equal(savedSettings(context).version, 2);
+    assert.equal(savedSettings(context).audio.muted, true);
+
+    const progress = JSON.parse(context.localStorage.getItem('cosmicDriftSave'));
+    assert.equal(progress.controlScheme, undefined);
+    assert.equal(progress.audio, undefined);
+
+    // Importing a save from elsewhere leaves this device's preferences alone
+    const SaveStore = vm.runInContext('SaveStore', context);
+    context.confirm = () => true;
+    game.importSave(SaveStore.encode({ ...save, controlScheme: 'mouse' }));
+    assert.equal(game.controlScheme, 'keyboard');
+});
+
+test('unreadable settings fall back to the defaults', () => {
+    const context = createBrowser({ storage: { cosmicDriftSettings: '{broken', cosmicDriftSave: '{"version":4,"controlScheme":"keyboard"}' } });
+    const game = createGame(context);
+
+    assert.equal(game.controlScheme, 'mouse');
+    assert.equal(game.graphics, 'high');
+    assert.deepEqual([...game.settingsStore.problems], ['unreadable']);
+
+    const damaged = { version: 1, graphics: 'ultra', screenShake: 'no', language: 'tlh', botIndicator: false };
+    const repaired = createGame(createBrowser({ storage: { cosmicDriftSettings: JSON.stringify(damaged) } }));
+    assert.equal(repaired.graphics, 'high');
+    assert.equal(repaired.screenShake, true);
+    assert.equal(repaired.language, 'auto');
+    assert.equal(repaired.botIndicator, false);
+    assert.deepEqual([...repaired.settingsStore.problems].sort(), ['graphics', 'language', 'screenShake']);
+});
+
+test('settings open from the pause menu and lead back to it', () => {
+    const context = createBrowser();
+    const game = createGame(context);
+    game.startGame();
+    game.togglePause();
+
+    context.document.getElementById('pause-settings-btn').click();
+    assert.ok(!isHidden(context, 'settings-screen'));
+    assert.ok(isHidden(context, 'pause-screen'));
+
+    context.document.getElementById('settings-back-btn').click();
+    assert.ok(isHidden(context, 'settings-screen'));
+    assert.ok(!isHidden(context, 'pause-screen'));
+    assert.equal(game.isPaused, true);
+
+    // The pause key backs out of the settings rather than resuming under them
+    context.document.getElementById('pause-settings-btn').click();
+    context.document.getElementById('bindings-btn').click();
+    context.dispatchWindowEvent({ type: 'keydown', code: 'Escape' });
+    assert.ok(isHidden(context, 'controls-screen'));
+    assert.ok(!isHidden(context, 'pause-screen'));
+    assert.equal(game.isPaused, true);
+});
+
+test('graphics quality changes the effects at once', () => {
+    const context = createBrowser();
+    const game = createGame(context);
+    game.startGame();
+
+    const gradients = () => {
+        let count = 0;
+        game.ctx.createRadialGradient = () => {
+            count++;
+            return { addColorStop() {} };
+        };
+        game.render();
+        return count;
+    };
+    game.sim.bullets.push({ x: 100, y: 100, radius: 5, trail: [] });
+    const fullGlow = gradients();
+
+    game.createExplosion(100, 100, 200, '#ffffff');
+    assert.equal(game.stars.length, 200);
+    assert.equal(game.particles.length, 200);
+
+    context.document.querySelector('.filter-btn[data-graphics="low"]').click();
+    assert.equal(savedSettings(context).graphics, 'low');
+    assert.equal(game.stars.length, 60);
+    assert.equal(game.particles.length, 150);
+    assert.ok(gradients() < fullGlow);
+
+    game.particles = [];
+    game.createExplosion(100, 100, 20, '#ffffff');
+    assert.equal(game.particles.length, 6);
+
+    for (let i = 0; i < 10; i++) game.advance();
+    assert.equal(game.trailParticles.length, 0);
+});
+
+test('hits shake the screen unless shaking is turned off', () => {
+    const context = createBrowser();
+    const game = createGame(context);
+    game.selectedShip = 'tank'; // Survives a hit
+    game.startGame();
+
+    const jolts = () => {
+        const moves = [];
+        game.ctx.translate = (x, y) => moves.push([x, y]);
+        game.render();
+        return moves.length;
+    };
+    const still = jolts();
+
+    game.sim.hurtPlayer('bullet');
+    assert.ok(game.shake > 0);
+    assert.equal(jolts(), still + 1);
+
+    context.document.getElementById('setting-shake').checked = false;
+    context.document.getElementById('setting-shake').dispatchEvent({ type: 'change' });
+    assert.equal(savedSettings(context).screenShake, false);
+    assert.equal(jolts(), still);
+
+    // The shake dies down on its own
+    for (let i = 0; i < 60; i++) game.updateEffects();
+    assert.equal(game.shake, 0);
+});
+
+test('the bot label can be hidden', () => {
+    const context = createBrowser();
+    const game = createGame(context);
+    game.toggleBot();
+    game.startGame();
+
+    const labels = () => {
+        const texts = [];
+        game.ctx.fillText = text => texts.push(text);
+        game.render();
+        return texts;
+    };
+    assert.ok(labels().includes('🤖 БОТ АКТИВЕН'));
+
+    context.document.getElementById('setting-bot-indicator').checked = false;
+    context.document.getElementById('setting-bot-indicator').dispatchEvent({ type: 'change' });
+    assert.ok(!labels().includes('🤖 БОТ АКТИВЕН'));
+    assert.equal(savedSettings(context).botIndicator, false);
+});
@@ -0,0 +1,183 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCore } = require('../tools/headless');
+
+const { Simulation } = loadCore();
+
+function createSim(ship = 'tank') {
+    return new Simulation({ seed: 'TEST', ship, arenaWidth: 1280, arenaHeight: 720 });
+}
+
+// Hold the ship still and keep hazards away so only the rule under test matters
+function stepSafely(sim, ticks, { boost = false } = {}) {
+    for (let i = 0; i < ticks; i++) {
+        sim.blackHoles = [];
+        sim.bullets = [];
+        sim.collectibles = [];
+        sim.update({ x: sim.player.x, y: sim.player.y, boost });
+    }
+}
+
+function collect(sim, type) {
+    sim.collectItem({ type, x: 0, y: 0 });
+}
+
+test('collectItem scores each collectible type with the multiplier', () => {
+    const sim = createSim();
+    sim.multiplier = 2;
+
+    collect(sim, 'energy');
+    assert.equal(sim.score, 100);
+
+    collect(sim, 'points');
+    assert.equal(sim.score, 100 + 200);
+
+    collect(sim, 'shield');
+    assert.equal(sim.score, 300 + 100);
+
+    // Multiplier pickups raise the multiplier before scoring
+    collect(sim, 'multiplier');
+    assert.equal(sim.multiplier, 2.5);
+    assert.equal(sim.score, 400 + Math.floor(75 * 2.5));
+});
+
+test('collectItem rounds fractional scores down', () => {
+    const sim = createSim();
+    sim.multiplier = 1.5;
+    collect(sim, 'multiplier');
+    assert.equal(sim.score, Math.floor(75 * 2));
+
+    collect(sim, 'energy');
+    assert.equal(sim.score, 150 + Math.floor(50 * 2));
+});
+
+test('points pickups award 1-3 coins', () => {
+    const sim = createSim();
+    const awarded = [];
+    sim.on('coins', ({ amount }) => awarded.push(amount));
+
+    for (let i = 0; i < 50; i++) collect(sim, 'points');
+
+    assert.equal(awarded.length, 50);
+    assert.ok(awarded.every(amount => amount >= 1 && amount <= 3));
+    assert.equal(sim.sessionCoins, awarded.reduce((sum, a) => sum + a, 0));
+});
+
+test('energy pickup refills energy up to 100', () => {
+    const sim = createSim();
+    sim.energy = 50;
+    collect(sim, 'energy');
+    assert.equal(sim.energy, 80);
+    collect(sim, 'energy');
+    assert.equal(sim.energy, 100);
+});
+
+test('shield pickup grants 180 ticks of invincibility', () => {
+    const sim = createSim();
+    collect(sim, 'shield');
+    assert.equal(sim.player.invincible, true);
+    assert.equal(sim.effects.shield.remaining, 180);
+
+    stepSafely(sim, 179);
+    assert.equal(sim.player.invincible, true);
+    stepSafely(sim, 1);
+    assert.equal(sim.player.invincible, false);
+});
+
+test('multiplier is capped at 10', () => {
+    const sim = createSim();
+    for (let i = 0; i < 30; i++) collect(sim, 'multiplier');
+    assert.equal(sim.multiplier, 10);
+});
+
+test('level-ups never raise the multiplier past 10', () => {
+    const sim = createSim();
+    sim.multiplier = 9.8;
+    sim.difficultyTimer = 1800;
+    stepSafely(sim, 1);
+    assert.equal(sim.multiplier, 10);
+});
+
+test('takeDamage removes one HP and starts a 120 tick invincibility window', () => {
+    const sim = createSim('tank');
+    assert.equal(sim.hp, 3);
+
+    assert.equal(sim.takeDamage('bullet'), false);
+    assert.equal(sim.hp, 2);
+    assert.equal(sim.player.invincible, true);
+    assert.equal(sim.player.invincibleTimer, 120);
+
+    // Hits during the window are ignored
+    assert.equal(sim.takeDamage('bullet'), false);
+    assert.equal(sim.hp, 2);
+
+    stepSafely(sim, 120);
+    assert.equal(sim.player.invincible, false);
+    sim.takeDamage('blackHole');
+    assert.equal(sim.hp, 1);
+});
+
+test('takeDamage reports death when the last HP is lost', () => {
+    const sim = createSim('speeder');
+    const damage = [];
+    sim.on('damage', event => damage.push({ ...event }));
+
+    assert.equal(sim.takeDamage('blackHole'), true);
+    assert.equal(sim.hp, 0);
+    assert.deepEqual(damage, [{ cause: 'blackHole', hp: 0 }]);
+});
+
+test('boosting drains 0.5 energy per tick', () => {
+    const sim = createSim();
+    stepSafely(sim, 10, { boost: true });
+    assert.equal(sim.energy, 95);
+    assert.equal(sim.player.boosting, true);
+});
+
+test('energy regenerates 0.1 per tick up to 100 when not boosting', () => {
+    const sim = createSim();
+    sim.energy = 50;
+    stepSafely(sim, 10);
+    assert.ok(Math.abs(sim.energy - 51) < 1e-9);
+
+    sim.energy = 99.95;
+    stepSafely(sim, 1);
+    assert.equal(sim.energy, 100);
+});
+
+test('boost cuts out when energy runs dry', () => {
+    const sim = createSim();
+    sim.energy = 1;
+    stepSafely(sim, 2, { boost: true });
+    assert.equal(sim.energy, 0);
+
+    stepSafely(sim, 1, { boost: true });
+    assert.equal(sim.player.boosting, false);
+});
+
+test('level goes up every 1800 ticks', () => {
+    const sim = createSim();
+    const levels = [];
+    sim.on('levelUp', ({ level }) => levels.push(level));
+
+    stepSafely(sim, 1800);
+    assert.equal(sim.level, 1);
+    stepSafely(sim, 1);
+    assert.equal(sim.level, 2);
+    assert.equal(sim.multiplier, 1.5);
+
+    stepSafely(sim, 1801);
+    assert.equal(sim.level, 3);
+    assert.deepEqual(levels, [2, 3]);
+});
+
+test('the same seed and inputs produce the same run', () => {
+    const run = () => {
+        const sim = new Simulation({ seed: 'REPRO', ship: 'balanced', arenaWidth: 800, arenaHeight: 600 });
+        for (let i = 0; i < 3000 && !sim.isOver; i++) {
+            sim.update({ x: 400 + Math.round(Math.sin(i / 50) * 300), y: 300, boost: i % 200 < 40 });
+        }
+        return [sim.tick, sim.score, sim.level, sim.hp, sim.player.x, sim.player.y];
+    };
+    assert.deepEqual(run(), run());
+});
@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCore } = require('../tools/headless');
+const { createBrowser, createGame } = require('./fake-dom');
+
+const { Simulation, RUN_HISTORY_LIMIT, createRunRecord, recordRun, sortRuns } = loadCore();
+
+const arena = { arenaWidth: 1280, arenaHeight: 720 };
+
+function emptyProgress() {
+    return {
+        stats: { runs: 0, playTicks: 0, totalScore: 0, coinsEarned: 0, damageTaken: 0, collectibles: {}, deaths: {} },
+        shipBests: {},
+        runs: []
+    };
+}
+
+function run(overrides) {
+    return {
+        date: 0, seed: 'SEED', ship: 'speeder', bot: false, score: 0, level: 1, coins: 0, ticks: 0,
+        bossesDefeated: 0, collectibles: {}, damageTaken: 0, cause: 'bullet', ...overrides
+    };
+}
+
+test('a run record captures pickups, damage and the cause of death', () => {
+    const sim = new Simulation({ seed: 'STATS', ship: 'balanced', ...arena });
+    sim.collectItem({ type: 'energy', x: 0, y: 0 });
+    sim.collectItem({ type: 'energy', x: 0, y: 0 });
+    sim.collectItem({ type: 'points', x: 0, y: 0 });
+    sim.hurtPlayer('drone');
+    sim.player.invincible = false;
+    sim.hurtPlayer('pulsar');
+
+    const record = createRunRecord(sim, { date: 1000 });
+    assert.equal(record.ship, 'balanced');
+    assert.equal(record.seed, 'STATS');
+    assert.equal(record.coins, sim.sessionCoins);
+    assert.deepEqual({ ...record.collectibles }, { energy: 2, points: 1 });
+    assert.equal(record.damageTaken, 2);
+    assert.equal(record.cause, 'pulsar');
+});
+
+test('recording runs adds up totals and keeps each ship\'s bests', () => {
+    const progress = emptyProgress();
+    recordRun(progress, run({ date: 1, score: 900, level: 4, ticks: 3000, coins: 12, collectibles: { energy: 3 } }));
+    recordRun(progress, run({ date: 2, score: 400, level: 6, ticks: 2000, coins: 5, collectibles: { energy: 1, shield: 1 }, cause: 'blackHole' }));
+    recordRun(progress, run({ date: 3, ship: 'tank', score: 50 }));
+
+    assert.equal(progress.stats.runs, 3);
+    assert.equal(progress.stats.totalScore, 1350);
+    assert.equal(progress.stats.coinsEarned, 17);
+    assert.equal(progress.stats.playTicks, 5000);
+    assert.deepEqual({ ...progress.stats.collectibles }, { energy: 4, shield: 1 });
+    assert.deepEqual({ ...progress.stats.deaths }, { bullet: 2, blackHole: 1 });
+    assert.deepEqual({ ...progress.shipBests.speeder }, { runs: 2, score: 900, level: 6, ticks: 3000 });
+    assert.deepEqual(Array.from(progress.runs, r => r.date), [3, 2, 1]);
+});
+
+test('runs that end on the clock, by quitting or cleared are not deaths', () => {
+    const progress = emptyProgress();
+    recordRun(progress, run({ cause: 'timeUp' }));
+    recordRun(progress, run({ cause: 'quit' }));
+    recordRun(progress, run({ cause: 'cleared' }));
+    recordRun(progress, run({ cause: 'pulsar' }));
+
+    assert.equal(progress.stats.runs, 4);
+    assert.deepEqual({ ...progress.stats.deaths }, { pulsar: 1 });
+});
+
+test('a zen run the pilot ends is not listed among the causes of death', () => {
+    const context = createBrowser();
+    const game = createGame(context);
+    game.stats.deaths.cleared = 2; // Counted before runs that end well were told apart
+    context.document.querySelector('.filter-btn[data-mode="zen"]').click();
+    game.startGame();
+    game.quitRun();
+
+    assert.equal(game.stats.runs, 1);
+    assert.equal(game.stats.deaths.quit, undefined);
+    game.openStats();
+    const totals = context.document.getElementById('stats-totals').innerHTML;
+    assert.ok(totals.includes('Причины гибели'));
+    assert.ok(!totals.includes('Завершён пилотом'));
+    assert.ok(!totals.includes('Уровень пройден'));
+});
+
+test('only the latest runs are kept in the history', () => {
+    const progress = emptyProgress();
+    for (let i = 1; i <= RUN_HISTORY_LIMIT + 5; i++) {
+        recordRun(progress, run({ date: i }));
+    }
+    assert.equal(progress.runs.length, RUN_HISTORY_LIMIT);
+    assert.equal(progress.runs[0].date, RUN_HISTORY_LIMIT + 5);
+    assert.equal(progress.stats.runs, RUN_HISTORY_LIMIT + 5);
+});
+
+test('the history sorts on any column in either direction', () => {
+    const runs = [run({ date: 1, score: 300 }), run({ date: 2, score: 100 }), run({ date: 3, score: 300 })];
+    assert.deepEqual(Array.from(sortRuns(runs, 'score'), r => r.date), [3, 1, 2]);
+    assert.deepEqual(Array.from(sortRuns(runs, 'score', false), r => r.date), [2, 3, 1]);
+    assert.deepEqual(Array.from(sortRuns(runs), r => r.date), [3, 2, 1]);
+});
+
+test('a finished run shows up on the stats screen and survives a reload', () => {
+    const context = createBrowser();
+    const game = createGame(context);
+    game.startGame();
+    game.sim.hurtPlayer('bullet');
+
+    const saved = JSON.parse(context.localStorage.getItem('cosmicDriftSave'));
+    assert.equal(saved.runs.length, 1);
+    assert.equal(saved.stats.deaths.bullet, 1);
+
+    context.document.getElementById('stats-btn').click();
+    const rows = context.document.getElementById('stats-runs').querySelectorAll('tr');
+    assert.equal(rows.length, 1);
+    assert.ok(context.document.getElementById('stats-empty').classList.contains('hidden'));
+
+    const reloaded = createGame(createBrowser({ storage: { cosmicDriftSave: JSON.stringify(saved) } }));
+    assert.equal(reloaded.runs.length, 1);
+    assert.equal(reloaded.shipBests.speeder.runs, 1);
+});
+
+test('a version 1 save is migrated with an empty history', () => {
+    const save = { version: 1, highScore: 700, coins: 20, unlockedShips: ['speeder'], shipUpgrades: {}, stats: { bossesDefeated: 2 } };
+    const game = createGame(createBrowser({ storage: { cosmicDriftSave: JSON.stringify(save) } }));
+
+    assert.equal(game.highScore, 700);
+    assert.equal(game.stats.bossesDefeated, 2);
+    assert.equal(game.stats.runs, 0);
+    assert.equal(game.runs.length, 0);
+    assert.deepEqual([...game.saveStore.problems], []);
+});
@@ -0,0 +1,244 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const vm = require('node:vm');
+const { loadCore } = require('../tools/headless');
+const { createLeaderboardServer } = require('../tools/leaderboard-server');
+const { createBrowser, createGame } = require('./fake-dom');
+
+const { Simulation, Bot, Replay, dailyChallenge } = loadCore();
+
+const arena = { arenaWidth: 1024, arenaHeight: 768 };
+
+// A finished run steered by the bot's inputs but flagged as played by hand
+function recordRun(seed, { bot = false, mode = 'classic', modifiers = [] } = {}) {
+    const replay = new Replay({ seed, ship: 'speeder', mode, modifiers, ...arena, bot });
+    const sim = new Simulation({ seed, ship: 'speeder', mode, modifiers, ...arena });
+    const ai = new Bot();
+
+    while (!sim.isOver && sim.tick < 60 * 60 * 5) {
+        const raw = ai.getInput(sim);
+        const input = { x: Math.round(raw.x), y: Math.round(raw.y), boost: raw.boost, fire: raw.fire };
+        replay.record(input);
+        sim.update(input);
+    }
+    replay.finish(sim.score, sim.level);
+    return replay;
+}
+
+function startServer(options) {
+    const server = createLeaderboardServer(options);
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)))
+        .then(() => ({ server, url: `http://127.0.0.1:${server.address().port}` }));
+}
+
+function stopServer(server) {
+    return new Promise(resolve => server.close(resolve));
+}
+
+// The page's client, in a browser without IndexedDB so the queue stays in memory
+function createClient(url, fetchImpl = fetch) {
+    const context = createBrowser({ fetch: fetchImpl });
+    return vm.runInContext(`new LeaderboardClient(${JSON.stringify(url)})`, context);
+}
+
+function post(url, body) {
+    return fetch(`${url}/scores`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+}
+
+test('verified scores are ranked and listed, and retries are not counted twice', async () => {
+    const { server, url } = await startServer();
+    try {
+        const replay = recordRun('ONLINE');
+        const client = createClient(url);
+        await client.submit({ name: '  Ася  ', mode: 'classic', replay });
+
+        assert.equal(await client.pendingCount(), 0);
+        assert.equal(server.scores.length, 1);
+
+        const top = await client.fetchTop({ ship: 'speeder', mode: 'classic' });
+        assert.equal(top.length, 1);
+        assert.equal(top[0].rank, 1);
+        assert.equal(top[0].name, 'Ася');
+        assert.equal(top[0].score, replay.score);
+        assert.equal(top[0].seed, 'ONLINE');
+        assert.equal((await client.fetchTop({ ship: 'tank' })).length, 0);
+
+        const resent = await post(url, { id: server.scores[0].id, name: 'Другой' });
+        assert.equal(resent.status, 200);
+        assert.deepEqual(await resent.json(), { id: server.scores[0].id, rank: 1 });
+        assert.equal(server.scores.length, 1);
+    } finally {
+        await stopServer(server);
+    }
+});
+
+test('the server refuses scores its replay does not reproduce', async () => {
+    const { server, url } = await startServer();
+    try {
+        const data = recordRun('CHEAT').toJSON();
+        const body = { name: 'ПИЛОТ', mode: 'classic', seed: data.seed, ship: data.ship, level: data.level };
+
+        let response = await post(url, { ...body, id: 'a', score: data.score + 1000, replay: data });
+        assert.equal(response.status, 422);
+
+        const inflated = { ...data, score: data.score + 1000 };
+        response = await post(url, { ...body, id: 'b', score: inflated.score, replay: inflated });
+        assert.equal(response.status, 422);
+
+        const botRun = recordRun('CHEAT', { bot: true }).toJSON();
+        response = await post(url, { ...body, id: 'c', score: botRun.score, replay: botRun });
+        assert.equal(response.status, 422);
+        assert.match((await response.json()).error, /bot/);
+
+        response = await post(url, { ...body, id: 'd', mode: 'unknown', score: data.score, replay: data });
+        assert.equal(response.status, 400);
+
+        response = await post(url, { ...body, id: 'e', mode: 'zen', score: data.score, replay: data });
+        assert.equal(response.status, 422);
+
+        // Rule changes only come with the daily challenge
+        const modified = recordRun('CHEAT', { modifiers: ['tankOnly'] }).toJSON();
+        response = await post(url, { ...body, id: 'g', score: modified.score, level: modified.level, replay: modified });
+        assert.equal(response.status, 422);
+        assert.match((await response.json()).error, /modifiers/);
+
+        const level = { id: 'easy', goal: { type: 'survive', target: 600 } };
+        response = await post(url, { ...body, id: 'h', score: data.score, replay: { ...data, campaignLevel: level } });
+        assert.equal(response.status, 422);
+        assert.match((await response.json()).error, /campaign/);
+
+        // A tiny file claiming an endless run is refused before it is played
+        const endless = { ...data, mode: 'zen', ticks: 200000, inputs: [200000, 0, 0, 0] };
+        response = await post(url, { ...body, id: 'f', mode: 'zen', score: data.score, replay: endless });
+        assert.equal(response.status, 422);
+        assert.match((await response.json()).error, /ticks/);
+
+        response = await fetch(`${url}/scores`, { method: 'POST', body: '{' });
+        assert.equal(response.status, 400);
+
+        assert.equal(server.scores.length, 0);
+    } finally {
+        await stopServer(server);
+    }
+});
+
+test('daily runs are only ranked while their challenge is current', async () => {
+    let clock = Date.UTC(2026, 2, 14, 1); // Still the 13th west of Greenwich
+    const { server, url } = await startServer({ now: () => clock });
+    try {
+        const { seed, modifiers } = dailyChallenge('2026-03-13');
+        const data = recordRun(seed, { mode: 'daily', modifiers }).toJSON();
+        const body = { name: 'ПИЛОТ', mode: 'daily', seed, ship: data.ship, score: data.score, level: data.level, replay: data };
+
+        let response = await post(url, { ...body, id: 'today' });
+        assert.equal(response.status, 201);
+
+        clock = Date.UTC(2026, 2, 16, 12);
+        response = await post(url, { ...body, id: 'stale' });
+        assert.equal(response.status, 422);
+        assert.match((await response.json()).error, /daily/);
+
+        // Any other seed or modifiers are not a daily challenge at all
+        const made = recordRun('MADEUP', { mode: 'daily', modifiers }).toJSON();
+        response = await post(url, { ...body, id: 'madeup', seed: 'MADEUP', score: made.score, level: made.level, replay: made });
+        assert.equal(response.status, 422);
+
+        assert.equal(server.scores.length, 1);
+    } finally {
+        await stopServer(server);
+    }
+});
+
+test('a refused score leaves the queue and is reported', async () => {
+    const { server, url } = await startServer();
+    try {
+        const replay = recordRun('REFUSED');
+        replay.finish(replay.score + 1, replay.level);
+
+        const client = createClient(url);
+        const rejected = [];
+        client.onRejected = (body, reason) => rejected.push(reason);
+        await client.submit({ name: 'ПИЛОТ', mode: 'classic', replay });
+
+        assert.equal(rejected.length, 1);
+        assert.match(rejected[0], /reproduce/);
+        assert.equal(await client.pendingCount(), 0);
+    } finally {
+        await stopServer(server);
+    }
+});
+
+test('scores finished offline are kept and sent once the server is reachable', async () => {
+    const { server, url } = await startServer();
+    try {
+        let online = false;
+        const client = createClient(url, (...args) => online ? fetch(...args) : Promise.reject(new Error('offline')));
+
+        await assert.rejects(client.submit({ name: 'ПИЛОТ', mode: 'classic', replay: recordRun('OFFLINE') }));
+        assert.equal(await client.pendingCount(), 1);
+        assert.equal(server.scores.length, 0);
+
+        online = true;
+        await client.flush();
+        assert.equal(await client.pendingCount(), 0);
+        assert.equal(server.scores.length, 1);
+    } finally {
+        await stopServer(server);
+    }
+});
+
+test('a human run is submitted under the name given after it', async () => {
+    const requests = [];
+    const fakeFetch = (url, options = {}) => {
+        requests.push({ url, method: options.method || 'GET', body: options.body && JSON.parse(options.body) });
+        const body = options.method === 'POST' ? { id: 'x', rank: 1 } : { scores: [] };
+        return Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve(body) });
+    };
+    const context = createBrowser({ fetch: fakeFetch });
+    const game = createGame(context);
+
+    context.document.getElementById('sync-server-input').value = ' http://scores.example/ ';
+    context.document.getElementById('sync-server-btn').click();
+    assert.equal(JSON.parse(context.localStorage.getItem('cosmicDriftSave')).syncServer, 'http://scores.example/');
+
+    game.startGame();
+    game.sim.score = 700;
+    game.sim.hurtPlayer('bullet');
+    await game.sync.flush();
+    assert.equal(requests.filter(r => r.method === 'POST').length, 0); // Waits for the name
+
+    const nameInput = context.document.getElementById('name-input');
+    nameInput.value = 'Ася';
+    nameInput.dispatchEvent({ type: 'keydown', key: 'Enter' });
+    await game.sync.flush();
+
+    const posts = requests.filter(r => r.method === 'POST');
+    assert.equal(posts.length, 1);
+    assert.equal(posts[0].url, 'http://scores.example/scores');
+    assert.equal(posts[0].body.name, 'Ася');
+    assert.equal(posts[0].body.score, 700);
+    assert.equal(posts[0].body.replay.seed, game.lastReplay.seed);
+
+    // The bot's runs stay offline
+    game.toggleBot();
+    game.startGame();
+    game.sim.score = 900;
+    game.sim.hurtPlayer('bullet');
+    game.showMenu();
+    await game.sync.flush();
+    assert.equal(requests.filter(r => r.method === 'POST').length, 1);
+});
+
+test('an invalid server address is not saved', () => {
+    const context = createBrowser();
+    const game = createGame(context);
+    context.document.getElementById('sync-server-input').value = 'ftp://scores.example';
+    context.document.getElementById('sync-server-btn').click();
+
+    assert.equal(game.sync, null);
+    assert.match(context.document.getElementById('online-status').textContent, /http/);
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCore } = require('../tools/headless');
+
+const { Simulation, Replay, SHIP_TYPES, SHIP_UPGRADES, upgradePrice, upgradedShipStats } = loadCore();
+
+const arena = { arenaWidth: 1280, arenaHeight: 720 };
+
+test('upgrade prices escalate with every tier', () => {
+    for (const id of Object.keys(SHIP_UPGRADES)) {
+        for (let tier = 1; tier < SHIP_UPGRADES[id].tiers; tier++) {
+            assert.ok(upgradePrice(id, tier) > upgradePrice(id, tier - 1), `${id} tier ${tier}`);
+        }
+    }
+});
+
+test('no upgrades leaves the base ship untouched', () => {
+    const stats = upgradedShipStats('balanced');
+    const ship = SHIP_TYPES.balanced;
+    assert.equal(stats.maxSpeed, ship.maxSpeed);
+    assert.equal(stats.thrust, ship.thrust);
+    assert.equal(stats.friction, ship.friction);
+    assert.equal(stats.maxHP, ship.maxHP);
+});
+
+test('tiers beyond the maximum are ignored', () => {
+    const stats = upgradedShipStats('tank', { maxHP: 99 });
+    assert.equal(stats.maxHP, SHIP_TYPES.tank.maxHP + SHIP_UPGRADES.maxHP.tiers);
+});
+
+test('createPlayer applies the upgraded stats', () => {
+    const upgrades = { maxSpeed: 2, maxHP: 1, maxEnergy: 2, energyRegen: 1, boostMultiplier: 1 };
+    const sim = new Simulation({ seed: 'UPGRADES', ship: 'speeder', upgrades, ...arena });
+
+    assert.equal(sim.player.maxSpeed, SHIP_TYPES.speeder.maxSpeed + 2 * SHIP_UPGRADES.maxSpeed.step);
+    assert.equal(sim.maxHP, 2);
+    assert.equal(sim.hp, 2);
+    assert.equal(sim.maxEnergy, 140);
+    assert.equal(sim.energy, 140);
+    assert.equal(sim.player.energyRegen, 0.1 + SHIP_UPGRADES.energyRegen.step);
+    assert.equal(sim.player.boostMultiplier, 2.5 + SHIP_UPGRADES.boostMultiplier.step);
+});
+
+test('energy refills up to the upgraded capacity', () => {
+    const sim = new Simulation({ seed: 'UPGRADES', ship: 'speeder', upgrades: { maxEnergy: 1 }, ...arena });
+    sim.energy = 100;
+    sim.collectItem({ type: 'energy', x: 0, y: 0 });
+    assert.equal(sim.energy, 120);
+});
+
+test('replays carry the upgrades the run was played with', () => {
+    const replay = new Replay({ seed: 'X', ship: 'tank', upgrades: { thrust: 3 }, ...arena });
+    replay.record({ x: 0, y: 0, boost: false });
+    const loaded = Replay.fromJSON(JSON.parse(JSON.stringify(replay)));
+    assert.deepEqual({ ...loaded.upgrades }, { thrust: 3 });
+});
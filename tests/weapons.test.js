@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCore } = require('../tools/headless');
+
+const { Simulation, SHIP_TYPES } = loadCore();
+
+function createSim(ship = 'speeder') {
+    const sim = new Simulation({ seed: 'WEAPONS', ship, arenaWidth: 1280, arenaHeight: 720 });
+    sim.spawnTimer = -Infinity; // No random spawns
+    return sim;
+}
+
+// Hold position and keep the trigger down
+function fire(sim, ticks) {
+    for (let i = 0; i < ticks; i++) {
+        sim.update({ x: sim.player.x, y: sim.player.y, boost: false, fire: true });
+    }
+}
+
+function placeHole(sim, x, y, hp) {
+    sim.blackHoles.push({
+        x, y, radius: 30, hp, maxHP: hp, hitFlash: 0,
+        pullRadius: 0, strength: 0, rotation: 0,
+        lifetime: 0, maxLifetime: 10000, shootTimer: 0, shootInterval: Infinity
+    });
+    return sim.blackHoles[sim.blackHoles.length - 1];
+}
+
+test('every ship has its own weapon', () => {
+    const weapons = Object.values(SHIP_TYPES).map(ship => JSON.stringify(ship.weapon));
+    assert.equal(new Set(weapons).size, weapons.length);
+});
+
+test('firing spends energy and respects the cooldown', () => {
+    const sim = createSim('speeder');
+    const weapon = SHIP_TYPES.speeder.weapon;
+
+    fire(sim, 1);
+    assert.equal(sim.shots.length, 1);
+    assert.equal(sim.energy, 100 - weapon.energyCost);
+
+    fire(sim, weapon.cooldown - 1);
+    assert.equal(sim.shots.length, 1);
+
+    fire(sim, 1);
+    assert.equal(sim.shots.length, 2);
+});
+
+test('the trigger does nothing without enough energy', () => {
+    const sim = createSim('tank');
+    sim.energy = SHIP_TYPES.tank.weapon.energyCost - 1;
+    sim.update({ x: sim.player.x, y: sim.player.y, boost: false, fire: true });
+    assert.equal(sim.shots.length, 0);
+});
+
+test('multi-pellet weapons fire a spread', () => {
+    const sim = createSim('balanced');
+    fire(sim, 1);
+    assert.equal(sim.shots.length, SHIP_TYPES.balanced.weapon.pellets);
+    assert.notEqual(sim.shots[0].angle, sim.shots[1].angle);
+});
+
+test('a shot destroys an enemy bullet', () => {
+    const sim = createSim();
+    const destroyed = [];
+    sim.on('bulletDestroyed', () => destroyed.push(true));
+
+    // Ship faces right (angle 0); bullet sits still just ahead of it
+    sim.bullets.push({ x: sim.player.x + 60, y: sim.player.y, vx: 0, vy: 0, radius: 6, life: 300, trail: [] });
+    fire(sim, 4);
+
+    assert.equal(sim.bullets.length, 0);
+    assert.equal(destroyed.length, 1);
+    assert.equal(sim.shots.length, 0); // The shot is spent on the bullet
+});
+
+test('shots wear a black hole down until it collapses', () => {
+    const sim = createSim('tank');
+    const hole = placeHole(sim, sim.player.x + 150, sim.player.y, 10);
+    const collapsed = [];
+    const coins = [];
+    sim.on('blackHoleCollapsed', ({ hole }) => collapsed.push(hole));
+    sim.on('coins', ({ amount }) => coins.push(amount));
+
+    fire(sim, 20);
+    assert.equal(hole.hp, 5);
+    assert.equal(sim.blackHoles.length, 1);
+
+    fire(sim, 30);
+    assert.equal(sim.blackHoles.length, 0);
+    assert.equal(collapsed.length, 1);
+    assert.deepEqual(coins, [2]);
+    assert.ok(sim.score >= 250);
+});
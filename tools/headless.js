@@ -0,0 +1,82 @@
+// Cosmic Drift - Headless loader
+//
+// The game ships as plain browser scripts that share globals. This evaluates
+// the DOM-free ones in an isolated context so Node can drive the simulation
+// directly - for tests, balance sweeps and replay verification.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+// Load order matters, as in index.html
+const CORE_SCRIPTS = ['random.js', 'simulation.js', 'enemies.js', 'boss.js', 'powerups.js', 'modes.js', 'daily.js', 'campaign.js', 'editor.js', 'upgrades.js', 'stats.js', 'leaderboard.js', 'achievements.js', 'bot.js', 'replay.js'];
+
+function loadCore() {
+    const context = vm.createContext({ console });
+    for (const file of CORE_SCRIPTS) {
+        const code = fs.readFileSync(path.join(ROOT, file), 'utf8');
+        vm.runInContext(code, context, { filename: file });
+    }
+    return vm.runInContext(`({
+        Random, Simulation, SIMULATION_VERSION, STICK_RANGE, SHIP_TYPES,
+        ENEMY_TYPES, BOSS_INTERVAL, BOSS_PHASES, Boss,
+        COLLECTIBLE_SPAWNS, POWERUP_TYPES, collectibleWeight,
+        MODE_DEFAULTS, GAME_MODES, RULE_MODIFIERS, gameModeRules,
+        DAILY_ROTATION, dailyDateKey, dailyChallenge, isRecentDailyChallenge, dailyStreak, recordDailyAttempt, dailyBonus,
+        CAMPAIGN_FORMAT, LEVEL_GOALS, BULLET_PATTERNS, parseLevel, parseCampaign, levelStars, isLevelUnlocked, LevelScript,
+        LEVELS_KEY, EDITOR_ARENA, EDITOR_FIELDS, levelFile, LevelEditor, LevelLibrary,
+        SHIP_UPGRADES, upgradePrice, upgradedShipStats,
+        RUN_HISTORY_LIMIT, SURVIVED_CAUSES, isDeathCause, createRunRecord, recordRun, sortRuns,
+        LEADERBOARD_SIZE, LEADERBOARD_MODES, leaderboardView, trimLeaderboard,
+        qualifiesForLeaderboard, normalizePlayerName,
+        ACHIEVEMENTS, SHIP_COLORS, AchievementTracker, Bot, Replay
+    })`, context);
+}
+
+// Play one game to the end with the bot at the controls
+function runBotGame(core, { seed, ship = 'speeder', mode = 'classic', upgrades = {}, arenaWidth = 1280, arenaHeight = 720, maxTicks = 60 * 60 * 30 }) {
+    const sim = new core.Simulation({ seed, ship, mode, upgrades, arenaWidth, arenaHeight });
+    const bot = new core.Bot();
+
+    while (!sim.isOver && sim.tick < maxTicks) {
+        const input = bot.getInput(sim);
+        sim.update({
+            x: Math.round(input.x),
+            y: Math.round(input.y),
+            boost: input.boost,
+            fire: input.fire
+        });
+    }
+    return sim;
+}
+
+// Play a serialized replay back. It is valid only if the run ends on its very
+// last input with exactly the score and level the replay claims. Runs in modes
+// that finish when the player quits end right after their last input.
+function verifyReplay(core, data) {
+    const replay = core.Replay.fromJSON(data);
+    const sim = new core.Simulation({
+        seed: replay.seed,
+        ship: replay.ship,
+        upgrades: replay.upgrades,
+        mode: replay.mode,
+        modifiers: replay.modifiers,
+        campaignLevel: replay.campaignLevel,
+        arenaWidth: replay.arenaWidth,
+        arenaHeight: replay.arenaHeight
+    });
+    for (let tick = 0; tick < replay.length && !sim.isOver; tick++) {
+        sim.update(replay.inputAt(tick));
+    }
+    if (!sim.isOver && sim.rules.finishOnQuit) {
+        sim.gameOver('quit');
+    }
+
+    const valid = sim.isOver && sim.tick === replay.length &&
+        sim.score === replay.score && sim.level === replay.level;
+    return { replay, sim, valid };
+}
+
+module.exports = { CORE_SCRIPTS, loadCore, runBotGame, verifyReplay };
@@ -0,0 +1,173 @@
+// Cosmic Drift - Reference leaderboard server
+//
+// A small implementation of docs/leaderboard-protocol.md for developing and
+// testing the online leaderboard locally. Every submitted replay is played
+// back headlessly, and the score is refused unless the replay reproduces it.
+//
+// Usage: node tools/leaderboard-server.js [port] [scores.json]
+
+const fs = require('fs');
+const http = require('http');
+const { loadCore, verifyReplay } = require('./headless');
+
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+class RequestError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+// Scores are kept in memory, and written to `file` after every change if given.
+// `now` is the server clock, which dates scores and daily challenges.
+function createLeaderboardServer({ file = null, now = () => Date.now() } = {}) {
+    const core = loadCore();
+    const scores = file && fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : [];
+
+    const board = (ship, mode) => scores
+        .filter(s => (!ship || s.ship === ship) && (!mode || s.mode === mode))
+        .sort((a, b) => b.score - a.score || a.date - b.date);
+
+    const rankOf = entry => board(entry.ship, entry.mode).indexOf(entry) + 1;
+
+    function listScores(query) {
+        const limit = Math.min(Math.max(parseInt(query.get('limit')) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+        return board(query.get('ship'), query.get('mode'))
+            .slice(0, limit)
+            .map((s, i) => ({
+                rank: i + 1,
+                name: s.name,
+                score: s.score,
+                level: s.level,
+                ship: s.ship,
+                mode: s.mode,
+                seed: s.seed,
+                date: s.date
+            }));
+    }
+
+    function submitScore(body) {
+        if (!body || typeof body !== 'object') throw new RequestError(400, 'Expected a JSON object');
+        if (typeof body.id !== 'string' || body.id.length === 0 || body.id.length > 64) {
+            throw new RequestError(400, 'Missing submission id');
+        }
+
+        // Retried submission - answer as the first time
+        const existing = scores.find(s => s.id === body.id);
+        if (existing) return { status: 200, result: { id: existing.id, rank: rankOf(existing) } };
+
+        const name = typeof body.name === 'string' ? core.normalizePlayerName(body.name) : '';
+        if (!name) throw new RequestError(400, 'Missing player name');
+        if (!core.LEADERBOARD_MODES[body.mode]) throw new RequestError(400, `Unknown mode: ${body.mode}`);
+
+        let verified;
+        try {
+            verified = verifyReplay(core, body.replay);
+        } catch (e) {
+            throw new RequestError(422, e.message);
+        }
+
+        const { replay, valid } = verified;
+        if (replay.bot) throw new RequestError(422, 'Runs played by the bot are not ranked');
+        if (!valid) throw new RequestError(422, 'Replay does not reproduce the claimed score');
+        if (body.seed !== replay.seed || body.ship !== replay.ship || body.mode !== replay.mode ||
+            body.score !== replay.score || body.level !== replay.level) {
+            throw new RequestError(422, 'Submission does not match its replay');
+        }
+        // Only the daily challenge changes the rules; every other board is played as the mode comes
+        if (replay.mode !== 'daily' && (replay.modifiers.length > 0 || replay.campaignLevel)) {
+            throw new RequestError(422, 'Only daily runs carry rule modifiers, and campaign levels are unranked');
+        }
+        if (replay.mode === 'daily' && !core.isRecentDailyChallenge(replay.seed, replay.modifiers, new Date(now()))) {
+            throw new RequestError(422, 'Not the current daily challenge');
+        }
+
+        const entry = {
+            id: body.id,
+            name,
+            score: replay.score,
+            level: replay.level,
+            ship: replay.ship,
+            mode: body.mode,
+            seed: replay.seed,
+            date: now()
+        };
+        scores.push(entry);
+        if (file) fs.writeFileSync(file, JSON.stringify(scores, null, 2));
+
+        return { status: 201, result: { id: entry.id, rank: rankOf(entry) } };
+    }
+
+    function send(res, status, data) {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
+    }
+
+    const server = http.createServer((req, res) => {
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+        const url = new URL(req.url, 'http://localhost');
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+        if (url.pathname !== '/scores') {
+            send(res, 404, { error: 'Not found' });
+            return;
+        }
+        if (req.method === 'GET') {
+            send(res, 200, { scores: listScores(url.searchParams) });
+            return;
+        }
+        if (req.method !== 'POST') {
+            send(res, 405, { error: 'Method not allowed' });
+            return;
+        }
+
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                send(res, 413, { error: 'Submission too large' });
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            try {
+                let body;
+                try {
+                    body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+                } catch (e) {
+                    throw new RequestError(400, 'Malformed JSON');
+                }
+                const { status, result } = submitScore(body);
+                send(res, status, result);
+            } catch (e) {
+                if (!(e instanceof RequestError)) console.error(e);
+                send(res, e.status || 500, { error: e.message });
+            }
+        });
+    });
+
+    server.scores = scores;
+    return server;
+}
+
+if (require.main === module) {
+    const port = parseInt(process.argv[2]) || 8787;
+    const file = process.argv[3] || null;
+    createLeaderboardServer({ file }).listen(port, () => {
+        console.log(`Leaderboard server listening on http://localhost:${port}`);
+    });
+}
+
+module.exports = { createLeaderboardServer };
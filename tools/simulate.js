@@ -0,0 +1,32 @@
+// Cosmic Drift - Balance sweep
+//
+// Plays many bot games headlessly and prints summary statistics per ship.
+// Usage: node tools/simulate.js [games per ship] [ship...]
+
+const { loadCore, runBotGame } = require('./headless');
+
+const core = loadCore();
+const games = parseInt(process.argv[2]) || 100;
+const ships = process.argv.slice(3).length ? process.argv.slice(3) : Object.keys(core.SHIP_TYPES);
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+}
+
+for (const ship of ships) {
+    const scores = [], levels = [], seconds = [];
+
+    for (let i = 0; i < games; i++) {
+        const sim = runBotGame(core, { seed: `SWEEP-${i}`, ship });
+        scores.push(sim.score);
+        levels.push(sim.level);
+        seconds.push(sim.tick / 60);
+    }
+
+    const mean = values => values.reduce((sum, v) => sum + v, 0) / values.length;
+    console.log(`${ship.padEnd(10)} games=${games}` +
+        ` score(mean=${Math.round(mean(scores))}, median=${median(scores)}, max=${Math.max(...scores)})` +
+        ` level(mean=${mean(levels).toFixed(1)}, max=${Math.max(...levels)})` +
+        ` survived(mean=${Math.round(mean(seconds))}s)`);
+}
@@ -0,0 +1,43 @@
+// Cosmic Drift - Ship upgrades
+//
+// Every ship keeps its own upgrade levels, bought with coins in the upgrade
+// shop and stored as { upgradeId: tier }. Each tier adds `step` to the stat;
+// the price of the next tier grows by UPGRADE_PRICE_GROWTH every time.
+
+const SHIP_UPGRADES = {
+    maxSpeed: { tiers: 5, step: 0.6, basePrice: 60 },
+    thrust: { tiers: 5, step: 0.08, basePrice: 60 },
+    friction: { tiers: 4, step: -0.01, basePrice: 80 }, // Less inertia
+    maxHP: { tiers: 2, step: 1, basePrice: 400 },
+    maxEnergy: { tiers: 4, step: 20, basePrice: 80 },
+    energyRegen: { tiers: 4, step: 0.03, basePrice: 100 },
+    boostMultiplier: { tiers: 3, step: 0.3, basePrice: 120 }
+};
+
+const UPGRADE_PRICE_GROWTH = 1.8;
+
+// Price of the tier after `tier`
+function upgradePrice(upgradeId, tier) {
+    return Math.round(SHIP_UPGRADES[upgradeId].basePrice * Math.pow(UPGRADE_PRICE_GROWTH, tier));
+}
+
+// A ship's stats with its upgrade levels applied. Energy and boost start out
+// the same for every ship.
+function upgradedShipStats(shipId, levels = {}) {
+    const ship = SHIP_TYPES[shipId];
+    const stats = {
+        maxSpeed: ship.maxSpeed,
+        thrust: ship.thrust,
+        friction: ship.friction,
+        maxHP: ship.maxHP,
+        maxEnergy: 100,
+        energyRegen: 0.1,
+        boostMultiplier: 2.5
+    };
+
+    for (const [id, upgrade] of Object.entries(SHIP_UPGRADES)) {
+        const tier = Math.min(levels[id] || 0, upgrade.tiers);
+        stats[id] += upgrade.step * tier;
+    }
+    return stats;
+}